@@ -11,5 +11,11 @@
         public string Image { get; set; }
 
         public string QRSource { get; set; }
+
+        public string HotspotsSource { get; set; }
+
+        public string FinishesSource { get; set; }
+
+        public string TourSource { get; set; }
     }
 }
@@ -14,7 +14,10 @@ namespace ARProject.Services
                 Source = "https://cdn.glitch.com/36cb8393-65c6-408d-a538-055ada20431b/Astronaut.glb?1542147958948",
                 IOSSource = "https://cdn.glitch.com/36cb8393-65c6-408d-a538-055ada20431b/Astronaut.usdz?v=1569545377878",
                 Image = "https://cdn.glitch.com/36cb8393-65c6-408d-a538-055ada20431b%2Fposter-astronaut.png?v=1599079951717",
-                QRSource = "https://api.qrserver.com/v1/create-qr-code/?data=https://192.168.0.98:44352/Product/1&amp;size=100x100"
+                QRSource = "/Product/1",
+                HotspotsSource = "",
+                FinishesSource = "",
+                TourSource = ""
             },
             new Product()
             {
@@ -22,7 +25,10 @@ namespace ARProject.Services
                 Source = "https://modelviewer.dev/shared-assets/models/odd-shape.glb",
                 IOSSource = "",
                 Image = "https://images.freeimages.com/images/large-previews/fde/aliens-1-1373417.jpg",
-                QRSource = "https://api.qrserver.com/v1/create-qr-code/?data=https://192.168.0.98:44352/Product/2&amp;size=100x100"
+                QRSource = "/Product/2",
+                HotspotsSource = "",
+                FinishesSource = "",
+                TourSource = ""
             },
             new Product()
             {
@@ -30,13 +36,16 @@ namespace ARProject.Services
                 Source = "https://modelviewer.dev/shared-assets/models/Horse.glb",
                 IOSSource = "",
                 Image = "https://images.sadhguru.org/sites/default/files/media_files/iso/en/64083-natures-temples.jpg",
-                QRSource = "https://api.qrserver.com/v1/create-qr-code/?data=https://192.168.0.98:44352/Product/3&amp;size=100x100"
+                QRSource = "/Product/3",
+                HotspotsSource = "",
+                FinishesSource = "",
+                TourSource = ""
             },
         };
 
         public Product GetProductById(int id)
         {
-            return products.Where(p => p.Id == id).FirstOrDefault() ?? new Product() { Id = -1, Source = "", IOSSource = "", Image = "" };
+            return products.Where(p => p.Id == id).FirstOrDefault() ?? new Product() { Id = -1, Source = "", IOSSource = "", Image = "", QRSource = "", HotspotsSource = "", FinishesSource = "", TourSource = "" };
         }
 
         public IEnumerable<Product> GetAll()
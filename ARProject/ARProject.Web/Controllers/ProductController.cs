@@ -1,6 +1,8 @@
 ﻿using ARProject.Models;
 using ARProject.Services;
 using Microsoft.AspNetCore.Mvc;
+using System.Collections.Generic;
+using System.Linq;
 
 namespace ARProject.Web.Controllers
 {
@@ -19,6 +21,24 @@ namespace ARProject.Web.Controllers
             return View();
         }
 
+        [HttpGet("feed")]
+        public IActionResult Feed()
+        {
+            return Json(_productService.GetAll());
+        }
+
+        [HttpGet("compare")]
+        public IActionResult Compare([FromQuery] int[] ids)
+        {
+            List<Product> products = ids
+                .Distinct()
+                .Select(id => _productService.GetProductById(id))
+                .Where(product => product.Id > 0)
+                .Take(4)
+                .ToList();
+            return View(products);
+        }
+
         [HttpGet("{id}")]
         public IActionResult Details(int id)
         {
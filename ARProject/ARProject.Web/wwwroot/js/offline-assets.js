@@ -0,0 +1,12 @@
+﻿// Shared by the page, where it is loaded before site.js, and by sw.js, which
+// loads it with importScripts, so both agree on which files are assets.
+
+var RuleStore = self.RuleStore || {};
+self.RuleStore = RuleStore;
+
+/**
+ * Requests whose path matches are served cache-first from the asset cache by
+ * sw.js, and stored there by RuleStore.Offline; everything else same-origin
+ * goes to the page cache.
+ */
+RuleStore.OFFLINE_ASSET_PATTERN = /\.(glb|gltf|bin|usdz|reality|hdr|exr|ktx2|png|jpe?g|webp)$/i;
@@ -1,4 +1,3110 @@
 ﻿// Please see documentation at https://docs.microsoft.com/aspnet/core/client-side/bundling-and-minification
 // for details on configuring this project to bundle and minify static web assets.
 
-// Write your JavaScript code.
+var RuleStore = window.RuleStore || {};
+window.RuleStore = RuleStore;
+
+/**
+ * Saves a Blob to the user's downloads under the given file name.
+ */
+RuleStore.download = function (blob, fileName) {
+    'use strict';
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight after click() can cancel the download in some
+    // browsers, so give it a moment to start.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Replaces the current history entry with the given URL and fires a
+ * `urlchange` event on window, since replaceState itself fires nothing and
+ * other modules (the QR code panel) show the page URL.
+ */
+RuleStore.replaceUrl = function (url) {
+    'use strict';
+
+    window.history.replaceState(null, '', url);
+    window.dispatchEvent(new Event('urlchange'));
+};
+
+/**
+ * Client-side product catalog. Fetches the JSON product feed served by
+ * ProductController.Feed and renders it as Bootstrap cards, with search,
+ * filtering and pagination handled in the browser. The current query is kept
+ * in the page URL so a filtered view can be bookmarked or shared.
+ */
+RuleStore.Catalog = (function () {
+    'use strict';
+
+    const DEFAULT_PAGE_SIZE = 6;
+
+    // The comparison view shows between two and four products side by side.
+    const MIN_COMPARE = 2;
+    const MAX_COMPARE = 4;
+
+    // Each filter decides whether a product is shown. Products without an
+    // IOSSource can only be viewed in AR on Android (Scene Viewer / WebXR).
+    const FILTERS = {
+        all: () => true,
+        ios: (product) => product.iosSource !== '',
+        android: (product) => product.iosSource === ''
+    };
+
+    // Unknown names, including inherited ones like "toString", fall back to
+    // showing everything.
+    function filterName(name) {
+        return Object.prototype.hasOwnProperty.call(FILTERS, name) ? name : 'all';
+    }
+
+    /**
+     * Normalizes one feed entry. The feed serializes Product with camelCase
+     * names, but PascalCase is accepted too so a static JSON export of the
+     * products can be used as a feed as well.
+     */
+    function normalizeProduct(entry) {
+        const pick = (...names) => names.map((name) => entry[name]).find((value) => value != null);
+
+        return {
+            id: Number(pick('id', 'Id')),
+            source: pick('source', 'Source') || '',
+            iosSource: pick('iosSource', 'IOSSource') || '',
+            image: pick('image', 'Image') || ''
+        };
+    }
+
+    function fileName(url) {
+        try {
+            const path = new URL(url, window.location.href).pathname;
+            return decodeURIComponent(path.substring(path.lastIndexOf('/') + 1));
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function productTitle(product) {
+        return `Product ${product.id}`;
+    }
+
+    function matchesQuery(product, query) {
+        if (query === '') {
+            return true;
+        }
+        const haystack = [productTitle(product), String(product.id), fileName(product.source)]
+            .join(' ')
+            .toLowerCase();
+        return query.toLowerCase().split(/\s+/).every((term) => haystack.includes(term));
+    }
+
+    class Catalog {
+        constructor(root, options = {}) {
+            this.root = root;
+            this.feedUrl = options.feedUrl || root.dataset.feedUrl;
+            this.detailsUrl = options.detailsUrl || root.dataset.detailsUrl || '/Product/';
+            this.pageSize = Number(options.pageSize || root.dataset.pageSize) || DEFAULT_PAGE_SIZE;
+            this.compareUrl = options.compareUrl || root.dataset.compareUrl || '/Product/compare';
+
+            this.controls = root.querySelector('[data-catalog-controls]');
+            this.grid = root.querySelector('[data-catalog-grid]');
+            this.status = root.querySelector('[data-catalog-status]');
+            this.pagination = root.querySelector('[data-catalog-pagination]');
+            this.compareLink = root.querySelector('[data-catalog-compare]');
+
+            this.products = [];
+            this.state = { query: '', filter: 'all', page: 1, compare: [] };
+
+            this.readStateFromUrl();
+            this.bindControls();
+        }
+
+        /**
+         * Fetches the feed and renders the first page. Resolves with the list of
+         * products once they are on screen.
+         */
+        async load() {
+            this.setStatus('Loading products…');
+            try {
+                const response = await fetch(this.feedUrl, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Feed request failed with status ${response.status}`);
+                }
+                const entries = await response.json();
+                this.products = entries.map(normalizeProduct);
+            } catch (error) {
+                console.error(error);
+                this.setStatus('Products could not be loaded. Please try again later.');
+                return [];
+            }
+            this.render();
+            return this.products;
+        }
+
+        /**
+         * Products matching the current search and filter, across all pages.
+         */
+        get filteredProducts() {
+            const filter = FILTERS[this.state.filter] || FILTERS.all;
+            return this.products.filter(
+                (product) => filter(product) && matchesQuery(product, this.state.query));
+        }
+
+        get pageCount() {
+            return Math.max(1, Math.ceil(this.filteredProducts.length / this.pageSize));
+        }
+
+        search(query) {
+            this.update({ query: query.trim(), page: 1 });
+        }
+
+        setFilter(filter) {
+            this.update({ filter: filterName(filter), page: 1 });
+        }
+
+        goToPage(page) {
+            this.update({ page: page });
+        }
+
+        /**
+         * Adds a product to, or removes it from, the comparison selection.
+         */
+        toggleCompare(id, selected) {
+            const compare = this.state.compare.filter((other) => other !== id);
+            if (selected && compare.length < MAX_COMPARE) {
+                compare.push(id);
+            }
+            this.update({ compare });
+        }
+
+        update(changes) {
+            Object.assign(this.state, changes);
+            this.writeStateToUrl();
+            this.render();
+        }
+
+        render() {
+            const products = this.filteredProducts;
+            const pageCount = this.pageCount;
+            const page = Math.min(Math.max(1, this.state.page), pageCount);
+            this.state.page = page;
+
+            const start = (page - 1) * this.pageSize;
+            const visible = products.slice(start, start + this.pageSize);
+
+            this.grid.replaceChildren(...visible.map((product) => this.renderCard(product)));
+            this.renderPagination(pageCount);
+            this.renderCompareLink();
+
+            if (products.length === 0) {
+                this.setStatus('No products match your search.');
+            } else {
+                this.setStatus(`Showing ${start + 1}–${start + visible.length} of ${products.length} products`);
+            }
+        }
+
+        renderCard(product) {
+            const card = document.createElement('div');
+            card.className = 'card col-3';
+
+            const image = document.createElement('img');
+            image.className = 'card-img-top my-2';
+            image.src = product.image;
+            image.alt = productTitle(product);
+            image.loading = 'lazy';
+            image.style.height = '200px';
+            image.style.width = '250px';
+
+            const body = document.createElement('div');
+            body.className = 'card-body';
+
+            const title = document.createElement('h5');
+            title.className = 'card-title';
+            title.textContent = productTitle(product);
+
+            const text = document.createElement('p');
+            text.className = 'card-text';
+            text.textContent = product.iosSource !== '' ?
+                'View in AR on iOS and Android.' :
+                'View in AR on Android.';
+
+            const link = document.createElement('a');
+            link.className = 'btn btn-primary';
+            link.href = this.detailsUrl + encodeURIComponent(product.id);
+            link.textContent = 'Details';
+
+            const compare = document.createElement('div');
+            compare.className = 'form-check mt-2';
+
+            const checked = this.state.compare.includes(product.id);
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.id = `compare-${product.id}`;
+            checkbox.checked = checked;
+            checkbox.disabled = !checked && this.state.compare.length >= MAX_COMPARE;
+            checkbox.dataset.compareId = product.id;
+
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = 'Compare';
+
+            compare.append(checkbox, label);
+            body.append(title, text, link, compare);
+            card.append(image, body);
+            return card;
+        }
+
+        renderCompareLink() {
+            if (this.compareLink == null) {
+                return;
+            }
+            const ids = this.state.compare;
+            const enabled = ids.length >= MIN_COMPARE;
+            const url = new URL(this.compareUrl, window.location.href);
+            ids.forEach((id) => url.searchParams.append('ids', id));
+
+            this.compareLink.href = url.href;
+            this.compareLink.textContent = `Compare (${ids.length}/${MAX_COMPARE})`;
+            this.compareLink.classList.toggle('disabled', !enabled);
+            this.compareLink.setAttribute('aria-disabled', String(!enabled));
+        }
+
+        renderPagination(pageCount) {
+            if (this.pagination == null) {
+                return;
+            }
+            const items = [];
+            const addItem = (label, page, { active = false, disabled = false } = {}) => {
+                const item = document.createElement('li');
+                item.className = 'page-item' + (active ? ' active' : '') + (disabled ? ' disabled' : '');
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'page-link';
+                button.textContent = label;
+                button.disabled = disabled;
+                button.dataset.page = page;
+                if (active) {
+                    button.setAttribute('aria-current', 'page');
+                }
+
+                item.appendChild(button);
+                items.push(item);
+            };
+
+            const { page } = this.state;
+            if (pageCount > 1) {
+                addItem('Previous', page - 1, { disabled: page === 1 });
+                for (let i = 1; i <= pageCount; i++) {
+                    addItem(String(i), i, { active: i === page });
+                }
+                addItem('Next', page + 1, { disabled: page === pageCount });
+            }
+            this.pagination.replaceChildren(...items);
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+
+        bindControls() {
+            if (this.controls != null) {
+                const { q, filter } = this.controls.elements;
+                if (q != null) {
+                    q.value = this.state.query;
+                    q.addEventListener('input', () => this.search(q.value));
+                }
+                if (filter != null) {
+                    filter.value = this.state.filter;
+                    filter.addEventListener('change', () => this.setFilter(filter.value));
+                }
+                this.controls.addEventListener('submit', (event) => event.preventDefault());
+            }
+
+            this.grid.addEventListener('change', (event) => {
+                const checkbox = event.target.closest('input[data-compare-id]');
+                if (checkbox != null) {
+                    this.toggleCompare(Number(checkbox.dataset.compareId), checkbox.checked);
+                }
+            });
+
+            if (this.pagination != null) {
+                this.pagination.addEventListener('click', (event) => {
+                    const button = event.target.closest('button[data-page]');
+                    if (button != null && !button.disabled) {
+                        this.goToPage(Number(button.dataset.page));
+                    }
+                });
+            }
+        }
+
+        readStateFromUrl() {
+            const params = new URLSearchParams(window.location.search);
+            const filter = params.get('filter');
+            this.state = {
+                query: params.get('q') || '',
+                filter: filterName(filter),
+                page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+                compare: (params.get('compare') || '').split(',')
+                    .map(Number)
+                    .filter((id, index, ids) => Number.isInteger(id) && id > 0 && ids.indexOf(id) === index)
+                    .slice(0, MAX_COMPARE)
+            };
+        }
+
+        writeStateToUrl() {
+            const url = new URL(window.location.href);
+            const { query, filter, page, compare } = this.state;
+            const set = (name, value, defaultValue) => {
+                if (value === defaultValue) {
+                    url.searchParams.delete(name);
+                } else {
+                    url.searchParams.set(name, value);
+                }
+            };
+            set('q', query, '');
+            set('filter', filter, 'all');
+            set('page', String(page), '1');
+            set('compare', compare.join(','), '');
+            RuleStore.replaceUrl(url);
+        }
+    }
+
+    return Catalog;
+})();
+
+/**
+ * QR code encoder (ISO/IEC 18004, byte mode, versions 1 to 40). Codes are
+ * generated entirely in the browser so they work offline and always point at
+ * the host that is actually serving the page. A QRCode can be drawn to a
+ * canvas or exported as SVG, and both can be downloaded for printing.
+ */
+RuleStore.QRCode = (function () {
+    'use strict';
+
+    // Error correction levels: `ordinal` indexes the tables below, `formatBits`
+    // is the two-bit value stored in the format information.
+    const ERROR_CORRECTION = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 40;
+
+    // Indexed by [errorCorrection.ordinal][version]; version 0 is unused.
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    // Penalty weights used to pick the most readable mask pattern.
+    const PENALTY_N1 = 3;
+    const PENALTY_N2 = 3;
+    const PENALTY_N3 = 40;
+    const PENALTY_N4 = 10;
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+    /**
+     * Number of modules available for data and error correction codewords,
+     * once all function patterns have been placed.
+     */
+    function numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    function numDataCodewords(version, ecl) {
+        return Math.floor(numRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] *
+            NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    }
+
+    function alignmentPatternPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    // Reed-Solomon arithmetic over GF(2^8) with the QR polynomial 0x11D.
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Packs the text into byte-mode data codewords for the smallest version
+     * that fits at the given error correction level.
+     */
+    function encodeSegment(bytes, ecl, minVersion) {
+        for (let version = minVersion; version <= MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            const capacityBits = numDataCodewords(version, ecl) * 8;
+            const usedBits = 4 + countBits + bytes.length * 8;
+            if (bytes.length >= (1 << countBits) || usedBits > capacityBits) {
+                continue;
+            }
+
+            const bits = [];
+            const append = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) {
+                    bits.push(getBit(value, i) ? 1 : 0);
+                }
+            };
+            append(0x4, 4);
+            append(bytes.length, countBits);
+            bytes.forEach((byte) => append(byte, 8));
+
+            append(0, Math.min(4, capacityBits - bits.length));
+            append(0, (8 - bits.length % 8) % 8);
+            for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+                append(pad, 8);
+            }
+
+            const codewords = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+            }
+            return { version, codewords };
+        }
+        throw new RangeError('Data too long for a QR code');
+    }
+
+    /**
+     * Splits the data codewords into blocks, appends error correction to each
+     * block and interleaves the result in the order it is drawn.
+     */
+    function addErrorCorrection(data, version, ecl) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+        const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte added to short blocks.
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    class QRCode {
+        /**
+         * Encodes the text (as UTF-8) at the given error correction level, which
+         * is one of 'L', 'M', 'Q' or 'H'. The smallest version that fits is used.
+         */
+        static encodeText(text, errorCorrection = 'M', minVersion = MIN_VERSION) {
+            const ecl = ERROR_CORRECTION[errorCorrection];
+            if (ecl == null) {
+                throw new RangeError(`Unknown error correction level: ${errorCorrection}`);
+            }
+            const bytes = Array.from(new TextEncoder().encode(text));
+            const { version, codewords } = encodeSegment(bytes, ecl, minVersion);
+            return new QRCode(version, errorCorrection, addErrorCorrection(codewords, version, ecl));
+        }
+
+        constructor(version, errorCorrection, codewords) {
+            this.version = version;
+            this.errorCorrection = errorCorrection;
+            this.size = version * 4 + 17;
+
+            const row = () => new Array(this.size).fill(false);
+            this.modules = Array.from({ length: this.size }, row);
+            this.isFunction = Array.from({ length: this.size }, row);
+
+            this.drawFunctionPatterns();
+            this.drawCodewords(codewords);
+
+            let bestMask = 0;
+            let minPenalty = Infinity;
+            for (let mask = 0; mask < MASKS.length; mask++) {
+                this.applyMask(mask);
+                this.drawFormatBits(mask);
+                const penalty = this.penaltyScore();
+                if (penalty < minPenalty) {
+                    bestMask = mask;
+                    minPenalty = penalty;
+                }
+                // XOR is its own inverse, so this undoes the mask.
+                this.applyMask(mask);
+            }
+            this.mask = bestMask;
+            this.applyMask(bestMask);
+            this.drawFormatBits(bestMask);
+        }
+
+        isDark(x, y) {
+            return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+        }
+
+        /**
+         * Draws the code onto the canvas, resizing it to `size` pixels square.
+         * `margin` is the quiet zone in modules; the spec requires at least 4.
+         */
+        renderToCanvas(canvas, { size = 200, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+            const modules = this.size + margin * 2;
+            const scale = Math.max(1, Math.floor(size / modules));
+            canvas.width = canvas.height = modules * scale;
+
+            const context = canvas.getContext('2d');
+            context.fillStyle = light;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = dark;
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (this.modules[y][x]) {
+                        context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                    }
+                }
+            }
+            return canvas;
+        }
+
+        /**
+         * Returns a standalone SVG document for the code. The drawing is in
+         * module units, so it stays sharp at any print size.
+         */
+        toSVG({ size = 200, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+            const modules = this.size + margin * 2;
+            const path = [];
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (this.modules[y][x]) {
+                        path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+                    }
+                }
+            }
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${size}" height="${size}" ` +
+                `viewBox="0 0 ${modules} ${modules}" shape-rendering="crispEdges">\n` +
+                `<rect width="100%" height="100%" fill="${light}"/>\n` +
+                `<path d="${path.join('')}" fill="${dark}"/>\n` +
+                '</svg>\n';
+        }
+
+        toSVGBlob(options) {
+            return new Blob([this.toSVG(options)], { type: 'image/svg+xml' });
+        }
+
+        toPNGBlob(options) {
+            const canvas = this.renderToCanvas(document.createElement('canvas'), options);
+            return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        }
+
+        setFunctionModule(x, y, isDark) {
+            this.modules[y][x] = isDark;
+            this.isFunction[y][x] = true;
+        }
+
+        drawFunctionPatterns() {
+            const { size } = this;
+            for (let i = 0; i < size; i++) {
+                this.setFunctionModule(6, i, i % 2 === 0);
+                this.setFunctionModule(i, 6, i % 2 === 0);
+            }
+
+            this.drawFinderPattern(3, 3);
+            this.drawFinderPattern(size - 4, 3);
+            this.drawFinderPattern(3, size - 4);
+
+            const positions = alignmentPatternPositions(this.version);
+            const last = positions.length - 1;
+            positions.forEach((x, i) => {
+                positions.forEach((y, j) => {
+                    // The three corners are taken by the finder patterns.
+                    if (!(i === 0 && j === 0) && !(i === 0 && j === last) && !(i === last && j === 0)) {
+                        this.drawAlignmentPattern(x, y);
+                    }
+                });
+            });
+
+            // Reserve the format areas; the real bits are drawn once the mask is known.
+            this.drawFormatBits(0);
+            this.drawVersion();
+        }
+
+        drawFinderPattern(x, y) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+
+        drawAlignmentPattern(x, y) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+
+        drawFormatBits(mask) {
+            const data = ERROR_CORRECTION[this.errorCorrection].formatBits << 3 | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            }
+            const bits = (data << 10 | remainder) ^ 0x5412;
+            const { size } = this;
+
+            // First copy, around the top left finder.
+            for (let i = 0; i <= 5; i++) {
+                this.setFunctionModule(8, i, getBit(bits, i));
+            }
+            this.setFunctionModule(8, 7, getBit(bits, 6));
+            this.setFunctionModule(8, 8, getBit(bits, 7));
+            this.setFunctionModule(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) {
+                this.setFunctionModule(14 - i, 8, getBit(bits, i));
+            }
+
+            // Second copy, split between the other two finders.
+            for (let i = 0; i < 8; i++) {
+                this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+            }
+            for (let i = 8; i < 15; i++) {
+                this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+            }
+            this.setFunctionModule(8, size - 8, true);
+        }
+
+        drawVersion() {
+            if (this.version < 7) {
+                return;
+            }
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = this.version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const bit = getBit(bits, i);
+                const a = this.size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, bit);
+                this.setFunctionModule(b, a, bit);
+            }
+        }
+
+        /**
+         * Places the codewords in the zig-zag order of the spec, two columns at a
+         * time from the bottom right, skipping the vertical timing pattern.
+         */
+        drawCodewords(codewords) {
+            const { size } = this;
+            let i = 0;
+            for (let right = size - 1; right >= 1; right -= 2) {
+                if (right === 6) {
+                    right = 5;
+                }
+                const upward = ((right + 1) & 2) === 0;
+                for (let vertical = 0; vertical < size; vertical++) {
+                    for (let j = 0; j < 2; j++) {
+                        const x = right - j;
+                        const y = upward ? size - 1 - vertical : vertical;
+                        if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                            i++;
+                        }
+                    }
+                }
+            }
+        }
+
+        applyMask(mask) {
+            const invert = MASKS[mask];
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (!this.isFunction[y][x] && invert(x, y)) {
+                        this.modules[y][x] = !this.modules[y][x];
+                    }
+                }
+            }
+        }
+
+        penaltyScore() {
+            const { size, modules } = this;
+            const finderLike = [
+                [true, false, true, true, true, false, true, false, false, false, false],
+                [false, false, false, false, true, false, true, true, true, false, true]
+            ];
+            let result = 0;
+
+            const scoreLine = (get) => {
+                let runColor = get(0);
+                let runLength = 1;
+                for (let i = 1; i <= size; i++) {
+                    const color = i < size ? get(i) : !runColor;
+                    if (color === runColor) {
+                        runLength++;
+                        continue;
+                    }
+                    if (runLength >= 5) {
+                        result += PENALTY_N1 + runLength - 5;
+                    }
+                    runColor = color;
+                    runLength = 1;
+                }
+                for (let i = 0; i + 11 <= size; i++) {
+                    finderLike.forEach((pattern) => {
+                        if (pattern.every((dark, k) => get(i + k) === dark)) {
+                            result += PENALTY_N3;
+                        }
+                    });
+                }
+            };
+
+            let dark = 0;
+            for (let i = 0; i < size; i++) {
+                scoreLine((k) => modules[i][k]);
+                scoreLine((k) => modules[k][i]);
+            }
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const color = modules[y][x];
+                    if (color) {
+                        dark++;
+                    }
+                    if (x + 1 < size && y + 1 < size && color === modules[y][x + 1] &&
+                        color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        result += PENALTY_N2;
+                    }
+                }
+            }
+
+            const total = size * size;
+            result += Math.floor(Math.abs(dark * 100 / total - 50) / 5) * PENALTY_N4;
+            return result;
+        }
+    }
+
+    QRCode.ERROR_CORRECTION_LEVELS = Object.keys(ERROR_CORRECTION);
+
+    return QRCode;
+})();
+
+/**
+ * Wires up a QR code panel: a canvas showing the code for `data-qr-url` (the
+ * current page when absent), error correction and size pickers, and PNG/SVG
+ * download buttons. Controls are looked up by their `data-qr-*` attributes.
+ */
+RuleStore.QRCodePanel = (function () {
+    'use strict';
+
+    class QRCodePanel {
+        constructor(root) {
+            this.root = root;
+            this.canvas = root.querySelector('[data-qr-canvas]');
+            this.levelInput = root.querySelector('[data-qr-level]');
+            this.sizeInput = root.querySelector('[data-qr-size]');
+            this.fileName = root.dataset.qrFileName || 'qr-code';
+
+            this.url = this.readUrl();
+
+            // Without a fixed data-qr-url the code follows the page URL, which
+            // the catalog and configurator rewrite as their state changes.
+            if (!root.dataset.qrUrl) {
+                const update = () => {
+                    const url = this.readUrl();
+                    if (url !== this.url) {
+                        this.url = url;
+                        this.render();
+                    }
+                };
+                window.addEventListener('popstate', update);
+                window.addEventListener('urlchange', update);
+            }
+
+            [this.levelInput, this.sizeInput].forEach((input) => {
+                if (input != null) {
+                    input.addEventListener('change', () => this.render());
+                }
+            });
+
+            const pngButton = root.querySelector('[data-qr-download="png"]');
+            if (pngButton != null) {
+                pngButton.addEventListener('click', async () => {
+                    RuleStore.download(await this.code.toPNGBlob(this.renderOptions), `${this.fileName}.png`);
+                });
+            }
+            const svgButton = root.querySelector('[data-qr-download="svg"]');
+            if (svgButton != null) {
+                svgButton.addEventListener('click', () => {
+                    RuleStore.download(this.code.toSVGBlob(this.renderOptions), `${this.fileName}.svg`);
+                });
+            }
+
+            this.render();
+        }
+
+        readUrl() {
+            const url = new URL(this.root.dataset.qrUrl || window.location.href, window.location.href);
+            url.hash = '';
+            return url.href;
+        }
+
+        get renderOptions() {
+            const size = this.sizeInput != null ? Number(this.sizeInput.value) : NaN;
+            return { size: size > 0 ? size : 200 };
+        }
+
+        render() {
+            const level = this.levelInput != null ? this.levelInput.value : 'M';
+            this.code = RuleStore.QRCode.encodeText(this.url, level);
+            this.code.renderToCanvas(this.canvas, this.renderOptions);
+            this.canvas.setAttribute('aria-label', `QR code linking to ${this.url}`);
+        }
+    }
+
+    return QRCodePanel;
+})();
+
+/**
+ * Reads and writes the hotspots of a <model-viewer> as JSON, so that
+ * annotations can be authored with the HotspotEditor and recreated at runtime
+ * without being written into the Razor views. The format is
+ * `{ "version": 1, "hotspots": [{ "name", "position", "normal", "label" }] }`,
+ * where position and normal use the same "Xm Ym Zm" strings as the
+ * data-position and data-normal attributes.
+ */
+RuleStore.Hotspots = (function () {
+    'use strict';
+
+    const FORMAT_VERSION = 1;
+    const SLOT_PREFIX = 'hotspot-';
+
+    class Hotspots {
+        /**
+         * The hotspot elements currently slotted into the viewer.
+         */
+        static elements(viewer) {
+            return Array.from(viewer.children).filter((child) => child.slot.indexOf('hotspot') === 0);
+        }
+
+        /**
+         * Returns an unused slot name for a new hotspot.
+         */
+        static nextName(viewer) {
+            const numbers = Hotspots.elements(viewer)
+                .map((element) => Number(element.slot.substring(SLOT_PREFIX.length)))
+                .filter((number) => Number.isInteger(number));
+            return `${SLOT_PREFIX}${Math.max(0, ...numbers) + 1}`;
+        }
+
+        /**
+         * Adds a hotspot button to the viewer and returns it.
+         */
+        static create(viewer, { name, position, normal, label }) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'hotspot';
+            button.slot = name || Hotspots.nextName(viewer);
+            button.dataset.position = position;
+            button.dataset.normal = normal;
+            button.dataset.visibilityAttribute = 'visible';
+
+            const annotation = document.createElement('div');
+            annotation.className = 'hotspot-annotation';
+            annotation.textContent = label || '';
+            button.appendChild(annotation);
+
+            viewer.appendChild(button);
+            return button;
+        }
+
+        static label(element) {
+            const annotation = element.querySelector('.hotspot-annotation');
+            return (annotation || element).textContent.trim();
+        }
+
+        static setLabel(element, label) {
+            const annotation = element.querySelector('.hotspot-annotation');
+            (annotation || element).textContent = label;
+        }
+
+        /**
+         * Serializes the viewer's hotspots, including hand-written ones.
+         */
+        static serialize(viewer) {
+            return {
+                version: FORMAT_VERSION,
+                hotspots: Hotspots.elements(viewer).map((element) => ({
+                    name: element.slot,
+                    position: element.dataset.position || '',
+                    normal: element.dataset.normal || '',
+                    label: Hotspots.label(element)
+                }))
+            };
+        }
+
+        /**
+         * Replaces the viewer's hotspots with the ones described by data.
+         */
+        static load(viewer, data) {
+            if (data == null || !Array.isArray(data.hotspots)) {
+                throw new Error('Hotspot JSON must contain a "hotspots" array.');
+            }
+            if (data.version > FORMAT_VERSION) {
+                throw new Error(`Hotspot JSON version ${data.version} is not supported.`);
+            }
+            Hotspots.elements(viewer).forEach((element) => element.remove());
+            return data.hotspots.map((hotspot) => Hotspots.create(viewer, hotspot));
+        }
+
+        /**
+         * Fetches hotspot JSON from url and loads it into the viewer.
+         */
+        static async loadFromUrl(viewer, url) {
+            const response = await fetch(url, { headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`Hotspots request failed with status ${response.status}`);
+            }
+            return Hotspots.load(viewer, await response.json());
+        }
+    }
+
+    return Hotspots;
+})();
+
+/**
+ * Hotspot authoring panel for a <model-viewer>, selected by the
+ * `data-hotspot-editor` attribute of its root. Clicking the model drops a
+ * hotspot, dragging a hotspot slides it along the surface, and the panel's
+ * `data-hotspot-*` controls edit the selected hotspot's label, delete it, and
+ * export or import the whole set as JSON.
+ */
+RuleStore.HotspotEditor = (function () {
+    'use strict';
+
+    // A click that moved further than this (in pixels) was a camera drag.
+    const CLICK_TOLERANCE = 5;
+
+    class HotspotEditor {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.hotspotEditor);
+            this.labelInput = root.querySelector('[data-hotspot-label]');
+            this.deleteButton = root.querySelector('[data-hotspot-delete]');
+            this.exportButton = root.querySelector('[data-hotspot-export]');
+            this.importInput = root.querySelector('[data-hotspot-import]');
+            this.status = root.querySelector('[data-hotspot-status]');
+            this.fileName = root.dataset.hotspotFileName || 'hotspots';
+            this.selected = null;
+            this.dragging = null;
+            this.pointerStart = null;
+
+            // Auto-rotation would move the model out from under the pointer.
+            this.viewer.removeAttribute('auto-rotate');
+            this.viewer.classList.add('hotspot-editing');
+
+            // Capture on the host runs before the viewer's own camera controls,
+            // so a drag that starts on a hotspot never orbits the camera.
+            this.viewer.addEventListener('pointerdown', (event) => this.onPointerDown(event), true);
+            this.viewer.addEventListener('click', (event) => this.onClick(event));
+            window.addEventListener('pointermove', (event) => this.onPointerMove(event));
+            window.addEventListener('pointerup', () => {
+                this.dragging = null;
+            });
+
+            this.labelInput.addEventListener('input', () => {
+                if (this.selected != null) {
+                    RuleStore.Hotspots.setLabel(this.selected, this.labelInput.value);
+                }
+            });
+            this.deleteButton.addEventListener('click', () => this.deleteSelected());
+            this.exportButton.addEventListener('click', () => this.export());
+            this.importInput.addEventListener('change', () => this.import(this.importInput.files[0]));
+
+            this.select(null);
+        }
+
+        hotspotFor(target) {
+            const element = target instanceof Element ? target.closest('[slot^="hotspot"]') : null;
+            return element != null && element.parentElement === this.viewer ? element : null;
+        }
+
+        surfacePoint(event) {
+            const rect = this.viewer.getBoundingClientRect();
+            return this.viewer.positionAndNormalFromPoint(event.clientX - rect.left, event.clientY - rect.top);
+        }
+
+        onPointerDown(event) {
+            const hotspot = this.hotspotFor(event.target);
+            if (hotspot == null) {
+                this.pointerStart = { x: event.clientX, y: event.clientY };
+                return;
+            }
+            event.stopPropagation();
+            event.preventDefault();
+            this.pointerStart = null;
+            this.select(hotspot);
+            this.dragging = hotspot;
+        }
+
+        onPointerMove(event) {
+            if (this.dragging == null) {
+                return;
+            }
+            const hit = this.surfacePoint(event);
+            if (hit != null) {
+                this.move(this.dragging, hit);
+            }
+        }
+
+        onClick(event) {
+            const start = this.pointerStart;
+            this.pointerStart = null;
+            if (start == null || this.hotspotFor(event.target) != null ||
+                Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) {
+                return;
+            }
+            const hit = this.surfacePoint(event);
+            if (hit == null) {
+                this.setStatus('Click on the model itself to add a hotspot.');
+                return;
+            }
+            const hotspot = RuleStore.Hotspots.create(this.viewer, {
+                position: hit.position.toString(),
+                normal: hit.normal.toString(),
+                label: 'New hotspot'
+            });
+            this.select(hotspot);
+            this.labelInput.focus();
+            this.labelInput.select();
+        }
+
+        move(hotspot, hit) {
+            const position = hit.position.toString();
+            const normal = hit.normal.toString();
+            hotspot.dataset.position = position;
+            hotspot.dataset.normal = normal;
+            this.viewer.updateHotspot({ name: hotspot.slot, position, normal });
+        }
+
+        select(hotspot) {
+            if (this.selected != null) {
+                this.selected.classList.remove('hotspot-selected');
+            }
+            this.selected = hotspot;
+            this.labelInput.disabled = hotspot == null;
+            this.deleteButton.disabled = hotspot == null;
+            this.labelInput.value = hotspot != null ? RuleStore.Hotspots.label(hotspot) : '';
+            if (hotspot != null) {
+                hotspot.classList.add('hotspot-selected');
+                this.setStatus(`Editing ${hotspot.slot}. Drag it to move it along the model.`);
+            } else {
+                this.setStatus('Click on the model to add a hotspot, or on a hotspot to edit it.');
+            }
+        }
+
+        deleteSelected() {
+            if (this.selected != null) {
+                this.selected.remove();
+                this.select(null);
+            }
+        }
+
+        export() {
+            const json = JSON.stringify(RuleStore.Hotspots.serialize(this.viewer), null, 2);
+            RuleStore.download(new Blob([json], { type: 'application/json' }), `${this.fileName}.json`);
+        }
+
+        async import(file) {
+            if (file == null) {
+                return;
+            }
+            try {
+                const hotspots = RuleStore.Hotspots.load(this.viewer, JSON.parse(await file.text()));
+                this.select(null);
+                this.setStatus(`Loaded ${hotspots.length} hotspot(s) from ${file.name}.`);
+            } catch (error) {
+                this.setStatus(`Could not load ${file.name}: ${error.message}`);
+            } finally {
+                this.importInput.value = '';
+            }
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+    }
+
+    return HotspotEditor;
+})();
+
+/**
+ * Material configurator for a <model-viewer>, selected by the
+ * `data-configurator` attribute of its root. Once the model loads it lists
+ * the GLB's KHR_materials_variants as swatches and each material's base
+ * color, metalness and roughness as pickers, using the element's scene-graph
+ * API. The configuration is kept in the page URL so it can be shared.
+ *
+ * WebXR presents the configured scene as-is and Quick Look receives a USDZ
+ * generated from it, but Scene Viewer can only load the original GLB, so while
+ * the product is customized `ios-src` is dropped and Scene Viewer is taken out
+ * of `ar-modes`.
+ */
+RuleStore.Configurator = (function () {
+    'use strict';
+
+    const CUSTOMIZED_AR_MODES = 'webxr quick-look';
+
+    // How long to wait for variant-applied after switching variants. Viewers
+    // that never fire it still swap the materials, just without telling us.
+    const VARIANT_APPLIED_TIMEOUT = 1000;
+
+    // glTF colors are linear, <input type="color"> values are sRGB.
+    function linearToHex(rgba) {
+        return '#' + rgba.slice(0, 3).map((linear) => {
+            const srgb = linear <= 0.0031308 ? linear * 12.92 : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+            return Math.round(Math.min(Math.max(srgb, 0), 1) * 255).toString(16).padStart(2, '0');
+        }).join('');
+    }
+
+    function hexToLinear(hex, alpha) {
+        const rgb = [1, 3, 5].map((start) => {
+            const srgb = parseInt(hex.substring(start, start + 2), 16) / 255;
+            return srgb <= 0.04045 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+        });
+        return [...rgb, alpha];
+    }
+
+    function formatFactor(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    // The current settings of a material, in the form they take in the URL.
+    function readMaterial(material) {
+        const pbr = material.pbrMetallicRoughness;
+        return {
+            color: linearToHex(pbr.baseColorFactor).substring(1),
+            metal: formatFactor(pbr.metallicFactor),
+            rough: formatFactor(pbr.roughnessFactor)
+        };
+    }
+
+    function writeMaterial(material, settings) {
+        const pbr = material.pbrMetallicRoughness;
+        if (/^[0-9a-f]{6}$/i.test(settings.color)) {
+            pbr.setBaseColorFactor(hexToLinear(`#${settings.color}`, pbr.baseColorFactor[3]));
+        }
+        const metal = parseFloat(settings.metal);
+        if (metal >= 0 && metal <= 1) {
+            pbr.setMetallicFactor(metal);
+        }
+        const rough = parseFloat(settings.rough);
+        if (rough >= 0 && rough <= 1) {
+            pbr.setRoughnessFactor(rough);
+        }
+    }
+
+    function sameSettings(a, b) {
+        return ['color', 'metal', 'rough'].every((key) => a[key] === b[key]);
+    }
+
+    class Configurator {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.configurator);
+            this.variantList = root.querySelector('[data-configurator-variants]');
+            this.materialList = root.querySelector('[data-configurator-materials]');
+            this.resetButton = root.querySelector('[data-configurator-reset]');
+            this.arModes = this.viewer.getAttribute('ar-modes');
+            this.iosSrc = this.viewer.getAttribute('ios-src');
+            // Settings each material had before it was customized, keyed by the
+            // scene-graph Material, which is replaced when a variant loads.
+            this.defaults = new WeakMap();
+            this.readStateFromUrl();
+
+            this.viewer.addEventListener('load', () => this.onModelLoad());
+            this.viewer.addEventListener('variant-applied', () => {
+                clearTimeout(this.variantTimeout);
+                this.onVariantApplied();
+            });
+            this.viewer.addEventListener('model-click', (event) => {
+                this.selectMaterial(event.detail.materialIndex);
+                // Outlined when the viewer runs the outline effect.
+                this.viewer.outlineNodes = event.detail.node != null ? [event.detail.node] : [];
+            });
+            if (this.resetButton != null) {
+                this.resetButton.addEventListener('click', () => this.reset());
+            }
+            if (this.viewer.loaded) {
+                this.onModelLoad();
+            }
+        }
+
+        get materials() {
+            return this.viewer.model != null ? this.viewer.model.materials : [];
+        }
+
+        get isCustomized() {
+            return this.state.variant != null || this.state.materials.size > 0;
+        }
+
+        onModelLoad() {
+            if (this.state.variant != null && !this.viewer.availableVariants.includes(this.state.variant)) {
+                this.state.variant = null;
+            }
+            if ((this.viewer.variantName || null) !== this.state.variant) {
+                // Materials are applied once the variant has loaded.
+                this.loadVariant(this.state.variant);
+                return;
+            }
+            this.update();
+        }
+
+        onVariantApplied() {
+            // The variant can also be picked outside the configurator, such as in
+            // the in-session AR overlay, and then replaces the configuration.
+            const variant = this.viewer.variantName || null;
+            if (variant !== this.state.variant) {
+                this.resetMaterials();
+                this.state.variant = variant;
+            }
+            this.update();
+        }
+
+        /**
+         * Applies the state to the model's current materials and re-renders the
+         * controls. Waits while a different variant than the state's is loaded.
+         */
+        update() {
+            if ((this.viewer.variantName || null) !== this.state.variant) {
+                return;
+            }
+            const materials = this.materials;
+            materials.forEach((material, index) => {
+                if (!this.defaults.has(material)) {
+                    this.defaults.set(material, readMaterial(material));
+                }
+                const settings = this.state.materials.get(index);
+                if (settings != null) {
+                    writeMaterial(material, settings);
+                }
+            });
+            // Forget settings for materials this model doesn't have, or that
+            // turned out to match the model already.
+            this.state.materials.forEach((settings, index) => {
+                const material = materials[index];
+                if (material == null || sameSettings(readMaterial(material), this.defaults.get(material))) {
+                    this.state.materials.delete(index);
+                }
+            });
+            this.render();
+            this.syncAR();
+            this.writeStateToUrl();
+        }
+
+        selectVariant(variant) {
+            // A variant defines its own materials, so customizations start over.
+            this.resetMaterials();
+            this.state.variant = variant;
+            this.loadVariant(variant);
+            this.writeStateToUrl();
+        }
+
+        loadVariant(variant) {
+            clearTimeout(this.variantTimeout);
+            this.viewer.variantName = variant;
+            this.variantTimeout = setTimeout(() => this.onVariantApplied(), VARIANT_APPLIED_TIMEOUT);
+        }
+
+        /**
+         * Brings the controls for the material at index into view, for when a
+         * part of the model is tapped. An index of -1, for parts without a
+         * scene-graph material, clears the selection.
+         */
+        selectMaterial(index) {
+            if (this.materialList == null) {
+                return;
+            }
+            this.selectedMaterial = index;
+            Array.from(this.materialList.children).forEach((row, rowIndex) => {
+                row.classList.toggle('configurator-selected', rowIndex === index);
+            });
+            const row = index != null ? this.materialList.children[index] : null;
+            if (row != null) {
+                row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                row.querySelector('input').focus({ preventScroll: true });
+            }
+        }
+
+        setMaterial(index, name, value) {
+            const material = this.materials[index];
+            const settings = Object.assign(readMaterial(material), this.state.materials.get(index), { [name]: value });
+            writeMaterial(material, settings);
+
+            if (sameSettings(settings, this.defaults.get(material))) {
+                this.state.materials.delete(index);
+            } else {
+                this.state.materials.set(index, settings);
+            }
+            this.syncAR();
+            this.writeStateToUrl();
+        }
+
+        resetMaterials() {
+            this.materials.forEach((material) => {
+                const defaults = this.defaults.get(material);
+                if (defaults != null) {
+                    writeMaterial(material, defaults);
+                }
+            });
+            this.state.materials.clear();
+        }
+
+        reset() {
+            if (this.state.variant != null) {
+                this.selectVariant(null);
+            } else {
+                this.resetMaterials();
+                this.update();
+            }
+        }
+
+        syncAR() {
+            const viewer = this.viewer;
+            const restore = (name, value) => {
+                if (value == null) {
+                    viewer.removeAttribute(name);
+                } else {
+                    viewer.setAttribute(name, value);
+                }
+            };
+            if (this.isCustomized) {
+                viewer.removeAttribute('ios-src');
+                viewer.setAttribute('ar-modes', CUSTOMIZED_AR_MODES);
+            } else {
+                restore('ios-src', this.iosSrc);
+                restore('ar-modes', this.arModes);
+            }
+        }
+
+        render() {
+            if (this.variantList != null) {
+                const variants = this.viewer.availableVariants;
+                const buttons = variants.length > 0 ? [null, ...variants].map((variant) => this.renderVariant(variant)) : [];
+                this.variantList.replaceChildren(...buttons);
+            }
+            if (this.materialList != null) {
+                this.materialList.replaceChildren(...this.materials.map((material, index) => this.renderMaterial(material, index)));
+            }
+        }
+
+        renderVariant(variant) {
+            const active = variant === this.state.variant;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-secondary' + (active ? ' active' : '');
+            button.textContent = variant != null ? variant : 'Original';
+            button.setAttribute('aria-pressed', String(active));
+            button.addEventListener('click', () => this.selectVariant(variant));
+            return button;
+        }
+
+        renderMaterial(material, index) {
+            const settings = readMaterial(material);
+            const id = `${this.root.id || 'configurator'}-material-${index}`;
+
+            const row = document.createElement('div');
+            row.className = 'row g-2 align-items-center mb-2' + (index === this.selectedMaterial ? ' configurator-selected' : '');
+
+            const name = document.createElement('label');
+            name.className = 'col-12 col-sm-3 col-form-label text-sm-end';
+            name.htmlFor = `${id}-color`;
+            name.textContent = material.name || `Material ${index + 1}`;
+            row.appendChild(name);
+
+            const addControl = (key, input) => {
+                const column = document.createElement('div');
+                column.className = 'col';
+                input.id = `${id}-${key}`;
+                input.addEventListener('input', () => {
+                    this.setMaterial(index, key, key === 'color' ? input.value.substring(1) : formatFactor(Number(input.value)));
+                });
+                column.appendChild(input);
+                row.appendChild(column);
+            };
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'form-control form-control-color';
+            color.value = `#${settings.color}`;
+            color.title = 'Color';
+            addControl('color', color);
+
+            [['metal', 'Metalness'], ['rough', 'Roughness']].forEach(([key, label]) => {
+                const range = document.createElement('input');
+                range.type = 'range';
+                range.className = 'form-range';
+                range.min = '0';
+                range.max = '1';
+                range.step = '0.01';
+                range.value = settings[key];
+                range.title = label;
+                range.setAttribute('aria-label', `${name.textContent} ${label.toLowerCase()}`);
+                addControl(key, range);
+            });
+            return row;
+        }
+
+        readStateFromUrl() {
+            const params = new URLSearchParams(window.location.search);
+            const materials = new Map();
+            params.forEach((value, key) => {
+                const match = /^(color|metal|rough)(\d+)$/.exec(key);
+                if (match != null) {
+                    const index = Number(match[2]);
+                    materials.set(index, Object.assign(materials.get(index) || {}, { [match[1]]: value }));
+                }
+            });
+            this.state = {
+                variant: params.get('variant'),
+                materials
+            };
+        }
+
+        writeStateToUrl() {
+            const url = new URL(window.location.href);
+            Array.from(url.searchParams.keys())
+                .filter((key) => /^(color|metal|rough)\d+$/.test(key))
+                .forEach((key) => url.searchParams.delete(key));
+
+            if (this.state.variant != null) {
+                url.searchParams.set('variant', this.state.variant);
+            } else {
+                url.searchParams.delete('variant');
+            }
+            this.state.materials.forEach((settings, index) => {
+                const defaults = this.defaults.get(this.materials[index]) || {};
+                ['color', 'metal', 'rough'].forEach((key) => {
+                    if (settings[key] != null && settings[key] !== defaults[key]) {
+                        url.searchParams.set(`${key}${index}`, settings[key]);
+                    }
+                });
+            });
+            RuleStore.replaceUrl(url);
+        }
+    }
+
+    return Configurator;
+})();
+
+/**
+ * A library of named finishes (fabrics, woods, ...) for a <model-viewer>,
+ * built on the scene-graph texture API so that one GLB can be shown in any of
+ * them. A finish names the texture URIs for each of a material's maps plus
+ * how the textures wrap and tile:
+ *
+ *     library.register('linen', {
+ *         baseColor: '/assets/finishes/linen/color.jpg',
+ *         normal: '/assets/finishes/linen/normal.png',
+ *         metallicRoughness: '/assets/finishes/linen/orm.png',
+ *         occlusion: '/assets/finishes/linen/orm.png',
+ *         wrap: 'repeat',
+ *         repeat: [4, 4]
+ *     });
+ *     await library.apply('Seat', 'linen');
+ *
+ * Maps a finish leaves out are removed from the material, so nothing of the
+ * previous finish shows through.
+ */
+RuleStore.FinishLibrary = (function () {
+    'use strict';
+
+    // glTF sampler wrap modes.
+    const WRAP_MODES = {
+        repeat: 10497,
+        clamp: 33071,
+        mirror: 33648
+    };
+
+    const MAPS = {
+        baseColor: (material) => material.pbrMetallicRoughness.baseColorTexture,
+        metallicRoughness: (material) => material.pbrMetallicRoughness.metallicRoughnessTexture,
+        normal: (material) => material.normalTexture,
+        occlusion: (material) => material.occlusionTexture
+    };
+
+    // How many finishes on either side of the applied one are preloaded.
+    const PRELOAD_DISTANCE = 1;
+
+    function textureType(uri) {
+        return /\.jpe?g(\?|#|$)/i.test(uri) ? 'image/jpeg' : 'image/png';
+    }
+
+    class FinishLibrary {
+        constructor(viewer) {
+            this.viewer = viewer;
+            this.finishes = new Map();
+            this.textures = new Map();
+            this.thumbnails = new Map();
+
+            // Textures are created for the current model, so start over when it
+            // changes.
+            viewer.addEventListener('load', () => this.textures.clear());
+        }
+
+        /**
+         * The registered finish names, in registration order.
+         */
+        get names() {
+            return Array.from(this.finishes.keys());
+        }
+
+        register(name, finish) {
+            const wrap = finish.wrap || 'repeat';
+            if (!(wrap in WRAP_MODES)) {
+                throw new Error(`Unknown wrap mode "${wrap}" for finish "${name}"`);
+            }
+            const repeat = Array.isArray(finish.repeat) ? finish.repeat : [finish.repeat || 1, finish.repeat || 1];
+            this.finishes.set(name, Object.assign({}, finish, { name, wrap, repeat }));
+            return this;
+        }
+
+        /**
+         * Registers every finish in a list of `{ name, ... }` objects, such as
+         * the `finishes` array of a finish library JSON file.
+         */
+        registerAll(finishes) {
+            finishes.forEach((finish) => this.register(finish.name, finish));
+            return this;
+        }
+
+        get(name) {
+            const finish = this.finishes.get(name);
+            if (finish == null) {
+                throw new Error(`No finish named "${name}"`);
+            }
+            return finish;
+        }
+
+        /**
+         * Resolves with the scene-graph Texture for uri, creating it only once.
+         */
+        loadTexture(uri) {
+            let texture = this.textures.get(uri);
+            if (texture == null) {
+                texture = this.viewer.createTexture(uri, textureType(uri)).then((created) => {
+                    if (created == null) {
+                        throw new Error(`Could not load texture ${uri}`);
+                    }
+                    return created;
+                });
+                // Let a failed load be retried.
+                texture.catch(() => this.textures.delete(uri));
+                this.textures.set(uri, texture);
+            }
+            return texture;
+        }
+
+        /**
+         * Loads the textures of the named finishes ahead of time, so that
+         * applying them later is instant.
+         */
+        preload(names) {
+            const uris = new Set();
+            names.forEach((name) => {
+                const finish = this.get(name);
+                Object.keys(MAPS).filter((map) => finish[map]).forEach((map) => uris.add(finish[map]));
+            });
+            return Promise.all(Array.from(uris, (uri) => this.loadTexture(uri)));
+        }
+
+        /**
+         * Applies a finish to every material with the given name, then starts
+         * preloading the finishes next to it, which are the likeliest to be
+         * picked next.
+         */
+        async apply(materialName, finishName) {
+            const finish = this.get(finishName);
+            const materials = this.viewer.model != null ?
+                this.viewer.model.materials.filter((material) => material.name === materialName) :
+                [];
+            if (materials.length === 0) {
+                throw new Error(`The model has no material named "${materialName}"`);
+            }
+
+            const maps = Object.keys(MAPS);
+            const textures = await Promise.all(maps.map((map) => (finish[map] ? this.loadTexture(finish[map]) : null)));
+            maps.forEach((map, index) => {
+                const texture = textures[index];
+                if (texture != null) {
+                    texture.sampler.setWrapS(WRAP_MODES[finish.wrap]);
+                    texture.sampler.setWrapT(WRAP_MODES[finish.wrap]);
+                    // Viewers without sampler scaling show the texture untiled.
+                    if (typeof texture.sampler.setScale === 'function') {
+                        texture.sampler.setScale({ u: finish.repeat[0], v: finish.repeat[1] });
+                    }
+                }
+                materials.forEach((material) => {
+                    const textureInfo = MAPS[map](material);
+                    if (textureInfo != null) {
+                        textureInfo.setTexture(texture);
+                    }
+                });
+            });
+
+            this.preloadNeighbors(finishName);
+            return materials;
+        }
+
+        preloadNeighbors(name) {
+            const names = this.names;
+            const index = names.indexOf(name);
+            const neighbors = names.filter((other, otherIndex) => other !== name &&
+                Math.abs(otherIndex - index) <= PRELOAD_DISTANCE);
+            this.preload(neighbors).catch((error) => console.warn('Could not preload finishes', error));
+        }
+
+        /**
+         * Resolves with an object URL of a swatch image for the finish, made
+         * from its base color texture with Image.createThumbnail.
+         */
+        thumbnail(name, size = 64) {
+            const key = `${name}@${size}`;
+            let thumbnail = this.thumbnails.get(key);
+            if (thumbnail == null) {
+                const finish = this.get(name);
+                if (!finish.baseColor) {
+                    return Promise.resolve(null);
+                }
+                thumbnail = this.loadTexture(finish.baseColor).then((texture) => texture.source.createThumbnail(size, size));
+                thumbnail.catch(() => this.thumbnails.delete(key));
+                this.thumbnails.set(key, thumbnail);
+            }
+            return thumbnail;
+        }
+    }
+
+    FinishLibrary.WRAP_MODES = Object.keys(WRAP_MODES);
+
+    return FinishLibrary;
+})();
+
+/**
+ * Swatch picker for a FinishLibrary, selected by the `data-finish-picker`
+ * attribute (the viewer's selector). The finishes come from the JSON file at
+ * `data-finishes-src`, shaped `{ "material": "Seat", "finishes": [...] }`, and
+ * are applied to that material when a swatch is clicked.
+ */
+RuleStore.FinishPicker = (function () {
+    'use strict';
+
+    const SWATCH_SIZE = 64;
+
+    class FinishPicker {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.finishPicker);
+            this.list = root.querySelector('[data-finish-swatches]') || root;
+            this.status = root.querySelector('[data-finish-status]');
+            this.library = new RuleStore.FinishLibrary(this.viewer);
+            this.material = null;
+            this.selected = null;
+
+            this.list.addEventListener('click', (event) => {
+                const swatch = event.target.closest('button[data-finish]');
+                if (swatch != null) {
+                    this.select(swatch.dataset.finish);
+                }
+            });
+        }
+
+        async load() {
+            try {
+                const response = await fetch(this.root.dataset.finishesSrc, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Finishes request failed with status ${response.status}`);
+                }
+                const data = await response.json();
+                this.material = data.material;
+                this.library.registerAll(data.finishes);
+            } catch (error) {
+                console.error(error);
+                this.setStatus('Finishes could not be loaded.');
+                return;
+            }
+            if (!this.viewer.loaded) {
+                await new Promise((resolve) => this.viewer.addEventListener('load', resolve, { once: true }));
+            }
+            this.render();
+        }
+
+        render() {
+            const swatches = this.library.names.map((name) => {
+                const finish = this.library.get(name);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'finish-swatch';
+                button.dataset.finish = name;
+                button.title = finish.label || name;
+                button.setAttribute('aria-pressed', String(name === this.selected));
+
+                const image = document.createElement('img');
+                image.alt = finish.label || name;
+                image.width = SWATCH_SIZE;
+                image.height = SWATCH_SIZE;
+                button.appendChild(image);
+
+                this.library.thumbnail(name, SWATCH_SIZE).then((url) => {
+                    if (url != null) {
+                        image.src = url;
+                    }
+                }).catch((error) => console.warn(`No thumbnail for finish "${name}"`, error));
+                return button;
+            });
+            this.list.replaceChildren(...swatches);
+        }
+
+        async select(name) {
+            this.setStatus(`Loading ${this.library.get(name).label || name}…`);
+            try {
+                await this.library.apply(this.material, name);
+            } catch (error) {
+                console.error(error);
+                this.setStatus('This finish could not be applied.');
+                return;
+            }
+            this.selected = name;
+            this.list.querySelectorAll('button[data-finish]').forEach((button) => {
+                button.setAttribute('aria-pressed', String(button.dataset.finish === name));
+            });
+            this.setStatus('');
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+    }
+
+    return FinishPicker;
+})();
+
+/**
+ * Side-by-side comparison of the <model-viewer> elements inside a
+ * `data-comparison` root. Their cameras are linked: orbiting or zooming one
+ * turns the others to match. The `data-comparison-relative` checkbox switches
+ * to true relative scale, where every model is framed with the same radius
+ * (that of the largest model) and stands on the same floor, so differences in
+ * size show on screen.
+ */
+RuleStore.Comparison = (function () {
+    'use strict';
+
+    // Must match model-viewer's ModelScene framing, which places the camera so
+    // a sphere of the framed radius fits a 45 degree field of view.
+    const SAFE_RADIUS_RATIO = Math.sin(45 / 2 * Math.PI / 180);
+
+    // Camera properties relative scale overrides, restored when it is turned
+    // off.
+    const CAMERA_PROPERTIES = ['cameraOrbit', 'cameraTarget', 'fieldOfView', 'minCameraOrbit', 'maxCameraOrbit'];
+
+    function formatSize(meters) {
+        return meters < 1 ? `${Math.round(meters * 100)} cm` : `${meters.toFixed(2)} m`;
+    }
+
+    class Comparison {
+        constructor(root) {
+            this.root = root;
+            this.viewers = Array.from(root.querySelectorAll('model-viewer'));
+            this.relativeInput = root.querySelector('[data-comparison-relative]');
+            this.relative = false;
+            // Per viewer: its own camera properties, and its framing once loaded.
+            this.originals = new Map();
+            this.framing = new Map();
+
+            this.viewers.forEach((viewer) => {
+                this.originals.set(viewer, new Map(CAMERA_PROPERTIES.map((name) => [name, viewer[name]])));
+                viewer.addEventListener('load', () => this.onModelLoad(viewer));
+                viewer.addEventListener('camera-change', (event) => {
+                    if (event.detail.source === 'user-interaction') {
+                        this.sync(viewer);
+                    }
+                });
+            });
+
+            if (this.relativeInput != null) {
+                this.relativeInput.addEventListener('change', () => this.setRelative(this.relativeInput.checked));
+            }
+        }
+
+        get loaded() {
+            return this.viewers.every((viewer) => this.framing.has(viewer));
+        }
+
+        onModelLoad(viewer) {
+            const size = viewer.getDimensions();
+            const target = viewer.getCameraTarget();
+            this.framing.set(viewer, {
+                size,
+                // The default target is the center of the bounding box.
+                bottom: target.y - size.y / 2,
+                fieldOfView: viewer.getFieldOfView()
+            });
+
+            const label = viewer.parentElement.querySelector('[data-comparison-size]');
+            if (label != null) {
+                label.textContent = `${formatSize(size.x)} × ${formatSize(size.y)} × ${formatSize(size.z)} (W × H × D)`;
+            }
+            if (this.relative && this.loaded) {
+                this.applyRelative();
+            }
+        }
+
+        /**
+         * Turns every other viewer's camera to match source's.
+         */
+        sync(source) {
+            const { theta, phi, radius } = source.getCameraOrbit();
+            const sourceFraming = this.framing.get(source);
+            this.viewers.filter((viewer) => viewer !== source).forEach((viewer) => {
+                const framing = this.framing.get(viewer);
+                if (this.relative) {
+                    // Everything shares one framing, so copy the camera exactly.
+                    viewer.cameraOrbit = `${theta}rad ${phi}rad ${radius}m`;
+                    viewer.fieldOfView = `${source.getFieldOfView()}deg`;
+                } else {
+                    // Each model keeps its own framing; match the zoom level.
+                    viewer.cameraOrbit = `${theta}rad ${phi}rad auto`;
+                    if (sourceFraming != null && framing != null) {
+                        const zoom = source.getFieldOfView() / sourceFraming.fieldOfView;
+                        viewer.fieldOfView = `${framing.fieldOfView * zoom}deg`;
+                    }
+                }
+                viewer.jumpCameraToGoal();
+            });
+        }
+
+        setRelative(relative) {
+            this.relative = relative;
+            if (relative) {
+                if (this.loaded) {
+                    this.applyRelative();
+                }
+            } else {
+                this.viewers.forEach((viewer) => {
+                    this.originals.get(viewer).forEach((value, name) => {
+                        viewer[name] = value;
+                    });
+                    viewer.jumpCameraToGoal();
+                });
+            }
+        }
+
+        /**
+         * Frames every model with the largest model's radius and field of view,
+         * and raises each camera target so all the models share a floor.
+         */
+        applyRelative() {
+            const framings = this.viewers.map((viewer) => this.framing.get(viewer));
+            const radius = Math.max(...framings.map(({ size }) => Math.hypot(size.x, size.y, size.z) / 2));
+            const distance = radius / SAFE_RADIUS_RATIO;
+            const height = Math.max(...framings.map(({ size }) => size.y));
+            const fieldOfView = Math.max(...framings.map((framing) => framing.fieldOfView));
+            const { theta, phi } = this.viewers[0].getCameraOrbit();
+
+            this.viewers.forEach((viewer, index) => {
+                const { bottom } = framings[index];
+                viewer.minCameraOrbit = `auto auto ${distance}m`;
+                viewer.maxCameraOrbit = `auto auto ${distance}m`;
+                viewer.cameraOrbit = `${theta}rad ${phi}rad ${distance}m`;
+                viewer.cameraTarget = `auto ${bottom + height / 2}m auto`;
+                viewer.fieldOfView = `${fieldOfView}deg`;
+                viewer.jumpCameraToGoal();
+            });
+        }
+    }
+
+    return Comparison;
+})();
+
+/**
+ * Offline support for the product viewer. The service worker (sw.js) and
+ * <model-viewer>'s persistent model cache share the asset cache, whose version
+ * comes from the body's `data-offline-version` attribute; bumping the
+ * OfflineCache:Version setting discards everything cached for older versions.
+ */
+RuleStore.Offline = (function () {
+    'use strict';
+
+    // Must match the cache names used by sw.js and <model-viewer>.
+    const ASSET_CACHE_PREFIX = 'model-viewer-assets-';
+    const PAGE_CACHE_PREFIX = 'rulestore-pages-';
+
+    class Offline {
+        static get isSupported() {
+            return 'serviceWorker' in navigator && 'caches' in window;
+        }
+
+        static get version() {
+            return document.body.dataset.offlineVersion || '';
+        }
+
+        static get assetCacheName() {
+            return ASSET_CACHE_PREFIX + Offline.version;
+        }
+
+        static get pageCacheName() {
+            return PAGE_CACHE_PREFIX + Offline.version;
+        }
+
+        /**
+         * Tells <model-viewer> to keep models in the persistent cache. Must run
+         * before the first <model-viewer> element is created.
+         */
+        static configureViewer() {
+            if (!Offline.isSupported || Offline.version === '') {
+                return;
+            }
+            const config = window.ModelViewerElement = window.ModelViewerElement || {};
+            config.persistentCacheVersion = Offline.version;
+        }
+
+        /**
+         * Registers the service worker for the current version.
+         */
+        static async register() {
+            const scriptUrl = document.body.dataset.serviceWorker;
+            if (!Offline.isSupported || Offline.version === '' || !scriptUrl) {
+                return null;
+            }
+            return navigator.serviceWorker.register(`${scriptUrl}?v=${encodeURIComponent(Offline.version)}`);
+        }
+
+        /**
+         * Stores url in the cache sw.js will serve it from, unless it is already
+         * there. Cross-origin files the server doesn't allow CORS for, such as
+         * some posters, are stored as opaque responses.
+         */
+        static async add(url) {
+            const absolute = new URL(url, document.baseURI);
+            const cache = await caches.open(
+                RuleStore.OFFLINE_ASSET_PATTERN.test(absolute.pathname) ? Offline.assetCacheName : Offline.pageCacheName);
+            if (await cache.match(absolute.href) != null) {
+                return;
+            }
+            let response;
+            try {
+                response = await fetch(absolute.href);
+            } catch (error) {
+                if (absolute.origin === location.origin) {
+                    throw error;
+                }
+                response = await fetch(absolute.href, { mode: 'no-cors' });
+            }
+            if (!response.ok && response.type !== 'opaque') {
+                throw new Error(`${absolute.href} failed with status ${response.status}`);
+            }
+            await cache.put(absolute.href, response);
+        }
+
+        /**
+         * Deletes everything cached for offline use, for every version.
+         */
+        static async clear() {
+            const names = await caches.keys();
+            await Promise.all(names
+                .filter((name) => name.startsWith(ASSET_CACHE_PREFIX) || name.startsWith(PAGE_CACHE_PREFIX))
+                .map((name) => caches.delete(name)));
+        }
+
+        /**
+         * Resolves with `{ usage, quota }` in bytes, or null where the browser
+         * doesn't report storage use.
+         */
+        static async estimate() {
+            if (navigator.storage == null || navigator.storage.estimate == null) {
+                return null;
+            }
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage: usage || 0, quota: quota || 0 };
+        }
+
+        /**
+         * Asks the browser not to evict the cached files when storage runs low.
+         */
+        static async persist() {
+            if (navigator.storage == null || navigator.storage.persist == null) {
+                return false;
+            }
+            return (await navigator.storage.persisted()) || navigator.storage.persist();
+        }
+    }
+
+    return Offline;
+})();
+
+/**
+ * "Download catalog for offline use" panel, selected by the
+ * `data-offline-catalog` attribute (the catalog root's selector). Downloading
+ * stores every product page in the catalog's feed along with its models,
+ * poster, hotspots and finish textures, so the whole catalog can be browsed
+ * without a network. The panel also reports how much storage is in use.
+ */
+RuleStore.OfflineCatalog = (function () {
+    'use strict';
+
+    // Remembers which version was last downloaded completely.
+    const STORAGE_KEY = 'rulestore-offline-catalog';
+
+    const FINISH_MAPS = ['baseColor', 'metallicRoughness', 'normal', 'occlusion'];
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    async function fetchJson(url) {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`${url} failed with status ${response.status}`);
+        }
+        return response.json();
+    }
+
+    class OfflineCatalog {
+        constructor(root) {
+            this.root = root;
+            this.catalog = document.querySelector(root.dataset.offlineCatalog);
+            this.downloadButton = root.querySelector('[data-offline-download]');
+            this.clearButton = root.querySelector('[data-offline-clear]');
+            this.progress = root.querySelector('[data-offline-progress]');
+            this.status = root.querySelector('[data-offline-status]');
+            this.usage = root.querySelector('[data-offline-usage]');
+            this.busy = false;
+
+            if (!RuleStore.Offline.isSupported || RuleStore.Offline.version === '' || this.catalog == null) {
+                root.hidden = true;
+                return;
+            }
+            root.hidden = false;
+
+            this.downloadButton.addEventListener('click', () => this.download());
+            if (this.clearButton != null) {
+                this.clearButton.addEventListener('click', () => this.clear());
+            }
+            this.showSavedStatus();
+            this.updateUsage();
+        }
+
+        get record() {
+            try {
+                const record = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                return record != null && record.version === RuleStore.Offline.version ? record : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Lists the URLs to store for offline use: the layout's scripts and
+         * styles (site.js, Bootstrap, <model-viewer>, ...), which every page
+         * needs, the catalog itself, then each product's page and assets.
+         */
+        async collectUrls() {
+            const { feedUrl, detailsUrl } = this.catalog.dataset;
+            const shell = Array.from(document.querySelectorAll('script[src], link[rel="stylesheet"][href]'),
+                (element) => element.src || element.href);
+            const urls = new Set([...shell, location.pathname, feedUrl]);
+            const entries = await fetchJson(feedUrl);
+            for (const entry of entries) {
+                // The feed is camelCase, but PascalCase is accepted as in Catalog.
+                const pick = (...names) => names.map((name) => entry[name]).find((value) => value != null);
+                urls.add(`${detailsUrl}${pick('id', 'Id')}`);
+                [
+                    pick('source', 'Source'),
+                    pick('iosSource', 'IOSSource'),
+                    pick('image', 'Image'),
+                    pick('hotspotsSource', 'HotspotsSource'),
+                    pick('tourSource', 'TourSource')
+                ].filter((url) => url).forEach((url) => urls.add(url));
+                const finishesSource = pick('finishesSource', 'FinishesSource');
+                if (finishesSource) {
+                    urls.add(finishesSource);
+                    try {
+                        const { finishes } = await fetchJson(finishesSource);
+                        finishes.forEach((finish) => FINISH_MAPS
+                            .filter((map) => finish[map])
+                            .forEach((map) => urls.add(new URL(finish[map], document.baseURI).href)));
+                    } catch (error) {
+                        console.warn('Could not list finish textures', error);
+                    }
+                }
+            }
+            return Array.from(urls);
+        }
+
+        async download() {
+            if (this.busy) {
+                return;
+            }
+            this.setBusy(true);
+            this.setStatus('Preparing download…');
+            let urls;
+            try {
+                await RuleStore.Offline.persist();
+                urls = await this.collectUrls();
+            } catch (error) {
+                console.error(error);
+                this.setStatus('The catalog could not be downloaded. Check the connection and try again.');
+                this.setBusy(false);
+                return;
+            }
+
+            const failed = [];
+            for (let i = 0; i < urls.length; i++) {
+                this.setProgress(i / urls.length);
+                this.setStatus(`Downloading ${i + 1} of ${urls.length} files…`);
+                try {
+                    await RuleStore.Offline.add(urls[i]);
+                } catch (error) {
+                    console.warn(`Could not store ${urls[i]} for offline use`, error);
+                    failed.push(urls[i]);
+                }
+            }
+            this.setProgress(1);
+
+            if (failed.length === 0) {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                    version: RuleStore.Offline.version,
+                    date: new Date().toISOString(),
+                    files: urls.length
+                }));
+                this.showSavedStatus();
+            } else {
+                this.setStatus(`${failed.length} of ${urls.length} files could not be downloaded. Try again to retry them.`);
+            }
+            this.setBusy(false);
+            await this.updateUsage();
+        }
+
+        async clear() {
+            if (this.busy) {
+                return;
+            }
+            this.setBusy(true);
+            try {
+                await RuleStore.Offline.clear();
+                localStorage.removeItem(STORAGE_KEY);
+                this.setStatus('Offline data removed.');
+            } catch (error) {
+                console.error(error);
+                this.setStatus('Offline data could not be removed.');
+            }
+            this.setProgress(null);
+            this.setBusy(false);
+            await this.updateUsage();
+        }
+
+        showSavedStatus() {
+            const record = this.record;
+            this.setStatus(record == null ?
+                'The catalog has not been downloaded for offline use.' :
+                `The catalog (${record.files} files) was downloaded for offline use on ${new Date(record.date).toLocaleString()}.`);
+        }
+
+        async updateUsage() {
+            if (this.usage == null) {
+                return;
+            }
+            const estimate = await RuleStore.Offline.estimate().catch(() => null);
+            this.usage.textContent = estimate == null || estimate.quota === 0 ? '' :
+                `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available storage.`;
+        }
+
+        setBusy(busy) {
+            this.busy = busy;
+            this.downloadButton.disabled = busy;
+            if (this.clearButton != null) {
+                this.clearButton.disabled = busy;
+            }
+        }
+
+        setProgress(fraction) {
+            if (this.progress == null) {
+                return;
+            }
+            this.progress.hidden = fraction == null;
+            this.progress.value = fraction || 0;
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+    }
+
+    return OfflineCatalog;
+})();
+
+/**
+ * Part controls for a <model-viewer>, selected by the `data-parts-panel`
+ * attribute (the viewer's selector): a checkbox to show or hide each part of
+ * the model, a button to isolate it with the rest ghosted, and an exploded
+ * view slider. The parts are the children of the model's root node, below any
+ * single-child wrapper nodes. The panel stays hidden for one-part models and
+ * for viewers without the node tree.
+ */
+RuleStore.PartsPanel = (function () {
+    'use strict';
+
+    function findParts(model) {
+        let parts = model.rootNodes || [];
+        while (parts.length === 1 && parts[0].children.length > 0) {
+            parts = parts[0].children;
+        }
+        return parts;
+    }
+
+    class PartsPanel {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.partsPanel);
+            this.list = root.querySelector('[data-parts-list]') || root;
+            this.explodeRange = root.querySelector('[data-parts-explode]');
+            this.showAllButton = root.querySelector('[data-parts-show-all]');
+            this.parts = [];
+            this.isolated = null;
+
+            this.list.addEventListener('change', (event) => {
+                const checkbox = event.target.closest('input[data-part]');
+                if (checkbox != null) {
+                    this.parts[Number(checkbox.dataset.part)].setVisible(checkbox.checked);
+                }
+            });
+            this.list.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-part-isolate]');
+                if (button != null) {
+                    this.isolate(Number(button.dataset.partIsolate));
+                }
+            });
+            if (this.explodeRange != null) {
+                this.explodeRange.addEventListener('input', () => {
+                    this.viewer.model.explode(Number(this.explodeRange.value), this.parts);
+                });
+            }
+            if (this.showAllButton != null) {
+                this.showAllButton.addEventListener('click', () => this.showAll());
+            }
+            this.viewer.addEventListener('load', () => this.onModelLoad());
+            if (this.viewer.loaded) {
+                this.onModelLoad();
+            }
+        }
+
+        onModelLoad() {
+            const model = this.viewer.model;
+            this.parts = model != null ? findParts(model) : [];
+            this.isolated = null;
+            if (this.explodeRange != null) {
+                this.explodeRange.value = 0;
+            }
+            this.root.hidden = this.parts.length < 2;
+            this.render();
+        }
+
+        isolate(index) {
+            const part = this.parts[index];
+            this.isolated = this.isolated === part ? null : part;
+            if (this.isolated != null && !this.isolated.visible) {
+                this.isolated.setVisible(true);
+            }
+            this.viewer.model.isolate(this.isolated);
+            this.render();
+        }
+
+        showAll() {
+            this.parts.forEach((part) => part.setVisible(true));
+            this.isolated = null;
+            this.viewer.model.isolate(null);
+            this.render();
+        }
+
+        render() {
+            const rows = this.parts.map((part, index) => {
+                const name = part.name || `Part ${index + 1}`;
+                const row = document.createElement('div');
+                row.className = 'd-flex align-items-center justify-content-between parts-row';
+
+                const label = document.createElement('label');
+                label.className = 'form-check-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'form-check-input me-2';
+                checkbox.dataset.part = String(index);
+                checkbox.checked = part.visible;
+                label.append(checkbox, name);
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline-secondary';
+                button.dataset.partIsolate = String(index);
+                button.textContent = 'Isolate';
+                button.setAttribute('aria-pressed', String(part === this.isolated));
+
+                row.append(label, button);
+                return row;
+            });
+            this.list.replaceChildren(...rows);
+        }
+    }
+
+    return PartsPanel;
+})();
+
+/**
+ * Guided tour controls for a <model-viewer>, selected by the
+ * `data-tour-player` attribute (the viewer's selector). The tour comes from
+ * the JSON file at `data-tour-src`, shaped `{ "keyframes": [...] }`, where
+ * each keyframe may add a `narration` (or a shorter `label`) that is shown
+ * while the camera rests at that stop.
+ */
+RuleStore.TourPlayer = (function () {
+    'use strict';
+
+    class TourPlayer {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.tourPlayer);
+            this.toggleButton = root.querySelector('[data-tour-toggle]');
+            this.seek = root.querySelector('[data-tour-seek]');
+            this.narration = root.querySelector('[data-tour-narration]');
+            this.seeking = false;
+
+            this.toggleButton.addEventListener('click', () => {
+                if (this.viewer.tourPaused) {
+                    this.viewer.playTour();
+                } else {
+                    this.viewer.pauseTour();
+                }
+            });
+            if (this.seek != null) {
+                this.seek.addEventListener('input', () => {
+                    this.seeking = true;
+                    this.viewer.pauseTour();
+                    this.viewer.seekTour(Number(this.seek.value) * this.viewer.tourDuration);
+                });
+                this.seek.addEventListener('change', () => {
+                    this.seeking = false;
+                });
+            }
+
+            this.viewer.addEventListener('tour-play', () => this.update());
+            this.viewer.addEventListener('tour-pause', () => this.update());
+            this.viewer.addEventListener('tour-end', () => this.update());
+            this.viewer.addEventListener('tour-stop', (event) => {
+                const { keyframe } = event.detail;
+                this.setNarration(keyframe.narration || keyframe.label || '');
+            });
+            this.viewer.addEventListener('camera-change', () => this.updateSeek());
+        }
+
+        async load() {
+            try {
+                const response = await fetch(this.root.dataset.tourSrc, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Tour request failed with status ${response.status}`);
+                }
+                const data = await response.json();
+                this.viewer.tour = data.keyframes;
+            } catch (error) {
+                console.error(error);
+                return;
+            }
+            this.root.hidden = false;
+            this.update();
+        }
+
+        update() {
+            const paused = this.viewer.tourPaused;
+            this.toggleButton.textContent = paused ? 'Play tour' : 'Pause tour';
+            this.toggleButton.setAttribute('aria-pressed', String(!paused));
+            if (paused && this.viewer.tourStop < 0) {
+                this.setNarration('');
+            }
+            this.updateSeek();
+        }
+
+        updateSeek() {
+            if (this.seek == null || this.seeking) {
+                return;
+            }
+            const duration = this.viewer.tourDuration;
+            this.seek.value = duration > 0 ? this.viewer.tourTime / duration : 0;
+        }
+
+        setNarration(text) {
+            if (this.narration != null) {
+                this.narration.textContent = text;
+            }
+        }
+    }
+
+    return TourPlayer;
+})();
+
+/**
+ * Lighting presets for a <model-viewer>, selected by the
+ * `data-environment-picker` attribute (the viewer's selector). The presets
+ * come from the JSON file at `data-environments-src`:
+ *
+ *     {
+ *         "transition": 800,
+ *         "presets": [
+ *             { "name": "studio", "label": "Studio", "environmentImage": "studio.exr" },
+ *             { "name": "neutral", "label": "Neutral", "environmentImage": "neutral" }
+ *         ]
+ *     }
+ *
+ * Image paths are relative to the JSON file; "neutral" and a missing image
+ * select <model-viewer>'s generated environments. Switching crossfades over
+ * `transition` milliseconds. Once the model has loaded, every preset is
+ * preloaded one after another so that switching is instant, and presets that
+ * fail to load are disabled.
+ */
+RuleStore.EnvironmentPicker = (function () {
+    'use strict';
+
+    const GENERATED_ENVIRONMENTS = ['neutral'];
+
+    function resolveImage(image, baseUrl) {
+        if (image == null || image === '' || GENERATED_ENVIRONMENTS.includes(image)) {
+            return image || null;
+        }
+        return new URL(image, baseUrl).href;
+    }
+
+    class EnvironmentPicker {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.environmentPicker);
+            this.list = root.querySelector('[data-environment-presets]') || root;
+            this.status = root.querySelector('[data-environment-status]');
+            this.presets = new Map();
+            this.selected = null;
+
+            this.list.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-environment]');
+                if (button != null) {
+                    this.select(button.dataset.environment);
+                }
+            });
+        }
+
+        async load() {
+            const url = new URL(this.root.dataset.environmentsSrc, window.location.href);
+            try {
+                const response = await fetch(url, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Environments request failed with status ${response.status}`);
+                }
+                const data = await response.json();
+                if (data.transition != null) {
+                    this.viewer.environmentTransition = data.transition;
+                }
+                data.presets.forEach((preset) => {
+                    this.presets.set(preset.name, Object.assign({}, preset, {
+                        environmentImage: resolveImage(preset.environmentImage, url),
+                        skyboxImage: resolveImage(preset.skyboxImage, url)
+                    }));
+                });
+            } catch (error) {
+                console.error(error);
+                return;
+            }
+            this.selected = this.findSelected();
+            this.render();
+            this.root.hidden = false;
+
+            if (!this.viewer.loaded) {
+                await new Promise((resolve) => this.viewer.addEventListener('load', resolve, { once: true }));
+            }
+            await this.preload();
+        }
+
+        /**
+         * The name of the preset matching the viewer's current environment.
+         */
+        findSelected() {
+            const environmentImage = this.viewer.environmentImage || null;
+            const skyboxImage = this.viewer.skyboxImage || null;
+            const match = Array.from(this.presets.values()).find((preset) => preset.environmentImage === environmentImage &&
+                preset.skyboxImage === skyboxImage);
+            return match != null ? match.name : null;
+        }
+
+        async preload() {
+            // Viewers that can't preload still load each preset when it is
+            // picked.
+            if (typeof this.viewer.preloadEnvironment !== 'function') {
+                return;
+            }
+            for (const [name, preset] of this.presets) {
+                try {
+                    await this.viewer.preloadEnvironment(preset.environmentImage, preset.skyboxImage);
+                } catch (error) {
+                    console.warn(`Could not load lighting preset "${name}"`, error);
+                    this.setDisabled(name);
+                }
+            }
+        }
+
+        render() {
+            const buttons = Array.from(this.presets.values(), (preset) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline-secondary';
+                button.dataset.environment = preset.name;
+                button.textContent = preset.label || preset.name;
+                return button;
+            });
+            this.list.replaceChildren(...buttons);
+            this.updateButtons();
+        }
+
+        select(name) {
+            const preset = this.presets.get(name);
+            this.viewer.environmentImage = preset.environmentImage;
+            this.viewer.skyboxImage = preset.skyboxImage;
+            this.selected = name;
+            this.updateButtons();
+            this.setStatus('');
+        }
+
+        setDisabled(name) {
+            const button = this.list.querySelector(`button[data-environment="${CSS.escape(name)}"]`);
+            if (button != null) {
+                button.disabled = true;
+                button.title = 'This lighting is not available';
+            }
+            if (name === this.selected) {
+                this.setStatus('The selected lighting could not be loaded.');
+            }
+        }
+
+        updateButtons() {
+            this.list.querySelectorAll('button[data-environment]').forEach((button) => {
+                const active = button.dataset.environment === this.selected;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+    }
+
+    return EnvironmentPicker;
+})();
+
+/**
+ * Remembers where a product was last placed in WebXR AR, and offers to put it
+ * back there on the next visit. The root is a button inside the
+ * <model-viewer>, selected by the `data-ar-placement` attribute (the product
+ * key), so that it shows in the AR session's overlay. Restoring needs
+ * persistent anchors, so the button only appears where the platform keeps
+ * them; elsewhere placements are still saved. A saved anchor that a fresh
+ * placement replaces is deleted at the start of the next session, since
+ * anchors can only be deleted from a running session and the saved one stays
+ * on offer until this one ends.
+ */
+RuleStore.ARPlacement = (function () {
+    'use strict';
+
+    // Placements are kept per product, under this prefix and the product key.
+    const STORAGE_PREFIX = 'rulestore-ar-placement-';
+    // Replaced placements whose anchors are still to be deleted, for all
+    // products, since anchors belong to the device.
+    const RETIRED_KEY = 'rulestore-ar-retired-placements';
+
+    class ARPlacement {
+        constructor(root) {
+            this.root = root;
+            this.viewer = root.closest('model-viewer');
+            this.storageKey = STORAGE_PREFIX + root.dataset.arPlacement;
+            this.saved = null;
+            this.latest = null;
+            this.restored = false;
+
+            root.hidden = true;
+            root.addEventListener('click', () => this.restore());
+            this.viewer.addEventListener('ar-status', (event) => this.onStatus(event.detail.status));
+            this.viewer.addEventListener('ar-placement', (event) => {
+                this.latest = event.detail.placement;
+            });
+        }
+
+        onStatus(status) {
+            if (status === 'session-started') {
+                this.saved = this.load();
+                this.latest = null;
+                this.restored = false;
+                this.root.hidden = this.saved == null || this.saved.anchor == null ||
+                    !this.viewer.canRestoreARPlacement;
+                if (this.viewer.canRestoreARPlacement) {
+                    this.retireReplaced();
+                }
+            } else if (status === 'not-presenting') {
+                this.root.hidden = true;
+                // Saved on the way out, so that the placement on offer isn't
+                // replaced by the fresh one made before it could be restored.
+                if (this.latest != null) {
+                    // A restored anchor is the renderer's own, and it deletes
+                    // it when the model is anchored anew.
+                    if (!this.restored && this.saved != null && this.saved.anchor != null &&
+                        this.saved.anchor !== this.latest.anchor) {
+                        this.writeRetired([...this.readRetired(), this.saved]);
+                    }
+                    this.save(this.latest);
+                }
+            }
+        }
+
+        async retireReplaced() {
+            const retired = this.readRetired();
+            if (retired.length === 0) {
+                return;
+            }
+            const handled = new Set();
+            for (const placement of retired) {
+                let done = false;
+                try {
+                    done = await this.viewer.retireARPlacement(placement);
+                } catch (error) {
+                    console.warn('Could not delete a replaced AR anchor', error);
+                }
+                // Anchors the platform couldn't delete are most likely gone
+                // already; only try again if the session ended first.
+                if (done || this.viewer.canRestoreARPlacement) {
+                    handled.add(placement.anchor);
+                }
+            }
+            // Read again, as the session may have ended and retired another.
+            this.writeRetired(this.readRetired().filter((placement) => !handled.has(placement.anchor)));
+        }
+
+        readRetired() {
+            try {
+                return JSON.parse(localStorage.getItem(RETIRED_KEY)) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        writeRetired(placements) {
+            try {
+                localStorage.setItem(RETIRED_KEY, JSON.stringify(placements));
+            } catch (error) {
+                console.warn('Could not save the replaced AR placements', error);
+            }
+        }
+
+        async restore() {
+            this.root.hidden = true;
+            let restored = false;
+            try {
+                restored = await this.viewer.restoreARPlacement(this.saved);
+            } catch (error) {
+                console.warn('Could not restore the AR placement', error);
+            }
+            this.restored = restored;
+            if (!restored) {
+                // The anchor is gone for good, so don't offer it again.
+                localStorage.removeItem(this.storageKey);
+            }
+        }
+
+        load() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        save(placement) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(placement));
+            } catch (error) {
+                console.warn('Could not save the AR placement', error);
+            }
+        }
+    }
+
+    return ARPlacement;
+})();
+
+/**
+ * Says where a model will really go when Scene Viewer or Quick Look can't
+ * honor the viewer's `ar-placement`, e.g. a ceiling placement that ends up on
+ * the floor. The root is a message element selected by the
+ * `data-ar-placement-notice` attribute, which names the <model-viewer>; it
+ * stays hidden until the viewer dispatches `ar-placement-unsupported`.
+ */
+RuleStore.ARPlacementNotice = (function () {
+    'use strict';
+
+    const VIEWER_NAMES = {
+        'scene-viewer': 'Scene Viewer',
+        'quick-look': 'AR Quick Look'
+    };
+
+    const PLACEMENT_NAMES = {
+        floor: 'the floor',
+        wall: 'a wall',
+        ceiling: 'the ceiling',
+        surface: 'a table or shelf'
+    };
+
+    class ARPlacementNotice {
+        constructor(root) {
+            this.root = root;
+            this.viewer = document.querySelector(root.dataset.arPlacementNotice);
+
+            root.hidden = true;
+            this.viewer.addEventListener('ar-placement-unsupported', (event) => this.show(event.detail));
+        }
+
+        show({ placement, arMode, fallback }) {
+            const viewerName = VIEWER_NAMES[arMode] || 'This AR viewer';
+            this.root.textContent = `${viewerName} can't place models on ${PLACEMENT_NAMES[placement]}, ` +
+                `so this one goes on ${PLACEMENT_NAMES[fallback]} instead.`;
+            this.root.hidden = false;
+        }
+    }
+
+    return ARPlacementNotice;
+})();
+
+/**
+ * Adds other products to a WebXR AR session, to see them side by side. The
+ * root sits inside the <model-viewer>, so that it shows in the session's
+ * overlay, and is selected by the `data-ar-models` attribute, the URL of the
+ * product feed; `data-ar-models-exclude` names the page's own product. The
+ * picker adds a product with the viewer's addARModel(), and the list below it
+ * selects which model the AR gestures move, or removes an added one. Only
+ * WebXR sessions can hold more than one model, so the controls stay hidden
+ * in Scene Viewer and Quick Look.
+ */
+RuleStore.ARModels = (function () {
+    'use strict';
+
+    class ARModels {
+        constructor(root) {
+            this.root = root;
+            this.viewer = root.closest('model-viewer');
+            this.picker = root.querySelector('[data-ar-models-products]');
+            this.addButton = root.querySelector('[data-ar-models-add]');
+            this.list = root.querySelector('[data-ar-models-list]');
+            this.status = root.querySelector('[data-ar-models-status]');
+            // Product names by model URL, from the feed, for models added by
+            // other scripts; products can share a model.
+            this.names = new Map();
+            // The added models' names by id, in the order they were added.
+            this.models = new Map();
+            this.selected = null;
+
+            root.hidden = true;
+            this.addButton.addEventListener('click', () => this.add());
+            this.list.addEventListener('click', (event) => {
+                const button = event.target.closest('button');
+                if (button == null) {
+                    return;
+                }
+                if (button.hasAttribute('data-ar-model-remove')) {
+                    this.viewer.removeARModel(button.dataset.arModelRemove);
+                } else {
+                    // The page's own product has an empty id.
+                    this.viewer.selectARModel(button.dataset.arModel || null);
+                }
+            });
+            this.viewer.addEventListener('ar-status', (event) => this.onStatus(event.detail.status));
+            this.viewer.addEventListener('ar-model-add', (event) => {
+                const { id, src } = event.detail;
+                this.models.set(id, this.names.get(src) || 'Product');
+                this.render();
+            });
+            this.viewer.addEventListener('ar-model-remove', (event) => {
+                this.models.delete(event.detail.id);
+                this.render();
+            });
+            this.viewer.addEventListener('ar-model-select', (event) => {
+                this.selected = event.detail.id;
+                this.render();
+            });
+        }
+
+        async load() {
+            try {
+                const response = await fetch(this.root.dataset.arModels, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Product feed request failed with status ${response.status}`);
+                }
+                const entries = await response.json();
+                const exclude = this.root.dataset.arModelsExclude;
+                const options = [];
+                for (const entry of entries) {
+                    // The feed is camelCase, but PascalCase is accepted as in Catalog.
+                    const id = entry.id != null ? entry.id : entry.Id;
+                    const source = entry.source || entry.Source;
+                    if (source == null || String(id) === exclude) {
+                        continue;
+                    }
+                    const name = `Product ${id}`;
+                    const url = new URL(source, window.location.href).toString();
+                    this.names.set(url, name);
+                    options.push(new Option(name, url));
+                }
+                this.picker.replaceChildren(...options);
+            } catch (error) {
+                console.error(error);
+            }
+        }
+
+        onStatus(status) {
+            if (status === 'session-started') {
+                this.models.clear();
+                this.selected = null;
+                this.setStatus('');
+                this.render();
+                this.root.hidden = this.names.size === 0;
+            } else if (status === 'not-presenting') {
+                this.root.hidden = true;
+                this.models.clear();
+            }
+        }
+
+        async add() {
+            const option = this.picker.selectedOptions[0];
+            if (option == null) {
+                return;
+            }
+            const name = option.text;
+            this.addButton.disabled = true;
+            this.setStatus(`Loading ${name}…`);
+            try {
+                const id = await this.viewer.addARModel(option.value);
+                if (this.models.has(id)) {
+                    this.models.set(id, name);
+                    this.render();
+                }
+                this.setStatus('');
+            } catch (error) {
+                console.warn('Could not add the model to the AR session', error);
+                this.setStatus(`Could not add ${name}.`);
+            } finally {
+                this.addButton.disabled = false;
+            }
+        }
+
+        render() {
+            const rows = [[null, 'This product'], ...this.models].map(([id, name]) => {
+                const row = document.createElement('div');
+                row.className = 'btn-group btn-group-sm mr-1 mt-1';
+
+                const select = document.createElement('button');
+                select.type = 'button';
+                select.className = 'btn btn-light';
+                select.dataset.arModel = id || '';
+                select.textContent = name;
+                select.setAttribute('aria-pressed', String(id === this.selected));
+                row.append(select);
+
+                if (id != null) {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'btn btn-light';
+                    remove.dataset.arModelRemove = id;
+                    remove.setAttribute('aria-label', `Remove ${name}`);
+                    remove.textContent = '×';
+                    row.append(remove);
+                }
+                return row;
+            });
+            // Just the page's own product is nothing to choose from.
+            this.list.replaceChildren(...(this.models.size > 0 ? rows : []));
+        }
+
+        setStatus(message) {
+            if (this.status != null) {
+                this.status.textContent = message;
+            }
+        }
+    }
+
+    return ARModels;
+})();
+
+// <model-viewer> reads its configuration when the first element is created,
+// which happens before DOMContentLoaded.
+RuleStore.Offline.configureViewer();
+
+document.addEventListener('DOMContentLoaded', () => {
+    RuleStore.Offline.register().catch((error) => {
+        console.warn('Could not register the service worker', error);
+    });
+    document.querySelectorAll('[data-offline-catalog]').forEach((root) => {
+        new RuleStore.OfflineCatalog(root);
+    });
+    document.querySelectorAll('[data-feed-url]').forEach((root) => {
+        new RuleStore.Catalog(root).load();
+    });
+    document.querySelectorAll('[data-qr-code]').forEach((root) => {
+        new RuleStore.QRCodePanel(root);
+    });
+    document.querySelectorAll('model-viewer[data-hotspots-src]').forEach((viewer) => {
+        if (viewer.dataset.hotspotsSrc !== '') {
+            RuleStore.Hotspots.loadFromUrl(viewer, viewer.dataset.hotspotsSrc).catch((error) => {
+                console.warn('Could not load hotspots', error);
+            });
+        }
+    });
+    document.querySelectorAll('[data-hotspot-editor]').forEach((root) => {
+        new RuleStore.HotspotEditor(root);
+    });
+    document.querySelectorAll('[data-configurator]').forEach((root) => {
+        new RuleStore.Configurator(root);
+    });
+    document.querySelectorAll('[data-finish-picker]').forEach((root) => {
+        new RuleStore.FinishPicker(root).load();
+    });
+    document.querySelectorAll('[data-comparison]').forEach((root) => {
+        new RuleStore.Comparison(root);
+    });
+    document.querySelectorAll('[data-parts-panel]').forEach((root) => {
+        new RuleStore.PartsPanel(root);
+    });
+    document.querySelectorAll('[data-tour-player]').forEach((root) => {
+        new RuleStore.TourPlayer(root).load();
+    });
+    document.querySelectorAll('[data-environment-picker]').forEach((root) => {
+        new RuleStore.EnvironmentPicker(root).load();
+    });
+    document.querySelectorAll('model-viewer [data-ar-placement]').forEach((root) => {
+        new RuleStore.ARPlacement(root);
+    });
+    document.querySelectorAll('[data-ar-placement-notice]').forEach((root) => {
+        new RuleStore.ARPlacementNotice(root);
+    });
+    document.querySelectorAll('model-viewer [data-ar-models]').forEach((root) => {
+        new RuleStore.ARModels(root).load();
+    });
+});
@@ -1,2 +0,0 @@
-export {};
-//# sourceMappingURL=api.js.map
\ No newline at end of file
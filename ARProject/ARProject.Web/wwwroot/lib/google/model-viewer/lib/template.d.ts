@@ -1,3 +0,0 @@
-declare const template: HTMLTemplateElement;
-export default template;
-export declare const makeTemplate: (tagName: string) => HTMLTemplateElement;
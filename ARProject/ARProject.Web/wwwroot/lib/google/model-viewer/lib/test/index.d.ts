@@ -1,39 +0,0 @@
-import './utilities-spec.js';
-import './styles/parsers-spec.js';
-import './styles/conversions-spec.js';
-import './styles/deserializers-spec.js';
-import './styles/evaluators-spec.js';
-import './styles/style-effector-spec.js';
-import './decorators-spec.js';
-import './model-viewer-base-spec.js';
-import './model-viewer-spec.js';
-import './three-components/ModelScene-spec.js';
-import './three-components/Renderer-spec.js';
-import './three-components/ARRenderer-spec.js';
-import './three-components/GLTFInstance-spec.js';
-import './three-components/gltf-instance/ModelViewerGLTFInstance-spec.js';
-import './three-components/gltf-instance/correlated-scene-graph-spec.js';
-import './three-components/gltf-instance/utilities-spec.js';
-import './three-components/SmoothControls-spec.js';
-import './three-components/Damper-spec.js';
-import './three-components/TextureUtils-spec.js';
-import './three-components/CachingGLTFLoader-spec.js';
-import './three-components/ModelUtils-spec.js';
-import './three-components/Hotspot-spec.js';
-import './utilities/animation-spec.js';
-import './utilities/cache-eviction-policy-spec.js';
-import './utilities/focus-visible-spec.js';
-import './utilities/progress-tracker-spec.js';
-import './features/animation-spec.js';
-import './features/annotation-spec.js';
-import './features/staging-spec.js';
-import './features/controls-spec.js';
-import './features/environment-spec.js';
-import './features/loading-spec.js';
-import './features/loading/status-announcer-spec.js';
-import './features/scene-graph-spec.js';
-import './features/scene-graph/model-spec.js';
-import './features/ar-spec.js';
-import './features/scene-graph/texture-spec.js';
-import './features/scene-graph/material-spec.js';
-import './features/scene-graph/texture-info-spec.js';
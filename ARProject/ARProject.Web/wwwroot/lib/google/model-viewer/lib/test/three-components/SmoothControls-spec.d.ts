@@ -1,5 +0,0 @@
-import { SmoothControls } from '../../three-components/SmoothControls.js';
-/**
- * Settle controls by performing 50 frames worth of updates
- */
-export declare const settleControls: (controls: SmoothControls) => void;
@@ -1,5 +0,0 @@
-import { MeshBasicMaterial, Scene } from 'three';
-export default class EnvironmentScene extends Scene {
-    constructor();
-    createAreaLightMaterial(intensity: number): MeshBasicMaterial;
-}
@@ -1,2 +0,0 @@
-export {};
-//# sourceMappingURL=gltf-defaulted.js.map
\ No newline at end of file
@@ -1,13 +0,0 @@
-/**
- * @license MIT
- * @see https://github.com/mrdoob/three.js/blob/dev/LICENSE
- */
-export const alphaChunk = /* glsl */ `
-#ifdef ALPHATEST
-
-    if ( diffuseColor.a < ALPHATEST ) discard;
-    diffuseColor.a = 1.0;
-
-#endif
-`;
-//# sourceMappingURL=alphatest_fragment.glsl.js.map
\ No newline at end of file
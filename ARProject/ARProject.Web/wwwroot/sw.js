@@ -0,0 +1,88 @@
+﻿// Service worker for offline use of the product viewer. It is registered by
+// RuleStore.Offline in site.js as sw.js?v=<version>, where the version comes
+// from the OfflineCache:Version setting. Changing the version installs a new
+// worker, which deletes the caches of the old version when it activates.
+//
+// Models, posters and other assets are served cache-first from the same cache
+// <model-viewer> keeps models in, so each file is stored only once. Pages and
+// the site's own scripts and styles are served network-first, falling back to
+// the cache when the network is unavailable.
+
+'use strict';
+
+importScripts('js/offline-assets.js');
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || '0';
+
+// Must match the names used by <model-viewer>'s persistent cache.
+const ASSET_CACHE_PREFIX = 'model-viewer-assets-';
+const PAGE_CACHE_PREFIX = 'rulestore-pages-';
+const ASSET_CACHE = ASSET_CACHE_PREFIX + VERSION;
+const PAGE_CACHE = PAGE_CACHE_PREFIX + VERSION;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(PAGE_CACHE).then((cache) => cache.add('./')).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then((names) => Promise.all(names
+        .filter((name) => (name.startsWith(ASSET_CACHE_PREFIX) && name !== ASSET_CACHE) ||
+            (name.startsWith(PAGE_CACHE_PREFIX) && name !== PAGE_CACHE))
+        .map((name) => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached != null) {
+        return cached;
+    }
+    const response = await fetch(request);
+    // Opaque responses can't be told apart from errors, so only same-origin
+    // and CORS responses are kept.
+    if (response.ok) {
+        cache.put(request, response.clone()).catch((error) => {
+            console.warn(`Could not cache ${request.url}`, error);
+        });
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(PAGE_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone()).catch((error) => {
+                console.warn(`Could not cache ${request.url}`, error);
+            });
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached != null) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            return new Response('This page has not been downloaded for offline use.', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+            });
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+    const url = new URL(request.url);
+    if (self.RuleStore.OFFLINE_ASSET_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,38 @@
+// Runs the browser specs under src/test, which rollup bundles into
+// dist/unit-tests.js, in headless Chrome. Set CHROME_BIN to pick the Chrome
+// binary when it isn't installed where karma-chrome-launcher looks.
+const fs = require('fs');
+
+module.exports = (config) => {
+  // The specs load their models and environments from upstream's
+  // shared-assets, which the fork doesn't copy (see README.md). Without them
+  // every spec that loads a model would time out one by one.
+  if (!fs.existsSync('shared-assets/models/Astronaut.glb')) {
+    throw new Error(
+        'shared-assets/ is missing; link it to the packages/shared-assets ' +
+        'directory of model-viewer v1.8.0 before running the browser specs.');
+  }
+
+  config.set({
+    frameworks: ['mocha', 'chai'],
+    files: [
+      {pattern: 'dist/unit-tests.js', type: 'module'},
+      {pattern: 'shared-assets/**/*', included: false, watched: false},
+    ],
+    client: {mocha: {ui: 'tdd', timeout: 10000}},
+    browsers: ['ChromeHeadlessWebGL'],
+    customLaunchers: {
+      // WebGL without a GPU, as on CI machines.
+      ChromeHeadlessWebGL: {
+        base: 'ChromeHeadless',
+        flags: [
+          '--no-sandbox',
+          '--use-angle=swiftshader',
+          '--enable-unsafe-swiftshader'
+        ],
+      },
+    },
+    reporters: ['dots'],
+    singleRun: true,
+  });
+};
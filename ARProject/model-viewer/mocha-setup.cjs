@@ -0,0 +1,2 @@
+// The specs use chai as a global, the way the browser specs get it.
+global.chai = require('chai');
@@ -0,0 +1,64 @@
+import {nodeResolve as resolve} from '@rollup/plugin-node-resolve';
+import replace from '@rollup/plugin-replace';
+import cleanup from 'rollup-plugin-cleanup';
+import {terser} from 'rollup-plugin-terser';
+
+const {NODE_ENV} = process.env;
+
+const onwarn = (warning, warn) => {
+  // Suppress non-actionable warning caused by TypeScript boilerplate:
+  if (warning.code !== 'THIS_IS_UNDEFINED') {
+    warn(warning);
+  }
+};
+
+const plugins = [
+  resolve(),
+  replace({'Reflect.decorate': 'undefined', preventAssignment: true}),
+  cleanup({
+    // Only our own modules; cleaning three.js as well is very slow.
+    include: ['lib/**'],
+    comments: 'none',
+  })
+];
+
+const outputOptions = [{
+  input: './lib/model-viewer.js',
+  output: {
+    file: './dist/model-viewer.js',
+    sourcemap: true,
+    format: 'esm',
+    name: 'ModelViewerElement'
+  },
+  plugins,
+  onwarn,
+}];
+
+if (NODE_ENV === 'production') {
+  outputOptions.push({
+    input: './lib/model-viewer.js',
+    output: {
+      file: './dist/model-viewer.min.js',
+      sourcemap: true,
+      format: 'esm',
+      name: 'ModelViewerElement'
+    },
+    plugins: [...plugins, terser()],
+    onwarn,
+  });
+} else {
+  // The browser specs, for karma.
+  outputOptions.push({
+    input: './lib/test/index.js',
+    output: {
+      file: './dist/unit-tests.js',
+      sourcemap: true,
+      format: 'esm',
+      name: 'ModelViewerElementUnitTests'
+    },
+    plugins,
+    onwarn,
+  });
+}
+
+export default outputOptions;
@@ -0,0 +1,364 @@
+/* @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ComplexAttributeConverter, property} from 'lit-element';
+import {Event as ThreeEvent} from 'three';
+
+import ModelViewerElementBase, {$hasTransitioned, $needsRender, $onModelLoad, $renderer, $scene, $tick, $updateSource} from '../model-viewer-base.js';
+import {AnimationLayerOptions, AnimationLayerState, AnimationLoop} from '../three-components/ModelScene.js';
+import {Constructor} from '../utilities.js';
+
+const MILLISECONDS_PER_SECOND = 1000.0
+
+const $changeAnimation = Symbol('changeAnimation');
+const $paused = Symbol('paused');
+const $playlistIndex = Symbol('playlistIndex');
+const $playlistDirection = Symbol('playlistDirection');
+const $loopCount = Symbol('loopCount');
+const $resetLoops = Symbol('resetLoops');
+const $advancePlaylist = Symbol('advancePlaylist');
+const $onAnimationFinished = Symbol('onAnimationFinished');
+const $onAnimationLoop = Symbol('onAnimationLoop');
+
+const playlistConverter: ComplexAttributeConverter<Array<string>> = {
+  fromAttribute(value: string|null): Array<string> {
+    if (value == null) {
+      return [];
+    }
+    return value.split(',')
+        .map(name => name.trim())
+        .filter(name => name !== '');
+  }
+};
+
+export interface AnimationEventDetails {
+  name: string;
+  layer: boolean;
+}
+
+export interface AnimationLoopDetails extends AnimationEventDetails {
+  count?: number;
+}
+
+export declare interface AnimationInterface {
+  autoplay: boolean;
+  animationName: string|void;
+  animationCrossfadeDuration: number;
+  animationPlaylist: Array<string>;
+  animationLoop: AnimationLoop;
+  animationRepetitions: number;
+  readonly availableAnimations: Array<string>;
+  readonly paused: boolean;
+  readonly duration: number;
+  /**
+   * The animations playing as layers, with their weights and time scales.
+   */
+  readonly animationLayers: Array<AnimationLayerState>;
+  currentTime: number;
+  pause(): void;
+  play(): void;
+  /**
+   * Plays the named animation as a layer over the main animation, or
+   * updates the weight and time scale of a layer that is already playing.
+   * Layers fade in over animation-crossfade-duration and advance while the
+   * element is playing. Returns false if there is no such animation.
+   */
+  playAnimationLayer(name: string, options?: AnimationLayerOptions): boolean;
+  /**
+   * Fades out and removes the named animation layer.
+   */
+  stopAnimationLayer(name: string): void;
+}
+
+/**
+ * AnimationMixin plays the model's animations. One animation, chosen with
+ * animation-name, plays at a time, switching with a crossfade; or
+ * animation-playlist lists animations to play one after another.
+ *
+ * animation-loop is 'repeat' (the default), 'once' or 'pingpong', and
+ * animation-repetitions limits how many times the animation (or for a
+ * playlist, the whole list) plays. A finite animation holds its last frame
+ * when it finishes, so animation-loop="once" suits one-shot motions such as a
+ * door opening. A 'loop' event is dispatched at each repetition and a
+ * 'finished' event when the last one ends, at which point the element pauses.
+ *
+ * Further animations can be blended over the main one as layers, each with
+ * its own weight, time scale and loop mode, using playAnimationLayer().
+ */
+export const AnimationMixin = <T extends Constructor<ModelViewerElementBase>>(
+    ModelViewerElement: T): Constructor<AnimationInterface>&T => {
+  class AnimationModelViewerElement extends ModelViewerElement {
+    @property({type: Boolean}) autoplay: boolean = false;
+    @property({type: String, attribute: 'animation-name'})
+    animationName: string|undefined = undefined;
+    @property({type: Number, attribute: 'animation-crossfade-duration'})
+    animationCrossfadeDuration: number = 300;
+    @property({converter: playlistConverter, attribute: 'animation-playlist'})
+    animationPlaylist: Array<string> = [];
+    @property({type: String, attribute: 'animation-loop'})
+    animationLoop: AnimationLoop = AnimationLoop.Repeat;
+    @property({type: Number, attribute: 'animation-repetitions'})
+    animationRepetitions: number = Infinity;
+
+    protected[$paused]: boolean = true;
+    protected[$playlistIndex] = 0;
+    protected[$playlistDirection] = 1;
+    protected[$loopCount] = 0;
+
+    protected[$onAnimationFinished] = (event: ThreeEvent) => {
+      if (event.layer) {
+        this.dispatchEvent(new CustomEvent<AnimationEventDetails>(
+            'finished', {detail: {name: event.name, layer: true}}));
+        return;
+      }
+      if (this[$advancePlaylist]()) {
+        return;
+      }
+      this.pause();
+      this.dispatchEvent(new CustomEvent<AnimationEventDetails>(
+          'finished', {detail: {name: event.name, layer: false}}));
+    };
+
+    protected[$onAnimationLoop] = (event: ThreeEvent) => {
+      if (!event.layer) {
+        this[$loopCount]++;
+      }
+      this.dispatchEvent(new CustomEvent<AnimationLoopDetails>('loop', {
+        detail: {
+          name: event.name,
+          layer: event.layer,
+          count: event.layer ? undefined : this[$loopCount]
+        }
+      }));
+    };
+
+    constructor(...args: Array<any>) {
+      super(...args);
+
+      this[$scene].addEventListener(
+          'animation-finished', this[$onAnimationFinished]);
+      this[$scene].addEventListener('animation-loop', this[$onAnimationLoop]);
+    }
+
+    /**
+     * Returns an array
+     */
+    get availableAnimations(): Array<string> {
+      if (this.loaded) {
+        return this[$scene].animationNames;
+      }
+
+      return [];
+    }
+
+    get duration(): number {
+      return this[$scene].duration;
+    }
+
+    get paused(): boolean {
+      return this[$paused];
+    }
+
+    get currentTime(): number {
+      return this[$scene].animationTime;
+    }
+
+    set currentTime(value: number) {
+      this[$scene].animationTime = value;
+      this[$renderer].threeRenderer.shadowMap.needsUpdate = true;
+      this[$needsRender]();
+    }
+
+    get animationLayers(): Array<AnimationLayerState> {
+      return this[$scene].animationLayerStates;
+    }
+
+    pause() {
+      if (this[$paused]) {
+        return;
+      }
+
+      this[$paused] = true;
+      this[$renderer].threeRenderer.shadowMap.autoUpdate = false;
+      this.dispatchEvent(new CustomEvent('pause'));
+    }
+
+    play() {
+      if (this[$paused] && this.availableAnimations.length > 0) {
+        this[$paused] = false;
+        this[$renderer].threeRenderer.shadowMap.autoUpdate = true;
+
+        if (!this[$scene].hasActiveAnimation ||
+            this[$scene].animationFinished) {
+          this[$resetLoops]();
+          this[$changeAnimation]();
+        }
+
+        this.dispatchEvent(new CustomEvent('play'));
+      }
+    }
+
+    playAnimationLayer(name: string, options: AnimationLayerOptions = {}):
+        boolean {
+      const played = this[$scene].playAnimationLayer(
+          name, options,
+          this.animationCrossfadeDuration / MILLISECONDS_PER_SECOND);
+      if (played && this[$paused]) {
+        this[$scene].updateAnimation(0);
+        this[$needsRender]();
+      }
+      return played;
+    }
+
+    stopAnimationLayer(name: string) {
+      this[$scene].stopAnimationLayer(
+          name,
+          this[$paused] ?
+              0 :
+              this.animationCrossfadeDuration / MILLISECONDS_PER_SECOND);
+      if (this[$paused]) {
+        this[$scene].updateAnimation(0);
+      }
+      this[$needsRender]();
+    }
+
+    [$onModelLoad]() {
+      super[$onModelLoad]();
+
+      this[$paused] = true;
+      this[$resetLoops]();
+
+      if (this.autoplay) {
+        this[$changeAnimation]();
+        this.play();
+      }
+    }
+
+    [$tick](_time: number, delta: number) {
+      super[$tick](_time, delta);
+
+      if (this[$paused] ||
+          (!this[$hasTransitioned]() && !this[$renderer].isPresenting)) {
+        return;
+      }
+
+      this[$scene].updateAnimation(delta / MILLISECONDS_PER_SECOND);
+
+      this[$needsRender]();
+    }
+
+    updated(changedProperties: Map<string, any>) {
+      super.updated(changedProperties);
+
+      if (changedProperties.has('autoplay') && this.autoplay) {
+        this.play();
+      }
+
+      if (changedProperties.has('animationName') ||
+          changedProperties.has('animationPlaylist') ||
+          changedProperties.has('animationLoop') ||
+          changedProperties.has('animationRepetitions')) {
+        this[$resetLoops]();
+        this[$changeAnimation]();
+      }
+    }
+
+    async[$updateSource]() {
+      // If we are loading a new model, we need to stop the animation of
+      // the current one (if any is playing). Otherwise, we might lose
+      // the reference to the scene root and running actions start to
+      // throw exceptions and/or behave in unexpected ways:
+      this[$scene].stopAnimation();
+
+      return super[$updateSource]();
+    }
+
+    [$resetLoops]() {
+      this[$playlistIndex] = 0;
+      this[$playlistDirection] = 1;
+      this[$loopCount] = 0;
+    }
+
+    [$changeAnimation]() {
+      const playlist = this.animationPlaylist;
+      if (playlist != null && playlist.length > 0) {
+        // Each playlist entry plays once; the loop mode applies to the
+        // list as a whole.
+        this[$scene].playAnimation(
+            playlist[this[$playlistIndex]],
+            this.animationCrossfadeDuration / MILLISECONDS_PER_SECOND,
+            {loop: AnimationLoop.Once, timeScale: this[$playlistDirection]});
+      } else {
+        this[$scene].playAnimation(
+            this.animationName,
+            this.animationCrossfadeDuration / MILLISECONDS_PER_SECOND,
+            {loop: this.animationLoop, repetitions: this.animationRepetitions});
+      }
+
+      // If we are currently paused, we need to force a render so that
+      // the scene updates to the first frame of the new animation
+      if (this[$paused]) {
+        this[$scene].updateAnimation(0);
+        this[$needsRender]();
+      }
+    }
+
+    /**
+     * Moves on to the next playlist entry when one finishes, turning around
+     * or starting over at the end of the list as the loop mode says. Returns
+     * false when the playlist is over.
+     */
+    [$advancePlaylist](): boolean {
+      const playlist = this.animationPlaylist;
+      if (playlist == null || playlist.length === 0) {
+        return false;
+      }
+
+      const direction = this[$playlistDirection];
+      const last = direction > 0 ? playlist.length - 1 : 0;
+      if (this[$playlistIndex] !== last) {
+        this[$playlistIndex] += direction;
+        this[$changeAnimation]();
+        return true;
+      }
+
+      const loop = this.animationLoop;
+      if (loop === AnimationLoop.Once ||
+          this[$loopCount] + 1 >= this.animationRepetitions) {
+        return false;
+      }
+
+      this[$loopCount]++;
+      if (loop === AnimationLoop.PingPong) {
+        // Play the list back in reverse, starting with the clip that just
+        // ended, so the motion is continuous.
+        this[$playlistDirection] = -direction;
+      } else {
+        this[$playlistIndex] = 0;
+      }
+      this[$changeAnimation]();
+      this.dispatchEvent(new CustomEvent<AnimationLoopDetails>('loop', {
+        detail: {
+          name: playlist[this[$playlistIndex]],
+          layer: false,
+          count: this[$loopCount]
+        }
+      }));
+      return true;
+    }
+  }
+
+  return AnimationModelViewerElement;
+};
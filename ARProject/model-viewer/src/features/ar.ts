@@ -0,0 +1,971 @@
+/* @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {property} from 'lit-element';
+import {Event as ThreeEvent} from 'three';
+import {USDZExporter} from 'three/examples/jsm/exporters/USDZExporter';
+
+import {IS_AR_QUICKLOOK_CANDIDATE, IS_SCENEVIEWER_CANDIDATE, IS_WEBXR_AR_CANDIDATE} from '../constants.js';
+import ModelViewerElementBase, {$needsRender, $progressTracker, $renderer, $scene, $shouldAttemptPreload, $updateSource} from '../model-viewer-base.js';
+import {normalizeUnit} from '../styles/conversions.js';
+import {enumerationDeserializer} from '../styles/deserializers.js';
+import {parseExpressions} from '../styles/parsers.js';
+import {ARRecordingOptions} from '../three-components/ARCapture.js';
+import {AROcclusionDetails} from '../three-components/ARDepthOcclusion.js';
+import {ARPlacement, ARPlacementMode, ARStatus, ARTracking} from '../three-components/ARRenderer.js';
+import {DimensionUnits} from '../three-components/Dimensions.js';
+import {Constructor, waitForEvent} from '../utilities.js';
+
+import {SceneGraphInterface} from './scene-graph.js';
+
+let isWebXRBlocked = false;
+let isSceneViewerBlocked = false;
+const noArViewerSigil = '#model-viewer-no-ar-fallback';
+
+export type ARMode = 'quick-look'|'scene-viewer'|'webxr'|'none';
+
+const deserializeARModes = enumerationDeserializer<ARMode>(
+    ['quick-look', 'scene-viewer', 'webxr', 'none']);
+
+const DEFAULT_AR_MODES = 'webxr scene-viewer';
+
+const ARMode: {[index: string]: ARMode} = {
+  QUICK_LOOK: 'quick-look',
+  SCENE_VIEWER: 'scene-viewer',
+  WEBXR: 'webxr',
+  NONE: 'none'
+};
+
+/**
+ * The placement that Scene Viewer or Quick Look actually gives a model with
+ * the given ar-placement. Scene Viewer places on any horizontal plane, which
+ * covers the floor and surfaces, and on walls with enable_vertical_placement.
+ * Quick Look has no placement parameter: it takes placement from the USDZ's
+ * anchoring, which is horizontal for a generated USDZ, and vertical for an
+ * ios-src only if ios-src-placement says so. Neither viewer can hang models
+ * from the ceiling, so they go on the floor.
+ */
+export const viewerPlacement =
+    (placement: string, arMode: ARMode, iosSrcPlacement: string|null = null):
+        ARPlacementMode => {
+          switch (placement) {
+            case ARPlacementMode.WALL:
+              return arMode === ARMode.SCENE_VIEWER ||
+                      iosSrcPlacement === ARPlacementMode.WALL ?
+                  ARPlacementMode.WALL :
+                  ARPlacementMode.FLOOR;
+            case ARPlacementMode.SURFACE:
+              return ARPlacementMode.SURFACE;
+            default:
+              return ARPlacementMode.FLOOR;
+          }
+        };
+
+export interface ARStatusDetails {
+  status: ARStatus;
+  blob?: Blob|null;
+}
+
+export interface ARCaptureOptions {
+  mimeType?: string;
+  qualityArgument?: number;
+}
+
+export interface ARTrackingDetails {
+  status: ARTracking;
+}
+
+export interface ARModelDetails {
+  id: string|null;
+  src: string|null;
+}
+
+export interface ARSnap {
+  rotation: number;
+  wall: boolean;
+}
+
+/**
+ * Reads the ar-snap attribute: an angle to snap rotation to steps of, such as
+ * 15deg, 45deg or 90deg, and/or the keyword wall to align models placed on the
+ * floor to the nearest wall. Rotation snapping is off (0) without an angle.
+ */
+export const parseARSnap = (value: string): ARSnap => {
+  let rotation = 0;
+  let wall = false;
+  for (const expression of parseExpressions(value)) {
+    for (const term of expression.terms) {
+      if (term.type === 'ident' && term.value === 'wall') {
+        wall = true;
+      } else if (term.type === 'number') {
+        rotation = Math.max(normalizeUnit(term).number, 0);
+      }
+    }
+  }
+  return {rotation, wall};
+};
+
+export interface ARPlacementDetails {
+  placement: ARPlacement;
+}
+
+export type AROcclusionEventDetails = AROcclusionDetails;
+
+export interface ARScaleDetails {
+  scale: number;
+}
+
+export interface ARPlacementUnsupportedDetails {
+  placement: ARPlacementMode;
+  arMode: ARMode;
+  fallback: ARPlacementMode;
+}
+
+const $arButtonContainer = Symbol('arButtonContainer');
+const $enterARWithWebXR = Symbol('enterARWithWebXR');
+export const $openSceneViewer = Symbol('openSceneViewer');
+export const $openIOSARQuickLook = Symbol('openIOSARQuickLook');
+const $canActivateAR = Symbol('canActivateAR');
+const $arMode = Symbol('arMode');
+const $arModes = Symbol('arModes');
+const $arAnchor = Symbol('arAnchor');
+const $preload = Symbol('preload');
+
+const $onARButtonContainerClick = Symbol('onARButtonContainerClick');
+const $onARStatus = Symbol('onARStatus');
+const $onARTracking = Symbol('onARTracking');
+const $onARTap = Symbol('onARTap');
+const $onARItem = Symbol('onARItem');
+const $onARPlacement = Symbol('onARPlacement');
+const $onAROcclusion = Symbol('onAROcclusion');
+const $arOverlay = Symbol('arOverlay');
+const $onAROverlayClick = Symbol('onAROverlayClick');
+const $onAROverlayChange = Symbol('onAROverlayChange');
+const $onARBeforeSelect = Symbol('onARBeforeSelect');
+const $onARScale = Symbol('onARScale');
+const $updateAROverlay = Symbol('updateAROverlay');
+const $arOverlayElements = Symbol('arOverlayElements');
+const $takeARPhoto = Symbol('takeARPhoto');
+const $viewerPlacement = Symbol('viewerPlacement');
+const $onARCapture = Symbol('onARCapture');
+const $selectARMode = Symbol('selectARMode');
+const $triggerLoad = Symbol('triggerLoad');
+
+export declare interface ARInterface {
+  ar: boolean;
+  arModes: string;
+  arScale: string;
+  /**
+   * Where models go in AR: 'floor' (the default), 'wall', 'ceiling' or
+   * 'surface', meaning any horizontal surface above the floor. Scene Viewer
+   * and Quick Look place models they can't hang from the ceiling on the
+   * floor instead, and dispatch ar-placement-unsupported to say so.
+   */
+  arPlacement: string;
+  iosSrc: string|null;
+  /**
+   * How the ios-src USDZ is anchored: 'wall' if it is anchored to vertical
+   * planes, so that Quick Look can honor wall placement. Anything else is
+   * taken to be the floor.
+   */
+  iosSrcPlacement: string|null;
+  xrEnvironment: boolean;
+  arOcclusion: boolean;
+  /**
+   * Asks WebXR sessions for the camera image, so that photos and recordings
+   * show the model in the room. Without it they show only the model.
+   */
+  arCameraCapture: boolean;
+  arSnap: string;
+  arDimensions: boolean;
+  dimensionUnits: string;
+  readonly canActivateAR: boolean;
+  readonly arModels: Array<string>;
+  readonly canRestoreARPlacement: boolean;
+  activateAR(): Promise<void>;
+  addARModel(src: string): Promise<string>;
+  removeARModel(id: string): boolean;
+  selectARModel(id: string|null): void;
+  captureARFrame(options?: ARCaptureOptions): Promise<Blob>;
+  startARRecording(options?: ARRecordingOptions): Promise<Blob>;
+  stopARRecording(): Promise<Blob|null>;
+  restoreARPlacement(placement: ARPlacement): Promise<boolean>;
+  retireARPlacement(placement: ARPlacement): Promise<boolean>;
+  rotateARModel(radians: number): void;
+  resetARScale(): void;
+}
+
+export const ARMixin = <T extends Constructor<ModelViewerElementBase>>(
+    ModelViewerElement: T): Constructor<ARInterface>&T => {
+  class ARModelViewerElement extends ModelViewerElement {
+    @property({type: Boolean, attribute: 'ar'}) ar: boolean = false;
+
+    @property({type: String, attribute: 'ar-scale'}) arScale: string = 'auto';
+
+    @property({type: String, attribute: 'ar-placement'})
+    arPlacement: string = 'floor';
+
+    @property({type: String, attribute: 'ar-modes'})
+    arModes: string = DEFAULT_AR_MODES;
+
+    @property({type: String, attribute: 'ios-src'}) iosSrc: string|null = null;
+
+    @property({type: String, attribute: 'ios-src-placement'})
+    iosSrcPlacement: string|null = null;
+
+    @property({type: Boolean, attribute: 'xr-environment'})
+    xrEnvironment: boolean = false;
+
+    @property({type: Boolean, attribute: 'ar-occlusion'})
+    arOcclusion: boolean = false;
+
+    @property({type: Boolean, attribute: 'ar-camera-capture'})
+    arCameraCapture: boolean = false;
+
+    @property({type: String, attribute: 'ar-snap'}) arSnap: string = '';
+
+    @property({type: Boolean, attribute: 'ar-dimensions'})
+    arDimensions: boolean = false;
+
+    @property({type: String, attribute: 'dimension-units'})
+    dimensionUnits: string = DimensionUnits.METRIC;
+
+    get canActivateAR(): boolean {
+      return this[$arMode] !== ARMode.NONE;
+    }
+
+    protected[$canActivateAR]: boolean = false;
+
+    // TODO: Add this to the shadow root as part of this mixin's
+    // implementation:
+    protected[$arButtonContainer]: HTMLElement =
+        this.shadowRoot!.querySelector('.ar-button') as HTMLElement;
+
+    protected[$arAnchor] = document.createElement('a');
+
+    protected[$arModes]: Set<ARMode> = new Set();
+    protected[$arMode]: ARMode = ARMode.NONE;
+    protected[$preload] = false;
+
+    private[$onARButtonContainerClick] = (event: Event) => {
+      event.preventDefault();
+      this.activateAR();
+    };
+
+    private[$onARStatus] = ({status}: ThreeEvent) => {
+      if (status === ARStatus.NOT_PRESENTING ||
+          this[$renderer].arRenderer.presentedScene === this[$scene]) {
+        this.setAttribute('ar-status', status);
+        this.dispatchEvent(
+            new CustomEvent<ARStatusDetails>('ar-status', {detail: {status}}));
+        this[$updateAROverlay](status);
+        if (status === ARStatus.NOT_PRESENTING) {
+          this.removeAttribute('ar-tracking');
+        } else if (status === ARStatus.SESSION_STARTED) {
+          this.setAttribute('ar-tracking', ARTracking.TRACKING);
+        }
+      }
+    };
+
+    private[$onARTracking] = ({status}: ThreeEvent) => {
+      this.setAttribute('ar-tracking', status);
+      this.dispatchEvent(new CustomEvent<ARTrackingDetails>(
+          'ar-tracking', {detail: {status}}));
+    };
+
+    private[$onARTap] = (event: Event) => {
+      if ((event as any).data == '_apple_ar_quicklook_button_tapped') {
+        this.dispatchEvent(new CustomEvent('quick-look-button-tapped'));
+      }
+    };
+
+    private[$onARItem] = ({type, id, url}: ThreeEvent) => {
+      if (this[$renderer].arRenderer.presentedScene === this[$scene]) {
+        // item-add -> ar-model-add, and so on.
+        this.dispatchEvent(new CustomEvent<ARModelDetails>(
+            `ar-model-${type.slice('item-'.length)}`,
+            {detail: {id, src: url}}));
+      }
+    };
+
+    private[$onARPlacement] = ({placement}: ThreeEvent) => {
+      if (this[$renderer].arRenderer.presentedScene === this[$scene]) {
+        this.dispatchEvent(new CustomEvent<ARPlacementDetails>(
+            'ar-placement', {detail: {placement}}));
+      }
+    };
+
+    private[$onAROcclusion] = ({status, usage, dataFormat}: ThreeEvent) => {
+      if (this[$renderer].arRenderer.presentedScene === this[$scene]) {
+        this.dispatchEvent(new CustomEvent<AROcclusionEventDetails>(
+            'ar-occlusion', {detail: {status, usage, dataFormat}}));
+      }
+    };
+
+    protected[$arOverlay]: HTMLElement =
+        this.shadowRoot!.querySelector('.slot.ar-overlay') as HTMLElement;
+
+    private[$onAROverlayClick] = (event: Event) => {
+      const target = event.composedPath().find(
+          (node) =>
+              node instanceof Element && node.hasAttribute('data-ar-action'));
+      if (target == null) {
+        return;
+      }
+
+      switch ((target as Element).getAttribute('data-ar-action')) {
+        case 'rotate-left':
+          this.rotateARModel(Math.PI / 2);
+          break;
+        case 'rotate-right':
+          this.rotateARModel(-Math.PI / 2);
+          break;
+        case 'reset-scale':
+          this.resetARScale();
+          break;
+        case 'photo':
+          this[$takeARPhoto]();
+          break;
+      }
+    };
+
+    private[$onAROverlayChange] = (event: Event) => {
+      const target = event.composedPath()[0];
+      if (target instanceof HTMLSelectElement &&
+          target.hasAttribute('data-ar-variant')) {
+        (this as Partial<SceneGraphInterface>).variantName =
+            target.value || undefined;
+      }
+    };
+
+    // Taps on the overlay's controls are not meant for the scene, so keep
+    // them from becoming WebXR select events.
+    private[$onARBeforeSelect] = (event: Event) => {
+      event.preventDefault();
+    };
+
+    private[$onARScale] = ({scale}: ThreeEvent) => {
+      if (this[$renderer].arRenderer.presentedScene !== this[$scene]) {
+        return;
+      }
+
+      const text = `${Math.round(scale * 100)}%`;
+      for (const element of this[$arOverlayElements]('[data-ar-scale]')) {
+        element.textContent = text;
+      }
+      this.dispatchEvent(
+          new CustomEvent<ARScaleDetails>('ar-scale', {detail: {scale}}));
+    };
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      this[$renderer].arRenderer.addEventListener('status', this[$onARStatus]);
+      this.setAttribute('ar-status', ARStatus.NOT_PRESENTING);
+
+      this[$renderer].arRenderer.addEventListener(
+          'tracking', this[$onARTracking]);
+
+      for (const type of ['item-add', 'item-select', 'item-remove']) {
+        this[$renderer].arRenderer.addEventListener(type, this[$onARItem]);
+      }
+      this[$renderer].arRenderer.addEventListener(
+          'placement', this[$onARPlacement]);
+      this[$renderer].arRenderer.addEventListener(
+          'occlusion', this[$onAROcclusion]);
+      this[$renderer].arRenderer.addEventListener('scale', this[$onARScale]);
+
+      this[$arOverlay].addEventListener('click', this[$onAROverlayClick]);
+      this[$arOverlay].addEventListener('change', this[$onAROverlayChange]);
+      this[$arOverlay].addEventListener(
+          'beforexrselect', this[$onARBeforeSelect]);
+
+      this[$arAnchor].addEventListener('message', this[$onARTap]);
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+
+      this[$renderer].arRenderer.removeEventListener(
+          'status', this[$onARStatus]);
+      this[$renderer].arRenderer.removeEventListener(
+          'tracking', this[$onARTracking]);
+      for (const type of ['item-add', 'item-select', 'item-remove']) {
+        this[$renderer].arRenderer.removeEventListener(type, this[$onARItem]);
+      }
+      this[$renderer].arRenderer.removeEventListener(
+          'placement', this[$onARPlacement]);
+      this[$renderer].arRenderer.removeEventListener(
+          'occlusion', this[$onAROcclusion]);
+      this[$renderer].arRenderer.removeEventListener('scale', this[$onARScale]);
+
+      this[$arOverlay].removeEventListener('click', this[$onAROverlayClick]);
+      this[$arOverlay].removeEventListener('change', this[$onAROverlayChange]);
+      this[$arOverlay].removeEventListener(
+          'beforexrselect', this[$onARBeforeSelect]);
+
+      this[$arAnchor].removeEventListener('message', this[$onARTap]);
+    }
+
+    async update(changedProperties: Map<string, any>) {
+      super.update(changedProperties);
+
+      if (changedProperties.has('arScale')) {
+        this[$scene].canScale = this.arScale !== 'fixed';
+      }
+
+      if (changedProperties.has('arPlacement')) {
+        this[$scene].setShadowIntensity(this[$scene].shadowIntensity);
+        this[$needsRender]();
+      }
+
+      if (changedProperties.has('arDimensions') ||
+          changedProperties.has('dimensionUnits')) {
+        const units = this.dimensionUnits === DimensionUnits.IMPERIAL ?
+            DimensionUnits.IMPERIAL :
+            DimensionUnits.METRIC;
+        this[$scene].setDimensions(this.arDimensions, units);
+        this[$needsRender]();
+      }
+
+      if (!changedProperties.has('ar') && !changedProperties.has('arModes') &&
+          !changedProperties.has('iosSrc')) {
+        return;
+      }
+
+      if (changedProperties.has('arModes')) {
+        this[$arModes] = deserializeARModes(this.arModes);
+      }
+
+      this[$selectARMode]();
+    }
+
+    /**
+     * Activates AR. Note that for any mode that is not WebXR-based, this
+     * method most likely has to be called synchronous from a user
+     * interaction handler. Otherwise, attempts to activate modes that
+     * require user interaction will most likely be ignored.
+     */
+    async activateAR() {
+      switch (this[$arMode]) {
+        case ARMode.QUICK_LOOK:
+          this[$openIOSARQuickLook]();
+          break;
+        case ARMode.WEBXR:
+          await this[$enterARWithWebXR]();
+          break;
+        case ARMode.SCENE_VIEWER:
+          this[$openSceneViewer]();
+          break;
+        default:
+          console.warn(
+              'No AR Mode can be activated. This is probably due to missing \
+configuration or device capabilities');
+          break;
+      }
+    }
+
+    /**
+     * Adds another model to the WebXR session this element is presenting, so
+     * that several products can be placed in the same room. Resolves with an
+     * id that can be passed to removeARModel() and selectARModel().
+     */
+    async addARModel(src: string): Promise<string> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        throw new Error('Models can only be added while presenting in WebXR');
+      }
+      const url = new URL(src, self.location.toString()).toString();
+      const item = await arRenderer.addItem(url);
+      return item.uuid;
+    }
+
+    /**
+     * Removes a model added with addARModel(). Returns false if it is not
+     * in the session.
+     */
+    removeARModel(id: string): boolean {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        return false;
+      }
+      return arRenderer.removeItem(id);
+    }
+
+    /**
+     * Selects the model that AR gestures apply to. Pass null to select this
+     * element's own model.
+     */
+    selectARModel(id: string|null) {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        return;
+      }
+      const item = id != null ? arRenderer.items.get(id) : null;
+      if (item === undefined) {
+        throw new Error(`No AR model with id ${id}`);
+      }
+      arRenderer.selectItem(item);
+    }
+
+    /**
+     * The ids of the models added with addARModel() that are still in the
+     * session.
+     */
+    get arModels(): Array<string> {
+      const {arRenderer} = this[$renderer];
+      return arRenderer.presentedScene === this[$scene] ?
+          Array.from(arRenderer.items.keys()) :
+          [];
+    }
+
+    /**
+     * Resolves with an image of the next frame presented in WebXR, showing
+     * the model in the room where the browser gives access to the camera.
+     * Dispatches a frame-captured ar-status event carrying the same Blob.
+     */
+    async captureARFrame(options: ARCaptureOptions = {}): Promise<Blob> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        throw new Error(
+            'AR frames can only be captured while presenting in WebXR');
+      }
+      const blob = await arRenderer.captureFrame(
+          options.mimeType, options.qualityArgument);
+      this[$onARCapture](ARStatus.FRAME_CAPTURED, blob);
+      return blob;
+    }
+
+    /**
+     * Starts recording the WebXR session as a WebM video. The recording
+     * ends with stopARRecording(), after maxDuration milliseconds, or when
+     * the session ends; it then resolves with the video, which is also
+     * delivered with a recording-stopped ar-status event. Rejects if the
+     * recording can't start.
+     */
+    async startARRecording(options: ARRecordingOptions = {}): Promise<Blob> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        throw new Error('AR can only be recorded while presenting in WebXR');
+      }
+      const recording = arRenderer.startRecording(options);
+      this[$onARCapture](ARStatus.RECORDING_STARTED, null);
+      const blob = await recording;
+      this[$onARCapture](ARStatus.RECORDING_STOPPED, blob);
+      return blob;
+    }
+
+    /**
+     * Stops the recording started with startARRecording(), resolving with
+     * its video, or with null if nothing was being recorded.
+     */
+    async stopARRecording(): Promise<Blob|null> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        return null;
+      }
+      return arRenderer.stopRecording();
+    }
+
+    /**
+     * True while presenting in WebXR on a platform that keeps anchors
+     * across sessions, so that restoreARPlacement() can work.
+     */
+    get canRestoreARPlacement(): boolean {
+      const {arRenderer} = this[$renderer];
+      return arRenderer.presentedScene === this[$scene] &&
+          arRenderer.canPersistAnchors;
+    }
+
+    /**
+     * Moves the model back to a placement from an ar-placement event of an
+     * earlier session. Resolves to false if the placement can't be
+     * restored, for instance because its anchor is no longer known.
+     */
+    async restoreARPlacement(placement: ARPlacement): Promise<boolean> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        throw new Error(
+            'Placements can only be restored while presenting in WebXR');
+      }
+      return arRenderer.restorePlacement(placement);
+    }
+
+    /**
+     * Deletes the persistent anchor of a placement from an earlier session
+     * that a newer one has replaced. Resolves to false if it can't be deleted
+     * in this session.
+     */
+    async retireARPlacement(placement: ARPlacement): Promise<boolean> {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene !== this[$scene]) {
+        throw new Error(
+            'Placements can only be retired while presenting in WebXR');
+      }
+      return arRenderer.retirePlacement(placement);
+    }
+
+    /**
+     * Turns the model that AR gestures apply to by the given angle in
+     * radians, counter-clockwise seen from above. Models on a wall can't be
+     * turned.
+     */
+    rotateARModel(radians: number) {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene === this[$scene]) {
+        arRenderer.rotate(radians);
+      }
+    }
+
+    /**
+     * Puts the model that AR gestures apply to back at 100% scale.
+     */
+    resetARScale() {
+      const {arRenderer} = this[$renderer];
+      if (arRenderer.presentedScene === this[$scene]) {
+        arRenderer.resetScale();
+      }
+    }
+
+    /**
+     * Shows the ar-overlay slot while this element is presenting in WebXR,
+     * with its variant pickers listing the model's variants.
+     */
+    [$updateAROverlay](status: ARStatus) {
+      if (status === ARStatus.NOT_PRESENTING) {
+        this[$arOverlay].classList.remove('enabled');
+        return;
+      }
+      if (status !== ARStatus.SESSION_STARTED) {
+        return;
+      }
+
+      this[$arOverlay].classList.add('enabled');
+
+      // Variants come from the scene graph feature, where it is present.
+      const {availableVariants, variantName} =
+          this as Partial<SceneGraphInterface>;
+      const variants = availableVariants || [];
+      for (const select of this[$arOverlayElements](
+               'select[data-ar-variant]')) {
+        select.textContent = '';
+        // The first option goes back to the model's own materials.
+        for (const name of ['', ...variants]) {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name || 'Original';
+          option.selected = name === (variantName || '');
+          select.appendChild(option);
+        }
+        (select as HTMLElement).hidden = variants.length === 0;
+      }
+    }
+
+    /**
+     * The elements matching selector in the ar-overlay slot, whether slotted
+     * in by the page or its default content.
+     */
+    [$arOverlayElements](selector: string): Array<Element> {
+      const slot = this[$arOverlay].querySelector('slot') as HTMLSlotElement;
+      const elements: Array<Element> = [];
+      for (const root of slot.assignedElements({flatten: true})) {
+        if (root.matches(selector)) {
+          elements.push(root);
+        }
+        elements.push(...root.querySelectorAll(selector));
+      }
+      return elements;
+    }
+
+    /**
+     * The overlay's photo button dispatches a cancelable ar-photo event, and
+     * unless it is canceled captures the frame, which is delivered with a
+     * frame-captured ar-status event.
+     */
+    [$takeARPhoto]() {
+      const proceed =
+          this.dispatchEvent(new CustomEvent('ar-photo', {cancelable: true}));
+      if (!proceed) {
+        return;
+      }
+      this.captureARFrame().catch((error) => {
+        console.warn('Could not take a photo in AR');
+        console.warn(error);
+      });
+    }
+
+    async[$selectARMode]() {
+      this[$arMode] = ARMode.NONE;
+      if (this.ar) {
+        if (this.src != null) {
+          for (const value of this[$arModes]) {
+            if (value === 'webxr' && IS_WEBXR_AR_CANDIDATE && !isWebXRBlocked &&
+                await this[$renderer].arRenderer.supportsPresentation()) {
+              this[$arMode] = ARMode.WEBXR;
+              break;
+            }
+            if (value === 'scene-viewer' && IS_SCENEVIEWER_CANDIDATE &&
+                !isSceneViewerBlocked) {
+              this[$arMode] = ARMode.SCENE_VIEWER;
+              break;
+            }
+            if (value === 'quick-look' && IS_AR_QUICKLOOK_CANDIDATE) {
+              this[$arMode] = ARMode.QUICK_LOOK;
+              break;
+            }
+          }
+        }
+
+        // The presence of ios-src overrides the absence of quick-look
+        // ar-mode.
+        if (!this.canActivateAR && this.iosSrc != null &&
+            IS_AR_QUICKLOOK_CANDIDATE) {
+          this[$arMode] = ARMode.QUICK_LOOK;
+        }
+      }
+
+      if (this.canActivateAR) {
+        this[$arButtonContainer].classList.add('enabled');
+        this[$arButtonContainer].addEventListener(
+            'click', this[$onARButtonContainerClick]);
+      } else if (this[$arButtonContainer].classList.contains('enabled')) {
+        this[$arButtonContainer].removeEventListener(
+            'click', this[$onARButtonContainerClick]);
+        this[$arButtonContainer].classList.remove('enabled');
+
+        // If AR went from working to not, notify the element.
+        const status = ARStatus.FAILED;
+        this.setAttribute('ar-status', status);
+        this.dispatchEvent(
+            new CustomEvent<ARStatusDetails>('ar-status', {detail: {status}}));
+      }
+    }
+
+    protected async[$enterARWithWebXR]() {
+      console.log('Attempting to present in AR with WebXR...');
+
+      await this[$triggerLoad]();
+
+      try {
+        this[$arButtonContainer].removeEventListener(
+            'click', this[$onARButtonContainerClick]);
+        const {arRenderer} = this[$renderer];
+        arRenderer.placement =
+            Object.values(ARPlacementMode)
+                .includes(this.arPlacement as ARPlacementMode) ?
+            this.arPlacement as ARPlacementMode :
+            ARPlacementMode.FLOOR;
+        const snap = parseARSnap(this.arSnap);
+        arRenderer.snapRotation = snap.rotation;
+        arRenderer.snapToWalls = snap.wall;
+        arRenderer.cameraCapture = this.arCameraCapture;
+        await arRenderer.present(
+            this[$scene], this.xrEnvironment, this.arOcclusion);
+      } catch (error) {
+        console.warn('Error while trying to present in AR with WebXR');
+        console.error(error);
+        await this[$renderer].arRenderer.stopPresenting();
+        isWebXRBlocked = true;
+        console.warn('Falling back to next ar-mode');
+        await this[$selectARMode]();
+        this.activateAR();
+      } finally {
+        this[$selectARMode]();
+      }
+    }
+
+    /**
+     * Captures are reported through ar-status events, but leave the
+     * ar-status attribute describing the session.
+     */
+    [$onARCapture](status: ARStatus, blob: Blob|null) {
+      this.dispatchEvent(new CustomEvent<ARStatusDetails>(
+          'ar-status', {detail: {status, blob}}));
+    }
+
+    async[$triggerLoad]() {
+      if (!this.loaded) {
+        this[$preload] = true;
+        this[$updateSource]();
+        await waitForEvent(this, 'load');
+        this[$preload] = false;
+      }
+    }
+
+    [$shouldAttemptPreload](): boolean {
+      return super[$shouldAttemptPreload]() || this[$preload];
+    }
+
+    /**
+     * Takes a URL and a title string, and attempts to launch Scene Viewer on
+     * the current device.
+     */
+    [$openSceneViewer]() {
+      const location = self.location.toString();
+      const locationUrl = new URL(location);
+      const modelUrl = new URL(this.src!, location);
+      const params = new URLSearchParams(modelUrl.search);
+
+      locationUrl.hash = noArViewerSigil;
+
+      // modelUrl can contain title/link/sound etc.
+      params.set('mode', 'ar_preferred');
+      if (!params.has('disable_occlusion')) {
+        params.set('disable_occlusion', 'true');
+      }
+      if (this.arScale === 'fixed') {
+        params.set('resizable', 'false');
+      }
+      if (this[$viewerPlacement](ARMode.SCENE_VIEWER) ===
+          ARPlacementMode.WALL) {
+        params.set('enable_vertical_placement', 'true');
+      }
+      if (params.has('sound')) {
+        const soundUrl = new URL(params.get('sound')!, location);
+        params.set('sound', soundUrl.toString());
+      }
+      if (params.has('link')) {
+        const linkUrl = new URL(params.get('link')!, location);
+        params.set('link', linkUrl.toString());
+      }
+
+      const intent = `intent://arvr.google.com/scene-viewer/1.0?${
+          params.toString() + '&file=' +
+          encodeURIComponent(
+              modelUrl
+                  .toString())}#Intent;scheme=https;package=com.google.ar.core;action=android.intent.action.VIEW;S.browser_fallback_url=${
+          encodeURIComponent(locationUrl.toString())};end;`;
+
+      const undoHashChange = () => {
+        if (self.location.hash === noArViewerSigil) {
+          isSceneViewerBlocked = true;
+          // The new history will be the current URL with a new hash.
+          // Go back one step so that we reset to the expected URL.
+          // NOTE(cdata): this should not invoke any browser-level navigation
+          // because hash-only changes modify the URL in-place without
+          // navigating:
+          self.history.back();
+          console.warn('Error while trying to present in AR with Scene Viewer');
+          console.warn('Falling back to next ar-mode');
+          this[$selectARMode]();
+          // Would be nice to activateAR() here, but webXR fails due to not
+          // seeing a user activation.
+        }
+      };
+
+      self.addEventListener('hashchange', undoHashChange, {once: true});
+
+      this[$arAnchor].setAttribute('href', intent);
+      console.log('Attempting to present in AR with Scene Viewer...');
+      this[$arAnchor].click();
+    }
+
+    /**
+     * Takes a URL to a USDZ file and sets the appropriate fields so that
+     * Safari iOS can intent to their AR Quick Look.
+     */
+    async[$openIOSARQuickLook]() {
+      const generateUsdz = !this.iosSrc;
+
+      this[$arButtonContainer].classList.remove('enabled');
+
+      const objectURL = generateUsdz ? await this.prepareUSDZ() : this.iosSrc!;
+      const modelUrl = new URL(objectURL, self.location.toString());
+
+      // The USDZ's anchoring decides placement; this only reports when the
+      // placement asked for can't be honored.
+      this[$viewerPlacement](ARMode.QUICK_LOOK);
+
+      if (this.arScale === 'fixed') {
+        if (modelUrl.hash) {
+          modelUrl.hash += '&';
+        }
+        modelUrl.hash += 'allowsContentScaling=0';
+      }
+
+      const anchor = this[$arAnchor];
+      anchor.setAttribute('rel', 'ar');
+      const img = document.createElement('img');
+      anchor.appendChild(img);
+      anchor.setAttribute('href', modelUrl.toString());
+      if (generateUsdz) {
+        anchor.setAttribute('download', 'model.usdz');
+      }
+      console.log('Attempting to present in AR with Quick Look...');
+      anchor.click();
+      anchor.removeChild(img);
+      if (generateUsdz) {
+        URL.revokeObjectURL(objectURL);
+      }
+      this[$arButtonContainer].classList.add('enabled');
+    }
+
+    /**
+     * The placement the given native AR viewer will give the model.
+     * Dispatches ar-placement-unsupported, before the viewer opens, when
+     * that isn't the ar-placement asked for, so that the page can tell the
+     * user where the model will go instead.
+     */
+    [$viewerPlacement](arMode: ARMode): ARPlacementMode {
+      const placement = this.arPlacement as ARPlacementMode;
+      const fallback = viewerPlacement(
+          placement, arMode, this.iosSrc ? this.iosSrcPlacement : null);
+      if (placement !== fallback &&
+          Object.values(ARPlacementMode).includes(placement)) {
+        this.dispatchEvent(new CustomEvent<ARPlacementUnsupportedDetails>(
+            'ar-placement-unsupported',
+            {detail: {placement, arMode, fallback}}));
+      }
+      return fallback;
+    }
+
+    async prepareUSDZ(): Promise<string> {
+      const updateSourceProgress = this[$progressTracker].beginActivity();
+
+      await this[$triggerLoad]();
+
+      const scene = this[$scene];
+
+      const shadow = scene.shadow;
+      let visible = false;
+
+      // Remove shadow from export
+      if (shadow != null) {
+        visible = shadow.visible;
+        shadow.visible = false;
+      }
+
+      updateSourceProgress(0.2);
+
+      const exporter = new USDZExporter();
+      const arraybuffer = await exporter.parse(scene.modelContainer);
+      const blob = new Blob([arraybuffer], {
+        type: 'model/vnd.usdz+zip',
+      });
+
+      const url = URL.createObjectURL(blob);
+
+      updateSourceProgress(1);
+
+      if (shadow != null) {
+        shadow.visible = visible;
+      }
+
+      return url;
+    }
+  }
+
+  return ARModelViewerElement;
+};
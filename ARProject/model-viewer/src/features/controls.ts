@@ -15,6 +15,7 @@
 
 import {property} from 'lit-element';
 import {Event, PerspectiveCamera, Spherical, Vector3} from 'three';
+
 import {style} from '../decorators.js';
 import ModelViewerElementBase, {$ariaLabel, $container, $hasTransitioned, $loadedTime, $needsRender, $onModelLoad, $onResize, $renderer, $scene, $tick, $userInputElement, toVector3D, Vector3D} from '../model-viewer-base.js';
 import {degreesToRadians, normalizeUnit} from '../styles/conversions.js';
@@ -22,11 +23,12 @@ import {EvaluatedStyle, Intrinsics, SphericalIntrinsics, StyleEvaluator, Vector3
 import {IdentNode, NumberNode, numberNode, parseExpressions} from '../styles/parsers.js';
 import {DECAY_MILLISECONDS} from '../three-components/Damper.js';
 import {SAFE_RADIUS_RATIO} from '../three-components/ModelScene.js';
-import {ChangeEvent, ChangeSource, PointerChangeEvent, SmoothControls} from '../three-components/SmoothControls.js';
+import {ChangeEvent, ChangeSource, PanEvent, PointerChangeEvent, SmoothControls} from '../three-components/SmoothControls.js';
 import {Constructor} from '../utilities.js';
 import {timeline} from '../utilities/animation.js';
 
 
+
 // NOTE(cdata): The following "animation" timing functions are deliberately
 // being used in favor of CSS animations. In Safari 12.1 and 13, CSS animations
 // would cause the interaction prompt to glitch unexpectedly
@@ -190,6 +192,7 @@ const HALF_PI = Math.PI / 2.0;
 const THIRD_PI = Math.PI / 3.0;
 const QUARTER_PI = HALF_PI / 2.0;
 const TAU = 2.0 * Math.PI;
+const Y_AXIS = new Vector3(0, 1, 0);
 
 export const $controls = Symbol('controls');
 export const $promptElement = Symbol('promptElement');
@@ -226,6 +229,12 @@ const $syncMaxCameraOrbit = Symbol('syncMaxCameraOrbit');
 const $syncMinFieldOfView = Symbol('syncMinFieldOfView');
 const $syncMaxFieldOfView = Symbol('syncMaxFieldOfView');
 
+const $onPan = Symbol('onPan');
+const $onPanReset = Symbol('onPanReset');
+const $panOrigin = Symbol('panOrigin');
+const $pannedCameraTarget = Symbol('pannedCameraTarget');
+const $hasPanned = Symbol('hasPanned');
+
 export declare interface ControlsInterface {
   cameraControls: boolean;
   cameraOrbit: string;
@@ -241,6 +250,7 @@ export declare interface ControlsInterface {
   interactionPromptThreshold: number;
   orbitSensitivity: number;
   touchAction: TouchAction;
+  enablePan: boolean;
   bounds: Bounds;
   interpolationDecay: number;
   getCameraOrbit(): SphericalPosition;
@@ -248,6 +258,10 @@ export declare interface ControlsInterface {
   getFieldOfView(): number;
   getMinimumFieldOfView(): number;
   getMaximumFieldOfView(): number;
+  /**
+   * Returns the camera target to where it was before the user panned.
+   */
+  resetPan(): void;
   jumpCameraToGoal(): void;
   updateFraming(): Promise<void>;
   resetInteractionPrompt(): void;
@@ -340,6 +354,9 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
     @property({type: Boolean, attribute: 'disable-zoom'})
     disableZoom: boolean = false;
 
+    @property({type: Boolean, attribute: 'enable-pan'})
+    enablePan: boolean = false;
+
     @property({type: Number, attribute: 'interpolation-decay'})
     interpolationDecay: number = DECAY_MILLISECONDS;
 
@@ -365,6 +382,9 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
     protected[$jumpCamera] = false;
     protected[$initialized] = false;
     protected[$maintainThetaPhi] = false;
+    protected[$panOrigin]: string|null = null;
+    protected[$pannedCameraTarget]: string|null = null;
+    protected[$hasPanned] = false;
 
     getCameraOrbit(): SphericalPosition {
       const {theta, phi, radius} = this[$lastSpherical];
@@ -397,6 +417,19 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
       return this[$controls].options.maximumFieldOfView!;
     }
 
+    /**
+     * Returns the camera target to where it was before the user panned.
+     */
+    resetPan() {
+      const origin = this[$panOrigin];
+      if (origin == null) {
+        return;
+      }
+      this[$panOrigin] = null;
+      this[$hasPanned] = false;
+      this.cameraTarget = origin;
+    }
+
     jumpCameraToGoal() {
       this[$jumpCamera] = true;
       this.requestUpdate($jumpCamera, false);
@@ -422,6 +455,9 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
       this[$controls].addEventListener(
           'pointer-change-end',
           this[$onPointerChange] as (event: Event) => void);
+      this[$controls].addEventListener(
+          'pan', this[$onPan] as (event: Event) => void);
+      this[$controls].addEventListener('pan-reset', this[$onPanReset]);
     }
 
     disconnectedCallback() {
@@ -435,6 +471,9 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
       this[$controls].removeEventListener(
           'pointer-change-end',
           this[$onPointerChange] as (event: Event) => void);
+      this[$controls].removeEventListener(
+          'pan', this[$onPan] as (event: Event) => void);
+      this[$controls].removeEventListener('pan-reset', this[$onPanReset]);
     }
 
     updated(changedProperties: Map<string|number|symbol, unknown>) {
@@ -465,6 +504,22 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
         controls.disableZoom = this.disableZoom;
       }
 
+      if (changedProperties.has('enablePan')) {
+        controls.enablePan = this.enablePan;
+        if (!this.enablePan) {
+          this.resetPan();
+        }
+      }
+
+      if (changedProperties.has('src')) {
+        this.resetPan();
+      } else if (
+          changedProperties.has('cameraTarget') &&
+          this.cameraTarget !== this[$pannedCameraTarget]) {
+        // The target was set from outside, so that is where to reset to.
+        this[$panOrigin] = null;
+      }
+
       if (changedProperties.has('bounds')) {
         this[$scene].tightBounds = this.bounds === 'tight';
       }
@@ -790,8 +845,36 @@ export const ControlsMixin = <T extends Constructor<ModelViewerElementBase>>(
         this[$container].classList.add('pointer-tumbling');
       } else {
         this[$container].classList.remove('pointer-tumbling');
+
+        if (this[$hasPanned]) {
+          // Reflect the panned target in camera-target once the gesture ends.
+          this[$hasPanned] = false;
+          const target = this[$scene].getTarget();
+          this[$pannedCameraTarget] = toVector3D(target).toString();
+          this.cameraTarget = this[$pannedCameraTarget]!;
+        }
       }
     };
+
+    [$onPan] = ({delta}: PanEvent) => {
+      const scene = this[$scene];
+      if (this[$panOrigin] == null) {
+        this[$panOrigin] = this.cameraTarget;
+      }
+      // The delta is in world space, so undo the model's yaw and keep the
+      // target within the model's bounds.
+      const {min, max} = scene.boundingBox;
+      const target = scene.getTarget()
+                         .add(delta.clone().applyAxisAngle(Y_AXIS, -scene.yaw))
+                         .clamp(min, max);
+      scene.setTarget(target.x, target.y, target.z);
+      this[$hasPanned] = true;
+      this[$needsRender]();
+    };
+
+    [$onPanReset] = () => {
+      this.resetPan();
+    };
   }
 
   return ControlsModelViewerElement;
@@ -0,0 +1,165 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {property} from 'lit-element';
+import {ACESFilmicToneMapping, CineonToneMapping, LinearToneMapping, NoToneMapping, Object3D, ReinhardToneMapping, ToneMapping} from 'three';
+
+import ModelViewerElementBase, {$needsRender, $renderer, $scene} from '../model-viewer-base.js';
+import {DEFAULT_BLOOM_STRENGTH, DEFAULT_BLOOM_THRESHOLD, EffectPipeline} from '../three-components/EffectPipeline.js';
+import {Constructor} from '../utilities.js';
+
+import {Node} from './scene-graph/node.js';
+import {$correlatedObjects} from './scene-graph/three-dom-element.js';
+
+
+
+const DEFAULT_OUTLINE_COLOR = '#4285f4';
+
+export type ToneMappingName = 'aces'|'reinhard'|'cineon'|'linear'|'none';
+
+export const TONE_MAPPINGS: {[index: string]: ToneMapping} = {
+  aces: ACESFilmicToneMapping,
+  reinhard: ReinhardToneMapping,
+  cineon: CineonToneMapping,
+  linear: LinearToneMapping,
+  none: NoToneMapping
+};
+
+const $updateEffects = Symbol('updateEffects');
+const $updateOutline = Symbol('updateOutline');
+
+export declare interface EffectsInterface {
+  effects: string;
+  toneMapping: ToneMappingName;
+  bloomStrength: number;
+  bloomThreshold: number;
+  outlineColor: string;
+  outlineNodes: Array<Node>;
+}
+
+/**
+ * EffectsMixin adds opt-in post-processing: effects takes a space-separated
+ * list of 'ssao' (ambient occlusion), 'bloom' (a glow around bright and
+ * emissive parts), 'outline' (around outlineNodes, in outline-color), and
+ * 'fxaa' or 'smaa' anti-aliasing. Effects drop out, costliest first, when the
+ * renderer has to lower its resolution to keep up, and come back once it
+ * recovers.
+ *
+ * tone-mapping chooses the curve used to map the scene's lighting to the
+ * screen: 'aces' (the default), 'reinhard', 'cineon', 'linear' or 'none'. It
+ * applies with or without effects, as does exposure.
+ */
+export const EffectsMixin = <T extends Constructor<ModelViewerElementBase>>(
+    ModelViewerElement: T): Constructor<EffectsInterface>&T => {
+  class EffectsModelViewerElement extends ModelViewerElement {
+    @property({type: String, attribute: 'effects'}) effects: string = '';
+
+    @property({type: String, attribute: 'tone-mapping'})
+    toneMapping: ToneMappingName = 'aces';
+
+    @property({type: Number, attribute: 'bloom-strength'})
+    bloomStrength: number = DEFAULT_BLOOM_STRENGTH;
+
+    @property({type: Number, attribute: 'bloom-threshold'})
+    bloomThreshold: number = DEFAULT_BLOOM_THRESHOLD;
+
+    @property({type: String, attribute: 'outline-color'})
+    outlineColor: string = DEFAULT_OUTLINE_COLOR;
+
+    @property({attribute: false}) outlineNodes: Array<Node> = [];
+
+    connectedCallback() {
+      super.connectedCallback();
+      this[$updateEffects]();
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+      const scene = this[$scene];
+      if (scene.effects != null) {
+        scene.effects.dispose();
+        scene.effects = null;
+      }
+    }
+
+    updated(changedProperties: Map<string|number|symbol, unknown>) {
+      super.updated(changedProperties);
+
+      if (changedProperties.has('toneMapping')) {
+        const toneMapping = TONE_MAPPINGS[this.toneMapping];
+        this[$scene].toneMapping =
+            toneMapping != null ? toneMapping : ACESFilmicToneMapping;
+        this[$needsRender]();
+      }
+
+      if (changedProperties.has('effects') ||
+          changedProperties.has('bloomStrength') ||
+          changedProperties.has('bloomThreshold') ||
+          changedProperties.has('outlineColor')) {
+        this[$updateEffects]();
+      } else if (changedProperties.has('outlineNodes')) {
+        this[$updateOutline]();
+      }
+    }
+
+    /**
+     * Creates, updates or disposes of the scene's effect pipeline to match
+     * the effect attributes.
+     */
+    [$updateEffects]() {
+      const scene = this[$scene];
+      const effects =
+          (this.effects || '').split(/\s+/).filter(effect => effect);
+      const {threeRenderer, canRender} = this[$renderer];
+
+      if (effects.length === 0 || !canRender) {
+        if (scene.effects != null) {
+          scene.effects.dispose();
+          scene.effects = null;
+          this[$needsRender]();
+        }
+        return;
+      }
+
+      if (scene.effects == null) {
+        scene.effects = new EffectPipeline(threeRenderer, scene);
+      }
+      const pipeline = scene.effects;
+      pipeline.setBloom(this.bloomStrength, this.bloomThreshold);
+      pipeline.setOutlineColor(this.outlineColor || DEFAULT_OUTLINE_COLOR);
+      pipeline.setEffects(effects);
+      this[$updateOutline]();
+    }
+
+    [$updateOutline]() {
+      const pipeline = this[$scene].effects;
+      if (pipeline == null) {
+        return;
+      }
+
+      const objects: Array<Object3D> = [];
+      for (const node of this.outlineNodes || []) {
+        const correlatedObjects = node[$correlatedObjects];
+        if (correlatedObjects != null) {
+          objects.push(...correlatedObjects as Set<Object3D>);
+        }
+      }
+      pipeline.setOutlinedObjects(objects);
+      this[$needsRender]();
+    }
+  }
+
+  return EffectsModelViewerElement;
+};
@@ -16,8 +16,9 @@
 import {property} from 'lit-element';
 import {Event as ThreeEvent, Texture} from 'three';
 
-import ModelViewerElementBase, {$needsRender, $onModelLoad, $progressTracker, $renderer, $scene, $shouldAttemptPreload} from '../model-viewer-base.js';
+import ModelViewerElementBase, {$needsRender, $onModelLoad, $progressTracker, $renderer, $scene, $shouldAttemptPreload, $tick} from '../model-viewer-base.js';
 import {PreloadEvent} from '../three-components/CachingGLTFLoader.js';
+import {EnvironmentTransition} from '../three-components/EnvironmentTransition.js';
 import {EnvironmentMapAndSkybox} from '../three-components/TextureUtils.js';
 import {Constructor, deserializeUrl} from '../utilities.js';
 
@@ -25,12 +26,23 @@ export const BASE_OPACITY = 0.1;
 const DEFAULT_SHADOW_INTENSITY = 0.0;
 const DEFAULT_SHADOW_SOFTNESS = 1.0;
 const DEFAULT_EXPOSURE = 1.0;
+const DEFAULT_ENVIRONMENT_TRANSITION = 0;
 
 const $currentEnvironmentMap = Symbol('currentEnvironmentMap');
 const $applyEnvironmentMap = Symbol('applyEnvironmentMap');
 export const $updateEnvironment = Symbol('updateEnvironment');
 const $cancelEnvironmentUpdate = Symbol('cancelEnvironmentUpdate');
 const $onPreload = Symbol('onPreload');
+const $environmentBlend = Symbol('environmentBlend');
+const $transition = Symbol('transition');
+const $startTransition = Symbol('startTransition');
+const $stopTransition = Symbol('stopTransition');
+
+interface Transition {
+  from: Texture;
+  to: Texture;
+  time: number;
+}
 
 export declare interface EnvironmentInterface {
   environmentImage: string|null;
@@ -38,6 +50,9 @@ export declare interface EnvironmentInterface {
   shadowIntensity: number;
   shadowSoftness: number;
   exposure: number;
+  environmentTransition: number;
+  preloadEnvironment(environmentImage: string|null, skyboxImage?: string|null):
+      Promise<void>;
 }
 
 export const EnvironmentMixin = <T extends Constructor<ModelViewerElementBase>>(
@@ -60,10 +75,17 @@ export const EnvironmentMixin = <T extends Constructor<ModelViewerElementBase>>(
     })
     exposure: number = DEFAULT_EXPOSURE;
 
+    @property({type: Number, attribute: 'environment-transition'})
+    environmentTransition: number = DEFAULT_ENVIRONMENT_TRANSITION;
+
     private[$currentEnvironmentMap]: Texture|null = null;
 
     private[$cancelEnvironmentUpdate]: ((...args: any[]) => any)|null = null;
 
+    private[$environmentBlend]: EnvironmentTransition|null = null;
+
+    private[$transition]: Transition|null = null;
+
     private[$onPreload] = (event: ThreeEvent) => {
       if ((event as PreloadEvent).element === this) {
         this[$updateEnvironment]();
@@ -78,6 +100,28 @@ export const EnvironmentMixin = <T extends Constructor<ModelViewerElementBase>>(
     disconnectedCallback() {
       super.disconnectedCallback();
       this[$renderer].loader.removeEventListener('preload', this[$onPreload]);
+      this[$stopTransition]();
+      if (this[$environmentBlend] != null) {
+        this[$environmentBlend]!.dispose();
+        this[$environmentBlend] = null;
+      }
+    }
+
+    /**
+     * Loads the given environment-image and skybox-image and generates
+     * their environment map ahead of time. Environment maps are cached, so
+     * switching to a preloaded environment later is instant.
+     */
+    async preloadEnvironment(
+        environmentImage: string|null, skyboxImage: string|null = null) {
+      const {textureUtils} = this[$renderer];
+      if (textureUtils == null) {
+        return;
+      }
+      // No progress tracker, so that preloading in the background doesn't
+      // show the progress bar.
+      await textureUtils.generateEnvironmentMapAndSkybox(
+          deserializeUrl(skyboxImage), environmentImage);
     }
 
     updated(changedProperties: Map<string|number|symbol, unknown>) {
@@ -141,18 +185,23 @@ export const EnvironmentMixin = <T extends Constructor<ModelViewerElementBase>>(
                 });
 
         const environment = environmentMap.texture;
-        if (skybox != null) {
-          // When using the same environment and skybox, use the environment as
-          // it gives HDR filtering.
-          this[$scene].background = (skybox as any).userData.url ===
-                  (environment as any).userData.url ?
-              environment :
-              skybox;
+        // When using the same environment and skybox, use the environment as
+        // it gives HDR filtering.
+        const background = skybox == null ? null :
+            (skybox as any).userData.url === (environment as any).userData.url ?
+                                            environment :
+                                            skybox;
+
+        const previous = this[$currentEnvironmentMap];
+        if (this.environmentTransition > 0 && previous != null &&
+            previous !== environment && !this[$renderer].isPresenting) {
+          this[$startTransition](previous, environment, background);
         } else {
-          this[$scene].background = null;
+          this[$stopTransition]();
+          this[$scene].background = background;
         }
 
-        this[$applyEnvironmentMap](environmentMap.texture);
+        this[$applyEnvironmentMap](environment);
         this[$scene].dispatchEvent({type: 'envmap-update'});
       } catch (errorOrPromise) {
         if (errorOrPromise instanceof Error) {
@@ -168,11 +217,75 @@ export const EnvironmentMixin = <T extends Constructor<ModelViewerElementBase>>(
      */
     private[$applyEnvironmentMap](environmentMap: Texture|null) {
       this[$currentEnvironmentMap] = environmentMap;
-      this[$scene].environment = this[$currentEnvironmentMap];
+      this[$scene].environment = this[$transition] != null ?
+          this[$environmentBlend]!.texture :
+          environmentMap;
       this.dispatchEvent(new CustomEvent('environment-change'));
 
       this[$needsRender]();
     }
+
+    [$tick](time: number, delta: number) {
+      super[$tick](time, delta);
+
+      const transition = this[$transition];
+      if (transition == null) {
+        return;
+      }
+
+      transition.time += delta;
+      const progress = this.environmentTransition > 0 ?
+          transition.time / this.environmentTransition :
+          1;
+      if (progress >= 1) {
+        this[$stopTransition]();
+      } else {
+        this[$environmentBlend]!.render(
+            transition.from, transition.to, progress);
+      }
+      this[$needsRender]();
+    }
+
+    /**
+     * Crossfades the lighting from one environment map to another over
+     * environmentTransition milliseconds. The background fades along with
+     * it when it shows the environment both before and after; any other
+     * background is swapped straight away.
+     */
+    private[$startTransition](
+        from: Texture, to: Texture, background: Texture|null) {
+      this[$stopTransition]();
+
+      const scene = this[$scene];
+      if (this[$environmentBlend] == null) {
+        this[$environmentBlend] =
+            new EnvironmentTransition(this[$renderer].threeRenderer);
+      }
+      const blend = this[$environmentBlend]!;
+      blend.render(from, to, 0);
+      this[$transition] = {from, to, time: 0};
+
+      scene.background = scene.background === from && background === to ?
+          blend.texture :
+          background;
+    }
+
+    private[$stopTransition]() {
+      const transition = this[$transition];
+      if (transition == null) {
+        return;
+      }
+      this[$transition] = null;
+
+      const scene = this[$scene];
+      const blendTexture = this[$environmentBlend]!.texture;
+      if (scene.environment === blendTexture) {
+        scene.environment = this[$currentEnvironmentMap];
+      }
+      if (scene.background === blendTexture) {
+        scene.background = transition.to;
+      }
+    }
   }
 
   return EnvironmentModelViewerElement;
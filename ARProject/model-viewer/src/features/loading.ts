@@ -19,6 +19,7 @@ import ModelViewerElementBase, {$announceModelVisibility, $ariaLabel, $getModelI
 import {$loader, CachingGLTFLoader} from '../three-components/CachingGLTFLoader.js';
 import {Renderer} from '../three-components/Renderer.js';
 import {Constructor, throttle} from '../utilities.js';
+import {PersistentCache} from '../utilities/persistent-cache.js';
 
 import {LoadingStatusAnnouncer} from './loading/status-announcer.js';
 
@@ -90,12 +91,14 @@ export declare interface LoadingInterface {
 export declare interface LoadingStaticInterface {
   dracoDecoderLocation: string;
   ktx2TranscoderLocation: string;
+  persistentCacheVersion: string|null;
   mapURLs(callback: (url: string) => string): void;
 }
 
 export interface ModelViewerGlobalConfig {
   dracoDecoderLocation?: string;
   ktx2TranscoderLocation?: string;
+  persistentCacheVersion?: string;
   powerPreference?: string;
 }
 
@@ -147,6 +150,11 @@ export interface ModelViewerGlobalConfig {
  * have code side-loaded from a Google CDN. If it is not acceptable, then the
  * location must be customized before loading any DRACO models in order to cause
  * the decoder to be loaded from an alternative, acceptable location.
+ *
+ * Models can also be kept in a persistent cache, so that they are downloaded
+ * only once and remain available offline, by setting
+ * `ModelViewerElement.persistentCacheVersion` the same way. Caches of other
+ * versions are deleted, so change the version whenever the models change.
  */
 export const LoadingMixin = <T extends Constructor<ModelViewerElementBase>>(
     ModelViewerElement:
@@ -168,6 +176,27 @@ export const LoadingMixin = <T extends Constructor<ModelViewerElementBase>>(
       return CachingGLTFLoader.getKTX2TranscoderLocation();
     }
 
+    static set persistentCacheVersion(value: string|null) {
+      const current = CachingGLTFLoader.getPersistentCache();
+      if (value === (current != null ? current.version : null)) {
+        return;
+      }
+      if (value == null || !PersistentCache.isSupported) {
+        CachingGLTFLoader.setPersistentCache(null);
+        return;
+      }
+      const persistentCache = new PersistentCache(value);
+      CachingGLTFLoader.setPersistentCache(persistentCache);
+      persistentCache.purgeStaleVersions().catch((error) => {
+        console.warn('Could not delete stale model caches:', error);
+      });
+    }
+
+    static get persistentCacheVersion(): string|null {
+      const persistentCache = CachingGLTFLoader.getPersistentCache();
+      return persistentCache != null ? persistentCache.version : null;
+    }
+
     /**
      * If provided, the callback will be passed each resource URL before a
      * request is sent. The callback may return the original URL, or a new URL
@@ -319,6 +348,12 @@ export const LoadingMixin = <T extends Constructor<ModelViewerElementBase>>(
           ModelViewerElement.ktx2TranscoderLocation ||
           DEFAULT_KTX2_TRANSCODER_LOCATION;
       CachingGLTFLoader.setKTX2TranscoderLocation(ktx2TranscoderLocation);
+
+      if (ModelViewerElement.persistentCacheVersion != null &&
+          CachingGLTFLoader.getPersistentCache() == null) {
+        LoadingModelViewerElement.persistentCacheVersion =
+            ModelViewerElement.persistentCacheVersion;
+      }
     }
 
     connectedCallback() {
@@ -0,0 +1,435 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {property} from 'lit-element';
+import {BackSide, Color, Intersection, Material as ThreeMaterial, Matrix3, Matrix4, Mesh, MeshStandardMaterial, Object3D, ShaderMaterial, SkinnedMesh, Vector2} from 'three';
+
+import ModelViewerElementBase, {$needsRender, $onModelLoad, $scene, $tick, $userInputElement, toVector3D, Vector3D} from '../model-viewer-base.js';
+import {Constructor} from '../utilities.js';
+
+import {SceneGraphInterface} from './scene-graph.js';
+import {Material} from './scene-graph/material.js';
+import {Model} from './scene-graph/model.js';
+import {Node} from './scene-graph/node.js';
+import {$correlatedObjects} from './scene-graph/three-dom-element.js';
+
+
+
+// Pointers that move further than this (in pixels) between press and release
+// are dragging the camera, not clicking.
+const CLICK_DISTANCE_THRESHOLD = 5;
+// How much of the highlight color is added to an emissive highlight.
+const EMISSIVE_TINT_STRENGTH = 0.5;
+// Outline width as a fraction of the distance to the camera, which keeps it
+// about the same width on screen.
+const OUTLINE_THICKNESS = 0.004;
+
+export type PickHighlight = 'none'|'emissive'|'outline';
+
+export const PickHighlight: {[index: string]: PickHighlight} = {
+  NONE: 'none',
+  EMISSIVE: 'emissive',
+  OUTLINE: 'outline'
+};
+
+export interface PickDetails {
+  node: Node|null;
+  nodeName: string;
+  material: Material|null;
+  materialName: string;
+  materialIndex: number;
+  uv: {u: number, v: number}|null;
+  position: Vector3D;
+  normal: Vector3D;
+}
+
+type MeshMaterial = ThreeMaterial|Array<ThreeMaterial>;
+
+const outlineVertexShader = `
+uniform float thickness;
+void main() {
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vec3 viewNormal = normalize(normalMatrix * normal);
+  mvPosition.xyz += viewNormal * thickness * -mvPosition.z;
+  gl_Position = projectionMatrix * mvPosition;
+}`;
+
+const outlineFragmentShader = `
+uniform vec3 color;
+void main() {
+  gl_FragColor = vec4(color, 1.0);
+}`;
+
+const pixelPosition = new Vector2();
+const worldToModel = new Matrix4();
+const worldToModelNormal = new Matrix3();
+const normalToWorld = new Matrix3();
+
+/**
+ * Tints or outlines the meshes of one node. Emissive tints swap in tinted
+ * copies of the materials, since materials may be shared with other parts;
+ * outlines are drawn with back-facing copies of the meshes, pushed out along
+ * their normals. Skinned and morphed meshes can't be outlined this way, so
+ * they are tinted instead.
+ */
+class Highlight {
+  private swaps: Map<Mesh, {original: MeshMaterial, tinted: MeshMaterial}> =
+      new Map();
+  private outlines: Array<Mesh> = [];
+  private outlineMaterial: ShaderMaterial|null = null;
+
+  constructor(public node: Node, mode: PickHighlight, color: Color) {
+    // Collect the meshes first, since outlines are added as their children.
+    const meshes: Array<Mesh> = [];
+    for (const object of node[$correlatedObjects] as Set<Object3D>) {
+      object.traverse((child: Object3D) => {
+        if ((child as Mesh).isMesh) {
+          meshes.push(child as Mesh);
+        }
+      });
+    }
+
+    for (const mesh of meshes) {
+      const canOutline = !(mesh as SkinnedMesh).isSkinnedMesh &&
+          mesh.morphTargetInfluences == null;
+      if (mode === PickHighlight.OUTLINE && canOutline) {
+        this.addOutline(mesh, color);
+      } else {
+        this.tint(mesh, color);
+      }
+    }
+  }
+
+  private addOutline(mesh: Mesh, color: Color) {
+    if (this.outlineMaterial == null) {
+      this.outlineMaterial = new ShaderMaterial({
+        uniforms:
+            {color: {value: color}, thickness: {value: OUTLINE_THICKNESS}},
+        vertexShader: outlineVertexShader,
+        fragmentShader: outlineFragmentShader,
+        side: BackSide
+      });
+    }
+    const outline = new Mesh(mesh.geometry, this.outlineMaterial);
+    outline.name = 'PickHighlightOutline';
+    outline.raycast = () => {};
+    mesh.add(outline);
+    this.outlines.push(outline);
+  }
+
+  private tint(mesh: Mesh, color: Color) {
+    const tintMaterial = (material: ThreeMaterial): ThreeMaterial => {
+      const tinted = material.clone() as MeshStandardMaterial;
+      if (tinted.emissive != null) {
+        tinted.emissive.lerp(color, EMISSIVE_TINT_STRENGTH);
+      } else if (tinted.color != null) {
+        tinted.color.lerp(color, EMISSIVE_TINT_STRENGTH);
+      }
+      return tinted;
+    };
+    const original = mesh.material;
+    const tinted = Array.isArray(original) ? original.map(tintMaterial) :
+                                             tintMaterial(original);
+    this.swaps.set(mesh, {original, tinted});
+    mesh.material = tinted;
+  }
+
+  /**
+   * The material the mesh had before it was tinted.
+   */
+  originalMaterial(mesh: Mesh): MeshMaterial {
+    const swap = this.swaps.get(mesh);
+    return swap != null && mesh.material === swap.tinted ? swap.original :
+                                                           mesh.material;
+  }
+
+  dispose() {
+    for (const outline of this.outlines) {
+      outline.parent?.remove(outline);
+    }
+    if (this.outlineMaterial != null) {
+      this.outlineMaterial.dispose();
+    }
+    for (const [mesh, {original, tinted}] of this.swaps) {
+      // Leave any material swapped in meanwhile (e.g. by a variant).
+      if (mesh.material === tinted) {
+        mesh.material = original;
+      }
+      for (const material of Array.isArray(tinted) ? tinted : [tinted]) {
+        material.dispose();
+      }
+    }
+    this.swaps.clear();
+  }
+}
+
+const $nodeMap = Symbol('nodeMap');
+const $nodeMapModel = Symbol('nodeMapModel');
+const $pointerDownPosition = Symbol('pointerDownPosition');
+const $hoverPosition = Symbol('hoverPosition');
+const $highlight = Symbol('highlight');
+const $highlightColor = Symbol('highlightColor');
+const $onPointerDown = Symbol('onPointerDown');
+const $onClick = Symbol('onClick');
+const $onPointerMove = Symbol('onPointerMove');
+const $onPointerLeave = Symbol('onPointerLeave');
+const $pixelPositionFromEvent = Symbol('pixelPositionFromEvent');
+const $findNode = Symbol('findNode');
+const $findMaterial = Symbol('findMaterial');
+const $setHighlight = Symbol('setHighlight');
+
+export declare interface PickingInterface {
+  pickHighlight: PickHighlight;
+  pickHighlightColor: string;
+  pickFromPoint(pixelX: number, pixelY: number): PickDetails|null;
+}
+
+/**
+ * PickingMixin dispatches a 'model-click' event when the model is clicked or
+ * tapped (but not dragged), with the scene-graph node and material that were
+ * hit, the texture coordinates, and the model-space position and normal in the
+ * same form as positionAndNormalFromPoint(). pickFromPoint() returns the same
+ * details for any point.
+ *
+ * With pick-highlight set to 'emissive' or 'outline', the part under the mouse
+ * is highlighted in pick-highlight-color. A part is a scene-graph node: the
+ * one whose mesh was hit, or the nearest ancestor node of that mesh.
+ */
+export const PickingMixin =
+    <T extends Constructor<ModelViewerElementBase&SceneGraphInterface>>(
+        ModelViewerElement: T): Constructor<PickingInterface>&T => {
+      class PickingModelViewerElement extends ModelViewerElement {
+        @property({type: String, attribute: 'pick-highlight'})
+        pickHighlight: PickHighlight = PickHighlight.NONE;
+
+        @property({type: String, attribute: 'pick-highlight-color'})
+        pickHighlightColor: string = '#4285f4';
+
+        protected[$nodeMap]: Map<Object3D, Node> = new Map();
+        protected[$nodeMapModel]: Model|null = null;
+        protected[$pointerDownPosition]: {x: number, y: number}|null = null;
+        protected[$hoverPosition]: {x: number, y: number}|null = null;
+        protected[$highlight]: Highlight|null = null;
+        protected[$highlightColor] = new Color();
+
+        connectedCallback() {
+          super.connectedCallback();
+
+          const input = this[$userInputElement];
+          input.addEventListener('pointerdown', this[$onPointerDown]);
+          input.addEventListener('click', this[$onClick]);
+          input.addEventListener('pointermove', this[$onPointerMove]);
+          input.addEventListener('pointerleave', this[$onPointerLeave]);
+        }
+
+        disconnectedCallback() {
+          super.disconnectedCallback();
+
+          const input = this[$userInputElement];
+          input.removeEventListener('pointerdown', this[$onPointerDown]);
+          input.removeEventListener('click', this[$onClick]);
+          input.removeEventListener('pointermove', this[$onPointerMove]);
+          input.removeEventListener('pointerleave', this[$onPointerLeave]);
+        }
+
+        updated(changedProperties: Map<string|number|symbol, unknown>) {
+          super.updated(changedProperties);
+
+          if (changedProperties.has('pickHighlightColor')) {
+            this[$highlightColor].set(this.pickHighlightColor);
+          }
+
+          if (changedProperties.has('pickHighlight') ||
+              changedProperties.has('pickHighlightColor')) {
+            this[$setHighlight](null);
+          }
+        }
+
+        /**
+         * Returns what lies under the given pixel coordinates, relative to the
+         * model-viewer element, or null if the model is not hit there.
+         */
+        pickFromPoint(pixelX: number, pixelY: number): PickDetails|null {
+          const scene = this[$scene];
+          const {width, height, target} = scene;
+          pixelPosition.set(pixelX / width, pixelY / height)
+              .multiplyScalar(2)
+              .subScalar(1);
+          pixelPosition.y *= -1;
+
+          const hit = scene.hitFromPoint(pixelPosition, scene.modelContainer);
+          if (hit == null) {
+            return null;
+          }
+
+          const {material, materialIndex} = this[$findMaterial](hit);
+          const node = this[$findNode](hit.object);
+
+          worldToModel.copy(target.matrixWorld).invert();
+          worldToModelNormal.getNormalMatrix(worldToModel);
+          normalToWorld.getNormalMatrix(hit.object.matrixWorld);
+          const position = hit.point.clone().applyMatrix4(worldToModel);
+          const normal = hit.face!.normal.clone()
+                             .applyNormalMatrix(normalToWorld)
+                             .applyNormalMatrix(worldToModelNormal);
+
+          return {
+            node,
+            nodeName: node != null ? node.name : '',
+            material,
+            materialName: material != null ? material.name : '',
+            materialIndex,
+            uv: hit.uv != null ? {u: hit.uv.x, v: hit.uv.y} : null,
+            position: toVector3D(position),
+            normal: toVector3D(normal)
+          };
+        }
+
+        [$onModelLoad]() {
+          super[$onModelLoad]();
+
+          this[$setHighlight](null);
+        }
+
+        [$tick](time: number, delta: number) {
+          super[$tick](time, delta);
+
+          const hover = this[$hoverPosition];
+          if (hover == null) {
+            return;
+          }
+          this[$hoverPosition] = null;
+          const details = this.pickFromPoint(hover.x, hover.y);
+          this[$setHighlight](details != null ? details.node : null);
+        }
+
+        [$onPointerDown] = (event: PointerEvent) => {
+          this[$pointerDownPosition] = {x: event.clientX, y: event.clientY};
+        };
+
+        [$onClick] = (event: MouseEvent) => {
+          const down = this[$pointerDownPosition];
+          this[$pointerDownPosition] = null;
+          // Hotspots and other slotted content handle their own clicks.
+          if (down == null || this.contains(event.target as globalThis.Node) ||
+              Math.hypot(event.clientX - down.x, event.clientY - down.y) >
+                  CLICK_DISTANCE_THRESHOLD) {
+            return;
+          }
+
+          const {x, y} = this[$pixelPositionFromEvent](event);
+          const details = this.pickFromPoint(x, y);
+          if (details != null) {
+            this.dispatchEvent(
+                new CustomEvent<PickDetails>('model-click', {detail: details}));
+          }
+        };
+
+        [$onPointerMove] = (event: PointerEvent) => {
+          if (this.pickHighlight === PickHighlight.NONE ||
+              event.buttons !== 0 ||
+              this.contains(event.target as globalThis.Node)) {
+            return;
+          }
+          // Picking waits for the next frame, so that fast mouse movement
+          // costs one raycast per frame at most.
+          this[$hoverPosition] = this[$pixelPositionFromEvent](event);
+        };
+
+        [$onPointerLeave] = () => {
+          this[$hoverPosition] = null;
+          this[$setHighlight](null);
+        };
+
+        [$pixelPositionFromEvent](event: MouseEvent): {x: number, y: number} {
+          const rect = this.getBoundingClientRect();
+          return {x: event.clientX - rect.left, y: event.clientY - rect.top};
+        }
+
+        /**
+         * Walks up from the hit object to the nearest object that belongs to a
+         * scene-graph node.
+         */
+        [$findNode](object: Object3D): Node|null {
+          const {model} = this;
+          if (model == null) {
+            return null;
+          }
+
+          if (this[$nodeMapModel] !== model) {
+            this[$nodeMap].clear();
+            for (const node of model.nodes) {
+              for (const threeObject of node[$correlatedObjects] as
+                   Set<Object3D>) {
+                this[$nodeMap].set(threeObject, node);
+              }
+            }
+            this[$nodeMapModel] = model;
+          }
+
+          for (let ancestor: Object3D|null = object; ancestor != null;
+               ancestor = ancestor.parent) {
+            const node = this[$nodeMap].get(ancestor);
+            if (node != null) {
+              return node;
+            }
+          }
+          return null;
+        }
+
+        [$findMaterial](hit: Intersection):
+            {material: Material|null, materialIndex: number} {
+          const {model} = this;
+          const mesh = hit.object as Mesh;
+          const highlight = this[$highlight];
+          const material = highlight != null ?
+              highlight.originalMaterial(mesh) :
+              mesh.material;
+          const threeMaterial = Array.isArray(material) ?
+              material[hit.face!.materialIndex] :
+              material;
+
+          const materials = model != null ? model.materials : [];
+          // Materials swapped in for isolation aren't part of the scene graph,
+          // so they are reported as no material.
+          const materialIndex = materials.findIndex(
+              material => material[$correlatedObjects] != null &&
+                  (material[$correlatedObjects] as Set<ThreeMaterial>)
+                      .has(threeMaterial));
+          return {
+            material: materialIndex >= 0 ? materials[materialIndex] : null,
+            materialIndex
+          };
+        }
+
+        [$setHighlight](node: Node|null) {
+          const highlight = this[$highlight];
+          if (highlight != null && highlight.node === node) {
+            return;
+          }
+          if (highlight != null) {
+            highlight.dispose();
+            this[$highlight] = null;
+          }
+          if (node != null && this.pickHighlight !== PickHighlight.NONE) {
+            this[$highlight] =
+                new Highlight(node, this.pickHighlight, this[$highlightColor]);
+          }
+          this[$needsRender]();
+        }
+      }
+
+      return PickingModelViewerElement;
+    };
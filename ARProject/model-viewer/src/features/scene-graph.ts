@@ -109,6 +109,7 @@ export const SceneGraphMixin = <T extends Constructor<ModelViewerElementBase>>(
 
     private[$getOnUpdateMethod]() {
       return () => {
+        this[$scene].updateContactShadow();
         this[$needsRender]();
       };
     }
@@ -162,6 +163,9 @@ export const SceneGraphMixin = <T extends Constructor<ModelViewerElementBase>>(
               gltfElementMap.get(material) as Set<MeshStandardMaterial>);
         }
         this[$needsRender]();
+        // model.materials is only up to date once the variant has loaded.
+        this.dispatchEvent(
+            new CustomEvent('variant-applied', {detail: {variantName}}));
       }
 
       if (changedProperties.has('orientation') ||
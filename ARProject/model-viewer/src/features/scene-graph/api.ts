@@ -40,6 +40,70 @@ export declare interface Model {
    * addition of a default material at the end.
    */
   readonly materials: Readonly<Material[]>;
+
+  /**
+   * Every node in the model's active scene, parents before their children.
+   */
+  readonly nodes: Readonly<Node[]>;
+
+  /**
+   * The top-level nodes of the model's active scene.
+   */
+  readonly rootNodes: Readonly<Node[]>;
+
+  /**
+   * Returns the first node with the given name, or null if there is none.
+   */
+  getNodeByName(name: string): Node|null;
+
+  /**
+   * Draws everything but the given nodes see-through, or the whole model
+   * normally again when passed null.
+   */
+  isolate(nodes: Node|Node[]|null, ghostOpacity?: number): void;
+
+  /**
+   * Spreads the model's parts away from its center by the given factor of
+   * their offsets from it; 0 puts them back together.
+   */
+  explode(factor: number, parts?: Node[]): void;
+}
+
+/**
+ * A Node is a part of the model's hierarchy, with its own transform relative
+ * to its parent.
+ *
+ * @see https://github.com/KhronosGroup/glTF/tree/master/specification/2.0#reference-node
+ */
+export declare interface Node {
+  /**
+   * The name of the node, if any.
+   */
+  readonly name: string;
+
+  readonly parent: Node|null;
+  readonly children: Readonly<Node[]>;
+
+  /**
+   * True if the node has a mesh of its own (its children may have meshes
+   * either way).
+   */
+  readonly hasMesh: boolean;
+
+  /**
+   * Whether the node and its descendants are drawn.
+   */
+  readonly visible: boolean;
+
+  setVisible(visible: boolean): void;
+
+  readonly translation: Readonly<Vector3>;
+  readonly rotation: Readonly<Quaternion>;
+  readonly scale: Readonly<Vector3>;
+
+  setTranslation(translation: Vector3): void;
+  setRotation(rotation: Quaternion): void;
+  setScale(scale: Vector3): void;
 }
 
 /**
@@ -213,6 +277,17 @@ export declare interface Sampler {
    * Configure the T (V) wrap mode of the Sampler.
    */
   setWrapT(mode: WrapMode): void;
+
+  /**
+   * How many times the texture repeats across the UV space.
+   */
+  readonly scale: Vector2D;
+
+  /**
+   * Configure how many times the texture repeats across the UV space, e.g.
+   * to tile a fabric.
+   */
+  setScale(scale: Vector2D): void;
 }
 
 
@@ -265,3 +340,13 @@ export declare interface Image {
  */
 export declare type RGBA = [number, number, number, number];
 export declare type RGB = [number, number, number];
+export declare type Vector3 = [number, number, number];
+export declare type Quaternion = [number, number, number, number];
+
+/**
+ * A pair of texture coordinates.
+ */
+export declare interface Vector2D {
+  u: number;
+  v: number;
+}
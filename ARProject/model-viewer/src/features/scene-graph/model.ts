@@ -0,0 +1,255 @@
+/* @license
+ * Copyright 2020 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Box3, Material as ThreeMaterial, Mesh, MeshStandardMaterial, Object3D, Vector3} from 'three';
+
+import {CorrelatedSceneGraph} from '../../three-components/gltf-instance/correlated-scene-graph.js';
+
+import {Model as ModelInterface} from './api.js';
+import {Material} from './material.js';
+import {Node} from './node.js';
+import {$correlatedObjects} from './three-dom-element.js';
+
+
+
+const $materials = Symbol('materials');
+const $nodes = Symbol('nodes');
+const $rootNodes = Symbol('rootNodes');
+const $threeScene = Symbol('threeScene');
+const $onUpdate = Symbol('onUpdate');
+const $ghosts = Symbol('ghosts');
+const $restPositions = Symbol('restPositions');
+const $defaultParts = Symbol('defaultParts');
+
+// Opacity of the rest of the model, relative to its own, while a part is
+// isolated.
+const DEFAULT_GHOST_OPACITY = 0.15;
+
+const box = new Box3();
+const modelCenter = new Vector3();
+const partCenter = new Vector3();
+const goal = new Vector3();
+
+type MeshMaterial = ThreeMaterial|Array<ThreeMaterial>;
+
+const makeGhost = (material: ThreeMaterial, opacity: number): ThreeMaterial => {
+  const ghost = material.clone();
+  ghost.transparent = true;
+  ghost.opacity = material.opacity * opacity;
+  ghost.depthWrite = false;
+  return ghost;
+};
+
+const disposeMaterial = (material: MeshMaterial) => {
+  if (Array.isArray(material)) {
+    material.forEach(material => material.dispose());
+  } else {
+    material.dispose();
+  }
+};
+
+/**
+ * A Model facades the top-level GLTF object returned by Three.js' GLTFLoader.
+ * It gives access to the materials and to the node hierarchy of the active
+ * scene, and can isolate or explode the model's parts.
+ */
+export class Model implements ModelInterface {
+  private[$materials]: Array<Material> = [];
+  private[$nodes]: Array<Node> = [];
+  private[$rootNodes]: Array<Node> = [];
+  private[$threeScene]: Object3D;
+  private[$onUpdate]: () => void;
+  private[$ghosts]: Map<Mesh, {original: MeshMaterial, ghost: MeshMaterial}> =
+      new Map();
+  private[$restPositions]: Map<Object3D, Vector3> = new Map();
+
+  constructor(
+      correlatedSceneGraph: CorrelatedSceneGraph,
+      onUpdate: () => void = () => {}) {
+    const {gltf, gltfElementMap, threeGLTF} = correlatedSceneGraph;
+    this[$threeScene] = threeGLTF.scene;
+    this[$onUpdate] = onUpdate;
+
+    gltf.materials!.forEach(material => {
+      this[$materials].push(new Material(
+          onUpdate,
+          gltf,
+          material,
+          gltfElementMap.get(material) as Set<MeshStandardMaterial>));
+    });
+
+    const gltfNodes = gltf.nodes || [];
+    const addNode = (index: number, parent: Node|null): Node|null => {
+      const gltfNode = gltfNodes[index];
+      if (gltfNode == null) {
+        return null;
+      }
+      const node = new Node(
+          onUpdate, gltfNode,
+          gltfElementMap.get(gltfNode) as Set<Object3D>| undefined, parent);
+      this[$nodes].push(node);
+      for (const child of gltfNode.children || []) {
+        addNode(child, node);
+      }
+      return node;
+    };
+
+    const scenes = gltf.scenes || [];
+    const scene = scenes[gltf.scene != null ? gltf.scene : 0];
+    if (scene != null) {
+      for (const index of scene.nodes || []) {
+        const node = addNode(index, null);
+        if (node != null) {
+          this[$rootNodes].push(node);
+        }
+      }
+    }
+  }
+
+  /**
+   * Materials are listed in the order of the GLTF materials array, plus a
+   * default material at the end if one is used.
+   *
+   * TODO(#1003): How do we handle non-active scenes?
+   */
+  get materials(): Array<Material> {
+    return this[$materials];
+  }
+
+  /**
+   * Every node in the active scene, parents before their children.
+   */
+  get nodes(): Array<Node> {
+    return this[$nodes];
+  }
+
+  /**
+   * The top-level nodes of the active scene.
+   */
+  get rootNodes(): Array<Node> {
+    return this[$rootNodes];
+  }
+
+  /**
+   * Returns the first node with the given name, or null if there is none.
+   */
+  getNodeByName(name: string): Node|null {
+    const node = this[$nodes].find(node => node.name === name);
+    return node != null ? node : null;
+  }
+
+  /**
+   * Ghosts everything but the given nodes (and their descendants), drawing
+   * the rest of the model see-through at ghostOpacity times its usual
+   * opacity. Pass null to show the whole model again.
+   *
+   * Ghosted meshes draw with copies of their materials, so material changes
+   * made while a part is isolated only show on the isolated part until
+   * isolate(null) is called.
+   */
+  isolate(
+      nodes: Node|Array<Node>|null,
+      ghostOpacity: number = DEFAULT_GHOST_OPACITY) {
+    const ghosts = this[$ghosts];
+    for (const [mesh, {original, ghost}] of ghosts) {
+      // Leave any material swapped in meanwhile (e.g. by a variant).
+      if (mesh.material === ghost) {
+        mesh.material = original;
+      }
+      disposeMaterial(ghost);
+    }
+    ghosts.clear();
+
+    const isolated =
+        nodes == null ? [] : (Array.isArray(nodes) ? nodes : [nodes]);
+    if (isolated.length > 0) {
+      const kept = new Set<Object3D>();
+      for (const node of isolated) {
+        for (const object of node[$correlatedObjects] as Set<Object3D>) {
+          object.traverse(child => kept.add(child));
+        }
+      }
+
+      this[$threeScene].traverse((object: Object3D) => {
+        if (!(object as Mesh).isMesh || kept.has(object)) {
+          return;
+        }
+        const mesh = object as Mesh;
+        const original = mesh.material;
+        const ghost = Array.isArray(original) ?
+            original.map(material => makeGhost(material, ghostOpacity)) :
+            makeGhost(original, ghostOpacity);
+        ghosts.set(mesh, {original, ghost});
+        mesh.material = ghost;
+      });
+    }
+
+    this[$onUpdate]();
+  }
+
+  /**
+   * Moves each part away from the center of the model by factor times its
+   * own offset from that center, so 0 is assembled and 1 doubles every
+   * part's distance. The parts default to the children of the model's root,
+   * skipping down past any single-child wrapper nodes.
+   *
+   * Parts are measured from the assembled model every time, so changing
+   * factor never accumulates.
+   */
+  explode(factor: number, parts: Array<Node> = this[$defaultParts]()) {
+    const restPositions = this[$restPositions];
+    for (const [object, position] of restPositions) {
+      object.position.copy(position);
+    }
+    restPositions.clear();
+
+    if (factor !== 0) {
+      const root = this[$threeScene];
+      root.updateMatrixWorld(true);
+      box.setFromObject(root).getCenter(modelCenter);
+
+      for (const part of parts) {
+        for (const object of part[$correlatedObjects] as Set<Object3D>) {
+          const {parent} = object;
+          box.setFromObject(object);
+          if (parent == null || box.isEmpty()) {
+            continue;
+          }
+          box.getCenter(partCenter);
+          restPositions.set(object, object.position.clone());
+
+          // The offset is in world space; move by the equivalent
+          // amount in the parent's space.
+          goal.subVectors(partCenter, modelCenter)
+              .multiplyScalar(factor)
+              .add(partCenter);
+          parent.worldToLocal(goal);
+          parent.worldToLocal(partCenter);
+          object.position.add(goal.sub(partCenter));
+        }
+      }
+    }
+
+    this[$onUpdate]();
+  }
+
+  [$defaultParts](): Array<Node> {
+    let parts = this[$rootNodes];
+    while (parts.length === 1 && parts[0].children.length > 0) {
+      parts = parts[0].children;
+    }
+    return parts;
+  }
+}
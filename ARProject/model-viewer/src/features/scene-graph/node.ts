@@ -0,0 +1,132 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Object3D} from 'three';
+
+import {Node as GLTFNode} from '../../three-components/gltf-instance/gltf-2.0.js';
+
+import {Node as NodeInterface, Quaternion, Vector3} from './api.js';
+import {$correlatedObjects, $onUpdate, $sourceObject, ThreeDOMElement} from './three-dom-element.js';
+
+
+
+const $children = Symbol('children');
+const $parent = Symbol('parent');
+const $syncTransform = Symbol('syncTransform');
+
+/**
+ * Node facade implementation for Three.js objects. A glTF node usually
+ * corresponds to a single Object3D; a node whose mesh has several primitives
+ * is a Group with one Mesh child per primitive.
+ */
+export class Node extends ThreeDOMElement implements NodeInterface {
+  private[$children]: Array<Node> = [];
+  private[$parent]: Node|null;
+
+  constructor(
+      onUpdate: () => void, gltfNode: GLTFNode,
+      correlatedObjects: Set<Object3D>|undefined, parent: Node|null = null) {
+    super(
+        onUpdate, gltfNode,
+        correlatedObjects != null ? correlatedObjects : new Set<Object3D>());
+    this[$parent] = parent;
+    if (parent != null) {
+      parent[$children].push(this);
+    }
+  }
+
+  get name(): string {
+    return (this[$sourceObject] as GLTFNode).name || '';
+  }
+
+  get children(): Array<Node> {
+    return this[$children];
+  }
+
+  get parent(): Node|null {
+    return this[$parent];
+  }
+
+  get hasMesh(): boolean {
+    return (this[$sourceObject] as GLTFNode).mesh != null;
+  }
+
+  get visible(): boolean {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      return object.visible;
+    }
+    return false;
+  }
+
+  setVisible(visible: boolean) {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      object.visible = visible;
+    }
+    this[$onUpdate]();
+  }
+
+  get translation(): Vector3 {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      return object.position.toArray();
+    }
+    return [0, 0, 0];
+  }
+
+  get rotation(): Quaternion {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      return object.quaternion.toArray() as Quaternion;
+    }
+    return [0, 0, 0, 1];
+  }
+
+  get scale(): Vector3 {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      return object.scale.toArray();
+    }
+    return [1, 1, 1];
+  }
+
+  setTranslation(translation: Vector3) {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      object.position.fromArray(translation);
+    }
+    this[$syncTransform]();
+  }
+
+  setRotation(rotation: Quaternion) {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      object.quaternion.fromArray(rotation);
+    }
+    this[$syncTransform]();
+  }
+
+  setScale(scale: Vector3) {
+    for (const object of this[$correlatedObjects] as Set<Object3D>) {
+      object.scale.fromArray(scale);
+    }
+    this[$syncTransform]();
+  }
+
+  [$syncTransform]() {
+    // Keep the glTF in step for export; a node's matrix, if it has one, is
+    // replaced by the equivalent TRS.
+    const gltfNode = this[$sourceObject] as GLTFNode;
+    delete gltfNode.matrix;
+    gltfNode.translation = this.translation;
+    gltfNode.rotation = this.rotation;
+    gltfNode.scale = this.scale;
+    this[$onUpdate]();
+  }
+}
@@ -18,7 +18,7 @@ import {Texture as ThreeTexture} from 'three';
 import {Filter, MagFilter, MinFilter, Sampler as GLTFSampler, Wrap, WrapMode} from '../../three-components/gltf-instance/gltf-2.0.js';
 import {Sampler as DefaultedSampler} from '../../three-components/gltf-instance/gltf-defaulted.js';
 
-import {Sampler as SamplerInterface} from './api.js';
+import {Sampler as SamplerInterface, Vector2D} from './api.js';
 import {$correlatedObjects, $onUpdate, $sourceObject, ThreeDOMElement} from './three-dom-element.js';
 
 
@@ -148,6 +148,22 @@ export class Sampler extends ThreeDOMElement implements SamplerInterface {
     this[$setProperty]('wrapT', mode);
   }
 
+  /**
+   * The number of times the texture repeats across the UV space. This is
+   * written out as KHR_texture_transform when the scene is exported.
+   */
+  get scale(): Vector2D {
+    const texture = this[$threeTextures].values().next().value;
+    return {u: texture.repeat.x, v: texture.repeat.y};
+  }
+
+  setScale(scale: Vector2D) {
+    for (const texture of this[$threeTextures]) {
+      texture.repeat.set(scale.u, scale.v);
+    }
+    this[$onUpdate]();
+  }
+
   private[$setProperty]<P extends 'minFilter'|'magFilter'|'wrapS'|'wrapT'>(
       property: P, value: MinFilter|MagFilter|WrapMode) {
     const sampler = this[$sourceSampler];
@@ -15,12 +15,14 @@
  */
 
 import {property} from 'lit-element';
+
 import {style} from '../decorators.js';
-import ModelViewerElementBase, {$hasTransitioned, $renderer, $scene, $tick} from '../model-viewer-base.js';
+import ModelViewerElementBase, {$hasTransitioned, $needsRender, $renderer, $scene, $tick} from '../model-viewer-base.js';
 import {degreesToRadians} from '../styles/conversions.js';
 import {EvaluatedStyle, Intrinsics} from '../styles/evaluators.js';
 import {numberNode, NumberNode} from '../styles/parsers.js';
-import {Constructor} from '../utilities.js';
+import {Constructor, deserializeUrl} from '../utilities.js';
+
 import {CameraChangeDetails} from './controls.js';
 
 
@@ -28,6 +30,8 @@ import {CameraChangeDetails} from './controls.js';
 // second in radians:
 const DEFAULT_ROTATION_SPEED = Math.PI / 32;
 export const AUTO_ROTATE_DELAY_DEFAULT = 3000;
+const DEFAULT_FLOOR_COLOR = '#ffffff';
+const DEFAULT_CONTACT_SHADOW_SOFTNESS = 0.5;
 
 const rotationRateIntrinsics = {
   basis:
@@ -40,14 +44,34 @@ const $autoRotateStartTime = Symbol('autoRotateStartTime');
 const $radiansPerSecond = Symbol('radiansPerSecond');
 const $syncRotationRate = Symbol('syncRotationRate');
 const $onCameraChange = Symbol('onCameraChange');
+const $updateFloor = Symbol('updateFloor');
+const $updateFloorTexture = Symbol('updateFloorTexture');
 
 export declare interface StagingInterface {
   autoRotate: boolean;
   autoRotateDelay: number;
   readonly turntableRotation: number;
   resetTurntableRotation(theta?: number): void;
+  floor: boolean;
+  floorColor: string;
+  floorTexture: string|null;
+  floorReflectivity: number;
+  floorRadius: string;
+  contactShadowIntensity: number;
+  contactShadowSoftness: number;
 }
 
+/**
+ * StagingMixin places the model on a turntable, which auto-rotate turns, and
+ * can stage it for a studio look: the floor attribute shows a visible floor
+ * under the model, styled by floor-color, floor-texture (tiled once per meter),
+ * floor-reflectivity (0 to 1) and floor-radius (in meters, or 'auto' to fit
+ * the model), past which it fades out. contact-shadow-intensity and
+ * contact-shadow-softness (both 0 to 1) add a soft contact shadow where the
+ * model meets the floor; it is baked once rather than rendered every frame, so
+ * it is cheap enough for low-end phones, and it works without a visible floor
+ * too.
+ */
 export const StagingMixin = <T extends Constructor<ModelViewerElementBase>>(
     ModelViewerElement: T): Constructor<StagingInterface>&T => {
   class StagingModelViewerElement extends ModelViewerElement {
@@ -62,6 +86,26 @@ export const StagingMixin = <T extends Constructor<ModelViewerElementBase>>(
     @property({type: String, attribute: 'rotation-per-second'})
     rotationPerSecond: string = 'auto';
 
+    @property({type: Boolean, attribute: 'floor'}) floor: boolean = false;
+
+    @property({type: String, attribute: 'floor-color'})
+    floorColor: string = DEFAULT_FLOOR_COLOR;
+
+    @property({type: String, attribute: 'floor-texture'})
+    floorTexture: string|null = null;
+
+    @property({type: Number, attribute: 'floor-reflectivity'})
+    floorReflectivity: number = 0;
+
+    @property({type: String, attribute: 'floor-radius'})
+    floorRadius: string = 'auto';
+
+    @property({type: Number, attribute: 'contact-shadow-intensity'})
+    contactShadowIntensity: number = 0;
+
+    @property({type: Number, attribute: 'contact-shadow-softness'})
+    contactShadowSoftness: number = DEFAULT_CONTACT_SHADOW_SOFTNESS;
+
     private[$autoRotateStartTime] = performance.now();
     private[$radiansPerSecond] = 0;
 
@@ -85,6 +129,25 @@ export const StagingMixin = <T extends Constructor<ModelViewerElementBase>>(
       if (changedProperties.has('autoRotate')) {
         this[$autoRotateStartTime] = performance.now();
       }
+
+      if (changedProperties.has('floor') ||
+          changedProperties.has('floorColor') ||
+          changedProperties.has('floorReflectivity') ||
+          changedProperties.has('floorRadius')) {
+        this[$updateFloor]();
+      }
+
+      if (changedProperties.has('floorTexture')) {
+        this[$updateFloorTexture]();
+      }
+
+      if (changedProperties.has('contactShadowIntensity') ||
+          changedProperties.has('contactShadowSoftness')) {
+        this[$scene].setContactShadow(
+            Math.min(Math.max(this.contactShadowIntensity, 0), 1),
+            Math.min(Math.max(this.contactShadowSoftness, 0), 1));
+        this[$needsRender]();
+      }
     }
 
     [$syncRotationRate](style: EvaluatedStyle<Intrinsics<['rad']>>) {
@@ -125,6 +188,24 @@ export const StagingMixin = <T extends Constructor<ModelViewerElementBase>>(
     resetTurntableRotation(theta = 0) {
       this[$scene].yaw = theta;
     }
+
+    [$updateFloor]() {
+      const radius = parseFloat(this.floorRadius);
+      this[$scene].setFloor(
+          this.floor, this.floorColor || DEFAULT_FLOOR_COLOR,
+          this.floorReflectivity, radius > 0 ? radius : null);
+      this[$needsRender]();
+    }
+
+    async[$updateFloorTexture]() {
+      try {
+        await this[$scene].setFloorTexture(deserializeUrl(this.floorTexture));
+        this[$needsRender]();
+      } catch (error) {
+        this.dispatchEvent(new CustomEvent(
+            'error', {detail: {type: 'floortexture', sourceError: error}}));
+      }
+    }
   }
 
   return StagingModelViewerElement;
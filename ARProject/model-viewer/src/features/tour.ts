@@ -0,0 +1,406 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {property} from 'lit-element';
+
+import ModelViewerElementBase, {$hasTransitioned, $onModelLoad, $renderer, $scene, $tick} from '../model-viewer-base.js';
+import {Intrinsics, StyleEvaluator} from '../styles/evaluators.js';
+import {parseExpressions} from '../styles/parsers.js';
+import {ChangeSource, SmoothControls} from '../three-components/SmoothControls.js';
+import {Constructor} from '../utilities.js';
+import {Keyframe, timeline, TimingFunction} from '../utilities/animation.js';
+
+import {$controls, CameraChangeDetails, cameraOrbitIntrinsics, cameraTargetIntrinsics, ControlsInterface, fieldOfViewIntrinsics} from './controls.js';
+import {StagingInterface} from './staging.js';
+
+const MILLISECONDS_PER_SECOND = 1000.0;
+// Seconds spent moving to and resting at each stop, unless the keyframe says
+// otherwise.
+const DEFAULT_TRANSITION_DURATION = 2;
+const DEFAULT_DWELL = 2;
+// Zero-length tracks would divide by zero in sequence(), so every segment
+// lasts at least this long.
+const MINIMUM_SEGMENT_DURATION = 0.001;
+
+export const TOUR_HIGHLIGHT_ATTRIBUTE = 'data-tour-highlight';
+
+/**
+ * A stop on a camera tour. orbit, target and fieldOfView take the same values
+ * as the camera-orbit, camera-target and field-of-view attributes; durations
+ * are in seconds. Any other fields are passed through to 'tour-stop' events,
+ * for instance narration text.
+ */
+export interface TourKeyframe {
+  orbit?: string;
+  target?: string;
+  fieldOfView?: string;
+  duration?: number;
+  dwell?: number;
+  hotspot?: string;
+  [key: string]: unknown;
+}
+
+export interface TourStopDetails {
+  index: number;
+  keyframe: TourKeyframe;
+}
+
+interface TourStop {
+  index: number;
+  keyframe: TourKeyframe;
+  arrival: number;
+  departure: number;
+}
+
+const evaluate =
+    <T extends Intrinsics<Array<any>>>(value: string, intrinsics: T) =>
+        new StyleEvaluator(parseExpressions(value), intrinsics).evaluate();
+
+// Wraps to between -pi and pi.
+const wrapAngle = (radians: number) =>
+    radians - 2 * Math.PI * Math.round(radians / (2 * Math.PI));
+
+const $tracks = Symbol('tracks');
+const $stops = Symbol('stops');
+const $duration = Symbol('duration');
+const $time = Symbol('time');
+const $paused = Symbol('paused');
+const $currentStop = Symbol('currentStop');
+const $highlightedHotspot = Symbol('highlightedHotspot');
+const $resumeAutoRotate = Symbol('resumeAutoRotate');
+const $onCameraChange = Symbol('onCameraChange');
+const $buildTour = Symbol('buildTour');
+const $resetTour = Symbol('resetTour');
+const $applyTour = Symbol('applyTour');
+const $updateStop = Symbol('updateStop');
+
+export declare interface TourInterface {
+  tour: Array<TourKeyframe>;
+  readonly tourDuration: number;
+  readonly tourTime: number;
+  readonly tourPaused: boolean;
+  readonly tourStop: number;
+  playTour(): void;
+  pauseTour(): void;
+  seekTour(time: number): void;
+  stopTour(): void;
+}
+
+/**
+ * TourMixin plays scripted camera tours: a list of keyframes, each giving a
+ * camera-orbit, camera-target and field-of-view to move to, how long to take
+ * getting there and how long to dwell, and optionally the slot name of a
+ * hotspot to highlight while there. Omitted values carry over from the
+ * previous stop (or the camera's position when the tour starts), and values
+ * take the same forms as the corresponding attributes, including 'auto'.
+ *
+ * The camera moves along timeline() tracks, one per camera parameter, eased in
+ * and out between stops. A 'tour-stop' event is dispatched on arrival at each
+ * stop with its index and keyframe, for narration and other UI, and 'tour-end'
+ * when the last dwell is over. Any user interaction with the camera pauses the
+ * tour.
+ */
+export const TourMixin = <
+    T extends
+        Constructor<ModelViewerElementBase&ControlsInterface&StagingInterface>>(
+    ModelViewerElement: T): Constructor<TourInterface>&T => {
+  class TourModelViewerElement extends ModelViewerElement {
+    @property({type: Array, attribute: false}) tour: Array<TourKeyframe> = [];
+
+    protected[$tracks]: Array<TimingFunction>|null = null;
+    protected[$stops]: Array<TourStop> = [];
+    protected[$duration] = 0;
+    protected[$time] = 0;
+    protected[$paused] = true;
+    protected[$currentStop] = -1;
+    protected[$highlightedHotspot]: Element|null = null;
+    protected[$resumeAutoRotate] = false;
+
+    /**
+     * The total length of the tour in seconds.
+     */
+    get tourDuration(): number {
+      this[$buildTour]();
+      return this[$duration];
+    }
+
+    /**
+     * The current position in the tour in seconds.
+     */
+    get tourTime(): number {
+      return this[$time];
+    }
+
+    get tourPaused(): boolean {
+      return this[$paused];
+    }
+
+    /**
+     * The index of the stop the camera is resting at, or -1 while it is
+     * moving between stops.
+     */
+    get tourStop(): number {
+      return this[$currentStop];
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+      this.addEventListener(
+          'camera-change', this[$onCameraChange] as (event: Event) => void);
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+      this.removeEventListener(
+          'camera-change', this[$onCameraChange] as (event: Event) => void);
+      this.pauseTour();
+    }
+
+    updated(changedProperties: Map<string|number|symbol, unknown>) {
+      super.updated(changedProperties);
+
+      if (changedProperties.has('tour')) {
+        this[$resetTour]();
+      }
+    }
+
+    playTour() {
+      if (!this[$paused]) {
+        return;
+      }
+      if (this[$time] === 0 || this[$time] >= this[$duration]) {
+        // Start over from wherever the camera is now.
+        this[$time] = 0;
+        this[$tracks] = null;
+      }
+      if (this.tourDuration === 0) {
+        return;
+      }
+      // Auto-rotate turns the model under the camera, which would throw off
+      // the tour's views, so hold it while the tour plays.
+      if (this.autoRotate) {
+        this.autoRotate = false;
+        this[$resumeAutoRotate] = true;
+      }
+      this[$paused] = false;
+      this.dispatchEvent(new CustomEvent('tour-play'));
+    }
+
+    pauseTour() {
+      if (this[$paused]) {
+        return;
+      }
+      this[$paused] = true;
+      this.dispatchEvent(new CustomEvent('tour-pause'));
+    }
+
+    /**
+     * Moves the camera to the given time in the tour, in seconds.
+     */
+    seekTour(time: number) {
+      const duration = this.tourDuration;
+      if (duration === 0) {
+        return;
+      }
+      this[$time] = Math.max(0, Math.min(duration, time));
+      this[$applyTour]();
+    }
+
+    /**
+     * Pauses the tour and rewinds it, leaving the camera where it is.
+     */
+    stopTour() {
+      this.pauseTour();
+      this[$time] = 0;
+      this[$updateStop](-1);
+      if (this[$resumeAutoRotate]) {
+        this[$resumeAutoRotate] = false;
+        this.autoRotate = true;
+      }
+    }
+
+    [$onModelLoad]() {
+      super[$onModelLoad]();
+      // Values such as 'auto' depend on the model, so evaluate them again.
+      this[$resetTour]();
+    }
+
+    [$tick](time: number, delta: number) {
+      super[$tick](time, delta);
+
+      if (this[$paused] || !this[$hasTransitioned]() ||
+          this[$renderer].isPresenting) {
+        return;
+      }
+
+      this[$time] = Math.min(
+          this[$time] + delta / MILLISECONDS_PER_SECOND, this[$duration]);
+      this[$applyTour]();
+
+      if (this[$time] >= this[$duration]) {
+        this.stopTour();
+        this[$time] = this[$duration];
+        this.dispatchEvent(new CustomEvent('tour-end'));
+      }
+    }
+
+    [$onCameraChange] = (event: CustomEvent<CameraChangeDetails>) => {
+      if (event.detail.source === ChangeSource.USER_INTERACTION &&
+          !this[$paused]) {
+        this.pauseTour();
+      }
+    };
+
+    [$resetTour]() {
+      this.pauseTour();
+      this[$tracks] = null;
+      this[$time] = 0;
+      this[$updateStop](-1);
+    }
+
+    /**
+     * Evaluates the keyframes into one timeline per camera parameter, starting
+     * from the camera's current view.
+     */
+    [$buildTour]() {
+      if (this[$tracks] != null) {
+        return;
+      }
+
+      const keyframes = this.tour || [];
+      if (!this.loaded || keyframes.length === 0) {
+        this[$stops] = [];
+        this[$duration] = 0;
+        return;
+      }
+
+      const orbit = this.getCameraOrbit();
+      const target = this.getCameraTarget();
+      let values = [
+        orbit.theta, orbit.phi, orbit.radius, target.x, target.y, target.z,
+        this.getFieldOfView()
+      ];
+      const initialValues = values;
+      const channels: Array<Array<Keyframe>> = values.map(() => []);
+      const stops: Array<TourStop> = [];
+      let duration = 0;
+
+      keyframes.forEach((keyframe, index) => {
+        const next = values.slice();
+
+        if (keyframe.orbit != null) {
+          const [theta, phi, radius] =
+              evaluate(keyframe.orbit, cameraOrbitIntrinsics(this));
+          // Take the short way around.
+          next[0] = values[0] + wrapAngle(theta - values[0]);
+          next[1] = phi;
+          next[2] = radius;
+        }
+        if (keyframe.target != null) {
+          [next[3], next[4], next[5]] =
+              evaluate(keyframe.target, cameraTargetIntrinsics(this));
+        }
+        if (keyframe.fieldOfView != null) {
+          next[6] =
+              evaluate(keyframe.fieldOfView, fieldOfViewIntrinsics(this))[0] *
+              180 / Math.PI;
+        }
+
+        const transition = Math.max(
+            keyframe.duration != null ? keyframe.duration :
+                                        DEFAULT_TRANSITION_DURATION,
+            MINIMUM_SEGMENT_DURATION);
+        const dwell = Math.max(
+            keyframe.dwell != null ? keyframe.dwell : DEFAULT_DWELL,
+            MINIMUM_SEGMENT_DURATION);
+
+        next.forEach((value, channel) => {
+          channels[channel].push(
+              {value, frames: transition}, {value, frames: dwell});
+        });
+
+        duration += transition;
+        stops.push(
+            {index, keyframe, arrival: duration, departure: duration + dwell});
+        duration += dwell;
+        values = next;
+      });
+
+      this[$tracks] = channels.map(
+          (channel, index) => timeline(initialValues[index], channel));
+      this[$stops] = stops;
+      this[$duration] = duration;
+    }
+
+    /**
+     * Moves the camera to its place at the current time in the tour.
+     */
+    [$applyTour]() {
+      this[$buildTour]();
+      const tracks = this[$tracks];
+      if (tracks == null || this[$duration] === 0) {
+        return;
+      }
+
+      const progress = this[$time] / this[$duration];
+      const [theta, phi, radius, x, y, z, fieldOfView] =
+          tracks.map(track => track(progress));
+
+      const controls: SmoothControls = (this as any)[$controls];
+      const scene = this[$scene];
+      controls.setOrbit(theta, phi, radius);
+      controls.setFieldOfView(fieldOfView);
+      scene.setTarget(x, y, z);
+      controls.jumpToGoal();
+      scene.jumpToGoal();
+
+      const stop = this[$stops].find(
+          ({arrival, departure}) =>
+              this[$time] >= arrival && this[$time] < departure);
+      this[$updateStop](stop != null ? stop.index : -1);
+    }
+
+    [$updateStop](index: number) {
+      if (index === this[$currentStop]) {
+        return;
+      }
+      this[$currentStop] = index;
+
+      const previous = this[$highlightedHotspot];
+      if (previous != null) {
+        previous.removeAttribute(TOUR_HIGHLIGHT_ATTRIBUTE);
+        this[$highlightedHotspot] = null;
+      }
+
+      if (index < 0) {
+        return;
+      }
+
+      const keyframe = this.tour[index];
+      if (keyframe.hotspot != null) {
+        const hotspot = this.querySelector(`[slot="${keyframe.hotspot}"]`);
+        if (hotspot != null) {
+          hotspot.setAttribute(TOUR_HIGHLIGHT_ATTRIBUTE, '');
+          this[$highlightedHotspot] = hotspot;
+        }
+      }
+
+      this.dispatchEvent(new CustomEvent<TourStopDetails>(
+          'tour-stop', {detail: {index, keyframe}}));
+    }
+  }
+
+  return TourModelViewerElement;
+};
@@ -17,10 +17,13 @@ import {AnimationMixin} from './features/animation.js';
 import {AnnotationMixin} from './features/annotation.js';
 import {ARMixin} from './features/ar.js';
 import {ControlsMixin} from './features/controls.js';
+import {EffectsMixin} from './features/effects.js';
 import {EnvironmentMixin} from './features/environment.js';
 import {LoadingMixin} from './features/loading.js';
+import {PickingMixin} from './features/picking.js';
 import {SceneGraphMixin} from './features/scene-graph.js';
 import {StagingMixin} from './features/staging.js';
+import {TourMixin} from './features/tour.js';
 import ModelViewerElementBase from './model-viewer-base.js';
 import {FocusVisiblePolyfillMixin} from './utilities/focus-visible.js';
 
@@ -28,9 +31,10 @@ import {FocusVisiblePolyfillMixin} from './utilities/focus-visible.js';
 // export {default as TextureUtils} from './three-components/TextureUtils';
 // export * from 'three';
 
-export const ModelViewerElement = AnnotationMixin(SceneGraphMixin(StagingMixin(
-    EnvironmentMixin(ControlsMixin(ARMixin(LoadingMixin(AnimationMixin(
-        FocusVisiblePolyfillMixin(ModelViewerElementBase)))))))));
+export const ModelViewerElement = EffectsMixin(
+    TourMixin(PickingMixin(AnnotationMixin(SceneGraphMixin(StagingMixin(
+        EnvironmentMixin(ControlsMixin(ARMixin(LoadingMixin(AnimationMixin(
+            FocusVisiblePolyfillMixin(ModelViewerElementBase))))))))))));
 
 export type ModelViewerElement = InstanceType<typeof ModelViewerElement>;
 
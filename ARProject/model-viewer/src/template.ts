@@ -110,6 +110,16 @@ canvas.show {
   opacity: var(--min-hotspot-opacity, 0.25);
 }
 
+.dimension-label {
+  padding: 2px 6px;
+  border-radius: 4px;
+  background-color: var(--dimension-label-background, rgba(255, 255, 255, 0.9));
+  color: var(--dimension-label-color, #000);
+  font: 12px/1.2 sans-serif;
+  white-space: nowrap;
+  pointer-events: none;
+}
+
 .slot.poster {
   opacity: 0;
   transition: opacity 0.3s 0.3s;
@@ -280,6 +290,47 @@ canvas.show {
 #default-exit-webxr-ar-button > svg {
   fill: #fff;
 }
+
+.slot.ar-overlay:not(.enabled) {
+  display: none;
+}
+
+#default-ar-overlay {
+  display: flex;
+  align-items: center;
+  position: absolute;
+  bottom: 16px;
+  left: 50%;
+  transform: translateX(-50%);
+  padding: 4px;
+  border-radius: 24px;
+  background-color: var(--ar-overlay-background, rgba(0, 0, 0, 0.5));
+  color: var(--ar-overlay-color, #fff);
+  font: 14px sans-serif;
+  white-space: nowrap;
+}
+
+#default-ar-overlay > button,
+#default-ar-overlay > select {
+  min-width: 40px;
+  height: 40px;
+  margin: 0 2px;
+  padding: 0 8px;
+  border: none;
+  border-radius: 20px;
+  background: transparent;
+  color: inherit;
+  font: inherit;
+}
+
+#default-ar-overlay > select > option {
+  color: initial;
+}
+
+#default-ar-overlay > output {
+  min-width: 48px;
+  text-align: center;
+}
 </style>
 <div class="container">
   <div class="userInput" tabindex="0" role="img"
@@ -340,6 +391,23 @@ canvas.show {
         </a>
       </slot>
     </div>
+
+    <div class="slot ar-overlay">
+      <slot name="ar-overlay">
+        <div id="default-ar-overlay" part="default-ar-overlay">
+          <select data-ar-variant aria-label="Variant" hidden></select>
+          <button type="button" data-ar-action="rotate-left"
+              aria-label="Rotate left">&#x27F2;</button>
+          <output data-ar-scale aria-label="Scale">100%</output>
+          <button type="button" data-ar-action="reset-scale"
+              aria-label="Reset to 100% scale">1:1</button>
+          <button type="button" data-ar-action="rotate-right"
+              aria-label="Rotate right">&#x27F3;</button>
+          <button type="button" data-ar-action="photo"
+              aria-label="Take photo">Photo</button>
+        </div>
+      </slot>
+    </div>
   </div>
 </div>`;
 
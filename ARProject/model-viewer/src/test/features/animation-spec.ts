@@ -0,0 +1,357 @@
+/* @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {AnimationMixin} from '../../features/animation.js';
+import ModelViewerElementBase, {$scene} from '../../model-viewer-base.js';
+import {timePasses, waitForEvent} from '../../utilities.js';
+import {assetPath} from '../helpers.js';
+import {BasicSpecTemplate} from '../templates.js';
+
+const expect = chai.expect;
+const NON_ANIMATED_GLB_PATH = assetPath('models/Astronaut.glb');
+const ANIMATED_GLB_PATH = assetPath('models/RobotExpressive.glb');
+
+const animationIsPlaying = (element: any, animationName = null): boolean => {
+  const {currentAnimationAction} = element[$scene];
+
+  if (currentAnimationAction != null &&
+      (animationName == null ||
+       currentAnimationAction.getClip().name === animationName)) {
+    return element.paused === false &&
+        currentAnimationAction.enabled === true &&
+        !currentAnimationAction.paused;
+  }
+
+  return false;
+};
+
+suite('ModelViewerElementBase with AnimationMixin', () => {
+  let nextId = 0;
+  let tagName: string;
+  let ModelViewerElement: any;
+  let element: any;
+
+  setup(() => {
+    tagName = `model-viewer-animation-${nextId++}`;
+    ModelViewerElement = class extends AnimationMixin
+    (ModelViewerElementBase) {
+      static get is() {
+        return tagName;
+      }
+    };
+    customElements.define(tagName, ModelViewerElement);
+  });
+
+  BasicSpecTemplate(() => ModelViewerElement, () => tagName);
+
+  suite('a model with animations', () => {
+    setup(async () => {
+      element = new ModelViewerElement();
+      element.src = ANIMATED_GLB_PATH;
+      document.body.insertBefore(element, document.body.firstChild);
+
+      await waitForEvent(element, 'load');
+    });
+
+    teardown(() => {
+      document.body.removeChild(element);
+    });
+
+    test('remains in a paused state', () => {
+      expect(element.paused).to.be.true;
+    });
+
+    suite('when play is invoked', () => {
+      setup(async () => {
+        const animationsPlay = waitForEvent(element, 'play');
+        element.play();
+        await animationsPlay;
+      });
+
+      test('animations play', async () => {
+        expect(animationIsPlaying(element)).to.be.true;
+      });
+
+      test('has a duration greater than 0', () => {
+        expect(element.duration).to.be.greaterThan(0);
+      });
+
+      suite('when pause is invoked', () => {
+        setup(async () => {
+          const animationsPause = waitForEvent(element, 'pause');
+          element.pause();
+          await animationsPause;
+        });
+
+        test('animations pause', () => {
+          expect(animationIsPlaying(element)).to.be.false;
+        });
+
+        test('changing currentTime triggers render', () => {
+          element.currentTime = 5;
+          expect(element[$scene].isDirty).to.be.true;
+        });
+      });
+    });
+
+    suite('loop modes', () => {
+      let finished: Array<any>;
+      let loops: Array<any>;
+
+      const playUntilFinished = (step: number) => {
+        for (let i = 0; i < 100 && finished.length === 0; ++i) {
+          element[$scene].updateAnimation(step);
+        }
+      };
+
+      setup(() => {
+        finished = [];
+        loops = [];
+        element.addEventListener(
+            'finished', (event: CustomEvent) => finished.push(event.detail));
+        element.addEventListener(
+            'loop', (event: CustomEvent) => loops.push(event.detail));
+        element.animationName = element.availableAnimations[0];
+      });
+
+      test('plays once and holds the last frame', async () => {
+        element.animationLoop = 'once';
+        await timePasses();
+        element.play();
+        playUntilFinished(element.duration / 2);
+
+        expect(finished.length).to.be.equal(1);
+        expect(finished[0].name).to.be.equal(element.availableAnimations[0]);
+        expect(element.paused).to.be.true;
+        expect(element.currentTime).to.be.closeTo(element.duration, 1e-3);
+      });
+
+      test('repeats the given number of times', async () => {
+        element.animationRepetitions = 3;
+        await timePasses();
+        element.play();
+        playUntilFinished(element.duration * 0.4);
+
+        expect(loops.map(({count}) => count)).to.be.deep.equal([1, 2]);
+        expect(finished.length).to.be.equal(1);
+      });
+
+      test('restarts a finished animation when played again', async () => {
+        element.animationLoop = 'once';
+        await timePasses();
+        element.play();
+        playUntilFinished(element.duration);
+        element.play();
+
+        expect(element[$scene].animationFinished).to.be.false;
+        expect(element.currentTime).to.be.equal(0);
+      });
+
+      suite('with a playlist', () => {
+        setup(async () => {
+          element.setAttribute(
+              'animation-playlist',
+              `${element.availableAnimations[1]}, ${
+                  element.availableAnimations[2]}`);
+          element.animationLoop = 'once';
+          await timePasses();
+          element.play();
+        });
+
+        test('parses the attribute as a list', () => {
+          expect(element.animationPlaylist).to.be.deep.equal([
+            element.availableAnimations[1], element.availableAnimations[2]
+          ]);
+        });
+
+        test('plays the entries in order', () => {
+          expect(animationIsPlaying(element, element.availableAnimations[1]))
+              .to.be.true;
+          element[$scene].updateAnimation(element.duration + 0.01);
+          expect(animationIsPlaying(element, element.availableAnimations[2]))
+              .to.be.true;
+          expect(finished.length).to.be.equal(0);
+
+          playUntilFinished(element.duration / 4);
+          expect(finished.length).to.be.equal(1);
+          expect(finished[0].name).to.be.equal(element.availableAnimations[2]);
+        });
+
+        test('plays back in reverse in ping-pong mode', async () => {
+          element.animationLoop = 'pingpong';
+          element.animationRepetitions = 2;
+          await timePasses();
+          element[$scene].updateAnimation(element.duration + 0.01);
+          element[$scene].updateAnimation(element.duration + 0.01);
+
+          expect(loops.length).to.be.equal(1);
+          expect(loops[0].name).to.be.equal(element.availableAnimations[2]);
+          const {currentAnimationAction} = element[$scene];
+          expect(currentAnimationAction.getEffectiveTimeScale())
+              .to.be.equal(-1);
+
+          playUntilFinished(element.duration / 4);
+          expect(finished[0].name).to.be.equal(element.availableAnimations[1]);
+        });
+      });
+    });
+
+    suite('contact shadow', () => {
+      let floor: any;
+
+      setup(async () => {
+        element[$scene].setContactShadow(0.5, 0.5);
+        floor = element[$scene].floor;
+        element.animationName = element.availableAnimations[0];
+        await timePasses();
+      });
+
+      teardown(() => {
+        element.pause();
+      });
+
+      test('is baked again as a playing animation moves the model', () => {
+        element.play();
+        floor.needsBake = false;
+        element[$scene].updateAnimation(0.01);
+        expect(floor.needsBake).to.be.false;
+
+        element[$scene].updateAnimation(0.05);
+        expect(floor.needsBake).to.be.true;
+      });
+
+      test('is not baked again once the animation has finished', async () => {
+        element.animationLoop = 'once';
+        await timePasses();
+        element.play();
+        for (let i = 0; i < 100 && !element[$scene].animationFinished; ++i) {
+          element[$scene].updateAnimation(element.duration / 2);
+        }
+        expect(floor.needsBake).to.be.true;
+
+        floor.needsBake = false;
+        element[$scene].updateAnimation(0.1);
+        expect(floor.needsBake).to.be.false;
+      });
+    });
+
+    suite('animation layers', () => {
+      setup(() => {
+        element.animationCrossfadeDuration = 0;
+      });
+
+      test('adds a layer with its weight and time scale', () => {
+        const name = element.availableAnimations[1];
+        expect(element.playAnimationLayer(name, {weight: 0.5, timeScale: 2}))
+            .to.be.true;
+
+        expect(element.animationLayers).to.have.lengthOf(1);
+        const [layer] = element.animationLayers;
+        expect(layer.name).to.be.equal(name);
+        expect(layer.weight).to.be.equal(0.5);
+        expect(layer.timeScale).to.be.equal(2);
+      });
+
+      test('updates a playing layer', () => {
+        const name = element.availableAnimations[1];
+        element.playAnimationLayer(name, {weight: 0.5});
+        element.playAnimationLayer(name, {weight: 0.25});
+
+        expect(element.animationLayers).to.have.lengthOf(1);
+        expect(element.animationLayers[0].weight).to.be.equal(0.25);
+      });
+
+      test('can layer the main animation over itself', async () => {
+        element.play();
+        const name = element[$scene].currentAnimationAction.getClip().name;
+        element.playAnimationLayer(name, {weight: 0.5});
+
+        expect(animationIsPlaying(element, name)).to.be.true;
+        expect(element.animationLayers[0].weight).to.be.equal(0.5);
+      });
+
+      test('removes a stopped layer', () => {
+        const name = element.availableAnimations[1];
+        element.playAnimationLayer(name);
+        element.stopAnimationLayer(name);
+
+        expect(element.animationLayers).to.be.empty;
+      });
+
+      test('refuses an unknown animation', () => {
+        expect(element.playAnimationLayer('not an animation')).to.be.false;
+        expect(element.animationLayers).to.be.empty;
+      });
+    });
+
+    suite('when configured to autoplay', () => {
+      setup(async () => {
+        element.autoplay = true;
+        await timePasses();
+      });
+
+      test('plays an animation', () => {
+        expect(animationIsPlaying(element)).to.be.true;
+      });
+
+      test('has a duration greater than 0', () => {
+        expect(element.duration).to.be.greaterThan(0);
+      });
+
+      test('plays the first animation by default', () => {
+        expect(animationIsPlaying(element, element.availableAnimations[0]))
+            .to.be.true;
+      });
+
+      suite('with a specified animation-name', () => {
+        setup(async () => {
+          element.animationName = element.availableAnimations[1];
+          await timePasses();
+        });
+
+        test('plays the specified animation', () => {
+          expect(animationIsPlaying(element, element.availableAnimations[1]))
+              .to.be.true;
+        });
+      });
+
+      suite('a model without animations', () => {
+        setup(async () => {
+          element.src = NON_ANIMATED_GLB_PATH;
+          await waitForEvent(element, 'load');
+        });
+
+        test('does not play an animation', () => {
+          expect(animationIsPlaying(element)).to.be.false;
+        });
+
+        test('has a duration of 0', () => {
+          expect(element.duration).to.be.equal(0);
+        });
+
+        suite('with a specified animation-name', () => {
+          setup(async () => {
+            element.animationName = element.availableAnimations[1];
+            await timePasses();
+          });
+
+          test('does not play an animation', () => {
+            expect(animationIsPlaying(element)).to.be.false;
+          });
+        });
+      });
+    });
+  });
+});
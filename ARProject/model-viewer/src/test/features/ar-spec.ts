@@ -14,7 +14,7 @@
  */
 
 import {IS_IOS} from '../../constants.js';
-import {$openIOSARQuickLook, $openSceneViewer, ARInterface, ARMixin} from '../../features/ar.js';
+import {$openIOSARQuickLook, $openSceneViewer, ARInterface, ARMixin, parseARSnap, viewerPlacement} from '../../features/ar.js';
 import ModelViewerElementBase from '../../model-viewer-base.js';
 import {Constructor, timePasses, waitForEvent} from '../../utilities.js';
 import {assetPath, spy} from '../helpers.js';
@@ -23,6 +23,42 @@ import {BasicSpecTemplate} from '../templates.js';
 const expect = chai.expect;
 
 suite('ModelViewerElementBase with ARMixin', () => {
+  suite('parseARSnap', () => {
+    test('snaps nothing by default', () => {
+      expect(parseARSnap('')).to.be.deep.equal({rotation: 0, wall: false});
+    });
+
+    test('reads a rotation step in degrees', () => {
+      expect(parseARSnap('45deg').rotation).to.be.closeTo(Math.PI / 4, 1e-6);
+    });
+
+    test('reads wall alignment alongside a rotation step', () => {
+      const snap = parseARSnap('90deg wall');
+      expect(snap.rotation).to.be.closeTo(Math.PI / 2, 1e-6);
+      expect(snap.wall).to.be.equal(true);
+    });
+  });
+
+  suite('viewerPlacement', () => {
+    test('keeps walls and surfaces in Scene Viewer', () => {
+      expect(viewerPlacement('wall', 'scene-viewer')).to.be.equal('wall');
+      expect(viewerPlacement('surface', 'scene-viewer')).to.be.equal('surface');
+    });
+
+    test('keeps walls in Quick Look only for a wall-anchored ios-src', () => {
+      expect(viewerPlacement('wall', 'quick-look')).to.be.equal('floor');
+      expect(viewerPlacement('wall', 'quick-look', 'floor'))
+          .to.be.equal('floor');
+      expect(viewerPlacement('wall', 'quick-look', 'wall')).to.be.equal('wall');
+    });
+
+    test('places ceiling models on the floor', () => {
+      expect(viewerPlacement('ceiling', 'scene-viewer')).to.be.equal('floor');
+      expect(viewerPlacement('ceiling', 'quick-look', 'wall'))
+          .to.be.equal('floor');
+    });
+  });
+
   suite('when registered', () => {
     let nextId = 0;
     let tagName: string;
@@ -107,6 +143,35 @@ suite('ModelViewerElementBase with ARMixin', () => {
           expect(search.get('link')).to.contain('http://');
           expect(search.get('link')).to.contain('/foo.html');
         });
+
+        test('enables vertical placement only for walls', () => {
+          element.src = 'https://example.com/model.gltf';
+          element.arPlacement = 'wall';
+          (element as any)[$openSceneViewer]();
+          element.arPlacement = 'surface';
+          (element as any)[$openSceneViewer]();
+
+          expect(intentUrls.length).to.be.equal(2);
+
+          const [wall, surface] =
+              intentUrls.map((url) => new URLSearchParams(new URL(url).search));
+
+          expect(wall.get('enable_vertical_placement')).to.equal('true');
+          expect(surface.has('enable_vertical_placement')).to.be.false;
+        });
+
+        test('reports ceiling placement as unsupported', async () => {
+          const unsupported =
+              waitForEvent<any>(element, 'ar-placement-unsupported');
+          element.src = 'https://example.com/model.gltf';
+          element.arPlacement = 'ceiling';
+          (element as any)[$openSceneViewer]();
+          const {detail} = await unsupported;
+
+          expect(detail.placement).to.be.equal('ceiling');
+          expect(detail.arMode).to.be.equal('scene-viewer');
+          expect(detail.fallback).to.be.equal('floor');
+        });
       });
 
       suite('openQuickLook', () => {
@@ -139,6 +204,33 @@ suite('ModelViewerElementBase with ARMixin', () => {
           expect(url.hash).to.equal(
               '#custom=path-to-banner.html&allowsContentScaling=0');
         });
+
+        test('reports wall placement falling back to the floor', async () => {
+          const unsupported =
+              waitForEvent<any>(element, 'ar-placement-unsupported');
+          element.src = 'https://example.com/model.gltf';
+          element.iosSrc = 'https://example.com/model.usdz';
+          element.arPlacement = 'wall';
+          (element as any)[$openIOSARQuickLook]();
+          const {detail} = await unsupported;
+
+          expect(detail.arMode).to.be.equal('quick-look');
+          expect(detail.fallback).to.be.equal('floor');
+        });
+
+        test('leaves wall placement to a wall-anchored ios-src', async () => {
+          let reported = false;
+          element.addEventListener('ar-placement-unsupported', () => {
+            reported = true;
+          });
+          element.src = 'https://example.com/model.gltf';
+          element.iosSrc = 'https://example.com/model.usdz';
+          element.iosSrcPlacement = 'wall';
+          element.arPlacement = 'wall';
+          await (element as any)[$openIOSARQuickLook]();
+
+          expect(reported).to.be.false;
+        });
       });
     });
 
@@ -166,7 +258,18 @@ suite('ModelViewerElementBase with ARMixin', () => {
         expect(element.canActivateAR).to.be.equal(false);
       });
 
+      test('hides the AR overlay when not presenting', () => {
+        const overlay = element.shadowRoot!.querySelector('.slot.ar-overlay')!;
+        expect(overlay.classList.contains('enabled')).to.be.equal(false);
+      });
+
       test('shows the AR button if on AR platform');
+
+      test('rejects recordings when not presenting', async () => {
+        let error: any = null;
+        await element.startARRecording().catch((e) => error = e);
+        expect(error).to.be.ok;
+      });
     });
 
     suite('ios-src', () => {
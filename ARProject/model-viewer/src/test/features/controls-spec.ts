@@ -491,6 +491,50 @@ suite('ModelViewerElementBase with ControlsMixin', () => {
         expect(controls.interactionEnabled).to.be.false;
       });
 
+      suite('enable-pan', () => {
+        const pan = (clientX: number) => {
+          const input = element[$userInputElement];
+          dispatchSyntheticEvent(
+              input, 'mousedown', {clientX: 0, clientY: 0, shiftKey: true});
+          dispatchSyntheticEvent(input, 'mousemove', {clientX, clientY: 0});
+          dispatchSyntheticEvent(self, 'mouseup');
+        };
+
+        setup(async () => {
+          element.enablePan = true;
+          await timePasses();
+        });
+
+        test(
+            'moves the camera target and reflects it in cameraTarget',
+            async () => {
+              const target = element.getCameraTarget();
+              pan(10);
+              await timePasses();
+              const panned = element.getCameraTarget();
+              expect(panned.x).to.be.lessThan(target.x);
+              expect(element.cameraTarget).to.be.equal(panned.toString());
+            });
+
+        test('keeps the target within the model bounds', async () => {
+          pan(100000);
+          await timePasses();
+          expect(element.getCameraTarget().x)
+              .to.be.equal(element[$scene].boundingBox.min.x);
+        });
+
+        test('resetPan restores the original target', async () => {
+          const cameraTarget = element.cameraTarget;
+          const target = element.getCameraTarget();
+          pan(10);
+          await timePasses();
+          element.resetPan();
+          await timePasses();
+          expect(element.cameraTarget).to.be.equal(cameraTarget);
+          expect(element.getCameraTarget().x).to.be.equal(target.x);
+        });
+      });
+
       suite('when user is interacting', () => {
         test('sets an appropriate camera-change event source', async () => {
           await rafPasses();
@@ -0,0 +1,148 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ACESFilmicToneMapping, ReinhardToneMapping} from 'three';
+
+import {EffectsMixin} from '../../features/effects.js';
+import {SceneGraphMixin} from '../../features/scene-graph.js';
+import ModelViewerElementBase, {$scene} from '../../model-viewer-base.js';
+import {EffectPipeline} from '../../three-components/EffectPipeline.js';
+import {waitForEvent} from '../../utilities.js';
+import {assetPath} from '../helpers.js';
+import {BasicSpecTemplate} from '../templates.js';
+
+const expect = chai.expect;
+
+const CUBE_GLTF_PATH = assetPath('models/cube.gltf');
+
+suite('ModelViewerElementBase with EffectsMixin', () => {
+  let nextId = 0;
+  let tagName: string;
+  let ModelViewerElement: any;
+  let element: any;
+
+  setup(() => {
+    tagName = `model-viewer-effects-${nextId++}`;
+    ModelViewerElement = class extends EffectsMixin
+    (SceneGraphMixin(ModelViewerElementBase)) {
+      static get is() {
+        return tagName;
+      }
+    };
+    customElements.define(tagName, ModelViewerElement);
+  });
+
+  BasicSpecTemplate(() => ModelViewerElement, () => tagName);
+
+  suite('with a loaded model', () => {
+    setup(async () => {
+      element = new ModelViewerElement();
+      element.src = CUBE_GLTF_PATH;
+      document.body.insertBefore(element, document.body.firstChild);
+      await waitForEvent(element, 'load');
+    });
+
+    teardown(() => {
+      if (element.parentNode != null) {
+        element.parentNode.removeChild(element);
+      }
+    });
+
+    suite('tone-mapping', () => {
+      test('defaults to ACES', () => {
+        expect(element[$scene].toneMapping).to.be.equal(ACESFilmicToneMapping);
+      });
+
+      test('sets the scene tone mapping', async () => {
+        element.toneMapping = 'reinhard';
+        await element.updateComplete;
+        expect(element[$scene].toneMapping).to.be.equal(ReinhardToneMapping);
+      });
+
+      test('falls back to ACES for unknown values', async () => {
+        element.toneMapping = 'reinhard';
+        await element.updateComplete;
+        element.toneMapping = 'sepia';
+        await element.updateComplete;
+        expect(element[$scene].toneMapping).to.be.equal(ACESFilmicToneMapping);
+      });
+    });
+
+    suite('effects', () => {
+      test('has no pipeline by default', () => {
+        expect(element[$scene].effects).to.be.null;
+      });
+
+      test('creates a pipeline when effects are set', async () => {
+        element.effects = 'bloom fxaa';
+        await element.updateComplete;
+        const pipeline = element[$scene].effects;
+        expect(pipeline).to.be.instanceOf(EffectPipeline);
+        expect(pipeline.hasEffects).to.be.true;
+      });
+
+      test('removes the pipeline when effects are cleared', async () => {
+        element.effects = 'bloom';
+        await element.updateComplete;
+        element.effects = '';
+        await element.updateComplete;
+        expect(element[$scene].effects).to.be.null;
+      });
+
+      test('ignores unknown effects', async () => {
+        element.effects = 'sparkles';
+        await element.updateComplete;
+        expect(element[$scene].effects.hasEffects).to.be.false;
+      });
+
+      test('removes the pipeline on disconnect', async () => {
+        element.effects = 'bloom';
+        await element.updateComplete;
+        element.parentNode.removeChild(element);
+        expect(element[$scene].effects).to.be.null;
+      });
+
+      test('does not render an outline without outlineNodes', async () => {
+        element.effects = 'outline';
+        await element.updateComplete;
+        const {width, height} = element[$scene];
+        expect(element[$scene].effects.render(width, height)).to.be.false;
+      });
+
+      suite('when frames slow down', () => {
+        let pipeline: EffectPipeline;
+
+        setup(async () => {
+          element.effects = 'ssao fxaa';
+          await element.updateComplete;
+          pipeline = element[$scene].effects;
+        });
+
+        test('drops effects as the scale step rises', () => {
+          expect(pipeline.updateQuality(1, 0)).to.be.true;
+          expect(pipeline.updateQuality(3, 10)).to.be.true;
+          const {width, height} = element[$scene];
+          expect(pipeline.render(width, height)).to.be.false;
+        });
+
+        test('restores effects only after a delay', () => {
+          pipeline.updateQuality(3, 0);
+          expect(pipeline.updateQuality(0, 1000)).to.be.false;
+          expect(pipeline.updateQuality(0, 4000)).to.be.true;
+        });
+      });
+    });
+  });
+});
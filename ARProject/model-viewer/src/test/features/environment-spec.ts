@@ -14,7 +14,7 @@
  */
 
 import {BASE_OPACITY, EnvironmentInterface, EnvironmentMixin} from '../../features/environment.js';
-import ModelViewerElementBase, {$scene} from '../../model-viewer-base.js';
+import ModelViewerElementBase, {$scene, $tick} from '../../model-viewer-base.js';
 import {ModelScene} from '../../three-components/ModelScene.js';
 import {Renderer} from '../../three-components/Renderer.js';
 import {timePasses, waitForEvent} from '../../utilities.js';
@@ -195,6 +195,92 @@ suite('ModelViewerElementBase with EnvironmentMixin', () => {
     });
   });
 
+  suite('environment-transition', () => {
+    const isBlended = (texture: any) =>
+        texture.name === 'EnvironmentTransition';
+
+    setup(async () => {
+      const onLoad = waitForLoadAndEnvMap(element);
+      element.src = MODEL_URL;
+      element.skyboxImage = HDR_BG_IMAGE_URL;
+      element.environmentTransition = 1000;
+      document.body.insertBefore(element, document.body.firstChild);
+      await onLoad;
+    });
+
+    teardown(() => {
+      document.body.removeChild(element);
+    });
+
+    test('does not crossfade the first environment', () => {
+      expect(isBlended(scene.environment)).to.be.false;
+    });
+
+    test('crossfades to a new environment', async () => {
+      const environmentChanged = waitForEvent(element, 'environment-change');
+      element.environmentImage = ALT_BG_IMAGE_URL;
+      await environmentChanged;
+      expect(isBlended(scene.environment)).to.be.true;
+
+      element[$tick](performance.now(), 400);
+      expect(isBlended(scene.environment)).to.be.true;
+
+      element[$tick](performance.now(), 700);
+      expect(isBlended(scene.environment)).to.be.false;
+      expect(modelUsingEnvMap(scene, ALT_BG_IMAGE_URL)).to.be.ok;
+    });
+
+    test(
+        'crossfades the background when it shows the environment', async () => {
+          const environmentChanged =
+              waitForEvent(element, 'environment-change');
+          element.skyboxImage = ALT_BG_IMAGE_URL;
+          await environmentChanged;
+          expect(scene.background).to.be.equal(scene.environment);
+          expect(isBlended(scene.background)).to.be.true;
+
+          element[$tick](performance.now(), 1000);
+          expect(backgroundHasMap(scene, ALT_BG_IMAGE_URL)).to.be.ok;
+          expect(isBlended(scene.background)).to.be.false;
+        });
+
+    test('switches instantly when set to 0', async () => {
+      element.environmentTransition = 0;
+      const environmentChanged = waitForEvent(element, 'environment-change');
+      element.environmentImage = ALT_BG_IMAGE_URL;
+      await environmentChanged;
+
+      expect(modelUsingEnvMap(scene, ALT_BG_IMAGE_URL)).to.be.ok;
+      expect(isBlended(scene.environment)).to.be.false;
+    });
+  });
+
+  suite('preloadEnvironment', () => {
+    setup(async () => {
+      const onLoad = waitForLoadAndEnvMap(element);
+      element.src = MODEL_URL;
+      document.body.insertBefore(element, document.body.firstChild);
+      await onLoad;
+    });
+
+    teardown(() => {
+      document.body.removeChild(element);
+    });
+
+    test('generates the environment map that is applied later', async () => {
+      await element.preloadEnvironment(ALT_BG_IMAGE_URL);
+      const {textureUtils} = Renderer.singleton;
+      const {environmentMap} =
+          await textureUtils!.generateEnvironmentMapAndSkybox(
+              null, ALT_BG_IMAGE_URL);
+
+      const environmentChanged = waitForEvent(element, 'environment-change');
+      element.environmentImage = ALT_BG_IMAGE_URL;
+      await environmentChanged;
+      expect(scene.environment).to.be.equal(environmentMap.texture);
+    });
+  });
+
   suite('with skybox-image property', () => {
     setup(async () => {
       let onLoad = waitForLoadAndEnvMap(element);
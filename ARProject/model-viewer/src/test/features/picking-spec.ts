@@ -0,0 +1,201 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Mesh, Object3D} from 'three';
+
+import {PickingMixin} from '../../features/picking.js';
+import {SceneGraphMixin} from '../../features/scene-graph.js';
+import {$correlatedObjects} from '../../features/scene-graph/three-dom-element.js';
+import ModelViewerElementBase, {$scene, $tick, $userInputElement} from '../../model-viewer-base.js';
+import {waitForEvent} from '../../utilities.js';
+import {assetPath, dispatchSyntheticEvent} from '../helpers.js';
+import {BasicSpecTemplate} from '../templates.js';
+
+const expect = chai.expect;
+
+const CUBE_GLTF_PATH = assetPath('models/cube.gltf');
+
+suite('ModelViewerElementBase with PickingMixin', () => {
+  let nextId = 0;
+  let tagName: string;
+  let ModelViewerElement: any;
+  let element: any;
+
+  setup(() => {
+    tagName = `model-viewer-picking-${nextId++}`;
+    ModelViewerElement = class extends PickingMixin
+    (SceneGraphMixin(ModelViewerElementBase)) {
+      static get is() {
+        return tagName;
+      }
+    };
+    customElements.define(tagName, ModelViewerElement);
+  });
+
+  BasicSpecTemplate(() => ModelViewerElement, () => tagName);
+
+  suite('with a loaded model', () => {
+    let centerX: number;
+    let centerY: number;
+
+    const meshOf = (node: any): any => {
+      let mesh: Mesh|null = null;
+      for (const object of node[$correlatedObjects]) {
+        object.traverse((child: Object3D) => {
+          if (mesh == null && (child as Mesh).isMesh) {
+            mesh = child as Mesh;
+          }
+        });
+      }
+      return mesh;
+    };
+
+    const pointerAt = (type: string, x: number, y: number, buttons = 0) => {
+      const rect = element.getBoundingClientRect();
+      dispatchSyntheticEvent(
+          element[$userInputElement], type,
+          {clientX: rect.left + x, clientY: rect.top + y, buttons});
+    };
+
+    setup(async () => {
+      element = new ModelViewerElement();
+      element.src = CUBE_GLTF_PATH;
+      document.body.insertBefore(element, document.body.firstChild);
+
+      const camera = element[$scene].camera;
+      camera.position.z = 2;
+      camera.updateMatrixWorld();
+      await waitForEvent(element, 'load');
+
+      const {width, height} = element[$scene];
+      centerX = width / 2;
+      centerY = height / 2;
+    });
+
+    teardown(() => {
+      document.body.removeChild(element);
+    });
+
+    test('picks the node and material under a point', () => {
+      const details = element.pickFromPoint(centerX, centerY);
+
+      expect(details).to.be.ok;
+      expect(details.materialIndex).to.be.equal(0);
+      expect(details.material).to.be.equal(element.model.materials[0]);
+      expect(details.node).to.be.oneOf(element.model.nodes);
+      expect(details.nodeName).to.be.equal(details.node.name);
+      expect(details.uv).to.be.ok;
+      const {x, y, z} = details.normal;
+      expect(Math.hypot(x, y, z)).to.be.closeTo(1, 1e-5);
+      expect(`${details.position}`).to.match(/m .*m .*m$/);
+    });
+
+    test('returns null off the model', () => {
+      expect(element.pickFromPoint(0, 0)).to.be.null;
+    });
+
+    test('ignores hidden nodes', () => {
+      const {node} = element.pickFromPoint(centerX, centerY);
+      node.setVisible(false);
+
+      expect(element.pickFromPoint(centerX, centerY)).to.be.null;
+    });
+
+    test('dispatches model-click on a click', () => {
+      let details: any = null;
+      element.addEventListener('model-click', (event: CustomEvent) => {
+        details = event.detail;
+      });
+
+      pointerAt('pointerdown', centerX, centerY);
+      pointerAt('click', centerX, centerY);
+
+      expect(details).to.be.ok;
+      expect(details.materialIndex).to.be.equal(0);
+    });
+
+    test('does not dispatch model-click after a drag', () => {
+      let clicked = false;
+      element.addEventListener('model-click', () => {
+        clicked = true;
+      });
+
+      pointerAt('pointerdown', centerX - 50, centerY);
+      pointerAt('click', centerX, centerY);
+
+      expect(clicked).to.be.false;
+    });
+
+    suite('with an emissive highlight', () => {
+      setup(async () => {
+        element.pickHighlight = 'emissive';
+        await element.updateComplete;
+      });
+
+      test('tints the hovered part until the pointer leaves', () => {
+        const {node} = element.pickFromPoint(centerX, centerY);
+        const mesh = meshOf(node);
+        const original = mesh.material;
+
+        pointerAt('pointermove', centerX, centerY);
+        element[$tick](performance.now(), 16);
+
+        expect(mesh.material).to.not.be.equal(original);
+        expect(mesh.material.emissive.equals(original.emissive)).to.be.false;
+        // Clicks still report the part's own material.
+        expect(element.pickFromPoint(centerX, centerY).material)
+            .to.be.equal(element.model.materials[0]);
+
+        pointerAt('pointerleave', centerX, centerY);
+        expect(mesh.material).to.be.equal(original);
+      });
+
+      test('does not highlight while dragging', () => {
+        const {node} = element.pickFromPoint(centerX, centerY);
+        const mesh = meshOf(node);
+        const original = mesh.material;
+
+        pointerAt('pointermove', centerX, centerY, 1);
+        element[$tick](performance.now(), 16);
+
+        expect(mesh.material).to.be.equal(original);
+      });
+    });
+
+    suite('with an outline highlight', () => {
+      setup(async () => {
+        element.pickHighlight = 'outline';
+        await element.updateComplete;
+      });
+
+      test('outlines the hovered part', async () => {
+        const {node} = element.pickFromPoint(centerX, centerY);
+        const mesh = meshOf(node);
+
+        pointerAt('pointermove', centerX, centerY);
+        element[$tick](performance.now(), 16);
+        expect(mesh.children.some(
+                   (child: Object3D) => child.name === 'PickHighlightOutline'))
+            .to.be.true;
+
+        element.pickHighlight = 'none';
+        await element.updateComplete;
+        expect(mesh.children.some(
+                   (child: Object3D) => child.name === 'PickHighlightOutline'))
+            .to.be.false;
+      });
+    });
+  });
+});
@@ -85,6 +85,14 @@ suite('ModelViewerElementBase with SceneGraphMixin', () => {
         expect(glTFroot.children[1].userData.variantMaterials.size).to.be.eq(3);
       });
 
+      test('dispatches variant-applied once a variant is loaded', async () => {
+        const variantName = element.availableVariants[1];
+        const applied = waitForEvent<CustomEvent>(element, 'variant-applied');
+        element.variantName = variantName;
+        const event = await applied;
+        expect(event.detail.variantName).to.be.equal(variantName);
+      });
+
       test('exports and reimports the model with variants', async () => {
         const exported = await element.exportScene({binary: true});
         const url = URL.createObjectURL(exported);
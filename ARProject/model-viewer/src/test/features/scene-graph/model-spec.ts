@@ -0,0 +1,166 @@
+/* @license
+ * Copyright 2020 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Box3, Vector3} from 'three';
+import {MeshStandardMaterial} from 'three/src/materials/MeshStandardMaterial.js';
+import {Mesh} from 'three/src/objects/Mesh.js';
+
+import {Model} from '../../../features/scene-graph/model.js';
+import {$correlatedObjects, $sourceObject} from '../../../features/scene-graph/three-dom-element.js';
+import {CorrelatedSceneGraph} from '../../../three-components/gltf-instance/correlated-scene-graph.js';
+import {Node as GLTFNode} from '../../../three-components/gltf-instance/gltf-2.0.js';
+import {assetPath, loadThreeGLTF} from '../../helpers.js';
+
+const expect = chai.expect;
+
+const ASTRONAUT_GLB_PATH = assetPath('models/Astronaut.glb');
+const KHRONOS_TRIANGLE_GLB_PATH =
+    assetPath('models/glTF-Sample-Models/2.0/Triangle/glTF/Triangle.gltf');
+const CUBES_GLTF_PATH = assetPath('models/cubes.gltf');
+
+suite('scene-graph/model', () => {
+  suite('Model', () => {
+    test('creates a "default" material, when none is specified', async () => {
+      const threeGLTF = await loadThreeGLTF(KHRONOS_TRIANGLE_GLB_PATH);
+      const model = new Model(CorrelatedSceneGraph.from(threeGLTF));
+
+      expect(model.materials.length).to.be.eq(1);
+      expect(model.materials[0].name).to.be.eq('Default');
+    });
+
+    test.skip('exposes a list of materials in the scene', async () => {
+      // TODO: This test is skipped because [$correlatedObjects] can contain
+      // unused materials, because it can contain a base material and the
+      // derived material (from assignFinalMaterial(), if for instance
+      // vertexTangents are used) even if only the derived material is assigned
+      // to a mesh. These extras make the test fail. We may want to remove these
+      // unused materials from [$correlatedObjects] at which point this test
+      // will pass, but it's not hurting anything.
+      const threeGLTF = await loadThreeGLTF(ASTRONAUT_GLB_PATH);
+      const materials: Set<MeshStandardMaterial> = new Set();
+
+      threeGLTF.scene.traverse((object) => {
+        if ((object as Mesh).isMesh) {
+          const material = (object as Mesh).material;
+          if (Array.isArray(material)) {
+            material.forEach(
+                (material) => materials.add(material as MeshStandardMaterial));
+          } else {
+            materials.add(material as MeshStandardMaterial);
+          }
+        }
+      });
+
+      const model = new Model(CorrelatedSceneGraph.from(threeGLTF));
+
+      const collectedMaterials = new Set<MeshStandardMaterial>();
+
+      model.materials.forEach((material) => {
+        for (const threeMaterial of material[$correlatedObjects] as
+             Set<MeshStandardMaterial>) {
+          collectedMaterials.add(threeMaterial);
+          expect(materials.has(threeMaterial)).to.be.true;
+        }
+      });
+
+      expect(collectedMaterials.size).to.be.equal(materials.size);
+    });
+
+    suite('nodes', () => {
+      let threeGLTF: any;
+      let model: Model;
+
+      const objectOf = (node: any): any =>
+          node[$correlatedObjects].values().next().value;
+
+      setup(async () => {
+        threeGLTF = await loadThreeGLTF(CUBES_GLTF_PATH);
+        model = new Model(CorrelatedSceneGraph.from(threeGLTF));
+      });
+
+      test('lists the nodes of the scene', () => {
+        expect(model.rootNodes.length).to.be.eq(2);
+        expect(model.nodes.length).to.be.at.least(2);
+        for (const node of model.rootNodes) {
+          expect(node.parent).to.be.null;
+          expect(threeGLTF.scene.children).to.include(objectOf(node));
+        }
+      });
+
+      test('finds nodes by name', () => {
+        const [first] = model.nodes;
+        expect(model.getNodeByName(first.name)).to.be.equal(first);
+        expect(model.getNodeByName('not a node')).to.be.null;
+      });
+
+      test('hides a node', () => {
+        const [node] = model.rootNodes;
+        node.setVisible(false);
+
+        expect(node.visible).to.be.false;
+        expect(objectOf(node).visible).to.be.false;
+      });
+
+      test('sets a node\'s transform', () => {
+        const [node] = model.rootNodes;
+        node.setTranslation([1, 2, 3]);
+
+        expect(objectOf(node).position.toArray()).to.be.eql([1, 2, 3]);
+        expect(node.translation).to.be.eql([1, 2, 3]);
+        expect((node[$sourceObject] as GLTFNode).translation).to.be.eql([
+          1, 2, 3
+        ]);
+      });
+
+      test('ghosts everything but the isolated node', () => {
+        const [kept, ghosted] = model.rootNodes;
+        const keptMaterial = objectOf(kept).material;
+        const ghostedMaterial = objectOf(ghosted).material;
+
+        model.isolate(kept, 0.5);
+        expect(objectOf(kept).material).to.be.equal(keptMaterial);
+        expect(objectOf(ghosted).material).to.not.be.equal(ghostedMaterial);
+        expect(objectOf(ghosted).material.transparent).to.be.true;
+        expect(objectOf(ghosted).material.opacity)
+            .to.be.closeTo(ghostedMaterial.opacity * 0.5, 1e-6);
+
+        model.isolate(null);
+        expect(objectOf(ghosted).material).to.be.equal(ghostedMaterial);
+      });
+
+      test('explodes the parts away from the center and back', () => {
+        const [node] = model.rootNodes;
+        const object = objectOf(node);
+        const rest = object.position.clone();
+        const center =
+            new Box3().setFromObject(threeGLTF.scene).getCenter(new Vector3());
+        const partCenter =
+            new Box3().setFromObject(object).getCenter(new Vector3());
+
+        model.explode(1);
+        const moved = object.position.clone().sub(rest);
+        expect(moved.length()).to.be.greaterThan(0);
+        expect(moved.dot(partCenter.sub(center))).to.be.greaterThan(0);
+
+        model.explode(1);
+        expect(object.position.clone().sub(rest).length())
+            .to.be.closeTo(moved.length(), 1e-6);
+
+        model.explode(0);
+        expect(object.position.toArray()).to.be.eql(rest.toArray());
+      });
+    });
+  });
+});
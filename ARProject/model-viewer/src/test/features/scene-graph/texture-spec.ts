@@ -102,6 +102,14 @@ suite('scene-graph/texture', () => {
       expect(uuidFromImageObject).to.be.equal(newUUID);
     });
 
+    test('Set the sampler scale', () => {
+      texture!.sampler.setScale({u: 4, v: 2});
+      expect(texture!.sampler.scale).to.be.deep.equal({u: 4, v: 2});
+      const threeTexture = texture!.source[$threeTexture]!;
+      expect(threeTexture.repeat.x).to.be.equal(4);
+      expect(threeTexture.repeat.y).to.be.equal(2);
+    });
+
     test('Set a texture and then setURI', async () => {
       const imageFromSetTexture = texture?.source[$threeTexture]?.image;
       expect(imageFromSetTexture).to.not.be.null;
@@ -15,7 +15,8 @@
 
 import {CameraChangeDetails} from '../../features/controls.js';
 import {StagingMixin} from '../../features/staging.js';
-import ModelViewerElementBase from '../../model-viewer-base.js';
+import ModelViewerElementBase, {$scene} from '../../model-viewer-base.js';
+import {Renderer} from '../../three-components/Renderer.js';
 import {ChangeSource} from '../../three-components/SmoothControls.js';
 import {timePasses, waitForEvent} from '../../utilities.js';
 import {assetPath, rafPasses} from '../helpers.js';
@@ -166,5 +167,78 @@ suite('ModelViewerElementBase with StagingMixin', () => {
         });
       });
     });
+
+    suite('floor', () => {
+      const floorPlane = () =>
+          element[$scene].floor.getObjectByName('FloorPlane');
+
+      test('is not created by default', () => {
+        expect(element[$scene].floor).to.be.null;
+      });
+
+      test('shows a floor at the bottom of the model', async () => {
+        element.floor = true;
+        await timePasses();
+        const scene = element[$scene];
+        expect(scene.floor.floorVisible).to.be.true;
+        expect(scene.floor.position.y)
+            .to.be.closeTo(scene.boundingBox.min.y, 0.0001);
+      });
+
+      test('sizes the floor to floor-radius', async () => {
+        element.floor = true;
+        element.floorRadius = '2';
+        await timePasses();
+        expect(floorPlane().scale.x).to.be.equal(4);
+        expect(floorPlane().scale.z).to.be.equal(4);
+      });
+
+      test('makes reflective floors smoother', async () => {
+        element.floor = true;
+        element.floorReflectivity = 0.8;
+        await timePasses();
+        expect(floorPlane().material.roughness).to.be.closeTo(0.2, 0.0001);
+      });
+
+      test('hides the floor when floor is removed', async () => {
+        element.floor = true;
+        await timePasses();
+        element.floor = false;
+        await timePasses();
+        expect(element[$scene].floor.floorVisible).to.be.false;
+      });
+    });
+
+    suite('contact shadow', () => {
+      setup(async () => {
+        element.contactShadowIntensity = 0.5;
+        await timePasses();
+      });
+
+      test('is drawn at contact-shadow-intensity without a floor', () => {
+        const {floor} = element[$scene];
+        expect(floor.getContactShadowIntensity()).to.be.equal(0.5);
+        expect(floor.floorVisible).to.be.false;
+      });
+
+      test('is baked before rendering', () => {
+        const scene = element[$scene];
+        scene.updateContactShadow();
+        Renderer.singleton.render(performance.now());
+        expect(scene.floor.needsBake).to.be.false;
+        expect(scene.floor.getObjectByName('ContactShadow').material.map)
+            .to.be.ok;
+        expect(scene.modelContainer.parent).to.be.equal(scene.target);
+      });
+
+      test('is baked again when its softness changes', async () => {
+        const {floor} = element[$scene];
+        Renderer.singleton.render(performance.now());
+        element.contactShadowSoftness = 1;
+        // Checked as soon as the element updates, before a frame can bake it.
+        await element.updateComplete;
+        expect(floor.needsBake).to.be.true;
+      });
+    });
   });
 });
@@ -0,0 +1,145 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ControlsMixin} from '../../features/controls.js';
+import {StagingMixin} from '../../features/staging.js';
+import {TOUR_HIGHLIGHT_ATTRIBUTE, TourMixin, TourStopDetails} from '../../features/tour.js';
+import ModelViewerElementBase from '../../model-viewer-base.js';
+import {ChangeSource} from '../../three-components/SmoothControls.js';
+import {timePasses, waitForEvent} from '../../utilities.js';
+import {assetPath, rafPasses} from '../helpers.js';
+import {BasicSpecTemplate} from '../templates.js';
+
+const expect = chai.expect;
+
+const ODD_SHAPE_GLB_PATH = assetPath('models/odd-shape.glb');
+const PRECISION = 1e-5;
+
+suite('ModelViewerElementBase with TourMixin', () => {
+  let nextId = 0;
+  let tagName: string;
+  let ModelViewerElement: any;
+  let element: any;
+
+  setup(() => {
+    tagName = `model-viewer-tour-${nextId++}`;
+    ModelViewerElement = class extends TourMixin
+    (StagingMixin(ControlsMixin(ModelViewerElementBase))) {
+      static get is() {
+        return tagName;
+      }
+    };
+    customElements.define(tagName, ModelViewerElement);
+  });
+
+  BasicSpecTemplate(() => ModelViewerElement, () => tagName);
+
+  suite('with a loaded model', () => {
+    setup(async () => {
+      element = new ModelViewerElement();
+      element.src = ODD_SHAPE_GLB_PATH;
+      document.body.insertBefore(element, document.body.firstChild);
+      await waitForEvent(element, 'load');
+      Object.defineProperty(
+          element, 'modelIsVisible', {value: true, writable: true});
+      element.tour = [
+        {
+          orbit: '90deg 60deg auto',
+          duration: 1,
+          dwell: 1,
+          hotspot: 'hotspot-tour'
+        },
+        {fieldOfView: '30deg', duration: 0.5, dwell: 0.5, narration: 'Zoom in'}
+      ];
+      await timePasses();
+    });
+
+    teardown(() => {
+      document.body.removeChild(element);
+    });
+
+    test('measures the tour', () => {
+      expect(element.tourDuration).to.be.equal(3);
+      expect(element.tourPaused).to.be.true;
+      expect(element.tourStop).to.be.equal(-1);
+    });
+
+    test('seeking moves the camera to the stop', () => {
+      element.seekTour(1.5);
+      const {theta, phi} = element.getCameraOrbit();
+      expect(theta).to.be.closeTo(Math.PI / 2, PRECISION);
+      expect(phi).to.be.closeTo(Math.PI / 3, PRECISION);
+      expect(element.tourStop).to.be.equal(0);
+    });
+
+    test('carries omitted values over from the previous stop', () => {
+      element.seekTour(2.75);
+      const {theta} = element.getCameraOrbit();
+      expect(theta).to.be.closeTo(Math.PI / 2, PRECISION);
+      expect(element.getFieldOfView()).to.be.closeTo(30, PRECISION);
+      expect(element.tourStop).to.be.equal(1);
+    });
+
+    test('dispatches tour-stop with the keyframe', () => {
+      let detail: TourStopDetails|null = null;
+      element.addEventListener(
+          'tour-stop', (event: CustomEvent<TourStopDetails>) => {
+            detail = event.detail;
+          });
+      element.seekTour(2.75);
+      expect(detail!.index).to.be.equal(1);
+      expect(detail!.keyframe.narration).to.be.equal('Zoom in');
+    });
+
+    test('highlights the stop\'s hotspot while there', () => {
+      const hotspot = document.createElement('div');
+      hotspot.slot = 'hotspot-tour';
+      element.appendChild(hotspot);
+      element.seekTour(1.5);
+      expect(hotspot.hasAttribute(TOUR_HIGHLIGHT_ATTRIBUTE)).to.be.true;
+      element.seekTour(2.2);
+      expect(hotspot.hasAttribute(TOUR_HIGHLIGHT_ATTRIBUTE)).to.be.false;
+    });
+
+    test('pauses on user interaction', () => {
+      element.playTour();
+      expect(element.tourPaused).to.be.false;
+      element.dispatchEvent(new CustomEvent(
+          'camera-change', {detail: {source: ChangeSource.USER_INTERACTION}}));
+      expect(element.tourPaused).to.be.true;
+    });
+
+    test('holds auto-rotate while playing', () => {
+      element.autoRotate = true;
+      element.playTour();
+      expect(element.autoRotate).to.be.false;
+      element.stopTour();
+      expect(element.autoRotate).to.be.true;
+    });
+
+    test('plays to the end', async () => {
+      element.tour = [{orbit: '45deg 75deg auto', duration: 0.05, dwell: 0.05}];
+      await timePasses();
+      const tourEnds = waitForEvent(element, 'tour-end');
+      element.playTour();
+      await rafPasses();
+      await tourEnds;
+      expect(element.tourPaused).to.be.true;
+      expect(element.tourTime).to.be.equal(element.tourDuration);
+      expect(element.getCameraOrbit().theta)
+          .to.be.closeTo(Math.PI / 4, PRECISION);
+    });
+  });
+});
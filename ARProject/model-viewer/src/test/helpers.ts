@@ -53,6 +53,9 @@ export interface SyntheticEventProperties {
   clientY?: number;
   deltaY?: number;
   keyCode?: number;
+  shiftKey?: boolean;
+  button?: number;
+  buttons?: number;
 }
 
 /**
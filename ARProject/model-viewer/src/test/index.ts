@@ -35,18 +35,23 @@ import './three-components/TextureUtils-spec.js';
 import './three-components/CachingGLTFLoader-spec.js';
 import './three-components/ModelUtils-spec.js';
 import './three-components/Hotspot-spec.js';
+import './three-components/Dimensions-spec.js';
 import './utilities/animation-spec.js';
 import './utilities/cache-eviction-policy-spec.js';
 import './utilities/focus-visible-spec.js';
 import './utilities/progress-tracker-spec.js';
+import './utilities/persistent-cache-spec.js';
 import './features/animation-spec.js';
 import './features/annotation-spec.js';
 import './features/staging-spec.js';
+import './features/tour-spec.js';
 import './features/controls-spec.js';
 import './features/environment-spec.js';
 import './features/loading-spec.js';
 import './features/loading/status-announcer-spec.js';
 import './features/scene-graph-spec.js';
+import './features/picking-spec.js';
+import './features/effects-spec.js';
 import './features/scene-graph/model-spec.js';
 import './features/ar-spec.js';
 import './features/scene-graph/texture-spec.js';
@@ -0,0 +1,1117 @@
+/* @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Material, Matrix4, Mesh, Object3D, PerspectiveCamera, Quaternion, Vector2, Vector3} from 'three';
+
+import {ControlsInterface, ControlsMixin} from '../../features/controls.js';
+import ModelViewerElementBase, {$scene} from '../../model-viewer-base.js';
+import {ARItem} from '../../three-components/ARItem.js';
+import {ARPlacement, ARRenderer, ARStatus, ARTracking} from '../../three-components/ARRenderer.js';
+import {ModelScene} from '../../three-components/ModelScene.js';
+import {Renderer} from '../../three-components/Renderer.js';
+import {waitForEvent} from '../../utilities.js';
+import {assetPath} from '../helpers.js';
+import {EmulatedXRSession, EmulatedXRSystem, horizontalPlane, installWebXREmulation, recordXRSession, verticalPlane} from '../webxr-emulation.js';
+
+
+const expect = chai.expect;
+
+// A typical table top above the floor (meters).
+const SURFACE_HEIGHT = 0.75;
+
+class MockXRFrame implements XRFrame {
+  constructor(public session: XRSession) {
+  }
+
+  // We don't use nor test the returned XRPose other than its existence.
+  getPose(_xrSpace: XRSpace, _frameOfRef: XRReferenceSpace) {
+    return {} as XRPose;
+  }
+
+  getViewerPose(_referenceSpace?: XRReferenceSpace): XRViewerPose {
+    // Rotate 180 degrees on Y (so it's not the default)
+    // and angle 45 degrees towards the ground, like a phone.
+    const matrix = new Matrix4()
+                       .identity()
+                       .makeRotationAxis(new Vector3(0, 1, 0), Math.PI)
+                       .multiply(new Matrix4().makeRotationAxis(
+                           new Vector3(1, 0, 0), -Math.PI / 4));
+    matrix.setPosition(10, 2, 3);
+    const transform: XRRigidTransform = {
+      matrix: matrix.elements as unknown as Float32Array,
+      position: {} as DOMPointReadOnly,
+      orientation: {} as DOMPointReadOnly,
+      inverse: {} as XRRigidTransform
+    };
+    const camera = new PerspectiveCamera();
+    const view: XRView = {
+      eye: {} as XREye,
+      projectionMatrix: camera.projectionMatrix.elements as unknown as
+          Float32Array,
+      viewMatrix: {} as Float32Array,
+      transform: transform,
+      recommendedViewportScale: null,
+      requestViewportScale: (_scale: number|null) => {}
+    };
+    const viewerPos: XRViewerPose = {transform: transform, views: [view]};
+
+    return viewerPos;
+  }
+
+  getHitTestResults(_xrHitTestSource: XRHitTestSource) {
+    return [];
+  }
+
+  getHitTestResultsForTransientInput(_hitTestSource:
+                                         XRTransientInputHitTestSource) {
+    return [];
+  }
+}
+
+suite('ARRenderer', () => {
+  let nextId = 0;
+  let tagName: string;
+  let ModelViewerElement: Constructor<ModelViewerElementBase&ControlsInterface>;
+
+  let element: ModelViewerElementBase&ControlsInterface;
+  ;
+  let arRenderer: ARRenderer;
+  let xrSession: XRSession;
+
+  let inputSources: Array<XRInputSource> = [];
+
+  const setInputSources = (sources: Array<XRInputSource>) => {
+    inputSources = sources;
+  };
+
+  const stubWebXrInterface = (arRenderer: ARRenderer) => {
+    arRenderer.resolveARSession = async () => {
+      class FakeSession extends EventTarget implements XRSession {
+        public renderState: XRRenderState = {
+          baseLayer: {
+            getViewport: () => {
+              return {x: 0, y: 0, width: 320, height: 240} as XRViewport
+            }
+          } as XRLayer
+        } as XRRenderState;
+
+        public hitTestSources: Set<XRHitTestSource> =
+            new Set<XRHitTestSource>();
+
+        updateRenderState(_object: any) {
+        }
+
+        requestFrameOfReference() {
+          return {};
+        }
+
+        async requestReferenceSpace(_type: XRReferenceSpaceType):
+            Promise<XRReferenceSpace> {
+          return {} as XRReferenceSpace;
+        }
+
+        get inputSources(): Array<XRInputSource> {
+          return inputSources;
+        }
+
+        async requestHitTestSource(_options: XRHitTestOptionsInit):
+            Promise<XRHitTestSource> {
+          const result = {cancel: () => {}};
+
+          this.hitTestSources.add(result);
+
+          return result;
+        }
+
+        async requestHitTestSourceForTransientInput(
+            _options: XRTransientInputHitTestOptionsInit) {
+          const result = {cancel: () => {}};
+
+          this.hitTestSources.add(result);
+
+          return result;
+        }
+
+        requestAnimationFrame() {
+          return 1;
+        }
+
+        cancelAnimationFrame() {
+        }
+
+        async end() {
+          this.dispatchEvent(new CustomEvent('end'));
+        }
+      }
+
+      xrSession = new FakeSession();
+      return xrSession;
+    };
+  };
+
+  setup(() => {
+    tagName = `model-viewer-arrenderer-${nextId++}`;
+    ModelViewerElement = class extends ControlsMixin
+    (ModelViewerElementBase) {
+      static get is() {
+        return tagName;
+      }
+    };
+    customElements.define(tagName, ModelViewerElement);
+
+    element = new ModelViewerElement();
+    document.body.insertBefore(element, document.body.firstChild);
+    arRenderer = Renderer.singleton.arRenderer;
+  });
+
+  // NOTE(cdata): It will be a notable day when this test fails
+  test('does not support presenting to AR on any browser', async () => {
+    expect(await arRenderer.supportsPresentation()).to.be.equal(false);
+  });
+
+  test('is not presenting if present has not been invoked', () => {
+    expect(arRenderer.isPresenting).to.be.equal(false);
+  });
+
+  suite('when presenting a scene', () => {
+    let modelScene: ModelScene;
+    let oldXRRay: any;
+    let oldEnvironment: any;
+
+    setup(async () => {
+      const sourceLoads = waitForEvent(element, 'load');
+      element.src = assetPath('models/Astronaut.glb');
+      await sourceLoads;
+      modelScene = element[$scene];
+      stubWebXrInterface(arRenderer);
+      setInputSources([]);
+
+      oldXRRay = (window as any).XRRay;
+      (window as any).XRRay = class MockXRRay implements XRRay {
+        readonly origin = new DOMPointReadOnly;
+        readonly direction = new DOMPointReadOnly;
+        matrix = new Float32Array;
+
+        constructor(_origin: DOMPointInit, _direction: DOMPointInit) {
+        }
+      }
+
+      oldEnvironment = modelScene.environment;
+      await arRenderer.present(modelScene);
+    });
+
+    teardown(async () => {
+      (window as any).XRRay = oldXRRay;
+      await arRenderer.stopPresenting().catch(() => {});
+    });
+
+    test('presents the model at its natural scale', () => {
+      const scale = modelScene.target.getWorldScale(new Vector3());
+
+      expect(scale.x).to.be.equal(1);
+      expect(scale.y).to.be.equal(1);
+      expect(scale.z).to.be.equal(1);
+    });
+
+    suite('presentation ends', () => {
+      setup(async () => {
+        await arRenderer.stopPresenting();
+      });
+
+      test('restores the model to its natural scale', () => {
+        const scale = modelScene.target.getWorldScale(new Vector3());
+
+        expect(scale.x).to.be.equal(1);
+        expect(scale.y).to.be.equal(1);
+        expect(scale.z).to.be.equal(1);
+      });
+
+      test('restores original camera', () => {
+        expect(modelScene.camera).to.be.equal(modelScene.camera);
+      });
+
+      test('restores scene size', () => {
+        expect(modelScene.width).to.be.equal(300);
+        expect(modelScene.height).to.be.equal(150);
+      });
+    });
+
+    // We're going to need to mock out XRFrame more so it can set the camera
+    // in order to properly test this.
+
+    suite('after initial placement', () => {
+      let yaw: number;
+
+      setup(async () => {
+        arRenderer.onWebXRFrame(0, new MockXRFrame(arRenderer.currentSession!));
+        yaw = modelScene.yaw;
+      });
+
+      test('places the model oriented to the camera', () => {
+        const epsilon = 0.0001;
+        const {target, position, camera} = modelScene;
+
+        const cameraPosition = camera.position;
+        const cameraToHit = new Vector2(
+            position.x - cameraPosition.x, position.z - cameraPosition.z);
+        const forward = target.getWorldDirection(new Vector3());
+        const forwardProjection = new Vector2(forward.x, forward.z);
+
+        expect(forward.y).to.be.equal(0);
+        expect(cameraToHit.cross(forwardProjection)).to.be.closeTo(0, epsilon);
+        expect(cameraToHit.dot(forwardProjection)).to.be.lessThan(0);
+        expect(modelScene.yaw).to.be.equal(yaw);
+      });
+    });
+
+    suite('with an additional model', () => {
+      let item: ARItem;
+
+      setup(async () => {
+        arRenderer.onWebXRFrame(0, new MockXRFrame(arRenderer.currentSession!));
+        item = await arRenderer.addItem(assetPath('models/Horse.glb'));
+      });
+
+      test('adds the model to the presented scene', () => {
+        expect(item.parent).to.be.equal(modelScene);
+        expect(arRenderer.items.get(item.uuid)).to.be.equal(item);
+      });
+
+      test('selects the new model', () => {
+        expect(arRenderer.selectedItem).to.be.equal(item);
+      });
+
+      test('keeps the model in place when the scene moves', () => {
+        const epsilon = 0.0001;
+        const before = item.getWorldPosition(new Vector3());
+        modelScene.position.x += 1;
+        modelScene.yaw += Math.PI / 2;
+        item.update(0);
+        const after = item.getWorldPosition(new Vector3());
+        expect(after.distanceTo(before)).to.be.closeTo(0, epsilon);
+      });
+
+      test('turns and resets the selected model', () => {
+        const {goalYaw} = arRenderer as any;
+        item.goalScale = 2;
+        arRenderer.rotate(Math.PI / 2);
+        arRenderer.resetScale();
+
+        expect(item.goalScale).to.be.equal(1);
+        expect((arRenderer as any).goalYaw).to.be.equal(goalYaw);
+      });
+
+      test('can select the presented model again', () => {
+        arRenderer.selectItem(null);
+        expect(arRenderer.selectedItem).to.be.equal(null);
+      });
+
+      test('removes the model', () => {
+        expect(arRenderer.removeItem(item.uuid)).to.be.equal(true);
+        expect(item.parent).to.be.equal(null);
+        expect(arRenderer.items.size).to.be.equal(0);
+        expect(arRenderer.selectedItem).to.be.equal(null);
+      });
+
+      suite('presentation ends', () => {
+        setup(async () => {
+          await arRenderer.stopPresenting();
+        });
+
+        test('removes the additional model', () => {
+          expect(item.parent).to.be.equal(null);
+          expect(arRenderer.items.size).to.be.equal(0);
+        });
+      });
+    });
+
+    suite('in-session controls', () => {
+      test('turns the model', () => {
+        const {goalYaw} = arRenderer as any;
+        arRenderer.rotate(Math.PI / 2);
+        expect((arRenderer as any).goalYaw)
+            .to.be.closeTo(goalYaw + Math.PI / 2, 1e-6);
+      });
+
+      test('resets the model to its natural size', () => {
+        (arRenderer as any).goalScale = 2;
+        arRenderer.resetScale();
+        expect((arRenderer as any).goalScale).to.be.equal(1);
+      });
+
+      test('reports the scale as it changes', async () => {
+        (arRenderer as any).reportScale();
+        const scaleChanges = waitForEvent<any>(arRenderer, 'scale');
+        modelScene.scale.setScalar(1.5);
+        (arRenderer as any).reportScale();
+        const event = await scaleChanges;
+
+        expect(event.scale).to.be.equal(1.5);
+      });
+    });
+
+    suite('snapping', () => {
+      teardown(() => {
+        arRenderer.snapRotation = 0;
+        arRenderer.snapToWalls = false;
+      });
+
+      test('twists in steps from where the gesture started', () => {
+        const renderer = arRenderer as any;
+        renderer.snapRotation = Math.PI / 4;
+        renderer.twistYaw = 1;
+        renderer.twistStartYaw = 1;
+
+        expect(renderer.twist(0.3)).to.be.equal(1);
+        expect(renderer.twist(0.3)).to.be.closeTo(1 + Math.PI / 4, 1e-6);
+      });
+
+      test('twists freely without a rotation step', () => {
+        const renderer = arRenderer as any;
+        renderer.twistYaw = 1;
+        expect(renderer.twist(0.3)).to.be.closeTo(1.3, 1e-6);
+      });
+
+      test('shows a dial while presenting with a rotation step', async () => {
+        await arRenderer.stopPresenting();
+        arRenderer.snapRotation = Math.PI / 2;
+        await arRenderer.present(modelScene);
+
+        const {ticks} = (arRenderer as any).snapIndicator;
+        expect(ticks.geometry.getAttribute('position').count).to.be.equal(8);
+      });
+
+      suite('against a wall', () => {
+        // A wall two meters ahead, facing back along +z.
+        const wallMatrix =
+            new Matrix4().makeRotationX(Math.PI / 2).setPosition(0, 0, -2);
+        const frame = {
+          detectedPlanes: new Set([{
+            orientation: 'vertical',
+            planeSpace: {},
+            polygon: [
+              new DOMPointReadOnly(-1, 0, -1), new DOMPointReadOnly(1, 0, -1),
+              new DOMPointReadOnly(1, 0, 1), new DOMPointReadOnly(-1, 0, 1)
+            ],
+            lastChangedTime: 0
+          }]),
+          getPose: (_space: XRSpace, _refSpace: XRSpace) =>
+              ({transform: {matrix: wallMatrix.elements}})
+        };
+        let renderer: any;
+        let back: number;
+
+        setup(() => {
+          renderer = arRenderer;
+          renderer.snapToWalls = true;
+          renderer.goalScale = 1;
+          back = modelScene.getTarget().z - modelScene.boundingBox.min.z;
+          renderer.goalPosition.set(0.2, 0, -2 + back + 0.1);
+          renderer.goalYaw = 0.3;
+          renderer.wallSnapRequested = true;
+        });
+
+        test('pushes a dropped model flush and square', () => {
+          renderer.updateWallSnap(frame);
+          const {goalPosition} = renderer;
+
+          expect(goalPosition.x).to.be.closeTo(0.2, 1e-6);
+          expect(goalPosition.z).to.be.closeTo(-2 + back, 1e-6);
+          expect(renderer.goalYaw).to.be.closeTo(0, 1e-6);
+        });
+
+        test('leaves models far from the wall alone', () => {
+          renderer.goalPosition.z = 0;
+          renderer.updateWallSnap(frame);
+
+          expect(renderer.goalPosition.z).to.be.equal(0);
+          expect(renderer.goalYaw).to.be.equal(0.3);
+        });
+      });
+    });
+
+    suite('placement modes', () => {
+      // A hit at the given height on a plane facing up or down.
+      const hitAt = (y: number, facingUp: boolean = true) => {
+        const matrix = new Matrix4()
+                           .makeRotationX(facingUp ? 0 : Math.PI)
+                           .setPosition(0, y, -1);
+        return {
+          getPose: (_refSpace: XRSpace) =>
+              ({transform: {matrix: matrix.elements}})
+        };
+      };
+
+      teardown(() => {
+        arRenderer.placement = 'floor';
+        (arRenderer as any).floorHeight = Infinity;
+      });
+
+      test('hangs ceiling models from the top of their bounds', async () => {
+        await arRenderer.stopPresenting();
+        arRenderer.placement = 'ceiling';
+        await arRenderer.present(modelScene);
+        arRenderer.onWebXRFrame(0, new MockXRFrame(arRenderer.currentSession!));
+
+        expect(modelScene.getTarget().y)
+            .to.be.equal(modelScene.boundingBox.max.y);
+      });
+
+      test('only places ceiling models on downward-facing hits', () => {
+        const renderer = arRenderer as any;
+        renderer.placement = 'ceiling';
+
+        expect(renderer.getHitPoint(hitAt(1))).to.be.null;
+        expect(renderer.getHitPoint(hitAt(1, false))).to.not.be.null;
+      });
+
+      test('places surface models above the floor only', () => {
+        const renderer = arRenderer as any;
+        renderer.placement = 'surface';
+        renderer.floorHeight = -1.4;
+
+        expect(renderer.getHitPoint(hitAt(-1.4))).to.be.null;
+        expect(renderer.getHitPoint(hitAt(-1.4 + SURFACE_HEIGHT)).y)
+            .to.be.closeTo(-1.4 + SURFACE_HEIGHT, 1e-6);
+        expect(renderer.getHitPoint(hitAt(-1.35))).to.be.null;
+      });
+
+      test('finds the floor from detected planes', () => {
+        const renderer = arRenderer as any;
+        renderer.placement = 'surface';
+        const floorMatrix = new Matrix4().setPosition(0, -1.4, 0);
+        renderer.updateFloorHeight({
+          detectedPlanes: new Set([{
+            orientation: 'horizontal',
+            planeSpace: {},
+            polygon: [],
+            lastChangedTime: 0
+          }]),
+          getPose: (_space: XRSpace, _refSpace: XRSpace) =>
+              ({transform: {matrix: floorMatrix.elements}})
+        });
+
+        expect(renderer.getHitPoint(hitAt(-1.4 + SURFACE_HEIGHT)))
+            .to.not.be.null;
+      });
+    });
+
+    suite('capturing a frame', () => {
+      test('resolves with an image of the next frame', async () => {
+        const capture = arRenderer.captureFrame();
+        arRenderer.onWebXRFrame(0, new MockXRFrame(arRenderer.currentSession!));
+        const blob = await capture;
+        expect(blob.type).to.be.equal('image/png');
+        expect(blob.size).to.be.greaterThan(0);
+      });
+
+      test('rejects if the presentation ends first', async () => {
+        const capture = arRenderer.captureFrame();
+        await arRenderer.stopPresenting();
+        let error = null;
+        await capture.catch((e) => error = e);
+        expect(error).to.be.ok;
+      });
+    });
+
+    suite('anchors', () => {
+      const placement = {
+        anchor: 'saved-anchor',
+        position: {x: 0, y: 0, z: 0},
+        yaw: 0,
+        scale: 1.5
+      };
+
+      test(
+          'cannot restore a placement without persistent anchors', async () => {
+            expect(arRenderer.canPersistAnchors).to.be.equal(false);
+            expect(await arRenderer.restorePlacement(placement))
+                .to.be.equal(false);
+          });
+
+      suite('with persistent anchors', () => {
+        let anchor: any;
+        let anchorPose: any;
+
+        const frameWithAnchor = () => {
+          const frame: any = new MockXRFrame(arRenderer.currentSession!);
+          const getPose = frame.getPose.bind(frame);
+          frame.trackedAnchors = new Set([anchor]);
+          frame.getPose = (space: XRSpace, refSpace: XRReferenceSpace) =>
+              space === anchor.anchorSpace ? {transform: anchorPose} :
+                                             getPose(space, refSpace);
+          return frame;
+        };
+
+        setup(() => {
+          anchor = {anchorSpace: {}, delete: () => {}};
+          const orientation =
+              new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), 0.5);
+          anchorPose = {
+            position: {x: 1, y: 0, z: -2},
+            orientation: {
+              x: orientation.x,
+              y: orientation.y,
+              z: orientation.z,
+              w: orientation.w
+            }
+          };
+          xrSession.restorePersistentAnchor = async (_uuid: string) => anchor;
+          xrSession.deletePersistentAnchor = async (_uuid: string) => {};
+        });
+
+        test('can restore a placement', async () => {
+          expect(arRenderer.canPersistAnchors).to.be.equal(true);
+          expect(await arRenderer.restorePlacement(placement))
+              .to.be.equal(true);
+        });
+
+        test('moves the model to the restored anchor', async () => {
+          let restored: any = null;
+          const onPlacement = ({placement}: any) => restored = placement;
+          arRenderer.addEventListener('placement', onPlacement);
+          await arRenderer.restorePlacement(placement);
+          arRenderer.onWebXRFrame(0, frameWithAnchor());
+          arRenderer.removeEventListener('placement', onPlacement);
+
+          const {x, y, z} = arRenderer.getPlacement().position;
+          expect(x).to.be.closeTo(1, 1e-6);
+          expect(y).to.be.closeTo(0, 1e-6);
+          expect(z).to.be.closeTo(-2, 1e-6);
+          expect(arRenderer.getPlacement().yaw).to.be.closeTo(0.5, 1e-6);
+          expect(arRenderer.getPlacement().scale).to.be.equal(1.5);
+          expect(restored.anchor).to.be.equal('saved-anchor');
+        });
+
+        test('follows the anchor as tracking refines it', async () => {
+          await arRenderer.restorePlacement(placement);
+          arRenderer.onWebXRFrame(0, frameWithAnchor());
+          anchorPose.position = {x: 1.1, y: 0, z: -2};
+          arRenderer.onWebXRFrame(16, frameWithAnchor());
+          expect(arRenderer.getPlacement().position.x).to.be.closeTo(1.1, 1e-6);
+        });
+      });
+    });
+
+    suite('light estimation', () => {
+      let lighting: any;
+
+      setup(() => {
+        lighting = arRenderer.lighting;
+      });
+
+      test('starts from a neutral estimate', async () => {
+        const neutral = await Renderer.singleton.textureUtils!
+                            .loadGeneratedEnvironmentMapAlt();
+        expect(lighting.estimate.source).to.be.equal('neutral');
+        expect(modelScene.environment).to.be.equal(neutral.texture);
+        expect(modelScene.shadowLightDirection).to.be.equal(null);
+      });
+
+      test('reports estimates to the debugger', () => {
+        const details: Array<any> = [];
+        const oldDebug = lighting.debug;
+        lighting.debug = {lightEstimate: (detail: any) => details.push(detail)};
+        lighting.update(0);
+        lighting.update(100);
+        lighting.update(1000);
+        lighting.debug = oldDebug;
+
+        expect(details.length).to.be.equal(2);
+        expect(details[0].scene).to.be.equal(modelScene);
+        expect(details[0].source).to.be.equal('neutral');
+        expect(details[0].sphericalHarmonics.length).to.be.equal(27);
+      });
+
+      suite('with an estimate', () => {
+        setup(() => {
+          const {xrLight} = lighting;
+          xrLight.directionalLight.position.set(1, 1, 0);
+          xrLight.dispatchEvent({type: 'estimationstart'});
+          lighting.update(0);
+        });
+
+        test('lights the model with the estimate', () => {
+          expect(lighting.estimate.source).to.be.equal('xr');
+          expect(lighting.xrLight.parent).to.be.equal(modelScene);
+        });
+
+        test('casts the shadow away from the light', () => {
+          const direction = modelScene.shadowLightDirection!;
+          expect(direction.x).to.be.closeTo(Math.SQRT1_2, 1e-6);
+          expect(direction.y).to.be.closeTo(Math.SQRT1_2, 1e-6);
+
+          modelScene.setShadowIntensity(0.3);
+          // An orthographic projection has no depth terms in x and y.
+          const {elements} = modelScene.shadow!.shadow.camera.projectionMatrix;
+          expect(Math.hypot(elements[8], elements[9])).to.be.greaterThan(0);
+        });
+
+        test('restores the lighting when presentation ends', async () => {
+          await arRenderer.stopPresenting();
+          expect(lighting.xrLight.parent).to.be.equal(null);
+          expect(modelScene.environment).to.be.equal(oldEnvironment);
+          expect(modelScene.shadowLightDirection).to.be.equal(null);
+        });
+      });
+    });
+
+    suite('occlusion', () => {
+      let occlusion: any;
+
+      const occludedMaterials = () => {
+        const materials: Array<Material> = [];
+        modelScene.traverse((object: Object3D) => {
+          const {material} = object as Mesh;
+          if (material != null && !Array.isArray(material) &&
+              material.customProgramCacheKey().includes('|occlusion')) {
+            materials.push(material);
+          }
+        });
+        return materials;
+      };
+
+      setup(() => {
+        occlusion = arRenderer.occlusion;
+      });
+
+      test('is off unless requested', () => {
+        expect(occlusion.status).to.be.equal('none');
+      });
+
+      test('reports when depth sensing is unavailable', async () => {
+        await arRenderer.stopPresenting();
+        const occlusionReported = waitForEvent<any>(arRenderer, 'occlusion');
+        await arRenderer.present(modelScene, false, true);
+        const event = await occlusionReported;
+
+        expect(event.status).to.be.equal('unavailable');
+        expect(event.usage).to.be.equal(null);
+        expect(occludedMaterials().length).to.be.equal(0);
+      });
+
+      suite('with CPU depth', () => {
+        const frame = {
+          getDepthInformation: (_view: XRView) => ({
+            width: 2,
+            height: 2,
+            data: new Uint16Array([1000, 1000, 2000, 2000]).buffer,
+            rawValueToMeters: 0.001,
+            normDepthBufferFromNormView: {matrix: new Matrix4().elements}
+          })
+        };
+
+        setup(() => {
+          (xrSession as any).depthUsage = 'cpu-optimized';
+          (xrSession as any).depthDataFormat = 'luminance-alpha';
+          occlusion.startSession(xrSession, modelScene, true);
+          occlusion.update(
+              frame, {}, {x: 0, y: 0, width: 320, height: 240},
+              modelScene.getCamera());
+        });
+
+        test('takes the depth sensing path', () => {
+          expect(occlusion.status).to.be.equal('depth-sensing');
+          expect(occlusion.details.dataFormat).to.be.equal('luminance-alpha');
+        });
+
+        test('tests the depth of every material', () => {
+          expect(occludedMaterials().length).to.be.greaterThan(0);
+          const {occlusionDepth, occlusionRawToMeters} = occlusion.uniforms;
+          expect(occlusionDepth.value.image.width).to.be.equal(2);
+          expect(occlusionRawToMeters.value).to.be.equal(0.001);
+        });
+
+        test('restores the materials when presentation ends', async () => {
+          await arRenderer.stopPresenting();
+          expect(occludedMaterials().length).to.be.equal(0);
+        });
+      });
+    });
+  });
+
+  suite('on an emulated device', () => {
+    const FLOOR_HEIGHT = -1.5;
+    let modelScene: ModelScene;
+    let system: EmulatedXRSystem;
+    let session: EmulatedXRSession;
+    let uninstall: () => void;
+
+    const steps = async (count: number, duration?: number) => {
+      for (let i = 0; i < count; ++i) {
+        await session.step(duration);
+      }
+    };
+
+    // Where the presented model's placement box is on the screen.
+    const modelOnScreen = (): [number, number] => {
+      const point = modelScene.position.clone().project(modelScene.getCamera());
+      return [point.x, -point.y];
+    };
+
+    // Presents on the device, looking down at the floor two meters ahead,
+    // and waits for the model to be placed and settle.
+    const presentOnDevice = async () => {
+      const placed = waitForEvent<any>(
+          arRenderer, 'status',
+          ({status}: any) => status === ARStatus.OBJECT_PLACED);
+      await arRenderer.present(modelScene);
+      session = system.session!;
+      session.lookAt(new Vector3(0, 0, 0), new Vector3(0, FLOOR_HEIGHT, -2));
+      await steps(2);
+      await placed;
+      await steps(10, 100);
+    };
+
+    // Puts a finger on the model, moves it by dx across the screen, lets go
+    // and waits for the drop to be handled.
+    const drag = async (dx: number) => {
+      const [screenX, screenY] = modelOnScreen();
+      const finger = session.touch(screenX, screenY);
+      await session.step();
+      session.moveTouch(finger, screenX + dx, screenY);
+      await steps(3);
+      session.release(finger);
+      await session.step();
+    };
+
+    // Turns two fingers, held 0.2 apart at the bottom of the screen, to the
+    // given angles in turn.
+    const twist = async (...angles: Array<number>) => {
+      const one = session.touch(-0.1, 0.8);
+      const two = session.touch(0.1, 0.8);
+      await session.step();
+      for (const angle of angles) {
+        const dx = 0.1 * Math.cos(angle);
+        const dy = 0.1 * Math.sin(angle);
+        session.moveTouch(one, -dx, 0.8 - dy);
+        session.moveTouch(two, dx, 0.8 + dy);
+        await session.step();
+      }
+      session.release(two);
+      session.release(one);
+    };
+
+    setup(async () => {
+      const sourceLoads = waitForEvent(element, 'load');
+      element.src = assetPath('models/Astronaut.glb');
+      await sourceLoads;
+      modelScene = element[$scene];
+
+      system = new EmulatedXRSystem();
+      system.planes.push(horizontalPlane(FLOOR_HEIGHT));
+      uninstall = installWebXREmulation(system);
+      arRenderer.resolveARSession = (occlusion?: boolean) =>
+          arRenderer.requestARSession(system as any as XR, occlusion);
+    });
+
+    teardown(async () => {
+      await arRenderer.stopPresenting().catch(() => {});
+      delete (arRenderer as any).resolveARSession;
+      arRenderer.placement = 'floor';
+      arRenderer.snapRotation = 0;
+      arRenderer.snapToWalls = false;
+      arRenderer.cameraCapture = false;
+      uninstall();
+    });
+
+    suite('once placed', () => {
+      setup(async () => {
+        await presentOnDevice();
+      });
+
+      test('asks the device for hit testing', () => {
+        expect(system.sessionInit.requiredFeatures).to.include('hit-test');
+        expect(session.enabledFeatures).to.include('hit-test');
+      });
+
+      test('does not ask for the camera unless capturing it', () => {
+        expect(system.sessionInit.optionalFeatures)
+            .to.not.include('camera-access');
+      });
+
+      test('places the model on the floor', () => {
+        const {goalPosition} = arRenderer as any;
+        expect(goalPosition.y).to.be.closeTo(FLOOR_HEIGHT, 1e-6);
+        expect(modelScene.position.y).to.be.closeTo(FLOOR_HEIGHT, 1e-3);
+      });
+
+      test('drags the model across the floor', async () => {
+        const {x} = (arRenderer as any).goalPosition;
+        await drag(0.4);
+
+        const {goalPosition} = arRenderer as any;
+        expect(goalPosition.x).to.be.greaterThan(x + 0.1);
+        expect(goalPosition.y).to.be.closeTo(FLOOR_HEIGHT, 0.01);
+      });
+
+      test('rotates the model with a swipe beside it', async () => {
+        const {goalYaw} = arRenderer as any;
+        const finger = session.touch(-0.9, -0.9);
+        await session.step();
+        session.moveTouch(finger, -0.5, -0.9);
+        await session.step();
+        session.release(finger);
+
+        expect((arRenderer as any).goalYaw)
+            .to.be.closeTo(goalYaw + 0.4 * 1.5, 1e-6);
+      });
+
+      test('scales the model with two fingers', async () => {
+        const one = session.touch(-0.1, 0.8);
+        const two = session.touch(0.1, 0.8);
+        await session.step();
+        session.moveTouch(one, -0.2, 0.8);
+        session.moveTouch(two, 0.2, 0.8);
+        await session.step();
+        session.release(two);
+        session.release(one);
+
+        expect((arRenderer as any).goalScale).to.be.closeTo(2, 1e-6);
+      });
+
+      test('twists the model freely without a rotation step', async () => {
+        const {goalYaw} = arRenderer as any;
+        await twist(0.3);
+
+        expect((arRenderer as any).goalYaw).to.be.closeTo(goalYaw - 0.3, 1e-6);
+      });
+
+      test('anchors the model where it is dropped', async () => {
+        const placement = waitForEvent(arRenderer, 'placement');
+        await drag(0);
+        await placement;
+
+        expect(session.anchors.size).to.be.equal(1);
+        const [anchor] = session.anchors;
+        const anchorPosition =
+            new Vector3().setFromMatrixPosition(anchor.matrix);
+        expect(anchorPosition.distanceTo((arRenderer as any).goalPosition))
+            .to.be.closeTo(0, 1e-3);
+      });
+
+      test('moves the model with its anchor', async () => {
+        const placement = waitForEvent(arRenderer, 'placement');
+        await drag(0);
+        await placement;
+        const {x} = (arRenderer as any).goalPosition;
+        const [anchor] = session.anchors;
+        anchor.matrix.elements[12] += 0.1;
+        await session.step();
+
+        expect((arRenderer as any).goalPosition.x).to.be.closeTo(x + 0.1, 1e-6);
+      });
+
+      test('reports lost tracking', async () => {
+        const lost = waitForEvent<any>(arRenderer, 'tracking');
+        session.tracking = false;
+        await steps(30);
+
+        expect((await lost).status).to.be.equal(ARTracking.NOT_TRACKING);
+      });
+
+      test('replays a recorded drag', async () => {
+        const {x} = (arRenderer as any).goalPosition;
+        const [screenX, screenY] = modelOnScreen();
+        const position = new Vector3();
+        const orientation = new Quaternion();
+        session.viewerMatrix.decompose(position, orientation, new Vector3());
+        const pose = {
+          position: position.toArray() as [number, number, number],
+          orientation: orientation.toArray() as [number, number, number, number]
+        };
+        await session.replay([
+          {time: 1000, touches: [{id: 0, x: screenX, y: screenY}], ...pose}, {
+            time: 1016,
+            touches: [{id: 0, x: screenX + 0.4, y: screenY}],
+            ...pose
+          },
+          {
+            time: 1032,
+            touches: [{id: 0, x: screenX + 0.4, y: screenY}],
+            ...pose
+          },
+          {time: 1048, touches: [], ...pose}
+        ]);
+
+        expect((arRenderer as any).goalPosition.x).to.be.greaterThan(x + 0.1);
+        expect(session.inputSources.length).to.be.equal(0);
+      });
+
+      test('records sessions for replay', async () => {
+        const recording = recordXRSession(session, session.localSpace);
+        const finger = session.touch(0.5, 0.5);
+        await session.step();
+        session.release(finger);
+        await session.step();
+        recording.stop();
+
+        const [touching, released] = recording.frames;
+        expect(recording.frames.length).to.be.equal(2);
+        expect(touching.touches).to.be.deep.equal([{id: 0, x: 0.5, y: 0.5}]);
+        expect(released.touches.length).to.be.equal(0);
+        expect(released.position[1]).to.be.closeTo(0, 1e-6);
+      });
+
+      test('ends the device session when presentation stops', async () => {
+        await arRenderer.stopPresenting();
+
+        expect(session.ended).to.be.equal(true);
+        expect(arRenderer.isPresenting).to.be.equal(false);
+      });
+    });
+
+    suite('with snapping', () => {
+      test('twists the model in rotation steps', async () => {
+        arRenderer.snapRotation = Math.PI / 2;
+        await presentOnDevice();
+        const {goalYaw} = arRenderer as any;
+
+        await twist(0.3);
+        expect((arRenderer as any).goalYaw).to.be.closeTo(goalYaw, 1e-6);
+
+        await twist(0.3, 1.0);
+        expect((arRenderer as any).goalYaw)
+            .to.be.closeTo(goalYaw - Math.PI / 2, 1e-6);
+      });
+
+      test('pushes a model dropped near a wall flush against it', async () => {
+        arRenderer.snapToWalls = true;
+        await presentOnDevice();
+        expect(system.sessionInit.optionalFeatures)
+            .to.include('plane-detection');
+
+        const {goalPosition} = arRenderer as any;
+        const back = modelScene.getTarget().z - modelScene.boundingBox.min.z;
+        const wallZ = goalPosition.z - back - 0.2;
+        system.planes.push(verticalPlane(0, FLOOR_HEIGHT, wallZ, 0, 4));
+        await drag(0);
+
+        expect(goalPosition.z).to.be.closeTo(wallZ + back, 1e-6);
+        expect(Math.cos((arRenderer as any).goalYaw)).to.be.closeTo(1, 1e-6);
+      });
+    });
+
+    suite('with persistent anchors', () => {
+      let placement: ARPlacement|null;
+      const onPlacement = (event: any) => {
+        placement = event.placement;
+      };
+
+      setup(() => {
+        // The same room, on a device that keeps anchors across sessions.
+        const {planes} = system;
+        system = new EmulatedXRSystem({persistentAnchors: true});
+        system.planes.push(...planes);
+        placement = null;
+        arRenderer.addEventListener('placement', onPlacement);
+      });
+
+      teardown(() => {
+        arRenderer.removeEventListener('placement', onPlacement);
+      });
+
+      // Places the model in a session of its own, returning the placement.
+      const placeInSession = async () => {
+        await presentOnDevice();
+        const placed = placement!;
+        await arRenderer.stopPresenting();
+        return placed;
+      };
+
+      test('persists the anchor the model is placed on', async () => {
+        const {anchor} = await placeInSession();
+
+        expect(anchor).to.be.ok;
+        expect(system.savedAnchors.has(anchor!)).to.be.equal(true);
+      });
+
+      test('deletes the anchor of a replaced placement', async () => {
+        const replaced = await placeInSession();
+        await presentOnDevice();
+        const {anchor} = placement!;
+
+        expect(await arRenderer.retirePlacement(replaced)).to.be.equal(true);
+        expect(system.savedAnchors.has(replaced.anchor!)).to.be.equal(false);
+        expect(system.savedAnchors.has(anchor!)).to.be.equal(true);
+      });
+
+      test('keeps the anchor of the presented placement', async () => {
+        await presentOnDevice();
+
+        expect(await arRenderer.retirePlacement(placement!)).to.be.equal(false);
+        expect(system.savedAnchors.has(placement!.anchor!)).to.be.equal(true);
+      });
+
+      test('deletes a restored anchor once the model is moved', async () => {
+        const saved = await placeInSession();
+        await presentOnDevice();
+        const fresh = placement!.anchor;
+        expect(await arRenderer.restorePlacement(saved)).to.be.equal(true);
+        await steps(2);
+
+        const moved = waitForEvent(arRenderer, 'placement');
+        await drag(0.4);
+        await moved;
+        await session.step();
+
+        expect(placement!.anchor).to.not.be.equal(saved.anchor);
+        expect(system.savedAnchors.has(saved.anchor!)).to.be.equal(false);
+        expect(system.savedAnchors.has(fresh!)).to.be.equal(false);
+        expect(system.savedAnchors.size).to.be.equal(1);
+      });
+    });
+
+    test('asks for the camera when capturing it', async () => {
+      arRenderer.cameraCapture = true;
+      await presentOnDevice();
+
+      expect(system.sessionInit.optionalFeatures).to.include('camera-access');
+    });
+
+    suite('in surface placement', () => {
+      test('places the model on a table seen before the floor', async () => {
+        // Without plane detection, only hit tests can find the floor.
+        system = new EmulatedXRSystem(
+            {features: ['viewer', 'local', 'hit-test', 'dom-overlay']});
+        system.planes.push(horizontalPlane(FLOOR_HEIGHT));
+        const tableHeight = FLOOR_HEIGHT + SURFACE_HEIGHT;
+        system.planes.push(horizontalPlane(tableHeight, {z: -2, size: 3}));
+        arRenderer.resolveARSession = (occlusion?: boolean) =>
+            arRenderer.requestARSession(system as any as XR, occlusion);
+        arRenderer.placement = 'surface';
+
+        const placed = waitForEvent<any>(
+            arRenderer, 'status',
+            ({status}: any) => status === ARStatus.OBJECT_PLACED);
+        await arRenderer.present(modelScene);
+        session = system.session!;
+        session.lookAt(new Vector3(0, 0, 0), new Vector3(0, tableHeight, -2));
+        await steps(2);
+        await placed;
+
+        expect((arRenderer as any).floorHeight).to.be.equal(FLOOR_HEIGHT);
+        expect((arRenderer as any).goalPosition.y)
+            .to.be.closeTo(tableHeight, 1e-6);
+      });
+    });
+  });
+
+  test('cannot capture a frame when not presenting', async () => {
+    let error = null;
+    await arRenderer.captureFrame().catch((e) => error = e);
+    expect(error).to.be.ok;
+  });
+});
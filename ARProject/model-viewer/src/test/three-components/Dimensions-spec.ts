@@ -0,0 +1,97 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ModelViewerElementBase, {$canvas} from '../../model-viewer-base.js';
+import {DimensionUnits, formatLength} from '../../three-components/Dimensions.js';
+import {ModelScene} from '../../three-components/ModelScene.js';
+import {assetPath} from '../helpers.js';
+
+const expect = chai.expect;
+
+suite('Dimensions', () => {
+  suite('formatLength', () => {
+    test('formats short metric lengths in centimeters', () => {
+      expect(formatLength(0.456, DimensionUnits.METRIC)).to.be.equal('46 cm');
+    });
+
+    test('formats long metric lengths in meters', () => {
+      expect(formatLength(1.5, DimensionUnits.METRIC)).to.be.equal('1.50 m');
+    });
+
+    test('formats short imperial lengths in inches', () => {
+      expect(formatLength(0.254, DimensionUnits.IMPERIAL)).to.be.equal('10 in');
+    });
+
+    test('formats long imperial lengths in feet and inches', () => {
+      expect(formatLength(0.9144, DimensionUnits.IMPERIAL)).to.be.equal('3 ft');
+      expect(formatLength(1, DimensionUnits.IMPERIAL)).to.be.equal('3 ft 3 in');
+    });
+  });
+
+  suite('on a ModelScene', () => {
+    let nextId = 0;
+    let scene: ModelScene;
+
+    setup(async () => {
+      const tagName = `model-viewer-dimensions-${nextId++}`;
+      const ModelViewerElement = class extends ModelViewerElementBase {
+        static get is() {
+          return tagName;
+        }
+      };
+      customElements.define(tagName, ModelViewerElement);
+      const element = new ModelViewerElement();
+      scene = new ModelScene({
+        element: element,
+        canvas: element[$canvas],
+        width: 200,
+        height: 100,
+      });
+      await scene.setSource(assetPath('models/Astronaut.glb'));
+      scene.setDimensions(true, DimensionUnits.METRIC);
+    });
+
+    test('is added to the scene target', () => {
+      expect(scene.dimensions).to.be.ok;
+      expect(scene.dimensions!.parent).to.be.equal(scene.target);
+    });
+
+    test('labels the model size', () => {
+      const {x, y, z} = scene.size;
+      expect(scene.dimensions!.text).to.be.deep.equal({
+        width: formatLength(x, DimensionUnits.METRIC),
+        height: formatLength(y, DimensionUnits.METRIC),
+        depth: formatLength(z, DimensionUnits.METRIC)
+      });
+    });
+
+    test('updates the labels when the scene is scaled', () => {
+      scene.setDimensionsScale(2);
+      expect(scene.dimensions!.text.height)
+          .to.be.equal(formatLength(2 * scene.size.y, DimensionUnits.METRIC));
+    });
+
+    test('updates the labels when the units change', () => {
+      scene.setDimensions(true, DimensionUnits.IMPERIAL);
+      expect(scene.dimensions!.text.height)
+          .to.be.equal(formatLength(scene.size.y, DimensionUnits.IMPERIAL));
+    });
+
+    test('is hidden when turned off', () => {
+      scene.setDimensions(false, DimensionUnits.METRIC);
+      expect(scene.dimensions!.visible).to.be.false;
+    });
+  });
+});
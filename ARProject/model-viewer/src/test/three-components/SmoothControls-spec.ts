@@ -13,11 +13,11 @@
  * limitations under the License.
  */
 
-import {PerspectiveCamera, Vector3} from 'three';
+import {Event as ThreeEvent, PerspectiveCamera, Vector3} from 'three';
 
-import {ChangeSource, DEFAULT_OPTIONS, KeyCode, SmoothControls} from '../../three-components/SmoothControls.js';
+import {ChangeSource, DEFAULT_OPTIONS, KeyCode, PanEvent, SmoothControls} from '../../three-components/SmoothControls.js';
 import {waitForEvent} from '../../utilities.js';
-import {dispatchSyntheticEvent} from '../helpers.js';
+import {dispatchSyntheticEvent, SyntheticEventProperties} from '../helpers.js';
 
 const expect = chai.expect;
 
@@ -424,4 +424,95 @@ suite('SmoothControls', () => {
       });
     });
   });
+
+  suite('panning', () => {
+    let panEvents: Array<PanEvent>;
+    const collectPan = (event: ThreeEvent) => {
+      panEvents.push(event as PanEvent);
+    };
+
+    const drag = (start: SyntheticEventProperties) => {
+      dispatchSyntheticEvent(
+          element, 'mousedown', {clientX: 0, clientY: 0, ...start});
+      dispatchSyntheticEvent(element, 'mousemove', {clientX: 10, clientY: 0});
+      dispatchSyntheticEvent(self, 'mouseup');
+    };
+
+    const tap = () => {
+      dispatchSyntheticEvent(element, 'mousedown', {clientX: 0, clientY: 0});
+      dispatchSyntheticEvent(self, 'mouseup');
+    };
+
+    setup(() => {
+      panEvents = [];
+      controls.addEventListener('pan', collectPan);
+      settleControls(controls);
+    });
+
+    teardown(() => {
+      controls.removeEventListener('pan', collectPan);
+    });
+
+    test('shift-drag orbits when panning is disabled', () => {
+      const {theta} = controls.getCameraSpherical();
+      drag({shiftKey: true});
+      settleControls(controls);
+      expect(panEvents.length).to.be.equal(0);
+      expect(controls.getCameraSpherical().theta).to.not.be.equal(theta);
+    });
+
+    suite('when enabled', () => {
+      setup(() => {
+        controls.enablePan = true;
+      });
+
+      test('shift-drag pans instead of orbiting', () => {
+        const {theta} = controls.getCameraSpherical();
+        drag({shiftKey: true});
+        settleControls(controls);
+        expect(panEvents.length).to.be.equal(1);
+        expect(controls.getCameraSpherical().theta).to.be.equal(theta);
+      });
+
+      test('secondary button drag pans', () => {
+        drag({button: 2});
+        expect(panEvents.length).to.be.equal(1);
+      });
+
+      test('moves the target against the drag direction', () => {
+        drag({shiftKey: true});
+        const {delta} = panEvents[0];
+        // Dragging right slides the model right, so the target moves left.
+        expect(delta.x).to.be.lessThan(0);
+        expect(delta.y).to.be.closeTo(0, 1e-9);
+      });
+
+      test('primary button drag still orbits', () => {
+        drag({});
+        expect(panEvents.length).to.be.equal(0);
+      });
+
+      test('double-tap dispatches pan-reset', () => {
+        let resets = 0;
+        controls.addEventListener('pan-reset', () => resets++);
+        tap();
+        tap();
+        expect(resets).to.be.equal(1);
+      });
+
+      test('a drag between taps is not a double-tap', () => {
+        let resets = 0;
+        controls.addEventListener('pan-reset', () => resets++);
+        tap();
+        drag({});
+        tap();
+        expect(resets).to.be.equal(0);
+      });
+
+      test('prevents the context menu', () => {
+        const event = dispatchSyntheticEvent(element, 'contextmenu');
+        expect(event.defaultPrevented).to.be.true;
+      });
+    });
+  });
 });
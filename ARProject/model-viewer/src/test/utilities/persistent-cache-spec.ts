@@ -0,0 +1,120 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ModelViewerElementBase from '../../model-viewer-base.js';
+import {CachingGLTFLoader} from '../../three-components/CachingGLTFLoader.js';
+import {ModelViewerGLTFInstance} from '../../three-components/gltf-instance/ModelViewerGLTFInstance.js';
+import {PERSISTENT_CACHE_PREFIX, PersistentCache, persistentCacheName} from '../../utilities/persistent-cache.js';
+import {assetPath} from '../helpers.js';
+
+const expect = chai.expect;
+
+const ModelViewerElement = class extends ModelViewerElementBase {
+  static get is() {
+    return 'model-viewer-persistent-cache';
+  }
+};
+
+customElements.define('model-viewer-persistent-cache', ModelViewerElement);
+
+const ASTRONAUT_GLB_PATH = assetPath('models/Astronaut.glb');
+
+suite('PersistentCache', () => {
+  let persistentCache: PersistentCache;
+
+  setup(() => {
+    persistentCache = new PersistentCache('test');
+  });
+
+  teardown(async () => {
+    await persistentCache.clear();
+  });
+
+  test('names its cache after its version', () => {
+    expect(persistentCache.name).to.be.equal(`${PERSISTENT_CACHE_PREFIX}test`);
+    expect(persistentCache.name).to.be.equal(persistentCacheName('test'));
+  });
+
+  test('stores fetched assets', async () => {
+    expect(await persistentCache.has(ASTRONAUT_GLB_PATH)).to.be.false;
+    const buffer = await persistentCache.fetch(ASTRONAUT_GLB_PATH);
+    expect(buffer.byteLength).to.be.greaterThan(0);
+    // The asset is stored in the background.
+    const cache = await persistentCache.open();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(await cache.match(ASTRONAUT_GLB_PATH)).to.be.ok;
+  });
+
+  test('reports progress through to completion', async () => {
+    let progress = 0;
+    await persistentCache.add(ASTRONAUT_GLB_PATH, (value) => {
+      progress = value;
+    });
+    expect(progress).to.be.equal(1);
+    expect(await persistentCache.has(ASTRONAUT_GLB_PATH)).to.be.true;
+  });
+
+  test('serves stored assets from the cache', async () => {
+    await persistentCache.add(ASTRONAUT_GLB_PATH);
+    const stored = await persistentCache.fetch(ASTRONAUT_GLB_PATH);
+    const original = await (await fetch(ASTRONAUT_GLB_PATH)).arrayBuffer();
+    expect(stored.byteLength).to.be.equal(original.byteLength);
+  });
+
+  test('rejects assets that fail to load', async () => {
+    let error = null;
+    try {
+      await persistentCache.add(assetPath('models/does-not-exist.glb'));
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.ok;
+    expect((await persistentCache.keys()).length).to.be.equal(0);
+  });
+
+  test('deletes the caches of other versions', async () => {
+    const stale = new PersistentCache('stale');
+    await stale.add(ASTRONAUT_GLB_PATH);
+    await persistentCache.open();
+    const purged = await persistentCache.purgeStaleVersions();
+    expect(purged).to.include(stale.name);
+    expect(purged).to.not.include(persistentCache.name);
+    expect(await caches.has(stale.name)).to.be.false;
+    expect(await caches.has(persistentCache.name)).to.be.true;
+  });
+
+  suite('behind a CachingGLTFLoader', () => {
+    setup(() => {
+      // Earlier specs may have loaded the same glTF into the loader's own
+      // cache, which would skip the persistent one.
+      CachingGLTFLoader.clearCache();
+      CachingGLTFLoader.setPersistentCache(persistentCache);
+    });
+
+    teardown(() => {
+      CachingGLTFLoader.setPersistentCache(null);
+      CachingGLTFLoader.clearCache();
+    });
+
+    test('loads glTFs into the persistent cache', async () => {
+      const loader = new CachingGLTFLoader(ModelViewerGLTFInstance);
+      const element = new ModelViewerElement();
+      const {scene} = await loader.load(ASTRONAUT_GLB_PATH, element);
+      expect(scene).to.be.ok;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(await persistentCache.has(ASTRONAUT_GLB_PATH)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Quaternion, Vector3} from 'three';
+
+import {EmulatedXRRigidTransform, EmulatedXRSession, EmulatedXRSystem, horizontalPlane, recordXRSession, verticalPlane} from './webxr-emulation.js';
+
+const expect = chai.expect;
+
+const FLOOR_HEIGHT = -1.5;
+
+// Looking straight down or up, from wherever the viewer is.
+const DOWN =
+    new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), -Math.PI / 2);
+const UP = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), Math.PI / 2);
+
+suite('webxr-emulation', () => {
+  let system: EmulatedXRSystem;
+
+  setup(() => {
+    system = new EmulatedXRSystem();
+    system.planes.push(horizontalPlane(FLOOR_HEIGHT));
+  });
+
+  suite('EmulatedXRSystem', () => {
+    test('grants the optional features the device has', async () => {
+      const session = await system.requestSession('immersive-ar', {
+        requiredFeatures: ['hit-test'],
+        optionalFeatures: ['dom-overlay', 'depth-sensing']
+      });
+
+      expect(session.enabledFeatures).to.include('hit-test');
+      expect(session.enabledFeatures).to.include('dom-overlay');
+      expect(session.enabledFeatures).to.not.include('depth-sensing');
+      expect(system.sessionInit.requiredFeatures).to.be.deep.equal([
+        'hit-test'
+      ]);
+    });
+
+    test('refuses sessions that need missing features', async () => {
+      system = new EmulatedXRSystem({features: ['viewer', 'local']});
+      let error: any = null;
+      await system
+          .requestSession('immersive-ar', {requiredFeatures: ['hit-test']})
+          .catch((e) => error = e);
+
+      expect(error).to.be.ok;
+      expect(error.name).to.be.equal('NotSupportedError');
+    });
+
+    test('runs one session at a time', async () => {
+      const session = await system.requestSession('immersive-ar');
+      let error: any = null;
+      await system.requestSession('immersive-ar').catch((e) => error = e);
+
+      expect(error.name).to.be.equal('InvalidStateError');
+
+      await session.end();
+      expect(await system.requestSession('immersive-ar')).to.be.ok;
+    });
+  });
+
+  suite('with persistent anchors', () => {
+    setup(() => {
+      system = new EmulatedXRSystem({persistentAnchors: true});
+    });
+
+    const persistAnchor = async (x: number) => {
+      const session = await system.requestSession(
+          'immersive-ar', {optionalFeatures: ['anchors']});
+      const frame = await session.step();
+      const pose = new EmulatedXRRigidTransform({x, y: FLOOR_HEIGHT});
+      const anchor = await frame.createAnchor!
+                     (pose as XRRigidTransform, session.localSpace);
+      const handle = await anchor.requestPersistentHandle!();
+      await session.end();
+      return handle;
+    };
+
+    test('restores anchors in later sessions', async () => {
+      const handle = await persistAnchor(1);
+      const session = await system.requestSession(
+          'immersive-ar', {optionalFeatures: ['anchors']});
+      const anchor = await session.restorePersistentAnchor!(handle);
+
+      expect(session.anchors.has(anchor)).to.be.equal(true);
+      expect(new Vector3().setFromMatrixPosition(anchor.matrix).toArray())
+          .to.be.deep.equal([1, FLOOR_HEIGHT, 0]);
+      await session.end();
+    });
+
+    test('forgets deleted anchors', async () => {
+      const handle = await persistAnchor(1);
+      const session = await system.requestSession(
+          'immersive-ar', {optionalFeatures: ['anchors']});
+      await session.deletePersistentAnchor!(handle);
+
+      expect(system.savedAnchors.size).to.be.equal(0);
+      let error: any = null;
+      await session.restorePersistentAnchor!(handle).catch((e) => error = e);
+      expect(error.name).to.be.equal('NotFoundError');
+      await session.end();
+    });
+  });
+
+  suite('with a session', () => {
+    let session: EmulatedXRSession;
+
+    setup(async () => {
+      session = await system.requestSession(
+          'immersive-ar',
+          {requiredFeatures: ['hit-test'], optionalFeatures: ['anchors']});
+    });
+
+    teardown(async () => {
+      if (!session.ended) {
+        await session.end();
+      }
+    });
+
+    test('runs animation frames as time steps', async () => {
+      const times: Array<number> = [];
+      session.requestAnimationFrame((time) => times.push(time));
+      const handle = session.requestAnimationFrame((time) => times.push(time));
+      session.cancelAnimationFrame(handle);
+      await session.step(100);
+      await session.step(100);
+
+      expect(times).to.be.deep.equal([100]);
+    });
+
+    test('has no viewer pose while tracking is lost', async () => {
+      const frame = await session.step();
+      expect(frame.getViewerPose(session.localSpace)).to.be.ok;
+
+      session.tracking = false;
+      expect(frame.getViewerPose(session.localSpace)).to.be.null;
+    });
+
+    test('hit tests the floor ahead of the viewer', async () => {
+      session.lookAt(new Vector3(0, 0, 0), new Vector3(0, FLOOR_HEIGHT, -2));
+      const source = await session.requestHitTestSource(
+          {space: session.viewerSpace as any});
+      const frame = await session.step();
+      const [hit] = frame.getHitTestResults(source);
+      const {position} = hit.getPose(session.localSpace)!.transform;
+
+      expect(position.x).to.be.closeTo(0, 1e-6);
+      expect(position.y).to.be.closeTo(FLOOR_HEIGHT, 1e-6);
+      expect(position.z).to.be.closeTo(-2, 1e-6);
+    });
+
+    test('returns the nearest plane first', async () => {
+      system.planes.push(horizontalPlane(-0.75, {size: 1}));
+      session.setViewerPose(new Vector3(0, 0, 0), DOWN);
+      const hits = session.castRay(session.viewerSpace);
+
+      expect(hits.length).to.be.equal(2);
+      expect(hits[0].matrix.elements[13]).to.be.closeTo(-0.75, 1e-6);
+      expect(hits[1].matrix.elements[13]).to.be.closeTo(FLOOR_HEIGHT, 1e-6);
+    });
+
+    test('misses planes outside their bounds', () => {
+      system.planes = [horizontalPlane(FLOOR_HEIGHT, {x: 2, size: 1})];
+      session.setViewerPose(new Vector3(0, 0, 0), DOWN);
+
+      expect(session.castRay(session.viewerSpace).length).to.be.equal(0);
+    });
+
+    test('only hits planes from the front', () => {
+      system.planes = [horizontalPlane(2, {facingDown: true})];
+      session.setViewerPose(new Vector3(0, 0, 0), DOWN);
+      expect(session.castRay(session.viewerSpace).length).to.be.equal(0);
+
+      session.setViewerPose(new Vector3(0, 0, 0), UP);
+      expect(session.castRay(session.viewerSpace).length).to.be.equal(1);
+    });
+
+    test('tells walls from floors', () => {
+      expect(verticalPlane(0, 0, -2).orientation).to.be.equal('vertical');
+      expect(horizontalPlane(0).orientation).to.be.equal('horizontal');
+    });
+
+    suite('touches', () => {
+      test('dispatches select events as fingers go down and up', () => {
+        const events: Array<string> = [];
+        for (const type of ['selectstart', 'select', 'selectend']) {
+          session.addEventListener(type, () => events.push(type));
+        }
+        const finger = session.touch(0, 0);
+        expect(session.inputSources).to.be.deep.equal([finger]);
+
+        session.release(finger);
+        expect(session.inputSources.length).to.be.equal(0);
+        expect(events).to.be.deep.equal(['selectstart', 'select', 'selectend']);
+      });
+
+      test('hit tests through the finger', async () => {
+        session.setViewerPose(new Vector3(0, 0, 0), DOWN);
+        const source = await session.requestHitTestSourceForTransientInput(
+            {profile: 'generic-touchscreen'});
+        const finger = session.touch(0, 0);
+        const frame = await session.step();
+        const [{inputSource, results}] =
+            frame.getHitTestResultsForTransientInput(source);
+
+        expect(inputSource).to.be.equal(finger);
+        expect(results.length).to.be.equal(1);
+
+        session.moveTouch(finger, 0.5, 0);
+        const [{results: moved}] =
+            frame.getHitTestResultsForTransientInput(source);
+        const {position} =
+            moved[0].getPose(session.localSpace as any)!.transform;
+        expect(position.x).to.be.greaterThan(0);
+      });
+    });
+
+    test('keeps anchors where they were created', async () => {
+      const frame = await session.step();
+      const pose = new EmulatedXRRigidTransform({x: 1, y: FLOOR_HEIGHT, z: -2});
+      const anchor = await frame.createAnchor!
+                     (pose as XRRigidTransform, session.localSpace);
+
+      expect(frame.trackedAnchors!.has(anchor)).to.be.equal(true);
+      expect(new Vector3().setFromMatrixPosition(anchor.matrix).toArray())
+          .to.be.deep.equal([1, FLOOR_HEIGHT, -2]);
+
+      anchor.delete();
+      expect(frame.trackedAnchors!.size).to.be.equal(0);
+    });
+
+    test('has no persistent anchors unless asked for', async () => {
+      const frame = await session.step();
+      const pose = new EmulatedXRRigidTransform({y: FLOOR_HEIGHT});
+      const anchor = await frame.createAnchor!
+                     (pose as XRRigidTransform, session.localSpace);
+
+      expect(anchor.requestPersistentHandle).to.be.undefined;
+      expect(session.restorePersistentAnchor).to.be.undefined;
+    });
+
+    test('ends once', async () => {
+      let ended = false;
+      session.addEventListener('end', () => ended = true);
+      session.requestAnimationFrame(() => {
+        throw new Error('Ran after the session ended');
+      });
+      await session.end();
+      await session.step();
+
+      expect(ended).to.be.equal(true);
+      let error: any = null;
+      await session.end().catch((e) => error = e);
+      expect(error.name).to.be.equal('InvalidStateError');
+    });
+
+    suite('recording', () => {
+      test('records the viewer and touches each frame', async () => {
+        const recording = recordXRSession(session, session.localSpace);
+        session.setViewerPose(new Vector3(0, 1, 0));
+        const finger = session.touch(0.5, 0.5);
+        await session.step();
+        session.release(finger);
+        await session.step();
+        recording.stop();
+        await session.step();
+
+        const [touching, released] = recording.frames;
+        expect(recording.frames.length).to.be.equal(2);
+        expect(touching.touches).to.be.deep.equal([{id: 0, x: 0.5, y: 0.5}]);
+        expect(touching.position[1]).to.be.closeTo(1, 1e-6);
+        expect(released.touches.length).to.be.equal(0);
+      });
+
+      test('replays what it recorded', async () => {
+        const pose = {position: [0, 1, 0], orientation: [0, 0, 0, 1]} as {
+          position: [number, number, number],
+          orientation: [number, number, number, number]
+        };
+        const frames = [
+          {time: 1000, touches: [{id: 0, x: 0, y: 0}], ...pose},
+          {time: 1016, touches: [{id: 0, x: 0.4, y: 0}], ...pose},
+          {time: 1032, touches: [], ...pose}
+        ];
+        const recording = recordXRSession(session, session.localSpace);
+        await session.replay(frames);
+        recording.stop();
+
+        expect(recording.frames.map(({touches}) => touches))
+            .to.be.deep.equal(frames.map(({touches}) => touches));
+        expect(recording.frames[2].time - recording.frames[0].time)
+            .to.be.closeTo(32, 1e-6);
+        expect(session.inputSources.length).to.be.equal(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,915 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Matrix4, PerspectiveCamera, Quaternion, Vector3} from 'three';
+
+const FRAME_DURATION = 1000 / 60;
+
+// What an emulated device supports unless told otherwise.
+const DEFAULT_FEATURES = [
+  'viewer', 'local', 'hit-test', 'dom-overlay', 'anchors', 'plane-detection'
+];
+
+const IDENTITY = new Matrix4();
+const ONE = new Vector3(1, 1, 1);
+const FORWARD = new Vector3(0, 0, -1);
+
+// Plain points rather than DOMPointReadOnly, which Node doesn't have.
+const point = (x: number, y: number, z: number, w: number) =>
+    ({x, y, z, w}) as DOMPointReadOnly;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+
+/**
+ * The pose of space relative to baseSpace, or null if either isn't tracked.
+ */
+const relativeMatrix =
+    (space: EmulatedXRSpace, baseSpace: EmulatedXRSpace): Matrix4|null => {
+      const matrix = space.getMatrix();
+      const baseMatrix = baseSpace.getMatrix();
+      if (matrix == null || baseMatrix == null) {
+        return null;
+      }
+      return baseMatrix.clone().invert().multiply(matrix);
+    };
+
+const square = (size: number): Array<[number, number]> => {
+  if (!isFinite(size)) {
+    return [];
+  }
+  const half = size / 2;
+  return [[-half, -half], [half, -half], [half, half], [-half, half]];
+};
+
+export class EmulatedXRRigidTransform {
+  readonly position: DOMPointReadOnly;
+  readonly orientation: DOMPointReadOnly;
+  readonly matrix: Float32Array;
+
+  constructor(position: DOMPointInit = {}, orientation: DOMPointInit = {}) {
+    const {x = 0, y = 0, z = 0} = position;
+    const {x: qx = 0, y: qy = 0, z: qz = 0, w: qw = 1} = orientation;
+    const quaternion = new Quaternion(qx, qy, qz, qw).normalize();
+    this.position = point(x, y, z, 1);
+    this.orientation =
+        point(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.matrix = Float32Array.from(
+        new Matrix4().compose(new Vector3(x, y, z), quaternion, ONE).elements);
+  }
+
+  static fromMatrix(matrix: Matrix4): EmulatedXRRigidTransform {
+    const position = new Vector3();
+    const orientation = new Quaternion();
+    matrix.decompose(position, orientation, new Vector3());
+    return new EmulatedXRRigidTransform(position, orientation);
+  }
+
+  get inverse(): EmulatedXRRigidTransform {
+    return EmulatedXRRigidTransform.fromMatrix(
+        new Matrix4().fromArray(this.matrix).invert());
+  }
+}
+
+export class EmulatedXRRay {
+  readonly origin: DOMPointReadOnly;
+  readonly direction: DOMPointReadOnly;
+  readonly matrix: Float32Array;
+
+  constructor(origin: DOMPointInit = {}, direction: XRRayDirectionInit = {}) {
+    const {x = 0, y = 0, z = 0} = origin;
+    const {x: dx = 0, y: dy = 0, z: dz = -1} = direction;
+    const unit = new Vector3(dx, dy, dz).normalize();
+    this.origin = point(x, y, z, 1);
+    this.direction = point(unit.x, unit.y, unit.z, 0);
+    const rotation = new Quaternion().setFromUnitVectors(FORWARD, unit);
+    this.matrix = Float32Array.from(
+        new Matrix4().compose(new Vector3(x, y, z), rotation, ONE).elements);
+  }
+}
+
+/**
+ * An XRSpace whose pose in the emulated world, which is also the 'local'
+ * reference space, comes from a callback, so that it can follow the viewer
+ * or a touch. The callback returns null while the space isn't tracked.
+ */
+export class EmulatedXRSpace extends EventTarget {
+  constructor(public getMatrix: () => Matrix4 | null) {
+    super();
+  }
+
+  getOffsetReferenceSpace(originOffset: XRRigidTransform): EmulatedXRSpace {
+    const offset = new Matrix4().fromArray(originOffset.matrix);
+    return new EmulatedXRSpace(() => {
+      const matrix = this.getMatrix();
+      return matrix == null ? null : matrix.clone().multiply(offset);
+    });
+  }
+}
+
+/**
+ * A surface of the emulated world, that hit tests can find and plane
+ * detection reports. Its matrix places it in the world with its normal along
+ * its local y axis, and its polygon outlines it in its local x-z plane; an
+ * empty polygon makes it unbounded. Planes are only hit from the front.
+ */
+export class EmulatedXRPlane {
+  lastChangedTime = 0;
+  readonly polygon: Array<DOMPointReadOnly>;
+  readonly planeSpace: EmulatedXRSpace;
+
+  constructor(public matrix: Matrix4, polygon: Array<[number, number]> = []) {
+    this.polygon = polygon.map(([x, z]) => point(x, 0, z, 1));
+    this.planeSpace = new EmulatedXRSpace(() => this.matrix);
+  }
+
+  get orientation(): XRPlaneOrientation {
+    return Math.abs(this.matrix.elements[5]) > Math.SQRT1_2 ? 'horizontal' :
+                                                              'vertical';
+  }
+
+  /**
+   * Where a ray, in world space, meets the plane, or null if it misses.
+   */
+  intersect(origin: Vector3, direction: Vector3):
+      {point: Vector3, distance: number}|null {
+    const {elements} = this.matrix;
+    const normal = new Vector3(elements[4], elements[5], elements[6]);
+    const facing = direction.dot(normal);
+    if (facing >= 0) {
+      return null;
+    }
+    const toPlane =
+        new Vector3().setFromMatrixPosition(this.matrix).sub(origin);
+    const distance = toPlane.dot(normal) / facing;
+    if (distance <= 0) {
+      return null;
+    }
+    const point = origin.clone().addScaledVector(direction, distance);
+    const local = point.clone().applyMatrix4(this.matrix.clone().invert());
+    return this.contains(local.x, local.z) ? {point, distance} : null;
+  }
+
+  private contains(x: number, z: number): boolean {
+    const {polygon} = this;
+    if (polygon.length === 0) {
+      return true;
+    }
+    // Count crossings of a ray along +x.
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.z > z) !== (b.z > z) &&
+          x < a.x + (z - a.z) * (b.x - a.x) / (b.z - a.z)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+export interface HorizontalPlaneOptions {
+  x?: number;
+  z?: number;
+  size?: number;
+  facingDown?: boolean;
+}
+
+/**
+ * A floor or table top at height y, or a ceiling if it faces down, optionally
+ * size meters square around (x, z).
+ */
+export const horizontalPlane =
+    (y: number,
+     {x = 0, z = 0, size = Infinity, facingDown = false}:
+         HorizontalPlaneOptions = {}) =>
+        new EmulatedXRPlane(
+            new Matrix4()
+                .makeRotationX(facingDown ? Math.PI : 0)
+                .setPosition(x, y, z),
+            square(size));
+
+/**
+ * A wall through (x, y, z), facing yaw radians around from +z, optionally
+ * size meters square.
+ */
+export const verticalPlane =
+    (x: number, y: number, z: number, yaw: number = 0,
+     size: number = Infinity) =>
+        new EmulatedXRPlane(
+            new Matrix4()
+                .makeRotationY(yaw)
+                .multiply(new Matrix4().makeRotationX(Math.PI / 2))
+                .setPosition(x, y, z),
+            square(size));
+
+export class EmulatedXRHitTestResult {
+  constructor(readonly matrix: Matrix4) {}
+
+  getPose(baseSpace: EmulatedXRSpace): XRPose|null {
+    const baseMatrix = baseSpace.getMatrix();
+    if (baseMatrix == null) {
+      return null;
+    }
+    return {
+      transform: EmulatedXRRigidTransform.fromMatrix(
+          baseMatrix.clone().invert().multiply(this.matrix)),
+      emulatedPosition: false
+    };
+  }
+}
+
+export class EmulatedXRHitTestSource {
+  constructor(
+      readonly session: EmulatedXRSession, readonly space: EmulatedXRSpace,
+      readonly offsetRay?: XRRay) {}
+
+  cancel() {
+    this.session.hitTestSources.delete(this);
+  }
+}
+
+export class EmulatedXRTransientInputHitTestSource {
+  constructor(
+      readonly session: EmulatedXRSession, readonly profile: string,
+      readonly offsetRay?: XRRay) {}
+
+  cancel() {
+    this.session.hitTestSources.delete(this);
+  }
+}
+
+export class EmulatedXRAnchor {
+  readonly anchorSpace: EmulatedXRSpace;
+  requestPersistentHandle?: () => Promise<string>;
+
+  constructor(readonly session: EmulatedXRSession, public matrix: Matrix4) {
+    this.anchorSpace = new EmulatedXRSpace(() => this.matrix);
+    const {system} = session;
+    if (system.persistentAnchors) {
+      this.requestPersistentHandle = async () => system.saveAnchor(this.matrix);
+    }
+  }
+
+  delete() {
+    this.session.anchors.delete(this);
+  }
+}
+
+/**
+ * A finger on the screen, at x and y from -1 to 1, with y pointing down, as
+ * in the gamepad axes of a real touchscreen input source.
+ */
+export class EmulatedXRInputSource {
+  readonly handedness = 'none';
+  readonly targetRayMode = 'screen';
+  readonly profiles = ['generic-touchscreen'];
+  readonly gamepad: Gamepad;
+  readonly targetRaySpace: EmulatedXRSpace;
+
+  constructor(session: EmulatedXRSession, x: number, y: number) {
+    this.gamepad = {
+      id: '',
+      index: -1,
+      connected: true,
+      mapping: '',
+      timestamp: 0,
+      axes: [x, y],
+      buttons: [{pressed: true, touched: true, value: 1}]
+    } as any as Gamepad;
+    this.targetRaySpace =
+        new EmulatedXRSpace(() => session.screenRayMatrix(this.gamepad.axes));
+  }
+}
+
+export class EmulatedXRWebGLLayer {
+  readonly antialias: boolean;
+  readonly ignoreDepthValues: boolean;
+  // Rendering goes to the page's canvas.
+  readonly framebuffer = null;
+  readonly framebufferWidth: number;
+  readonly framebufferHeight: number;
+
+  constructor(
+      session: EmulatedXRSession,
+      _context: WebGLRenderingContext|WebGL2RenderingContext,
+      layerInit: XRWebGLLayerInit = {}) {
+    const {
+      antialias = true,
+      ignoreDepthValues = false,
+      framebufferScaleFactor = 1
+    } = layerInit;
+    this.antialias = antialias;
+    this.ignoreDepthValues = ignoreDepthValues;
+    this.framebufferWidth = Math.round(session.width * framebufferScaleFactor);
+    this.framebufferHeight =
+        Math.round(session.height * framebufferScaleFactor);
+  }
+
+  static getNativeFramebufferScaleFactor(_session: EmulatedXRSession): number {
+    return 1;
+  }
+
+  getViewport(_view: XRView): XRViewport {
+    return {
+      x: 0,
+      y: 0,
+      width: this.framebufferWidth,
+      height: this.framebufferHeight
+    };
+  }
+}
+
+/**
+ * Frames are live views of their session rather than snapshots, so a frame
+ * kept from the last animation frame, as ARRenderer does for select events,
+ * sees touches that have started since.
+ */
+export class EmulatedXRFrame {
+  createAnchor?:
+      (pose: XRRigidTransform,
+       space: EmulatedXRSpace) => Promise<EmulatedXRAnchor>;
+
+  constructor(readonly session: EmulatedXRSession) {
+    if (session.enabledFeatures.includes('anchors')) {
+      this.createAnchor = (pose, space) => {
+        const matrix = space.getMatrix();
+        if (matrix == null) {
+          return Promise.reject(new DOMException(
+              'The space is not tracked', 'InvalidStateError'));
+        }
+        const anchor = new EmulatedXRAnchor(
+            session,
+            matrix.clone().multiply(new Matrix4().fromArray(pose.matrix)));
+        session.anchors.add(anchor);
+        return Promise.resolve(anchor);
+      };
+    }
+  }
+
+  get detectedPlanes(): Set<EmulatedXRPlane>|undefined {
+    const {session} = this;
+    return session.enabledFeatures.includes('plane-detection') ?
+        new Set(session.system.planes) :
+        undefined;
+  }
+
+  get trackedAnchors(): Set<EmulatedXRAnchor>|undefined {
+    const {session} = this;
+    return session.enabledFeatures.includes('anchors') ?
+        new Set(session.anchors) :
+        undefined;
+  }
+
+  getViewerPose(referenceSpace: EmulatedXRSpace): XRViewerPose|null {
+    const {session} = this;
+    const matrix = relativeMatrix(session.viewerSpace, referenceSpace);
+    if (matrix == null) {
+      return null;
+    }
+    const transform = EmulatedXRRigidTransform.fromMatrix(matrix);
+    const view = {
+      eye: 'none',
+      projectionMatrix: Float32Array.from(session.projectionMatrix.elements),
+      viewMatrix: transform.inverse.matrix,
+      transform,
+      recommendedViewportScale: null
+    };
+    return {transform, views: [view], emulatedPosition: false} as any as
+        XRViewerPose;
+  }
+
+  getPose(space: EmulatedXRSpace, baseSpace: EmulatedXRSpace): XRPose|null {
+    const matrix = relativeMatrix(space, baseSpace);
+    if (matrix == null) {
+      return null;
+    }
+    return {
+      transform: EmulatedXRRigidTransform.fromMatrix(matrix),
+      emulatedPosition: false
+    };
+  }
+
+  getHitTestResults(hitTestSource: EmulatedXRHitTestSource):
+      Array<EmulatedXRHitTestResult> {
+    const {session} = this;
+    if (!session.hitTestSources.has(hitTestSource)) {
+      return [];
+    }
+    return session.castRay(hitTestSource.space, hitTestSource.offsetRay);
+  }
+
+  getHitTestResultsForTransientInput(hitTestSource:
+                                         EmulatedXRTransientInputHitTestSource):
+      Array<XRTransientInputHitTestResult> {
+    const {session} = this;
+    if (!session.hitTestSources.has(hitTestSource)) {
+      return [];
+    }
+    return session.inputSources
+        .filter(
+            inputSource => inputSource.profiles.includes(hitTestSource.profile))
+        .map(inputSource => ({
+                              inputSource,
+                              results: session.castRay(
+                                  inputSource.targetRaySpace,
+                                  hitTestSource.offsetRay)
+                            }) as any as XRTransientInputHitTestResult);
+  }
+}
+
+/**
+ * One animation frame of a recorded session: when it ran (ms), the viewer's
+ * pose and the touches that were down, by id, at screen coordinates from -1
+ * to 1.
+ */
+export interface RecordedXRFrame {
+  time: number;
+  position: [number, number, number];
+  orientation: [number, number, number, number];
+  touches: Array<{id: number, x: number, y: number}>;
+}
+
+/**
+ * An immersive-ar session on an emulated device. Besides the parts of the
+ * XRSession interface that three.js and ARRenderer use, it has methods to
+ * script the device: move the viewer, touch the screen and step animation
+ * frames.
+ */
+export class EmulatedXRSession extends EventTarget {
+  readonly visibilityState = 'visible';
+  readonly environmentBlendMode = 'alpha-blend';
+  readonly interactionMode = 'screen-space';
+  renderState: XRRenderState = {depthNear: 0.1, depthFar: 1000} as any;
+  inputSources: Array<EmulatedXRInputSource> = [];
+  readonly hitTestSources =
+      new Set<EmulatedXRHitTestSource|EmulatedXRTransientInputHitTestSource>();
+  readonly anchors = new Set<EmulatedXRAnchor>();
+  restorePersistentAnchor?: (uuid: string) => Promise<EmulatedXRAnchor>;
+  deletePersistentAnchor?: (uuid: string) => Promise<void>;
+  ended = false;
+  /**
+   * Set to false to have the device lose tracking: there is no viewer pose
+   * until it is set back.
+   */
+  tracking = true;
+  time = 0;
+  readonly viewerMatrix = new Matrix4();
+  readonly width: number;
+  readonly height: number;
+  readonly projectionMatrix: Matrix4;
+  readonly viewerSpace: EmulatedXRSpace;
+  readonly localSpace: EmulatedXRSpace;
+
+  private projectionMatrixInverse: Matrix4;
+  private callbacks = new Map<number, XRFrameRequestCallback>();
+  private nextHandle = 1;
+
+  constructor(
+      readonly system: EmulatedXRSystem, readonly mode: XRSessionMode,
+      readonly enabledFeatures: Array<string>) {
+    super();
+    const {width, height, fieldOfView} = system;
+    this.width = width;
+    this.height = height;
+    this.projectionMatrix =
+        new PerspectiveCamera(fieldOfView, width / height, 0.01, 100)
+            .projectionMatrix;
+    this.projectionMatrixInverse = this.projectionMatrix.clone().invert();
+    this.viewerSpace =
+        new EmulatedXRSpace(() => this.tracking ? this.viewerMatrix : null);
+    this.localSpace = new EmulatedXRSpace(() => IDENTITY);
+
+    if (system.persistentAnchors && enabledFeatures.includes('anchors')) {
+      const {savedAnchors} = system;
+      this.restorePersistentAnchor = async (uuid) => {
+        const matrix = savedAnchors.get(uuid);
+        if (matrix == null) {
+          throw new DOMException(
+              `No anchor is saved as ${uuid}`, 'NotFoundError');
+        }
+        const anchor = new EmulatedXRAnchor(this, matrix.clone());
+        this.anchors.add(anchor);
+        return anchor;
+      };
+      this.deletePersistentAnchor = async (uuid) => {
+        if (!savedAnchors.delete(uuid)) {
+          throw new DOMException(
+              `No anchor is saved as ${uuid}`, 'NotFoundError');
+        }
+      };
+    }
+  }
+
+  updateRenderState(state: XRRenderStateInit = {}) {
+    this.renderState = {...this.renderState, ...state} as XRRenderState;
+  }
+
+  async requestReferenceSpace(type: XRReferenceSpaceType):
+      Promise<EmulatedXRSpace> {
+    if (type === 'viewer') {
+      return this.viewerSpace;
+    }
+    if (type === 'local' || this.enabledFeatures.includes(type)) {
+      return this.localSpace;
+    }
+    throw new DOMException(
+        `The ${type} reference space is not enabled`, 'NotSupportedError');
+  }
+
+  async requestHitTestSource(options: XRHitTestOptionsInit):
+      Promise<EmulatedXRHitTestSource> {
+    this.assertHitTestEnabled();
+    const source = new EmulatedXRHitTestSource(
+        this, options.space as EmulatedXRSpace, options.offsetRay);
+    this.hitTestSources.add(source);
+    return source;
+  }
+
+  async requestHitTestSourceForTransientInput(
+      options: XRTransientInputHitTestOptionsInit):
+      Promise<EmulatedXRTransientInputHitTestSource> {
+    this.assertHitTestEnabled();
+    const source = new EmulatedXRTransientInputHitTestSource(
+        this, options.profile, options.offsetRay);
+    this.hitTestSources.add(source);
+    return source;
+  }
+
+  requestAnimationFrame(callback: XRFrameRequestCallback): number {
+    const handle = this.nextHandle++;
+    this.callbacks.set(handle, callback);
+    return handle;
+  }
+
+  cancelAnimationFrame(handle: number) {
+    this.callbacks.delete(handle);
+  }
+
+  async end() {
+    if (this.ended) {
+      throw new DOMException(
+          'The session has already ended', 'InvalidStateError');
+    }
+    this.ended = true;
+    this.callbacks.clear();
+    this.hitTestSources.clear();
+    this.dispatchEvent(Object.assign(new Event('end'), {session: this}));
+  }
+
+  /**
+   * Moves the viewer, i.e. the phone, to the given pose in the world.
+   */
+  setViewerPose(position: Vector3, orientation: Quaternion = new Quaternion()) {
+    this.viewerMatrix.compose(position, orientation, ONE);
+  }
+
+  /**
+   * Moves the viewer to eye, pointing it at target.
+   */
+  lookAt(eye: Vector3, target: Vector3) {
+    this.viewerMatrix.lookAt(eye, target, new Vector3(0, 1, 0))
+        .setPosition(eye);
+  }
+
+  /**
+   * Puts a finger down at x and y, from -1 to 1 with y pointing down, and
+   * returns its input source to move and release later.
+   */
+  touch(x: number, y: number): EmulatedXRInputSource {
+    const inputSource = new EmulatedXRInputSource(this, x, y);
+    this.inputSources = [...this.inputSources, inputSource];
+    this.dispatchEvent(Object.assign(
+        new Event('inputsourceschange'),
+        {session: this, added: [inputSource], removed: []}));
+    this.dispatchInputEvent('selectstart', inputSource);
+    return inputSource;
+  }
+
+  moveTouch(inputSource: EmulatedXRInputSource, x: number, y: number) {
+    const axes = inputSource.gamepad.axes as Array<number>;
+    axes[0] = x;
+    axes[1] = y;
+  }
+
+  release(inputSource: EmulatedXRInputSource) {
+    if (!this.inputSources.includes(inputSource)) {
+      return;
+    }
+    this.dispatchInputEvent('select', inputSource);
+    this.dispatchInputEvent('selectend', inputSource);
+    this.inputSources =
+        this.inputSources.filter(source => source !== inputSource);
+    this.dispatchEvent(Object.assign(
+        new Event('inputsourceschange'),
+        {session: this, added: [], removed: [inputSource]}));
+  }
+
+  /**
+   * Advances time by duration milliseconds and runs the animation frame
+   * callbacks. Pending promise callbacks, such as those resolving hit test
+   * sources, get to run first, as they would between real frames.
+   */
+  async step(duration: number = FRAME_DURATION): Promise<EmulatedXRFrame> {
+    await nextTask();
+    this.time += duration;
+    const frame = new EmulatedXRFrame(this);
+    const callbacks = this.callbacks;
+    this.callbacks = new Map();
+    for (const callback of callbacks.values()) {
+      callback(this.time, frame as any as XRFrame);
+    }
+    return frame;
+  }
+
+  /**
+   * Plays back frames recorded with recordXRSession(), stepping a frame for
+   * each. Recorded times are kept relative to one another, and touches are
+   * matched up from frame to frame by their ids.
+   */
+  async replay(frames: Array<RecordedXRFrame>) {
+    if (frames.length === 0) {
+      return;
+    }
+    const offset = this.time + FRAME_DURATION - frames[0].time;
+    const touches = new Map<number, EmulatedXRInputSource>();
+    for (const {time, position, orientation, touches: down} of frames) {
+      this.setViewerPose(
+          new Vector3(...position), new Quaternion(...orientation));
+      const ids = new Set<number>();
+      for (const {id, x, y} of down) {
+        ids.add(id);
+        const inputSource = touches.get(id);
+        if (inputSource == null) {
+          touches.set(id, this.touch(x, y));
+        } else {
+          this.moveTouch(inputSource, x, y);
+        }
+      }
+      for (const [id, inputSource] of touches) {
+        if (!ids.has(id)) {
+          this.release(inputSource);
+          touches.delete(id);
+        }
+      }
+      await this.step(Math.max(time + offset - this.time, 0));
+    }
+    for (const inputSource of touches.values()) {
+      this.release(inputSource);
+    }
+  }
+
+  /**
+   * The world pose of a ray from the viewer through a point on the screen.
+   */
+  screenRayMatrix(axes: ReadonlyArray<number>): Matrix4|null {
+    if (!this.tracking) {
+      return null;
+    }
+    const direction = new Vector3(axes[0], -axes[1], 1)
+                          .applyMatrix4(this.projectionMatrixInverse)
+                          .normalize();
+    const rotation = new Quaternion().setFromUnitVectors(FORWARD, direction);
+    return this.viewerMatrix.clone().multiply(
+        new Matrix4().makeRotationFromQuaternion(rotation));
+  }
+
+  /**
+   * Hit tests the world's planes along a ray given relative to space,
+   * nearest first.
+   */
+  castRay(space: EmulatedXRSpace, offsetRay?: XRRay):
+      Array<EmulatedXRHitTestResult> {
+    const matrix = space.getMatrix();
+    if (matrix == null) {
+      return [];
+    }
+    const ray = offsetRay != null ? offsetRay : new EmulatedXRRay();
+    const origin = new Vector3(ray.origin.x, ray.origin.y, ray.origin.z)
+                       .applyMatrix4(matrix);
+    const direction =
+        new Vector3(ray.direction.x, ray.direction.y, ray.direction.z)
+            .transformDirection(matrix);
+    const hits = [];
+    for (const plane of this.system.planes) {
+      const hit = plane.intersect(origin, direction);
+      if (hit != null) {
+        hits.push({plane, hit});
+      }
+    }
+    return hits.sort((a, b) => a.hit.distance - b.hit.distance)
+        .map(
+            ({plane, hit}) => new EmulatedXRHitTestResult(
+                plane.matrix.clone().setPosition(hit.point)));
+  }
+
+  private assertHitTestEnabled() {
+    if (!this.enabledFeatures.includes('hit-test')) {
+      throw new DOMException(
+          'The hit-test feature is not enabled', 'NotSupportedError');
+    }
+  }
+
+  private dispatchInputEvent(type: string, inputSource: EmulatedXRInputSource) {
+    this.dispatchEvent(Object.assign(
+        new Event(type), {frame: new EmulatedXRFrame(this), inputSource}));
+  }
+}
+
+export interface EmulatedXRSystemOptions {
+  features?: Array<string>;
+  persistentAnchors?: boolean;
+  width?: number;
+  height?: number;
+  fieldOfView?: number;
+}
+
+/**
+ * An XRSystem with a single emulated AR device. The device's world is a set
+ * of planes, which outlive sessions like a real room does. With
+ * persistentAnchors, so do the anchors its sessions persist, as on devices
+ * that can restore an anchor from its handle in a later session.
+ */
+export class EmulatedXRSystem extends EventTarget {
+  planes: Array<EmulatedXRPlane> = [];
+  /**
+   * The persisted anchors' poses, by handle.
+   */
+  readonly savedAnchors = new Map<string, Matrix4>();
+  /**
+   * The current or most recent session, and what was asked of it.
+   */
+  session: EmulatedXRSession|null = null;
+  sessionInit: any = null;
+  readonly features: Array<string>;
+  readonly persistentAnchors: boolean;
+  readonly width: number;
+  readonly height: number;
+  readonly fieldOfView: number;
+
+  private lastAnchorHandle = 0;
+
+  constructor({
+    features = DEFAULT_FEATURES,
+    persistentAnchors = false,
+    width = 320,
+    height = 240,
+    fieldOfView = 60
+  }: EmulatedXRSystemOptions = {}) {
+    super();
+    this.features = features;
+    this.persistentAnchors = persistentAnchors;
+    this.width = width;
+    this.height = height;
+    this.fieldOfView = fieldOfView;
+  }
+
+  /**
+   * Persists an anchor's pose, returning its handle.
+   */
+  saveAnchor(matrix: Matrix4): string {
+    const handle = `emulated-anchor-${++this.lastAnchorHandle}`;
+    this.savedAnchors.set(handle, matrix.clone());
+    return handle;
+  }
+
+  async isSessionSupported(mode: XRSessionMode): Promise<boolean> {
+    return mode === 'immersive-ar';
+  }
+
+  async requestSession(mode: XRSessionMode, sessionInit: any = {}):
+      Promise<EmulatedXRSession> {
+    if (mode !== 'immersive-ar') {
+      throw new DOMException(
+          `The emulated device does not support ${mode} sessions`,
+          'NotSupportedError');
+    }
+    if (this.session != null && !this.session.ended) {
+      throw new DOMException(
+          'An immersive session is already running', 'InvalidStateError');
+    }
+    const {requiredFeatures = [], optionalFeatures = []} = sessionInit;
+    const missing = requiredFeatures.filter(
+        (feature: string) => !this.features.includes(feature));
+    if (missing.length > 0) {
+      throw new DOMException(
+          `The emulated device does not support ${missing.join(', ')}`,
+          'NotSupportedError');
+    }
+    const enabledFeatures = new Set<string>([
+      'viewer', 'local', ...requiredFeatures,
+      ...optionalFeatures.filter(
+          (feature: string) => this.features.includes(feature))
+    ]);
+    this.sessionInit = sessionInit;
+    this.session = new EmulatedXRSession(this, mode, [...enabledFeatures]);
+    return this.session;
+  }
+}
+
+export interface XRSessionRecording {
+  frames: Array<RecordedXRFrame>;
+  stop(): void;
+}
+
+/**
+ * Records what a real session does, each animation frame, for replay on an
+ * emulated one: the viewer's pose in referenceSpace and the touches that are
+ * down. The frames are plain data, to save with JSON.stringify().
+ */
+export const recordXRSession =
+    (session: XRSession|EmulatedXRSession,
+     referenceSpace: XRReferenceSpace|EmulatedXRSpace): XRSessionRecording => {
+      const frames: Array<RecordedXRFrame> = [];
+      const ids = new Map<XRInputSource, number>();
+      let handle = 0;
+      const onFrame = (time: number, frame: XRFrame) => {
+        handle = session.requestAnimationFrame(onFrame);
+        const pose = frame.getViewerPose(referenceSpace as XRReferenceSpace);
+        if (pose == null) {
+          return;
+        }
+        const touches = [];
+        for (const inputSource of session.inputSources as
+             Array<XRInputSource>) {
+          if (inputSource.targetRayMode !== 'screen' ||
+              inputSource.gamepad == null) {
+            continue;
+          }
+          if (!ids.has(inputSource)) {
+            ids.set(inputSource, ids.size);
+          }
+          const [x, y] = inputSource.gamepad.axes;
+          touches.push({id: ids.get(inputSource)!, x, y});
+        }
+        const {position, orientation} = pose.transform;
+        frames.push({
+          time,
+          position: [position.x, position.y, position.z],
+          orientation:
+              [orientation.x, orientation.y, orientation.z, orientation.w],
+          touches
+        });
+      };
+      handle = session.requestAnimationFrame(onFrame);
+      return {frames, stop: () => session.cancelAnimationFrame(handle)};
+    };
+
+const replaceProperty = (object: any, property: string, value: any) => {
+  const original = Object.getOwnPropertyDescriptor(object, property);
+  Object.defineProperty(
+      object, property, {value, configurable: true, writable: true});
+  return () => {
+    if (original != null) {
+      Object.defineProperty(object, property, original);
+    } else {
+      delete object[property];
+    }
+  };
+};
+
+/**
+ * Makes the emulated device navigator.xr and swaps in emulated versions of
+ * the WebXR classes that three.js and ARRenderer construct, so that a page
+ * can present in AR on a desktop browser, e.g. to replay a recorded session.
+ * Call it before <model-viewer> loads, as that checks for WebXR support only
+ * once. WebGL contexts become XR compatible on request, and XRWebGLBinding,
+ * for camera access, is removed. Returns a function that puts everything
+ * back.
+ */
+export const installWebXREmulation = (system: EmulatedXRSystem) => {
+  const restores = [
+    replaceProperty(navigator, 'xr', system),
+    replaceProperty(self, 'XRSession', EmulatedXRSession),
+    replaceProperty(self, 'XRRay', EmulatedXRRay),
+    replaceProperty(self, 'XRRigidTransform', EmulatedXRRigidTransform),
+    replaceProperty(self, 'XRWebGLLayer', EmulatedXRWebGLLayer),
+    replaceProperty(self, 'XRWebGLBinding', undefined)
+  ];
+  const makeXRCompatible = () => Promise.resolve();
+  for (const context
+           of [self.WebGLRenderingContext,
+               (self as any).WebGL2RenderingContext]) {
+    if (context != null) {
+      restores.push(replaceProperty(
+          context.prototype, 'makeXRCompatible', makeXRCompatible));
+    }
+  }
+  return () => {
+    for (const restore of restores.reverse()) {
+      restore();
+    }
+  };
+};
@@ -0,0 +1,284 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import '../types/media-recorder.js';
+
+import {Mesh, PlaneBufferGeometry, Scene, ShaderMaterial, Texture, WebGLRenderer} from 'three';
+
+// Recordings stop by themselves after this long (milliseconds), so that a
+// forgotten recording can't fill up memory.
+const DEFAULT_MAX_DURATION = 15000;
+const VIDEO_MIME_TYPES =
+    ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const cameraVertexShader = `
+varying vec2 vUv;
+void main() {
+  vUv = position.xy * 0.5 + 0.5;
+  gl_Position = vec4(position.xy, 1.0, 1.0);
+}`;
+
+const cameraFragmentShader = `
+uniform sampler2D cameraTexture;
+varying vec2 vUv;
+void main() {
+  gl_FragColor = texture2D(cameraTexture, vUv);
+}`;
+
+export interface ARRecordingOptions {
+  mimeType?: string;
+  maxDuration?: number;
+}
+
+interface PendingFrame {
+  resolve: (blob: Blob) => void;
+  reject: (error: Error) => void;
+  mimeType: string;
+  qualityArgument?: number;
+}
+
+/**
+ * ARCapture copies frames rendered by the ARRenderer into a 2D canvas, from
+ * which single frames are encoded as images and a MediaRecorder encodes
+ * video.
+ *
+ * The camera feed is normally composited by the browser underneath the
+ * WebXR layer, so it is not part of the rendered frame. Where the session
+ * was asked for and grants 'camera-access', the camera image is drawn into the
+ * layer behind the model on the frames being captured, so the capture shows the
+ * model in the room; elsewhere only the model is captured, over a transparent
+ * background. Hotspots and other DOM overlays are not captured.
+ */
+export class ARCapture {
+  private canvas = document.createElement('canvas');
+  private context = this.canvas.getContext('2d')!;
+  private pixels: Uint8Array|null = null;
+  private imageData: ImageData|null = null;
+  private binding: XRWebGLBinding|null = null;
+  private cameraTexture = new Texture();
+  private background: Mesh;
+  private pendingFrames: Array<PendingFrame> = [];
+  private recorder: MediaRecorder|null = null;
+  private chunks: Array<Blob> = [];
+  private recording: Promise<Blob>|null = null;
+  private resolveRecording: ((blob: Blob) => void)|null = null;
+  private recordingTimeout: number|null = null;
+
+  constructor(private threeRenderer: WebGLRenderer) {
+    const material = new ShaderMaterial({
+      uniforms: {cameraTexture: {value: this.cameraTexture}},
+      vertexShader: cameraVertexShader,
+      fragmentShader: cameraFragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.background = new Mesh(new PlaneBufferGeometry(2, 2), material);
+    this.background.name = 'ARCaptureBackground';
+    // The vertex shader ignores the camera, so the quad always fills the
+    // view and is drawn before everything else.
+    this.background.frustumCulled = false;
+    this.background.renderOrder = -Infinity;
+    this.background.raycast = () => {};
+  }
+
+  /**
+   * True while there is a frame to capture or a recording in progress.
+   */
+  get isCapturing(): boolean {
+    return this.pendingFrames.length > 0 || this.isRecording;
+  }
+
+  get isRecording(): boolean {
+    return this.recorder != null;
+  }
+
+  /**
+   * Call when a WebXR session starts, to get access to its camera images.
+   */
+  startSession(session: XRSession) {
+    this.binding = null;
+    if (typeof XRWebGLBinding !== 'undefined') {
+      try {
+        this.binding =
+            new XRWebGLBinding(session, this.threeRenderer.getContext());
+      } catch (error) {
+        console.warn('Camera images are not available for AR capture');
+      }
+    }
+  }
+
+  /**
+   * Call when the WebXR session ends. Pending frame captures are rejected,
+   * and a recording in progress is stopped and resolves as usual.
+   */
+  endSession() {
+    for (const {reject} of this.pendingFrames) {
+      reject(new Error('The AR session ended before the frame was captured'));
+    }
+    this.pendingFrames = [];
+    this.stopRecording();
+    this.background.parent?.remove(this.background);
+    this.binding = null;
+  }
+
+  /**
+   * Resolves with the next rendered frame, encoded as mimeType (a PNG by
+   * default).
+   */
+  captureFrame(mimeType: string = 'image/png', qualityArgument?: number):
+      Promise<Blob> {
+    return new Promise((resolve, reject) => {
+      this.pendingFrames.push({resolve, reject, mimeType, qualityArgument});
+    });
+  }
+
+  /**
+   * Starts recording the rendered frames as video. The returned promise
+   * resolves with the video when the recording stops, either through
+   * stopRecording(), after maxDuration milliseconds or when the session ends.
+   */
+  startRecording(options: ARRecordingOptions = {}): Promise<Blob> {
+    if (this.isRecording) {
+      throw new Error('An AR recording is already in progress');
+    }
+    if (typeof MediaRecorder === 'undefined' ||
+        this.canvas.captureStream == null) {
+      throw new Error('Video recording is not supported by this browser');
+    }
+
+    const mimeType = options.mimeType != null ?
+        options.mimeType :
+        VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(
+        this.canvas.captureStream!(), mimeType != null ? {mimeType} : {});
+
+    this.chunks = [];
+    recorder.addEventListener('dataavailable', (event: BlobEvent) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+
+    this.recording = new Promise((resolve) => {
+      this.resolveRecording = resolve;
+    });
+    recorder.addEventListener('stop', () => {
+      const blob = new Blob(
+          this.chunks, {type: recorder.mimeType || mimeType || 'video/webm'});
+      this.chunks = [];
+      const resolve = this.resolveRecording!;
+      this.resolveRecording = null;
+      this.recording = null;
+      resolve(blob);
+    }, {once: true});
+
+    recorder.start();
+    this.recorder = recorder;
+
+    const maxDuration = options.maxDuration != null ? options.maxDuration :
+                                                      DEFAULT_MAX_DURATION;
+    this.recordingTimeout =
+        self.setTimeout(() => this.stopRecording(), maxDuration);
+
+    return this.recording;
+  }
+
+  /**
+   * Stops the recording in progress. Resolves with the video, or with null
+   * if nothing was being recorded.
+   */
+  stopRecording(): Promise<Blob|null> {
+    const recorder = this.recorder;
+    if (recorder == null) {
+      return Promise.resolve(null);
+    }
+    self.clearTimeout(this.recordingTimeout!);
+    this.recordingTimeout = null;
+    this.recorder = null;
+    const recording = this.recording!;
+    recorder.stop();
+    return recording;
+  }
+
+  /**
+   * Call before rendering the first view of each frame. If the frame is to
+   * be captured, draws the camera image behind the scene where available.
+   */
+  beforeRender(scene: Scene, view: XRView) {
+    const background = this.background;
+    background.visible = false;
+    if (!this.isCapturing || this.binding == null || view.camera == null) {
+      return;
+    }
+
+    const cameraImage = this.binding.getCameraImage(view.camera);
+    if (cameraImage == null) {
+      return;
+    }
+    this.threeRenderer.properties.get(this.cameraTexture).__webglTexture =
+        cameraImage;
+    if (background.parent !== scene) {
+      scene.add(background);
+    }
+    background.visible = true;
+  }
+
+  /**
+   * Call after rendering the first view of each frame, while the layer's
+   * framebuffer can still be read.
+   */
+  afterRender(layer: XRWebGLLayer, view: XRView) {
+    this.background.visible = false;
+    if (!this.isCapturing) {
+      return;
+    }
+
+    const {x, y, width, height} = layer.getViewport(view);
+    const gl = this.threeRenderer.getContext();
+    const length = width * height * 4;
+    if (this.pixels == null || this.pixels.length !== length) {
+      this.pixels = new Uint8Array(length);
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.imageData = this.context.createImageData(width, height);
+    }
+
+    const framebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+    gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+    // WebGL rows start at the bottom, so flip them for the canvas.
+    const {data} = this.imageData!;
+    const rowLength = width * 4;
+    for (let row = 0; row < height; ++row) {
+      const start = (height - row - 1) * rowLength;
+      data.set(this.pixels.subarray(start, start + rowLength), row * rowLength);
+    }
+    this.context.putImageData(this.imageData!, 0, 0);
+
+    const pendingFrames = this.pendingFrames;
+    this.pendingFrames = [];
+    for (const {resolve, reject, mimeType, qualityArgument} of pendingFrames) {
+      this.canvas.toBlob((blob) => {
+        if (blob == null) {
+          reject(new Error('The AR frame could not be encoded'));
+        } else {
+          resolve(blob);
+        }
+      }, mimeType, qualityArgument);
+    }
+  }
+}
@@ -0,0 +1,302 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ClampToEdgeWrapping, DataTexture, FloatType, IUniform, LuminanceAlphaFormat, LuminanceFormat, Material, Matrix4, Mesh, NearestFilter, Object3D, PerspectiveCamera, Shader, UnsignedByteType, Vector2, Vector4, WebGLRenderer} from 'three';
+
+import {ModelScene} from './ModelScene.js';
+
+// Real surfaces within this distance (meters) in front of or behind the model
+// fade it out gradually rather than cutting it off, which hides the noise in
+// depth data.
+const OCCLUSION_SOFTNESS = 0.05;
+
+export type AROcclusion = 'none'|'depth-sensing'|'unavailable';
+
+export const AROcclusion: {[index: string]: AROcclusion} = {
+  NONE: 'none',
+  DEPTH_SENSING: 'depth-sensing',
+  UNAVAILABLE: 'unavailable'
+};
+
+export interface AROcclusionDetails {
+  status: AROcclusion;
+  usage: XRDepthUsage|null;
+  dataFormat: XRDepthDataFormat|null;
+}
+
+interface MaterialHooks {
+  onBeforeCompile: (shader: Shader, renderer: WebGLRenderer) => void;
+  customProgramCacheKey: () => string;
+}
+
+const occlusionParsChunk = `
+uniform bool occlusionEnabled;
+uniform bool occlusionFloat;
+uniform sampler2D occlusionDepth;
+uniform vec2 occlusionSize;
+uniform mat4 occlusionUVTransform;
+uniform float occlusionRawToMeters;
+uniform vec4 occlusionViewport;
+uniform float occlusionNear;
+uniform float occlusionFar;
+uniform float occlusionSoftness;
+float occlusionDepthAt(vec2 texel) {
+  vec4 value = texture2D(occlusionDepth, (texel + 0.5) / occlusionSize);
+  // Luminance-alpha depth is a 16-bit integer, low byte first.
+  float raw = occlusionFloat ? value.r : dot(value.ra, vec2(255.0, 65280.0));
+  return raw * occlusionRawToMeters;
+}
+float occlusionVisibility() {
+  vec2 viewUV = (gl_FragCoord.xy - occlusionViewport.xy) / occlusionViewport.zw;
+  // Normalized view coordinates run from the top left.
+  vec2 depthUV =
+      (occlusionUVTransform * vec4(viewUV.x, 1.0 - viewUV.y, 0.0, 1.0)).xy;
+  // Packed depth can't be filtered by the GPU, so interpolate by hand.
+  vec2 texel = depthUV * occlusionSize - 0.5;
+  vec2 base = floor(texel);
+  vec2 f = texel - base;
+  float d00 = occlusionDepthAt(base);
+  float d10 = occlusionDepthAt(base + vec2(1.0, 0.0));
+  float d01 = occlusionDepthAt(base + vec2(0.0, 1.0));
+  float d11 = occlusionDepthAt(base + vec2(1.0, 1.0));
+  // Zero means no depth data, so nothing there to hide the model.
+  if (min(min(d00, d10), min(d01, d11)) <= 0.0) {
+    return 1.0;
+  }
+  float depth = mix(mix(d00, d10, f.x), mix(d01, d11, f.x), f.y);
+  float ndcZ = gl_FragCoord.z * 2.0 - 1.0;
+  float fragmentDepth = 2.0 * occlusionNear * occlusionFar /
+      (occlusionFar + occlusionNear - ndcZ * (occlusionFar - occlusionNear));
+  return smoothstep(-occlusionSoftness, occlusionSoftness, depth - fragmentDepth);
+}
+`;
+
+// The WebXR layer is composited over the camera image with premultiplied
+// alpha, so opaque materials fade out by scaling their whole color, while
+// blended ones only need their alpha scaled.
+const occlusionFragmentChunk = `
+  if (occlusionEnabled) {
+    float occlusion = occlusionVisibility();
+#ifdef OCCLUSION_BLENDED
+    gl_FragColor.a *= occlusion;
+#else
+    gl_FragColor *= occlusion;
+#endif
+  }
+`;
+
+/**
+ * ARDepthOcclusion hides the parts of an AR scene that real-world objects
+ * stand in front of, using WebXR depth sensing. Every material in the scene
+ * compares its own depth against the depth of the room, sampled from the
+ * device's depth map, and fades out where the room is closer.
+ *
+ * Only CPU-optimized depth is used, uploaded as a texture every frame. When
+ * occlusion was asked for but the session grants no usable depth, the status
+ * is 'unavailable' and the scene renders over the room as before.
+ */
+export class ARDepthOcclusion {
+  public status: AROcclusion = AROcclusion.NONE;
+
+  private usage: XRDepthUsage|null = null;
+  private dataFormat: XRDepthDataFormat|null = null;
+  private scene: ModelScene|null = null;
+  private materials = new Map<Material, MaterialHooks>();
+  private texture: DataTexture|null = null;
+  private uniforms: {[uniform: string]: IUniform} = {
+    occlusionEnabled: {value: false},
+    occlusionFloat: {value: false},
+    occlusionDepth: {value: null},
+    occlusionSize: {value: new Vector2(1, 1)},
+    occlusionUVTransform: {value: new Matrix4()},
+    occlusionRawToMeters: {value: 0},
+    occlusionViewport: {value: new Vector4(0, 0, 1, 1)},
+    occlusionNear: {value: 0.1},
+    occlusionFar: {value: 100},
+    occlusionSoftness: {value: OCCLUSION_SOFTNESS}
+  };
+
+  /**
+   * The session options that ask for depth sensing, to merge into the
+   * session request.
+   */
+  static get sessionInit():
+      {optionalFeatures: Array<string>, depthSensing: XRDepthStateInit} {
+    return {
+      optionalFeatures: ['depth-sensing'],
+      depthSensing: {
+        usagePreference: ['cpu-optimized'],
+        dataFormatPreference: ['luminance-alpha', 'float32']
+      }
+    };
+  }
+
+  /**
+   * Which path occlusion took for the session, for reporting.
+   */
+  get details(): AROcclusionDetails {
+    return {
+      status: this.status,
+      usage: this.usage,
+      dataFormat: this.dataFormat
+    };
+  }
+
+  /**
+   * Call when a session starts, saying whether occlusion was requested for
+   * it. Returns the resulting status.
+   */
+  startSession(session: XRSession, scene: ModelScene, requested: boolean):
+      AROcclusion {
+    this.scene = scene;
+    this.usage = session.depthUsage != null ? session.depthUsage : null;
+    this.dataFormat =
+        session.depthDataFormat != null ? session.depthDataFormat : null;
+
+    if (!requested) {
+      this.status = AROcclusion.NONE;
+    } else if (
+        this.usage === 'cpu-optimized' &&
+        (this.dataFormat === 'luminance-alpha' ||
+         this.dataFormat === 'float32')) {
+      this.status = AROcclusion.DEPTH_SENSING;
+      this.uniforms.occlusionFloat.value = this.dataFormat === 'float32';
+    } else {
+      this.status = AROcclusion.UNAVAILABLE;
+    }
+    return this.status;
+  }
+
+  /**
+   * Call before rendering the first view of each frame.
+   */
+  update(
+      frame: XRFrame, view: XRView, viewport: XRViewport,
+      camera: PerspectiveCamera) {
+    if (this.status !== AROcclusion.DEPTH_SENSING) {
+      return;
+    }
+    this.patchMaterials();
+
+    const {uniforms} = this;
+    let depth: XRCPUDepthInformation|null = null;
+    try {
+      depth = frame.getDepthInformation!(view);
+    } catch (error) {
+      // Depth is not available for this frame.
+    }
+    uniforms.occlusionEnabled.value = depth != null;
+    if (depth == null) {
+      return;
+    }
+
+    this.upload(depth);
+    uniforms.occlusionUVTransform.value.fromArray(
+        depth.normDepthBufferFromNormView.matrix);
+    uniforms.occlusionRawToMeters.value = depth.rawValueToMeters;
+    uniforms.occlusionViewport.value.set(
+        viewport.x, viewport.y, viewport.width, viewport.height);
+    uniforms.occlusionNear.value = camera.near;
+    uniforms.occlusionFar.value = camera.far;
+  }
+
+  /**
+   * Call when the session ends, to put the scene's materials back.
+   */
+  endSession() {
+    for (const [material, original] of this.materials) {
+      material.onBeforeCompile = original.onBeforeCompile;
+      material.customProgramCacheKey = original.customProgramCacheKey;
+      material.needsUpdate = true;
+    }
+    this.materials.clear();
+
+    if (this.texture != null) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+    this.uniforms.occlusionEnabled.value = false;
+    this.uniforms.occlusionDepth.value = null;
+    this.status = AROcclusion.NONE;
+    this.usage = null;
+    this.dataFormat = null;
+    this.scene = null;
+  }
+
+  private upload(depth: XRCPUDepthInformation) {
+    const isFloat = this.dataFormat === 'float32';
+    const {width, height} = depth;
+    const data =
+        isFloat ? new Float32Array(depth.data) : new Uint8Array(depth.data);
+
+    let {texture} = this;
+    if (texture == null || texture.image.width !== width ||
+        texture.image.height !== height) {
+      if (texture != null) {
+        texture.dispose();
+      }
+      texture = isFloat ?
+          new DataTexture(data, width, height, LuminanceFormat, FloatType) :
+          new DataTexture(
+              data, width, height, LuminanceAlphaFormat, UnsignedByteType);
+      texture.magFilter = NearestFilter;
+      texture.minFilter = NearestFilter;
+      texture.generateMipmaps = false;
+      texture.wrapS = ClampToEdgeWrapping;
+      texture.wrapT = ClampToEdgeWrapping;
+      this.texture = texture;
+      this.uniforms.occlusionDepth.value = texture;
+      this.uniforms.occlusionSize.value.set(width, height);
+    }
+    (texture.image as any).data = data;
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * Adds the occlusion test to every material in the scene that doesn't
+   * have it yet, which includes models added during the session.
+   */
+  private patchMaterials() {
+    this.scene!.traverse((object: Object3D) => {
+      const {material} = object as Mesh;
+      if (material == null) {
+        return;
+      }
+      for (const each of Array.isArray(material) ? material : [material]) {
+        if (!this.materials.has(each)) {
+          this.patchMaterial(each);
+        }
+      }
+    });
+  }
+
+  private patchMaterial(material: Material) {
+    const {onBeforeCompile, customProgramCacheKey} = material;
+    this.materials.set(material, {onBeforeCompile, customProgramCacheKey});
+
+    const {uniforms} = this;
+    material.onBeforeCompile = (shader: Shader, renderer: WebGLRenderer) => {
+      onBeforeCompile.call(material, shader, renderer);
+      Object.assign(shader.uniforms, uniforms);
+      const blended = material.transparent ? '#define OCCLUSION_BLENDED\n' : '';
+      shader.fragmentShader = blended + occlusionParsChunk +
+          shader.fragmentShader.replace(/}\s*$/, `${occlusionFragmentChunk}}`);
+    };
+    material.customProgramCacheKey = () =>
+        `${customProgramCacheKey.call(material)}|occlusion${
+            material.transparent ? '-blended' : ''}`;
+    material.needsUpdate = true;
+  }
+}
@@ -0,0 +1,143 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Box3, Matrix4, Object3D, Quaternion, Vector3} from 'three';
+
+import {Damper} from './Damper.js';
+import {ModelViewerGLTFInstance} from './gltf-instance/ModelViewerGLTFInstance.js';
+import {ModelScene} from './ModelScene.js';
+import {PlacementBox} from './PlacementBox.js';
+import {Side} from './Shadow.js';
+
+const matrix4 = new Matrix4();
+const quaternion = new Quaternion();
+const scale = new Vector3();
+const yAxis = new Vector3(0, 1, 0);
+
+/**
+ * An ARItem is an additional model placed into a live WebXR session next to
+ * the presented ModelScene. It mirrors the scene's structure (a target holding
+ * the model, plus a PlacementBox for selection and hit testing) so that it can
+ * be moved, rotated and scaled with the same gestures.
+ *
+ * Items are parented to the presented scene so that they share its lighting
+ * and environment, but their placement is kept in world space: since the
+ * scene itself moves with the primary model, update() must be called each
+ * frame after the scene's transform is final to cancel out its motion.
+ */
+export class ARItem extends Object3D {
+  public target = new Object3D();
+  public boundingBox = new Box3();
+  public size = new Vector3();
+  public placementBox: PlacementBox;
+
+  public goalPosition = new Vector3();
+  public goalYaw = 0;
+  public goalScale = 1;
+  public yaw = 0;
+  public itemScale = 1;
+
+  private xDamper = new Damper();
+  private yDamper = new Damper();
+  private zDamper = new Damper();
+  private yawDamper = new Damper();
+  private scaleDamper = new Damper();
+
+  constructor(
+      public url: string, private gltf: ModelViewerGLTFInstance, side: Side) {
+    super();
+    this.name = 'ARItem';
+    this.matrixAutoUpdate = false;
+
+    this.target.name = 'Target';
+    this.target.add(gltf.scene);
+    this.add(this.target);
+
+    this.boundingBox.setFromObject(gltf.scene);
+    this.boundingBox.getSize(this.size);
+
+    // Rest the model on its placement point: the bottom center for the floor,
+    // the back center for a wall and the top center for a ceiling.
+    const center = this.boundingBox.getCenter(new Vector3());
+    if (side === 'back') {
+      center.z = this.boundingBox.min.z;
+    } else if (side === 'top') {
+      center.y = this.boundingBox.max.y;
+    } else {
+      center.y = this.boundingBox.min.y;
+    }
+    this.target.position.copy(center).multiplyScalar(-1);
+    this.target.updateMatrix();
+
+    this.placementBox = new PlacementBox(this, side);
+  }
+
+  /**
+   * The largest dimension of the model, used as the rough scale of its motion.
+   */
+  get radius(): number {
+    return Math.max(this.size.x, this.size.y, this.size.z) / 2;
+  }
+
+  /**
+   * Moves the item to its goal placement immediately instead of easing in.
+   */
+  jumpToGoal() {
+    this.position.copy(this.goalPosition);
+    this.yaw = this.goalYaw;
+    this.itemScale = this.goalScale;
+  }
+
+  /**
+   * Call on each frame with the frame delta, once the parent scene's
+   * matrixWorld is up to date.
+   */
+  update(delta: number) {
+    const radius = Math.max(this.radius, 1);
+    const goal = this.goalPosition;
+    const {position} = this;
+    position.set(
+        this.xDamper.update(position.x, goal.x, delta, radius),
+        this.yDamper.update(position.y, goal.y, delta, radius),
+        this.zDamper.update(position.z, goal.z, delta, radius));
+    this.yaw = this.yawDamper.update(this.yaw, this.goalYaw, delta, Math.PI);
+    this.itemScale =
+        this.scaleDamper.update(this.itemScale, this.goalScale, delta, 1);
+    this.placementBox.updateOpacity(delta);
+
+    quaternion.setFromAxisAngle(yAxis, this.yaw);
+    scale.setScalar(this.itemScale);
+    this.matrix.compose(position, quaternion, scale);
+    if (this.parent != null) {
+      matrix4.copy(this.parent.matrixWorld).invert();
+      this.matrix.premultiply(matrix4);
+    }
+    this.updateMatrixWorld(true);
+  }
+
+  /**
+   * Get the world hit position if the touch coordinates hit this item's
+   * placement box, and null otherwise.
+   */
+  getHit(scene: ModelScene, screenX: number, screenY: number): Vector3|null {
+    return this.placementBox.getHit(scene, screenX, screenY);
+  }
+
+  dispose() {
+    this.placementBox.dispose();
+    this.gltf.dispose();
+    this.parent?.remove(this);
+  }
+}
@@ -0,0 +1,178 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Texture, Vector3, WebGLRenderer} from 'three';
+import {XREstimatedLight} from 'three/examples/jsm/webxr/XREstimatedLight';
+
+import {Debugger} from './Debugger.js';
+import {ModelScene} from './ModelScene.js';
+
+// Estimates are reported to the debugger at most this often (milliseconds).
+const DEBUG_INTERVAL_MS = 500;
+// The shadow only follows the estimated light once it has moved by more than
+// this (radians), since every move means rendering the shadow map again.
+const DIRECTION_THRESHOLD = 0.05;
+
+export type LightEstimateSource = 'neutral'|'xr';
+
+export const LightEstimateSource: {[index: string]: LightEstimateSource} = {
+  NEUTRAL: 'neutral',
+  XR: 'xr'
+};
+
+export interface LightEstimate {
+  source: LightEstimateSource;
+  sphericalHarmonics: Array<number>;
+  primaryLightDirection: {x: number, y: number, z: number};
+  primaryLightIntensity: {x: number, y: number, z: number};
+  xrEnvironment: boolean;
+}
+
+const direction = new Vector3();
+
+/**
+ * ARLighting lights a model presented in AR to match the room it is placed in,
+ * using the WebXR light estimate: spherical harmonics for the ambient light
+ * and a primary light, which also sets the direction the model's shadow is
+ * cast in. With xr-environment, the estimated reflection map replaces the
+ * environment as well.
+ *
+ * The page's environment was chosen for the page, not the room, so for the
+ * session it is swapped for the neutral generated environment. Until the
+ * first estimate arrives, or throughout where light estimation is
+ * unsupported, that neutral environment alone lights the model and the shadow
+ * falls straight down.
+ */
+export class ARLighting {
+  private scene: ModelScene|null = null;
+  private environmentEstimation = false;
+  private oldEnvironment: Texture|null = null;
+  private source: LightEstimateSource = LightEstimateSource.NEUTRAL;
+  private direction = new Vector3(0, 1, 0);
+  private lastDebugTime = -Infinity;
+  private xrLight: XREstimatedLight;
+
+  constructor(
+      threeRenderer: WebGLRenderer, private debug: Debugger|null = null) {
+    this.xrLight = new XREstimatedLight(threeRenderer);
+
+    this.xrLight.addEventListener('estimationstart', () => {
+      const {scene} = this;
+      if (scene == null) {
+        return;
+      }
+
+      this.source = LightEstimateSource.XR;
+      scene.add(this.xrLight);
+
+      if (this.environmentEstimation && this.xrLight.environment) {
+        scene.environment = this.xrLight.environment;
+      }
+      // Report the switch without waiting for the next interval.
+      this.lastDebugTime = -Infinity;
+    });
+  }
+
+  /**
+   * The light estimate currently applied. Spherical harmonics are 9 RGB
+   * coefficients, flattened; the primary light direction points towards the
+   * light, in world space.
+   */
+  get estimate(): LightEstimate {
+    const {lightProbe, directionalLight} = this.xrLight;
+    const isXR = this.source === LightEstimateSource.XR;
+    const primaryLightIntensity = {x: 0, y: 0, z: 0};
+    if (isXR) {
+      const {color, intensity} = directionalLight;
+      primaryLightIntensity.x = color.r * intensity;
+      primaryLightIntensity.y = color.g * intensity;
+      primaryLightIntensity.z = color.b * intensity;
+    }
+    return {
+      source: this.source,
+      sphericalHarmonics: isXR ? lightProbe.sh.toArray() :
+                                 new Array<number>(27).fill(0),
+      primaryLightDirection:
+          {x: this.direction.x, y: this.direction.y, z: this.direction.z},
+      primaryLightIntensity,
+      xrEnvironment:
+          isXR && this.environmentEstimation && this.xrLight.environment != null
+    };
+  }
+
+  /**
+   * Call when a scene starts being presented, with the neutral environment
+   * to light it with until there is an estimate.
+   */
+  startSession(
+      scene: ModelScene, environmentEstimation: boolean,
+      neutralEnvironment: Texture|null) {
+    this.scene = scene;
+    this.environmentEstimation = environmentEstimation;
+    this.source = LightEstimateSource.NEUTRAL;
+    this.direction.set(0, 1, 0);
+    this.oldEnvironment = scene.environment;
+    if (neutralEnvironment != null) {
+      scene.environment = neutralEnvironment;
+    }
+    scene.setShadowLightDirection(null);
+    this.lastDebugTime = -Infinity;
+  }
+
+  /**
+   * Call on every AR frame, to follow the estimated light with the shadow.
+   */
+  update(time: number) {
+    const {scene} = this;
+    if (scene == null) {
+      return;
+    }
+
+    if (this.source === LightEstimateSource.XR) {
+      const {position} = this.xrLight.directionalLight;
+      if (position.lengthSq() > 0) {
+        direction.copy(position).normalize();
+        if (direction.angleTo(this.direction) > DIRECTION_THRESHOLD) {
+          this.direction.copy(direction);
+          scene.setShadowLightDirection(this.direction);
+        }
+      }
+    }
+
+    if (this.debug != null && time - this.lastDebugTime > DEBUG_INTERVAL_MS) {
+      this.lastDebugTime = time;
+      this.debug.lightEstimate({scene, ...this.estimate});
+    }
+  }
+
+  /**
+   * Call when the session ends, to restore the scene's own lighting.
+   */
+  endSession() {
+    const {scene} = this;
+    if (scene == null) {
+      return;
+    }
+
+    if (this.xrLight.parent != null) {
+      this.xrLight.parent.remove(this.xrLight);
+    }
+    scene.environment = this.oldEnvironment;
+    scene.setShadowLightDirection(null);
+    this.scene = null;
+    this.oldEnvironment = null;
+    this.source = LightEstimateSource.NEUTRAL;
+  }
+}
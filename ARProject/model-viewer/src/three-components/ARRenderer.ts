@@ -0,0 +1,1665 @@
+/* @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import '../types/webxr.js';
+
+import {Euler, Event as ThreeEvent, EventDispatcher, Matrix4, PerspectiveCamera, Quaternion, Vector3, WebGLRenderer} from 'three';
+
+import {ControlsInterface} from '../features/controls.js';
+import ModelViewerElementBase, {$onResize, $sceneIsReady} from '../model-viewer-base.js';
+import {assertIsArCandidate} from '../utilities.js';
+
+import {ARCapture, ARRecordingOptions} from './ARCapture.js';
+import {ARDepthOcclusion, AROcclusionDetails} from './ARDepthOcclusion.js';
+import {ARItem} from './ARItem.js';
+import {ARLighting} from './ARLighting.js';
+import {Damper} from './Damper.js';
+import {ModelScene} from './ModelScene.js';
+import {PlacementBox} from './PlacementBox.js';
+import {Renderer} from './Renderer.js';
+import {sideForPlacement} from './Shadow.js';
+import {SnapIndicator} from './SnapIndicator.js';
+
+// number of initial null pose XRFrames allowed before we post not-tracking
+const INIT_FRAMES = 30;
+// AR shadow intensity is not user-configurable; its direction follows the
+// estimated light instead (see ARLighting).
+const AR_SHADOW_INTENSITY = 0.3;
+const ROTATION_RATE = 1.5;
+// Angle down (towards bottom of screen) from camera center ray to use for hit
+// testing against the floor. This makes placement faster and more intuitive
+// assuming the phone is in portrait mode. This seems to be a reasonable
+// assumption for the start of the session and UI will lack landscape mode to
+// encourage upright use.
+const HIT_ANGLE_DEG = 20;
+const SCALE_SNAP_HIGH = 1.3;
+const SCALE_SNAP_LOW = 1 / SCALE_SNAP_HIGH;
+// For automatic dynamic viewport scaling, don't let the scale drop below this
+// limit.
+const MIN_VIEWPORT_SCALE = 0.25;
+// Furthest away you can move an object (meters).
+const MAX_DISTANCE = 10;
+// Additional models are placed this far in front of the camera (meters), or
+// further if they are large.
+const ITEM_PLACEMENT_DISTANCE = 1.5;
+// Gap left between models hung side by side on a wall (meters).
+const ITEM_SPACING = 0.25;
+// A model dropped with its back this close to a wall or the edge of the floor
+// is pushed flush against it (meters).
+const WALL_SNAP_DISTANCE = 0.3;
+// Floor edges shorter than this are too noisy to align to (meters).
+const MIN_EDGE_LENGTH = 0.3;
+// How far a horizontal plane may be from the model's floor height and still
+// count as that floor (meters).
+const FLOOR_TOLERANCE = 0.1;
+// In surface placement, how far above the floor a horizontal plane has to be
+// to count as a table top or shelf (meters).
+const SURFACE_MIN_HEIGHT = 0.2;
+
+export type ARStatus = 'not-presenting'|'session-started'|'object-placed'|
+    'failed'|'frame-captured'|'recording-started'|'recording-stopped';
+
+export const ARStatus: {[index: string]: ARStatus} = {
+  NOT_PRESENTING: 'not-presenting',
+  SESSION_STARTED: 'session-started',
+  OBJECT_PLACED: 'object-placed',
+  FAILED: 'failed',
+  FRAME_CAPTURED: 'frame-captured',
+  RECORDING_STARTED: 'recording-started',
+  RECORDING_STOPPED: 'recording-stopped'
+};
+
+export interface ARStatusEvent extends ThreeEvent {
+  status: ARStatus,
+}
+
+export type ARPlacementMode = 'floor'|'wall'|'ceiling'|'surface';
+
+export const ARPlacementMode: {[index: string]: ARPlacementMode} = {
+  FLOOR: 'floor',
+  WALL: 'wall',
+  CEILING: 'ceiling',
+  SURFACE: 'surface'
+};
+
+export type ARTracking = 'tracking'|'not-tracking';
+
+export const ARTracking: {[index: string]: ARTracking} = {
+  TRACKING: 'tracking',
+  NOT_TRACKING: 'not-tracking'
+};
+
+export interface ARTrackingEvent extends ThreeEvent {
+  status: ARTracking,
+}
+
+export interface ARItemEvent extends ThreeEvent {
+  id: string|null;
+  url: string|null;
+}
+
+/**
+ * Where the presented model was placed. The anchor is a persistent anchor
+ * handle where the platform supports them; position and yaw are in the
+ * session's reference space, so they only mean something to that session.
+ */
+export interface ARPlacement {
+  anchor: string|null;
+  position: {x: number, y: number, z: number};
+  yaw: number;
+  scale: number;
+}
+
+export interface ARPlacementEvent extends ThreeEvent {
+  placement: ARPlacement;
+}
+
+export interface AROcclusionEvent extends ThreeEvent, AROcclusionDetails {}
+
+export interface ARScaleEvent extends ThreeEvent {
+  scale: number;
+}
+
+const vector3 = new Vector3();
+const matrix4 = new Matrix4();
+const hitPosition = new Vector3();
+const camera = new PerspectiveCamera(45, 1, 0.1, 100);
+const quaternion = new Quaternion();
+const euler = new Euler();
+const yAxis = new Vector3(0, 1, 0);
+
+export class ARRenderer extends EventDispatcher {
+  public threeRenderer: WebGLRenderer;
+  public currentSession: XRSession|null = null;
+  public placement: ARPlacementMode = ARPlacementMode.FLOOR;
+  public snapRotation = 0;
+  public snapToWalls = false;
+  /**
+   * Whether to ask for the camera image, so that captured frames and
+   * recordings show the room behind the model.
+   */
+  public cameraCapture = false;
+
+  private placementBox: PlacementBox|null = null;
+  private snapIndicator: SnapIndicator|null = null;
+  private lastTick: number|null = null;
+  private turntableRotation: number|null = null;
+  private oldShadowIntensity: number|null = null;
+  private oldBackground: any = null;
+  private frame: XRFrame|null = null;
+  private initialHitSource: XRHitTestSource|null = null;
+  private floorHitSource: XRHitTestSource|null = null;
+  private transientHitTestSource: XRTransientInputHitTestSource|null = null;
+  private inputSource: XRInputSource|null = null;
+  private _presentedScene: ModelScene|null = null;
+  private resolveCleanup: ((...args: any[]) => void)|null = null;
+  private exitWebXRButtonContainer: HTMLElement|null = null;
+  private overlay: HTMLElement|null = null;
+
+  private tracking = true;
+  private frames = 0;
+  private initialized = false;
+  private oldTarget = new Vector3();
+  private oldFramedFieldOfView = 45;
+  private placementComplete = false;
+  private isTranslating = false;
+  private isRotating = false;
+  private isTwoFingering = false;
+  private lastDragPosition = new Vector3();
+  private firstRatio = 0;
+  private lastAngle = 0;
+  private goalPosition = new Vector3();
+  private goalYaw = 0;
+  private goalScale = 1;
+  private xDamper = new Damper();
+  private yDamper = new Damper();
+  private zDamper = new Damper();
+  private yawDamper = new Damper();
+  private scaleDamper = new Damper();
+
+  public items = new Map<string, ARItem>();
+  public selectedItem: ARItem|null = null;
+  public capture: ARCapture;
+  public lighting: ARLighting;
+  public occlusion: ARDepthOcclusion;
+
+  private anchor: XRAnchor|null = null;
+  private anchorHandle: string|null = null;
+  private anchorPosition = new Vector3();
+  private anchorYaw = 0;
+  private anchorRequested = false;
+  private restoredPlacement: ARPlacement|null = null;
+  private reportedScale: number|null = null;
+  private twistYaw = 0;
+  private twistStartYaw = 0;
+  private wallSnapRequested = false;
+  private floorHeight = Infinity;
+
+  private onExitWebXRButtonContainerClick = () => this.stopPresenting();
+
+  constructor(private renderer: Renderer) {
+    super();
+    this.threeRenderer = renderer.threeRenderer;
+    this.threeRenderer.xr.enabled = true;
+    this.capture = new ARCapture(this.threeRenderer);
+
+    this.lighting = new ARLighting(this.threeRenderer, renderer.debugger);
+    this.occlusion = new ARDepthOcclusion();
+  }
+
+  async resolveARSession(occlusion: boolean = false): Promise<XRSession> {
+    assertIsArCandidate();
+
+    return this.requestARSession(navigator.xr!, occlusion);
+  }
+
+  /**
+   * Requests an immersive-ar session from the given XR system, with the
+   * features the current settings call for, and hands it to three.js.
+   * resolveARSession() uses navigator.xr; tests pass an emulated device.
+   */
+  async requestARSession(xr: XR, occlusion: boolean = false):
+      Promise<XRSession> {
+    const sessionInit: {
+      requiredFeatures: Array<string>,
+      optionalFeatures: Array<string>,
+      domOverlay: {root: HTMLElement|null},
+      depthSensing?: XRDepthStateInit
+    } = {
+      requiredFeatures: ['hit-test'],
+      optionalFeatures: ['dom-overlay', 'light-estimation', 'anchors'],
+      domOverlay: {root: this.overlay}
+    };
+    // Camera access may prompt the user, so only ask for it when captures
+    // are meant to show the room.
+    if (this.cameraCapture) {
+      sessionInit.optionalFeatures.push('camera-access');
+    }
+    // Detected planes let wall snapping find walls, and surface placement
+    // find the floor.
+    if ((this.snapToWalls && this.placement === ARPlacementMode.FLOOR) ||
+        this.placement === ARPlacementMode.SURFACE) {
+      sessionInit.optionalFeatures.push('plane-detection');
+    }
+    // Depth sensing costs power and camera bandwidth, so only ask for it
+    // when occlusion is wanted.
+    if (occlusion) {
+      const {optionalFeatures, depthSensing} = ARDepthOcclusion.sessionInit;
+      sessionInit.optionalFeatures.push(...optionalFeatures);
+      sessionInit.depthSensing = depthSensing;
+    }
+
+    const session: XRSession =
+        await xr.requestSession('immersive-ar', sessionInit);
+
+    this.threeRenderer.xr.setReferenceSpaceType('local');
+
+    await this.threeRenderer.xr.setSession(session as any);
+
+    (this.threeRenderer.xr as any).cameraAutoUpdate = false;
+
+    return session;
+  }
+
+  /**
+   * True when models hang on a wall, rather than resting on a horizontal
+   * surface or hanging from the ceiling.
+   */
+  get placeOnWall(): boolean {
+    return this.placement === ARPlacementMode.WALL;
+  }
+
+  /**
+   * The currently presented scene, if any
+   */
+  get presentedScene() {
+    return this._presentedScene;
+  }
+
+  /**
+   * Resolves to true if the renderer has detected all the necessary qualities
+   * to support presentation in AR.
+   */
+  async supportsPresentation(): Promise<boolean> {
+    try {
+      assertIsArCandidate();
+      return await navigator.xr!.isSessionSupported('immersive-ar');
+    } catch (error) {
+      console.warn('Request to present in WebXR denied:');
+      console.warn(error);
+      console.warn('Falling back to next ar-mode');
+      return false;
+    }
+  }
+
+  /**
+   * Present a scene in AR
+   */
+  async present(
+      scene: ModelScene, environmentEstimation: boolean = false,
+      occlusion: boolean = false): Promise<void> {
+    if (this.isPresenting) {
+      console.warn('Cannot present while a model is already presenting');
+    }
+
+    let waitForAnimationFrame = new Promise<void>((resolve, _reject) => {
+      requestAnimationFrame(() => resolve());
+    });
+
+    scene.setHotspotsVisibility(false);
+    scene.isDirty = true;
+    // Render a frame to turn off the hotspots
+    await waitForAnimationFrame;
+
+    // This sets isPresenting to true
+    this._presentedScene = scene;
+    this.overlay = scene.element.shadowRoot!.querySelector('div.default');
+
+    const currentSession = await this.resolveARSession(occlusion);
+
+    currentSession.addEventListener('end', () => {
+      this.postSessionCleanup();
+    }, {once: true});
+
+    this.capture.startSession(currentSession);
+
+    const {textureUtils} = this.renderer;
+    const neutralEnvironment = textureUtils != null ?
+        (await textureUtils.loadGeneratedEnvironmentMapAlt()).texture :
+        null;
+    this.lighting.startSession(
+        scene, environmentEstimation, neutralEnvironment);
+    this.occlusion.startSession(currentSession, scene, occlusion);
+
+    const exitButton = scene.element.shadowRoot!.querySelector(
+                           '.slot.exit-webxr-ar-button') as HTMLElement;
+    exitButton.classList.add('enabled');
+    exitButton.addEventListener('click', this.onExitWebXRButtonContainerClick);
+    this.exitWebXRButtonContainer = exitButton;
+
+    const viewerRefSpace = await currentSession.requestReferenceSpace('viewer');
+
+    this.tracking = true;
+    this.frames = 0;
+    this.initialized = false;
+
+    this.turntableRotation = scene.yaw;
+    this.goalYaw = scene.yaw;
+    this.goalScale = 1;
+
+    this.oldBackground = scene.background;
+    scene.background = null;
+
+    this.oldShadowIntensity = scene.shadowIntensity;
+    scene.setShadowIntensity(0);
+    // The real floor takes the place of the staged one.
+    if (scene.floor != null) {
+      scene.floor.visible = false;
+    }
+
+    this.oldTarget.copy(scene.getTarget());
+    this.oldFramedFieldOfView = scene.framedFieldOfView;
+
+    scene.addEventListener('model-load', this.onUpdateScene);
+
+    // Look down at the floor, or up at the ceiling.
+    const radians = (this.placement === ARPlacementMode.CEILING ? -1 : 1) *
+        HIT_ANGLE_DEG * Math.PI / 180;
+    const ray = this.placeOnWall === true ?
+        undefined :
+        new XRRay(
+            new DOMPoint(0, 0, 0),
+            {x: 0, y: -Math.sin(radians), z: -Math.cos(radians)});
+    currentSession.requestHitTestSource({space: viewerRefSpace, offsetRay: ray})
+        .then(hitTestSource => {
+          this.initialHitSource = hitTestSource;
+        });
+    // Surfaces are told from the floor by their height above it, so look for
+    // the floor straight down from where the session started, which is where
+    // the user is standing.
+    if (this.placement === ARPlacementMode.SURFACE) {
+      currentSession
+          .requestHitTestSource({
+            space: this.threeRenderer.xr.getReferenceSpace()!,
+            offsetRay: new XRRay(new DOMPoint(0, 0, 0), {x: 0, y: -1, z: 0})
+          })
+          .then(hitTestSource => {
+            this.floorHitSource = hitTestSource;
+          });
+    }
+
+    this.currentSession = currentSession;
+    this.placementBox =
+        new PlacementBox(scene, sideForPlacement(this.placement));
+    if (this.snapRotation > 0) {
+      this.snapIndicator = new SnapIndicator(scene, this.snapRotation);
+    }
+    this.placementComplete = false;
+
+    this.lastTick = performance.now();
+    this.dispatchEvent({type: 'status', status: ARStatus.SESSION_STARTED});
+    this.dispatchEvent({type: 'occlusion', ...this.occlusion.details});
+  }
+
+  /**
+   * If currently presenting a scene in AR, stops presentation and exits AR.
+   */
+  async stopPresenting() {
+    if (!this.isPresenting) {
+      return;
+    }
+
+    const cleanupPromise = new Promise((resolve) => {
+      this.resolveCleanup = resolve;
+    });
+
+    try {
+      await this.currentSession!.end();
+      await cleanupPromise;
+    } catch (error) {
+      console.warn('Error while trying to end WebXR AR session');
+      console.warn(error);
+
+      this.postSessionCleanup();
+    }
+  }
+
+  /**
+   * True if a scene is currently in the process of being presented in AR
+   */
+  get isPresenting(): boolean {
+    return this.presentedScene != null;
+  }
+
+  get target(): Vector3 {
+    return this.oldTarget;
+  }
+
+  updateTarget() {
+    const scene = this.presentedScene;
+    if (scene != null) {
+      const target = scene.getTarget();
+      this.oldTarget.copy(target);
+      if (this.placeOnWall) {
+        // Move the scene's target to the center of the back of the model's
+        // bounding box.
+        target.z = scene.boundingBox.min.z;
+      } else if (this.placement === ARPlacementMode.CEILING) {
+        // Hang the model from the top of its bounding box.
+        target.y = scene.boundingBox.max.y;
+      } else {
+        // Move the scene's target to the model's floor height.
+        target.y = scene.boundingBox.min.y;
+      }
+      scene.setTarget(target.x, target.y, target.z);
+    }
+  }
+
+  onUpdateScene = () => {
+    if (this.placementBox != null && this.isPresenting) {
+      this.placementBox!.dispose();
+      this.placementBox = new PlacementBox(
+          this.presentedScene!, sideForPlacement(this.placement));
+    }
+    if (this.snapIndicator != null && this.isPresenting) {
+      this.snapIndicator.dispose();
+      this.snapIndicator =
+          new SnapIndicator(this.presentedScene!, this.snapRotation);
+    }
+  };
+
+  private postSessionCleanup() {
+    const session = this.currentSession;
+    if (session != null) {
+      session.removeEventListener('selectstart', this.onSelectStart);
+      session.removeEventListener('selectend', this.onSelectEnd);
+      this.currentSession = null;
+    }
+
+    this.capture.endSession();
+    this.lighting.endSession();
+    this.occlusion.endSession();
+
+    const scene = this.presentedScene;
+    if (scene != null) {
+      const {element} = scene;
+
+      scene.position.set(0, 0, 0);
+      scene.scale.set(1, 1, 1);
+      scene.setShadowScaleAndOffset(1, 0);
+      scene.setDimensionsScale(1);
+      const yaw = this.turntableRotation;
+      if (yaw != null) {
+        scene.yaw = yaw;
+      }
+      const intensity = this.oldShadowIntensity;
+      if (intensity != null) {
+        scene.setShadowIntensity(intensity);
+      }
+      if (scene.floor != null) {
+        scene.floor.visible = true;
+      }
+      const background = this.oldBackground;
+      if (background != null) {
+        scene.background = background;
+      }
+      const point = this.oldTarget;
+      scene.setTarget(point.x, point.y, point.z);
+      scene.framedFieldOfView = this.oldFramedFieldOfView;
+      scene.xrCamera = null;
+
+      scene.removeEventListener('model-load', this.onUpdateScene);
+      scene.orientHotspots(0);
+      element.requestUpdate('cameraTarget');
+      element.requestUpdate('maxCameraOrbit');
+      element[$onResize](element.getBoundingClientRect());
+    }
+
+    // Force the Renderer to update its size
+    this.renderer.height = 0;
+
+    const exitButton = this.exitWebXRButtonContainer;
+    if (exitButton != null) {
+      exitButton.classList.remove('enabled');
+      exitButton.removeEventListener(
+          'click', this.onExitWebXRButtonContainerClick);
+      this.exitWebXRButtonContainer = null;
+    }
+
+    const hitSource = this.transientHitTestSource;
+    if (hitSource != null) {
+      hitSource.cancel();
+      this.transientHitTestSource = null;
+    }
+
+    const hitSourceInitial = this.initialHitSource;
+    if (hitSourceInitial != null) {
+      hitSourceInitial.cancel();
+      this.initialHitSource = null;
+    }
+
+    const hitSourceFloor = this.floorHitSource;
+    if (hitSourceFloor != null) {
+      hitSourceFloor.cancel();
+      this.floorHitSource = null;
+    }
+
+    if (this.placementBox != null) {
+      this.placementBox!.dispose();
+      this.placementBox = null;
+    }
+    if (this.snapIndicator != null) {
+      this.snapIndicator.dispose();
+      this.snapIndicator = null;
+    }
+    this.wallSnapRequested = false;
+    this.floorHeight = Infinity;
+
+    for (const item of this.items.values()) {
+      item.dispose();
+    }
+    this.items.clear();
+    this.selectedItem = null;
+
+    // Persistent anchors outlive the session, so the anchor is only
+    // untracked here.
+    if (this.anchor != null) {
+      this.anchor.delete();
+      this.anchor = null;
+    }
+    this.anchorHandle = null;
+    this.anchorRequested = false;
+    this.restoredPlacement = null;
+    this.reportedScale = null;
+
+    this.lastTick = null;
+    this.turntableRotation = null;
+    this.oldShadowIntensity = null;
+    this.oldBackground = null;
+    this._presentedScene = null;
+    this.frame = null;
+    this.inputSource = null;
+    this.overlay = null;
+
+    if (this.resolveCleanup != null) {
+      this.resolveCleanup!();
+    }
+
+    this.dispatchEvent({type: 'status', status: ARStatus.NOT_PRESENTING});
+  }
+
+  private updateView(view: XRView) {
+    const scene = this.presentedScene!;
+    const xr = this.threeRenderer.xr as any;
+
+    xr.updateCamera(camera);
+    scene.xrCamera = xr.getCamera();
+    const {elements} = scene.getCamera().matrixWorld;
+    scene.orientHotspots(Math.atan2(elements[1], elements[5]));
+
+    if (!this.initialized) {
+      this.placeInitially();
+      this.initialized = true;
+    }
+
+    // Use automatic dynamic viewport scaling if supported.
+    if (view.requestViewportScale && view.recommendedViewportScale) {
+      const scale = view.recommendedViewportScale;
+      view.requestViewportScale(Math.max(scale, MIN_VIEWPORT_SCALE));
+    }
+    const layer = this.currentSession!.renderState.baseLayer;
+    const viewport = layer!.getViewport(view);
+    this.threeRenderer.setViewport(
+        viewport.x, viewport.y, viewport.width, viewport.height);
+  }
+
+  private placeInitially() {
+    const scene = this.presentedScene!;
+    const {position, element} = scene;
+    const xrCamera = scene.getCamera();
+
+    const {width, height} = this.overlay!.getBoundingClientRect();
+    scene.setSize(width, height);
+
+    xrCamera.projectionMatrixInverse.copy(xrCamera.projectionMatrix).invert();
+
+    const {theta, radius} =
+        (element as ModelViewerElementBase & ControlsInterface)
+            .getCameraOrbit();
+    // Orient model to match the 3D camera view
+    const cameraDirection = xrCamera.getWorldDirection(vector3);
+    scene.yaw = Math.atan2(-cameraDirection.x, -cameraDirection.z) - theta;
+    this.goalYaw = scene.yaw;
+
+    position.copy(xrCamera.position)
+        .add(cameraDirection.multiplyScalar(radius));
+
+    this.updateTarget();
+    const target = scene.getTarget();
+    position.add(target).sub(this.oldTarget);
+
+    this.goalPosition.copy(position);
+
+    scene.setHotspotsVisibility(true);
+
+    const {session} = this.frame!;
+    session.addEventListener('selectstart', this.onSelectStart);
+    session.addEventListener('selectend', this.onSelectEnd);
+    session
+        .requestHitTestSourceForTransientInput({profile: 'generic-touchscreen'})
+        .then(hitTestSource => {
+          this.transientHitTestSource = hitTestSource;
+        });
+  }
+
+  private getTouchLocation(): Vector3|null {
+    const {axes} = this.inputSource!.gamepad;
+    let location = this.placementBox!.getExpandedHit(
+        this.presentedScene!, axes[0], axes[1]);
+    if (location != null) {
+      vector3.copy(location).sub(this.presentedScene!.getCamera().position);
+      if (vector3.length() > MAX_DISTANCE)
+        return null;
+    }
+    return location;
+  }
+
+  private getHitPoint(hitResult: XRHitTestResult, item: ARItem|null = null):
+      Vector3|null {
+    const refSpace = this.threeRenderer.xr.getReferenceSpace()!;
+    const pose = hitResult.getPose(refSpace);
+    if (pose == null) {
+      return null;
+    }
+
+    const hitMatrix = matrix4.fromArray(pose.transform.matrix);
+
+    if (this.placeOnWall === true) {
+      // Orient the model to the wall's normal vector.
+      const yaw = Math.atan2(hitMatrix.elements[4], hitMatrix.elements[6]);
+      if (item != null) {
+        item.goalYaw = yaw;
+      } else {
+        this.goalYaw = yaw;
+      }
+    }
+    // Check that the y-coordinate of the normal is large enough that the normal
+    // is pointing up for floor and surface placement, down for ceiling
+    // placement and neither for wall placement. Surfaces must also stand
+    // clear of the floor, so nothing is a surface until the floor is found.
+    const normalY = hitMatrix.elements[5];
+    let isPlaceable: boolean;
+    switch (this.placement) {
+      case ARPlacementMode.WALL:
+        isPlaceable = normalY <= 0.75;
+        break;
+      case ARPlacementMode.CEILING:
+        isPlaceable = normalY < -0.75;
+        break;
+      case ARPlacementMode.SURFACE:
+        isPlaceable = normalY > 0.75 &&
+            hitMatrix.elements[13] > this.floorHeight + SURFACE_MIN_HEIGHT;
+        break;
+      default:
+        isPlaceable = normalY > 0.75;
+    }
+    return isPlaceable ? hitPosition.setFromMatrixPosition(hitMatrix) : null;
+  }
+
+  public moveToFloor(frame: XRFrame) {
+    const hitSource = this.initialHitSource;
+    if (hitSource == null) {
+      return;
+    }
+
+    const hitTestResults = frame.getHitTestResults(hitSource);
+    if (hitTestResults.length == 0) {
+      return;
+    }
+
+    const hit = hitTestResults[0];
+    const hitPoint = this.getHitPoint(hit);
+    if (hitPoint == null) {
+      return;
+    }
+
+    this.placementBox!.show = true;
+
+    // If the user is translating, let the finger hit-ray take precedence and
+    // ignore this hit result.
+    if (!this.isTranslating) {
+      if (this.placeOnWall || this.placement === ARPlacementMode.SURFACE) {
+        this.goalPosition.copy(hitPoint);
+      } else {
+        this.goalPosition.y = hitPoint.y;
+      }
+    }
+
+    hitSource.cancel();
+    this.initialHitSource = null;
+    this.dispatchEvent({type: 'status', status: ARStatus.OBJECT_PLACED});
+  }
+
+  /**
+   * Adds a twist to the gesture's rotation and returns the yaw to turn to:
+   * with rotation snapping, the nearest step from the yaw the gesture started
+   * at.
+   */
+  private twist(deltaYaw: number): number {
+    this.twistYaw += deltaYaw;
+    const step = this.snapRotation;
+    if (step <= 0) {
+      return this.twistYaw;
+    }
+    const start = this.twistStartYaw;
+    return start + Math.round((this.twistYaw - start) / step) * step;
+  }
+
+  /**
+   * In surface placement, finds the floor: the first hit straight down from
+   * where the session started, or the lowest upward-facing plane detected
+   * that isn't labeled as something else, such as a table.
+   */
+  private updateFloorHeight(frame: XRFrame) {
+    if (this.placement !== ARPlacementMode.SURFACE) {
+      return;
+    }
+
+    const refSpace = this.threeRenderer.xr.getReferenceSpace()!;
+    const hitSource = this.floorHitSource;
+    if (hitSource != null) {
+      for (const hit of frame.getHitTestResults(hitSource)) {
+        const pose = hit.getPose(refSpace);
+        if (pose == null) {
+          continue;
+        }
+        matrix4.fromArray(pose.transform.matrix);
+        if (matrix4.elements[5] > 0.75) {
+          this.floorHeight = Math.min(this.floorHeight, matrix4.elements[13]);
+          hitSource.cancel();
+          this.floorHitSource = null;
+          break;
+        }
+      }
+    }
+
+    const planes = frame.detectedPlanes;
+    if (planes == null) {
+      return;
+    }
+    for (const plane of planes) {
+      if (plane.orientation !== 'horizontal' ||
+          (plane.semanticLabel != null && plane.semanticLabel !== 'floor')) {
+        continue;
+      }
+      const pose = frame.getPose(plane.planeSpace, refSpace);
+      if (pose == null) {
+        continue;
+      }
+      matrix4.fromArray(pose.transform.matrix);
+      // Ceilings are horizontal too, but face down.
+      if (matrix4.elements[5] > 0.75) {
+        this.floorHeight = Math.min(this.floorHeight, matrix4.elements[13]);
+      }
+    }
+  }
+
+  /**
+   * With wall snapping, once the presented model is dropped, turns its back
+   * to the nearest detected wall, or edge of the floor it stands on, within
+   * WALL_SNAP_DISTANCE and pushes it flush. Needs WebXR plane detection;
+   * without it models stay where they are dropped.
+   */
+  private updateWallSnap(frame: XRFrame) {
+    if (!this.wallSnapRequested) {
+      return;
+    }
+    this.wallSnapRequested = false;
+    const planes = frame.detectedPlanes;
+    if (!this.snapToWalls || this.placement !== ARPlacementMode.FLOOR ||
+        planes == null) {
+      return;
+    }
+
+    const refSpace = this.threeRenderer.xr.getReferenceSpace()!;
+    const scene = this.presentedScene!;
+    const goal = this.goalPosition;
+    // The scene's position is its target, so that is how far the back is.
+    const back =
+        (scene.getTarget().z - scene.boundingBox.min.z) * this.goalScale;
+
+    let nearest: {x: number, z: number, normalX: number, normalZ: number}|null =
+        null;
+    let nearestDistance = back + WALL_SNAP_DISTANCE;
+    const consider = (ax: number, az: number, bx: number, bz: number) => {
+      const dx = bx - ax;
+      const dz = bz - az;
+      const length = Math.hypot(dx, dz);
+      if (length < MIN_EDGE_LENGTH) {
+        return;
+      }
+      const t = ((goal.x - ax) * dx + (goal.z - az) * dz) / (length * length);
+      if (t < 0 || t > 1) {
+        return;
+      }
+      const x = ax + t * dx;
+      const z = az + t * dz;
+      const distance = Math.hypot(goal.x - x, goal.z - z);
+      if (distance >= nearestDistance) {
+        return;
+      }
+      // The normal on the model's side of the line.
+      let normalX = -dz / length;
+      let normalZ = dx / length;
+      if (normalX * (goal.x - x) + normalZ * (goal.z - z) < 0) {
+        normalX = -normalX;
+        normalZ = -normalZ;
+      }
+      nearest = {x, z, normalX, normalZ};
+      nearestDistance = distance;
+    };
+
+    for (const plane of planes) {
+      const pose = frame.getPose(plane.planeSpace, refSpace);
+      if (pose == null) {
+        continue;
+      }
+      matrix4.fromArray(pose.transform.matrix);
+      const points = plane.polygon.map(
+          ({x, y, z}) => new Vector3(x, y, z).applyMatrix4(matrix4));
+
+      if (plane.orientation === 'vertical') {
+        // A wall meets the floor along the line its polygon spans.
+        const tangentX = -matrix4.elements[6];
+        const tangentZ = matrix4.elements[4];
+        let min: {point: Vector3, along: number}|null = null;
+        let max: {point: Vector3, along: number}|null = null;
+        for (const point of points) {
+          const along = point.x * tangentX + point.z * tangentZ;
+          if (min == null || along < min.along) {
+            min = {point, along};
+          }
+          if (max == null || along > max.along) {
+            max = {point, along};
+          }
+        }
+        if (min != null) {
+          consider(min.point.x, min.point.z, max!.point.x, max!.point.z);
+        }
+      } else if (Math.abs(matrix4.elements[13] - goal.y) < FLOOR_TOLERANCE) {
+        points.forEach((point, i) => {
+          const next = points[(i + 1) % points.length];
+          consider(point.x, point.z, next.x, next.z);
+        });
+      }
+    }
+
+    if (nearest == null) {
+      return;
+    }
+    const {x, z, normalX, normalZ} = nearest;
+    goal.x = x + normalX * back;
+    goal.z = z + normalZ * back;
+    // Turn the short way round to face away from the wall.
+    let deltaYaw = Math.atan2(normalX, normalZ) - this.goalYaw;
+    deltaYaw -= 2 * Math.PI * Math.round(deltaYaw / (2 * Math.PI));
+    this.goalYaw += deltaYaw;
+  }
+
+  private onSelectStart = (event: Event) => {
+    const hitSource = this.transientHitTestSource;
+    if (hitSource == null) {
+      return;
+    }
+    const fingers = this.frame!.getHitTestResultsForTransientInput(hitSource);
+    const scene = this.presentedScene!;
+    const box = this.placementBox!;
+
+    if (fingers.length === 1) {
+      this.inputSource = (event as XRInputSourceEvent).inputSource;
+      const {axes} = this.inputSource!.gamepad;
+
+      let hitPosition = box.getHit(this.presentedScene!, axes[0], axes[1]);
+      if (hitPosition != null) {
+        this.selectItem(null);
+      } else {
+        // Tapping an additional model selects it; tapping elsewhere rotates
+        // whichever model is currently selected.
+        for (const item of this.items.values()) {
+          hitPosition = item.getHit(scene, axes[0], axes[1]);
+          if (hitPosition != null) {
+            this.selectItem(item);
+            break;
+          }
+        }
+      }
+      const selected = this.selectedItem;
+      (selected != null ? selected.placementBox : box).show = true;
+
+      if (hitPosition != null) {
+        this.isTranslating = true;
+        this.lastDragPosition.copy(hitPosition);
+      } else if (this.placeOnWall === false) {
+        this.isRotating = true;
+        this.lastAngle = axes[0] * ROTATION_RATE;
+      }
+    } else if (fingers.length === 2) {
+      const selected = this.selectedItem;
+      (selected != null ? selected.placementBox : box).show = true;
+      this.isTwoFingering = true;
+      const {separation} = this.fingerPolar(fingers);
+      this.firstRatio =
+          separation / (selected != null ? selected.goalScale : scene.scale.x);
+    }
+
+    // Twists snap relative to the orientation they start from.
+    const selected = this.selectedItem;
+    this.twistYaw = selected != null ? selected.goalYaw : this.goalYaw;
+    this.twistStartYaw = this.twistYaw;
+  };
+
+  private onSelectEnd = () => {
+    const wasMoving =
+        this.isTranslating || this.isRotating || this.isTwoFingering;
+    const wasTranslating = this.isTranslating;
+    this.isTranslating = false;
+    this.isRotating = false;
+    this.isTwoFingering = false;
+    this.inputSource = null;
+    if (this.selectedItem != null) {
+      this.selectedItem.placementBox.show = false;
+      return;
+    }
+    this.goalPosition.y +=
+        this.placementBox!.offsetHeight * this.presentedScene!.scale.x;
+    this.placementBox!.show = false;
+    if (wasMoving) {
+      this.anchorRequested = true;
+    }
+    if (wasTranslating) {
+      this.wallSnapRequested = true;
+    }
+  };
+
+  private fingerPolar(fingers: XRTransientInputHitTestResult[]):
+      {separation: number, deltaYaw: number} {
+    const fingerOne = fingers[0].inputSource.gamepad.axes;
+    const fingerTwo = fingers[1].inputSource.gamepad.axes;
+    const deltaX = fingerTwo[0] - fingerOne[0];
+    const deltaY = fingerTwo[1] - fingerOne[1];
+    const angle = Math.atan2(deltaY, deltaX);
+    let deltaYaw = this.lastAngle - angle;
+    if (deltaYaw > Math.PI) {
+      deltaYaw -= 2 * Math.PI;
+    } else if (deltaYaw < -Math.PI) {
+      deltaYaw += 2 * Math.PI;
+    }
+    this.lastAngle = angle;
+    return {
+      separation: Math.sqrt(deltaX * deltaX + deltaY * deltaY),
+      deltaYaw: deltaYaw
+    };
+  }
+
+  private processInput(frame: XRFrame) {
+    const hitSource = this.transientHitTestSource;
+    if (hitSource == null) {
+      return;
+    }
+    if (!this.isTranslating && !this.isTwoFingering && !this.isRotating) {
+      return;
+    }
+    const fingers = frame.getHitTestResultsForTransientInput(hitSource);
+    if (this.selectedItem != null) {
+      this.processItemInput(fingers, this.selectedItem);
+      return;
+    }
+    const scene = this.presentedScene!;
+    const scale = scene.scale.x;
+
+    // Rotating, translating and scaling are mutually exclusive operations; only
+    // one can happen at a time, but we can switch during a gesture.
+    if (this.isTwoFingering) {
+      if (fingers.length < 2) {
+        // If we lose the second finger, stop scaling (in fact, stop processing
+        // input altogether until a new gesture starts).
+        this.isTwoFingering = false;
+      } else {
+        const {separation, deltaYaw} = this.fingerPolar(fingers);
+        if (this.placeOnWall === false) {
+          this.goalYaw = this.twist(deltaYaw);
+        }
+        if (scene.canScale) {
+          const scale = separation / this.firstRatio;
+          this.goalScale =
+              (scale < SCALE_SNAP_HIGH && scale > SCALE_SNAP_LOW) ? 1 : scale;
+        }
+      }
+      return;
+    } else if (fingers.length === 2) {
+      // If we were rotating or translating and we get a second finger, switch
+      // to scaling instead.
+      this.isTranslating = false;
+      this.isRotating = false;
+      this.isTwoFingering = true;
+      const {separation} = this.fingerPolar(fingers);
+      this.firstRatio = separation / scale;
+      return;
+    }
+
+    if (this.isRotating) {
+      const angle = this.inputSource!.gamepad.axes[0] * ROTATION_RATE;
+      this.goalYaw = this.twist(angle - this.lastAngle);
+      this.lastAngle = angle;
+    } else if (this.isTranslating) {
+      fingers.forEach(finger => {
+        if (finger.inputSource !== this.inputSource) {
+          return;
+        }
+
+        let hit = null;
+        if (finger.results.length > 0) {
+          hit = this.getHitPoint(finger.results[0])
+        }
+        if (hit == null) {
+          hit = this.getTouchLocation();
+        }
+        if (hit == null) {
+          return;
+        }
+
+        this.goalPosition.sub(this.lastDragPosition);
+
+        // On a surface or the ceiling, the model goes straight to the height
+        // of whatever is under the finger.
+        if (this.placement === ARPlacementMode.FLOOR) {
+          const offset = hit.y - this.lastDragPosition.y;
+          // When a lower floor is found, keep the model at the same height, but
+          // drop the placement box to the floor. The model falls on select end.
+          if (offset < 0) {
+            this.placementBox!.offsetHeight = offset / scale;
+            this.presentedScene!.setShadowScaleAndOffset(scale, offset);
+            // Interpolate hit ray up to drag plane
+            const cameraPosition = vector3.copy(scene.getCamera().position);
+            const alpha = -offset / (cameraPosition.y - hit.y);
+            cameraPosition.multiplyScalar(alpha);
+            hit.multiplyScalar(1 - alpha).add(cameraPosition);
+          }
+        }
+
+        this.goalPosition.add(hit);
+        this.lastDragPosition.copy(hit);
+      });
+    }
+  }
+
+  /**
+   * The same gestures as processInput(), applied to the selected additional
+   * model. Items have no shadow, so dragging simply follows the hit point.
+   */
+  private processItemInput(
+      fingers: XRTransientInputHitTestResult[], item: ARItem) {
+    if (this.isTwoFingering) {
+      if (fingers.length < 2) {
+        this.isTwoFingering = false;
+      } else {
+        const {separation, deltaYaw} = this.fingerPolar(fingers);
+        if (this.placeOnWall === false) {
+          item.goalYaw = this.twist(deltaYaw);
+        }
+        if (this.presentedScene!.canScale) {
+          const scale = separation / this.firstRatio;
+          item.goalScale =
+              (scale < SCALE_SNAP_HIGH && scale > SCALE_SNAP_LOW) ? 1 : scale;
+        }
+      }
+      return;
+    } else if (fingers.length === 2) {
+      this.isTranslating = false;
+      this.isRotating = false;
+      this.isTwoFingering = true;
+      const {separation} = this.fingerPolar(fingers);
+      this.firstRatio = separation / item.goalScale;
+      return;
+    }
+
+    if (this.isRotating) {
+      const angle = this.inputSource!.gamepad.axes[0] * ROTATION_RATE;
+      item.goalYaw = this.twist(angle - this.lastAngle);
+      this.lastAngle = angle;
+    } else if (this.isTranslating) {
+      fingers.forEach(finger => {
+        if (finger.inputSource !== this.inputSource) {
+          return;
+        }
+
+        let hit = null;
+        if (finger.results.length > 0) {
+          hit = this.getHitPoint(finger.results[0], item);
+        }
+        if (hit == null) {
+          const {axes} = this.inputSource!.gamepad;
+          hit = item.placementBox.getExpandedHit(
+              this.presentedScene!, axes[0], axes[1]);
+        }
+        if (hit == null) {
+          return;
+        }
+
+        item.goalPosition.sub(this.lastDragPosition).add(hit);
+        this.lastDragPosition.copy(hit);
+      });
+    }
+  }
+
+  private moveScene(delta: number) {
+    const scene = this.presentedScene!;
+    const {position, yaw, idealCameraDistance: radius} = scene;
+    const goal = this.goalPosition;
+    const oldScale = scene.scale.x;
+    const box = this.placementBox!;
+
+    if (!goal.equals(position) || this.goalScale !== oldScale) {
+      let {x, y, z} = position;
+      x = this.xDamper.update(x, goal.x, delta, radius);
+      y = this.yDamper.update(y, goal.y, delta, radius);
+      z = this.zDamper.update(z, goal.z, delta, radius);
+      position.set(x, y, z);
+
+      const newScale =
+          this.scaleDamper.update(oldScale, this.goalScale, delta, 1);
+      scene.scale.set(newScale, newScale, newScale);
+      scene.setDimensionsScale(newScale);
+
+      if (!this.isTranslating) {
+        const offset = goal.y - y;
+        if (this.placementComplete &&
+            sideForPlacement(this.placement) === 'bottom') {
+          box.offsetHeight = offset / newScale;
+          scene.setShadowScaleAndOffset(newScale, offset);
+        } else if (offset === 0) {
+          this.placementComplete = true;
+          this.anchorRequested = true;
+          box.show = false;
+          scene.setShadowIntensity(AR_SHADOW_INTENSITY);
+        }
+      }
+    }
+    box.updateOpacity(delta);
+    const indicator = this.snapIndicator;
+    if (indicator != null) {
+      indicator.show =
+          this.selectedItem == null && (this.isRotating || this.isTwoFingering);
+      indicator.update(delta, scene.yaw - this.twistStartYaw);
+    }
+    scene.updateTarget(delta);
+    // yaw must be updated last, since this also updates the shadow position.
+    scene.yaw = this.yawDamper.update(yaw, this.goalYaw, delta, Math.PI);
+    // Items cancel out the scene's transform, so they go after it.
+    for (const item of this.items.values()) {
+      item.update(delta);
+    }
+  }
+
+  /**
+   * Loads an additional model and places it into the current session, in
+   * front of the camera and at the height of the presented model. The new
+   * item becomes the selected one, so gestures apply to it until another
+   * model is tapped.
+   */
+  async addItem(url: string): Promise<ARItem> {
+    const scene = this.presentedScene;
+    if (scene == null) {
+      throw new Error('Cannot add a model to AR while not presenting');
+    }
+    const gltf = await this.renderer.loader.load(url, scene.element);
+    if (this.presentedScene !== scene) {
+      // The session ended while the model was loading.
+      gltf.dispose();
+      throw new Error('AR session ended before the model was placed');
+    }
+
+    const item = new ARItem(url, gltf, sideForPlacement(this.placement));
+    const {position} = scene.getCamera();
+    const direction = scene.getCamera().getWorldDirection(vector3);
+    const distance = Math.max(ITEM_PLACEMENT_DISTANCE, 2 * item.radius);
+    if (this.placeOnWall) {
+      // Hang it beside the presented model, on the same wall.
+      const offset =
+          (scene.size.x * scene.scale.x + item.size.x) / 2 + ITEM_SPACING;
+      item.goalPosition.set(Math.cos(this.goalYaw), 0, -Math.sin(this.goalYaw))
+          .multiplyScalar(offset)
+          .add(this.goalPosition);
+      item.goalYaw = this.goalYaw;
+    } else {
+      direction.y = 0;
+      direction.normalize();
+      item.goalPosition.copy(position).addScaledVector(direction, distance);
+      item.goalPosition.y = this.goalPosition.y;
+      item.goalYaw = Math.atan2(-direction.x, -direction.z);
+    }
+    item.jumpToGoal();
+    scene.add(item);
+    item.update(0);
+
+    this.items.set(item.uuid, item);
+    this.dispatchEvent({type: 'item-add', id: item.uuid, url});
+    this.selectItem(item);
+    return item;
+  }
+
+  /**
+   * Removes an additional model from the session. Returns false if there is
+   * no such item.
+   */
+  removeItem(id: string): boolean {
+    const item = this.items.get(id);
+    if (item == null) {
+      return false;
+    }
+    if (this.selectedItem === item) {
+      this.selectItem(null);
+    }
+    this.items.delete(id);
+    item.dispose();
+    this.dispatchEvent({type: 'item-remove', id, url: item.url});
+    return true;
+  }
+
+  /**
+   * Selects which model receives gestures: an item added with addItem(), or
+   * the presented model itself when null.
+   */
+  selectItem(item: ARItem|null) {
+    if (item === this.selectedItem) {
+      return;
+    }
+    if (this.selectedItem != null) {
+      this.selectedItem.placementBox.show = false;
+    }
+    this.selectedItem = item;
+    this.dispatchEvent({
+      type: 'item-select',
+      id: item != null ? item.uuid : null,
+      url: item != null ? item.url : null
+    });
+  }
+
+  /**
+   * The current scale of the model that gestures apply to: the selected item,
+   * or else the presented model.
+   */
+  get scale(): number {
+    const item = this.selectedItem;
+    if (item != null) {
+      return item.itemScale;
+    }
+    const scene = this.presentedScene;
+    return scene != null ? scene.scale.x : 1;
+  }
+
+  /**
+   * Turns the model that gestures apply to about the vertical axis, counter-
+   * clockwise seen from above. Models on a wall keep facing out of it.
+   */
+  rotate(radians: number) {
+    if (!this.isPresenting || this.placeOnWall) {
+      return;
+    }
+    const item = this.selectedItem;
+    if (item != null) {
+      item.goalYaw += radians;
+      return;
+    }
+    this.goalYaw += radians;
+    this.anchorRequested = this.placementComplete;
+  }
+
+  /**
+   * Resets the selected item, or else the presented model, to its natural
+   * size.
+   */
+  resetScale() {
+    if (!this.isPresenting) {
+      return;
+    }
+    const item = this.selectedItem;
+    if (item != null) {
+      item.goalScale = 1;
+      return;
+    }
+    this.goalScale = 1;
+    this.anchorRequested = this.placementComplete;
+  }
+
+  /**
+   * Dispatches a 'scale' event whenever the scale, to the nearest percent,
+   * changes, including when another model is selected.
+   */
+  private reportScale() {
+    const scale = Math.round(this.scale * 100) / 100;
+    if (scale === this.reportedScale) {
+      return;
+    }
+    this.reportedScale = scale;
+    this.dispatchEvent({type: 'scale', scale});
+  }
+
+  /**
+   * Resolves with the next frame rendered in AR, encoded as mimeType (a PNG
+   * by default). Rejects if the session ends first.
+   */
+  captureFrame(mimeType?: string, qualityArgument?: number): Promise<Blob> {
+    if (!this.isPresenting) {
+      return Promise.reject(
+          new Error('AR frames can only be captured while presenting'));
+    }
+    return this.capture.captureFrame(mimeType, qualityArgument);
+  }
+
+  /**
+   * Starts recording the AR session as video. Resolves with the video once
+   * the recording is stopped, times out or the session ends.
+   */
+  startRecording(options?: ARRecordingOptions): Promise<Blob> {
+    if (!this.isPresenting) {
+      throw new Error('AR can only be recorded while presenting');
+    }
+    return this.capture.startRecording(options);
+  }
+
+  /**
+   * Stops the recording in progress, resolving with its video (or null if
+   * there was none).
+   */
+  stopRecording(): Promise<Blob|null> {
+    return this.capture.stopRecording();
+  }
+
+  /**
+   * True if the session can keep anchors across sessions, so that a saved
+   * placement can be restored with restorePlacement().
+   */
+  get canPersistAnchors(): boolean {
+    const session = this.currentSession;
+    return session != null &&
+        typeof session.restorePersistentAnchor === 'function';
+  }
+
+  /**
+   * Moves the presented model back to a placement from a 'placement' event
+   * of an earlier session, once its anchor is found again. Resolves to false
+   * if the placement has no persistent anchor or it can't be restored.
+   */
+  async restorePlacement(placement: ARPlacement): Promise<boolean> {
+    const session = this.currentSession;
+    if (!this.canPersistAnchors || placement.anchor == null) {
+      return false;
+    }
+
+    let anchor: XRAnchor;
+    try {
+      anchor = await session!.restorePersistentAnchor!(placement.anchor);
+    } catch (error) {
+      console.warn('Unable to restore the AR placement');
+      console.warn(error);
+      return false;
+    }
+    if (this.currentSession !== session) {
+      anchor.delete();
+      return false;
+    }
+
+    this.replaceAnchor(anchor, placement.anchor);
+    this.anchorRequested = false;
+    this.restoredPlacement = placement;
+    return true;
+  }
+
+  /**
+   * Deletes the persistent anchor of a placement from an earlier session that
+   * a newer placement has replaced, so that it doesn't linger on the device.
+   * Anchors can only be deleted from a session, so this resolves to false if
+   * none is running that can, or if the anchor is the presented model's own.
+   */
+  async retirePlacement(placement: ARPlacement): Promise<boolean> {
+    const session = this.currentSession;
+    const handle = placement.anchor;
+    if (handle == null || handle === this.anchorHandle || session == null ||
+        session.deletePersistentAnchor == null) {
+      return false;
+    }
+
+    try {
+      await session.deletePersistentAnchor(handle);
+    } catch (error) {
+      console.warn('Unable to delete the retired AR anchor');
+      console.warn(error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * The presented model's placement, as reported by 'placement' events.
+   */
+  getPlacement(): ARPlacement {
+    const {x, y, z} = this.goalPosition;
+    return {
+      anchor: this.anchorHandle,
+      position: {x, y, z},
+      yaw: this.goalYaw,
+      scale: this.goalScale
+    };
+  }
+
+  /**
+   * Keeps the presented model on its anchor. The anchor's pose is refined as
+   * tracking improves, and the model moves with it except while the user is
+   * moving the model themselves.
+   */
+  private updateAnchor(frame: XRFrame) {
+    const refSpace = this.threeRenderer.xr.getReferenceSpace()!;
+    if (this.anchorRequested) {
+      this.anchorRequested = false;
+      this.createAnchor(frame, refSpace);
+    }
+
+    const {anchor} = this;
+    if (anchor == null || frame.trackedAnchors == null ||
+        !frame.trackedAnchors.has(anchor)) {
+      return;
+    }
+    const pose = frame.getPose(anchor.anchorSpace, refSpace);
+    if (pose == null) {
+      return;
+    }
+
+    const {position, orientation} = pose.transform;
+    vector3.set(position.x, position.y, position.z);
+    quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+    const yaw = euler.setFromQuaternion(quaternion, 'YXZ').y;
+
+    const placement = this.restoredPlacement;
+    if (placement != null) {
+      this.restoredPlacement = null;
+      this.goalPosition.copy(vector3);
+      this.goalYaw = yaw;
+      if (this.presentedScene!.canScale) {
+        this.goalScale = placement.scale;
+      }
+      // The restored placement takes the place of the initial one.
+      if (this.initialHitSource != null) {
+        this.initialHitSource.cancel();
+        this.initialHitSource = null;
+      }
+      this.placementBox!.show = false;
+      this.dispatchEvent({type: 'status', status: ARStatus.OBJECT_PLACED});
+      this.dispatchEvent({type: 'placement', placement: this.getPlacement()});
+    } else if (
+        !this.isTranslating && !this.isRotating && !this.isTwoFingering) {
+      this.goalPosition.add(vector3).sub(this.anchorPosition);
+      this.goalYaw += yaw - this.anchorYaw;
+    }
+    this.anchorPosition.copy(vector3);
+    this.anchorYaw = yaw;
+  }
+
+  /**
+   * Anchors the presented model where it is going, then dispatches a
+   * 'placement' event, with a persistent handle for the anchor where the
+   * platform supports one. Without anchor support the placement is still
+   * reported, just without an anchor.
+   */
+  private createAnchor(frame: XRFrame, refSpace: XRReferenceSpace) {
+    const session = this.currentSession;
+    const {x, y, z} = this.goalPosition;
+    const yaw = this.goalYaw;
+    if (typeof frame.createAnchor !== 'function' ||
+        typeof XRRigidTransform === 'undefined') {
+      this.dispatchEvent({type: 'placement', placement: this.getPlacement()});
+      return;
+    }
+
+    quaternion.setFromAxisAngle(yAxis, yaw);
+    const transform = new XRRigidTransform(
+        {x, y, z},
+        {x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w});
+    frame.createAnchor(transform, refSpace)
+        .then(
+            async (anchor: XRAnchor) => {
+              if (this.currentSession !== session) {
+                anchor.delete();
+                return;
+              }
+              this.replaceAnchor(anchor, null);
+              this.anchorPosition.set(x, y, z);
+              this.anchorYaw = yaw;
+
+              if (typeof anchor.requestPersistentHandle === 'function') {
+                try {
+                  const handle = await anchor.requestPersistentHandle();
+                  if (this.anchor !== anchor) {
+                    // Superseded while the handle was on its way.
+                    if (session!.deletePersistentAnchor != null) {
+                      session!.deletePersistentAnchor(handle).catch(() => {});
+                    }
+                    return;
+                  }
+                  this.anchorHandle = handle;
+                } catch (error) {
+                  console.warn('Unable to persist the AR anchor');
+                  console.warn(error);
+                }
+              }
+              if (this.anchor === anchor) {
+                this.dispatchEvent(
+                    {type: 'placement', placement: this.getPlacement()});
+              }
+            },
+            (error: Error) => {
+              console.warn('Unable to anchor the model in AR');
+              console.warn(error);
+            });
+  }
+
+  /**
+   * Makes anchor the presented model's anchor. The previous anchor is no
+   * longer needed, including its persistent handle if it had one.
+   */
+  private replaceAnchor(anchor: XRAnchor, handle: string|null) {
+    const session = this.currentSession;
+    if (this.anchor != null) {
+      this.anchor.delete();
+    }
+    const oldHandle = this.anchorHandle;
+    if (oldHandle != null && oldHandle !== handle && session != null &&
+        session.deletePersistentAnchor != null) {
+      session.deletePersistentAnchor(oldHandle).catch(() => {});
+    }
+    this.anchor = anchor;
+    this.anchorHandle = handle;
+  }
+
+  /**
+   * Only public to make it testable.
+   */
+  public onWebXRFrame(time: number, frame: XRFrame) {
+    this.frame = frame;
+    ++this.frames;
+    const refSpace = this.threeRenderer.xr.getReferenceSpace()!;
+    const pose = frame.getViewerPose(refSpace);
+
+    if (pose == null && this.tracking === true && this.frames > INIT_FRAMES) {
+      this.tracking = false;
+      this.dispatchEvent({type: 'tracking', status: ARTracking.NOT_TRACKING});
+    }
+
+    const scene = this.presentedScene;
+    if (pose == null || scene == null || !scene.element[$sceneIsReady]()) {
+      this.threeRenderer.clear();
+      return;
+    }
+
+    if (this.tracking === false) {
+      this.tracking = true;
+      this.dispatchEvent({type: 'tracking', status: ARTracking.TRACKING});
+    }
+
+    // WebXR may return multiple views, i.e. for headset AR. This
+    // isn't really supported at this point, but make a best-effort
+    // attempt to render other views also, using the first view
+    // as the main viewpoint.
+    let isFirstView: boolean = true;
+    for (const view of pose.views) {
+      this.updateView(view);
+
+      if (isFirstView) {
+        this.updateFloorHeight(frame);
+        this.moveToFloor(frame);
+
+        this.processInput(frame);
+        this.updateWallSnap(frame);
+        this.updateAnchor(frame);
+
+        const delta = time - this.lastTick!;
+        this.moveScene(delta);
+        this.reportScale();
+        this.lighting.update(time);
+        this.occlusion.update(
+            frame, view,
+            this.currentSession!.renderState.baseLayer!.getViewport(view),
+            scene.getCamera() as PerspectiveCamera);
+        this.renderer.preRender(scene, time, delta);
+        this.lastTick = time;
+        this.capture.beforeRender(scene, view);
+      }
+
+      // TODO: This is a workaround for a Chrome bug, which should be fixed
+      // soon: https://bugs.chromium.org/p/chromium/issues/detail?id=1184085
+      const gl = this.threeRenderer.getContext();
+      gl.depthMask(false);
+      gl.clear(gl.DEPTH_BUFFER_BIT);
+      gl.depthMask(true);
+
+      this.threeRenderer.render(scene, scene.getCamera());
+      if (isFirstView) {
+        this.capture.afterRender(
+            this.currentSession!.renderState.baseLayer!, view);
+      }
+      isFirstView = false;
+    }
+  }
+}
@@ -13,13 +13,14 @@
  * limitations under the License.
  */
 
-import {Event as ThreeEvent, EventDispatcher, WebGLRenderer} from 'three';
+import {Event as ThreeEvent, EventDispatcher, LoaderUtils, WebGLRenderer} from 'three';
 import {DRACOLoader} from 'three/examples/jsm/loaders/DRACOLoader.js';
 import {GLTF, GLTFLoader} from 'three/examples/jsm/loaders/GLTFLoader.js';
 import {KTX2Loader} from 'three/examples/jsm/loaders/KTX2Loader';
 
 import ModelViewerElementBase from '../model-viewer-base.js';
 import {CacheEvictionPolicy} from '../utilities/cache-eviction-policy.js';
+import {PersistentCache} from '../utilities/persistent-cache.js';
 
 import GLTFMaterialsVariantsExtension from './gltf-instance/VariantMaterialLoaderPlugin';
 import {GLTFInstance, GLTFInstanceConstructor} from './GLTFInstance.js';
@@ -49,8 +50,24 @@ export const loadWithLoader =
       });
     };
 
+/**
+ * Loads a glTF through a PersistentCache, so that it is only downloaded the
+ * first time it is requested.
+ */
+export const loadWithPersistentCache = async (
+    url: string, loader: GLTFLoader, persistentCache: PersistentCache,
+    progressCallback: ProgressCallback = () => {}) => {
+  // Apply any URL modifier set through mapURLs(), as loader.load() would.
+  const buffer = await persistentCache.fetch(
+      loader.manager.resolveURL(url), progressCallback);
+  return new Promise<GLTF>((resolve, reject) => {
+    loader.parse(buffer, LoaderUtils.extractUrlBase(url), resolve, reject);
+  });
+};
+
 const cache = new Map<string, Promise<GLTFInstance>>();
 const preloaded = new Map<string, boolean>();
+let persistentCache: PersistentCache|null = null;
 
 let dracoDecoderLocation: string;
 const dracoLoader = new DRACOLoader();
@@ -87,6 +104,18 @@ export class CachingGLTFLoader<T extends GLTFInstanceConstructor =
     ktx2Loader.detectSupport(renderer);
   }
 
+  /**
+   * Sets the PersistentCache that glTFs are loaded through, or null to load
+   * them straight from the network.
+   */
+  static setPersistentCache(value: PersistentCache|null) {
+    persistentCache = value;
+  }
+
+  static getPersistentCache() {
+    return persistentCache;
+  }
+
   static[$evictionPolicy]: CacheEvictionPolicy =
       new CacheEvictionPolicy(CachingGLTFLoader);
 
@@ -155,10 +184,14 @@ export class CachingGLTFLoader<T extends GLTFInstanceConstructor =
     this.dispatchEvent(
         {type: 'preload', element: element, src: url} as PreloadEvent);
     if (!cache.has(url)) {
+      const onProgress = (progress: number) => {
+        progressCallback(progress * 0.8);
+      };
       const rawGLTFLoads =
-          loadWithLoader(url, this[$loader], (progress: number) => {
-            progressCallback(progress * 0.8);
-          });
+          persistentCache != null && PersistentCache.isSupported ?
+          loadWithPersistentCache(
+              url, this[$loader], persistentCache, onProgress) :
+          loadWithLoader(url, this[$loader], onProgress);
 
       const GLTFInstance = this[$GLTFInstance];
       const gltfInstanceLoads = rawGLTFLoads
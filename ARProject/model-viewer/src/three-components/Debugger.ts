@@ -17,6 +17,7 @@ import {Mesh, OrthographicCamera, PlaneBufferGeometry, Scene, ShaderMaterial, Te
 
 import {Constructor} from '../utilities.js';
 
+import {LightEstimate} from './ARLighting.js';
 import {ModelScene} from './ModelScene.js';
 import {Renderer} from './Renderer.js';
 
@@ -37,6 +38,10 @@ export interface ModelViewerSceneDetails {
   scene: ModelScene
 }
 
+export interface ModelViewerLightEstimateDetails extends LightEstimate {
+  scene: ModelScene;
+}
+
 /**
  * This Debugger exposes internal details of the <model-viewer> rendering
  * substructure so that external tools can more easily inspect and operate on
@@ -81,4 +86,9 @@ export class Debugger {
     self.dispatchEvent(new CustomEvent<ModelViewerSceneDetails>(
         'model-viewer-scene-removed-debug', {detail: {scene}}));
   }
+
+  lightEstimate(details: ModelViewerLightEstimateDetails) {
+    self.dispatchEvent(new CustomEvent<ModelViewerLightEstimateDetails>(
+        'model-viewer-light-estimate-debug', {detail: details}));
+  }
 }
@@ -0,0 +1,198 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BufferGeometry, Float32BufferAttribute, LineBasicMaterial, LineSegments, Object3D, Vector3} from 'three';
+import {CSS2DObject} from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+
+import {ModelScene} from './ModelScene.js';
+
+// The lines sit this fraction of the largest dimension outside the bounding
+// box so they don't z-fight with the model's own edges.
+const LINE_OFFSET = 0.02;
+// Length of the end caps as a fraction of the largest dimension.
+const CAP_LENGTH = 0.03;
+
+const METERS_PER_INCH = 0.0254;
+const INCHES_PER_FOOT = 12;
+
+export type DimensionUnits = 'metric'|'imperial';
+
+export const DimensionUnits: {[index: string]: DimensionUnits} = {
+  METRIC: 'metric',
+  IMPERIAL: 'imperial'
+};
+
+/**
+ * Formats a length in meters for display, in centimeters (or meters above
+ * one meter) for metric units and in feet and inches for imperial units.
+ */
+export const formatLength = (meters: number, units: DimensionUnits): string => {
+  if (units === DimensionUnits.IMPERIAL) {
+    const inches = Math.round(meters / METERS_PER_INCH);
+    if (inches < INCHES_PER_FOOT) {
+      return `${inches} in`;
+    }
+    const feet = Math.floor(inches / INCHES_PER_FOOT);
+    const remainder = inches % INCHES_PER_FOOT;
+    return remainder === 0 ? `${feet} ft` : `${feet} ft ${remainder} in`;
+  }
+  if (meters < 1) {
+    return `${Math.round(meters * 100)} cm`;
+  }
+  return `${meters.toFixed(2)} m`;
+};
+
+const createLabel = (axis: string): CSS2DObject => {
+  const element = document.createElement('div');
+  element.classList.add('dimension-label');
+  element.setAttribute('part', `dimension-label dimension-label-${axis}`);
+  return new CSS2DObject(element);
+};
+
+/**
+ * The Dimensions object draws width, height and depth lines along three edges
+ * of a scene's bounding box, each labeled with its real-world length. It is
+ * parented to the scene's target, so it follows the model in both the 3D view
+ * and AR, and its labels are CSS2DObjects drawn by the scene's
+ * annotationRenderer along with the hotspots.
+ *
+ * Because the scene's scale is not reflected in the model's bounding box, call
+ * setScale() whenever the scene is rescaled (as in AR) to update the labels.
+ */
+export class Dimensions extends Object3D {
+  private material = new LineBasicMaterial(
+      {color: 0xffffff, depthTest: false, transparent: true});
+  private lines: LineSegments;
+  private labels = {
+    width: createLabel('width'),
+    height: createLabel('height'),
+    depth: createLabel('depth')
+  };
+  private size = new Vector3();
+  private scaleFactor = 1;
+  private units: DimensionUnits;
+
+  constructor(scene: ModelScene, units: DimensionUnits) {
+    super();
+    this.name = 'Dimensions';
+    this.units = units;
+
+    this.lines = new LineSegments(new BufferGeometry(), this.material);
+    this.lines.renderOrder = 1;
+    // The lines are decoration only; don't let them catch hotspot raycasts.
+    this.lines.raycast = () => {};
+    this.add(this.lines);
+
+    for (const label of Object.values(this.labels)) {
+      this.add(label);
+    }
+
+    scene.target.add(this);
+    this.setScene(scene);
+  }
+
+  /**
+   * Rebuilds the lines for a new model. Call after the scene's bounding box
+   * has been updated.
+   */
+  setScene(scene: ModelScene) {
+    const {min, max} = scene.boundingBox;
+    this.size.copy(scene.size);
+    const {x, y, z} = this.size;
+    const largest = Math.max(x, y, z);
+    const offset = largest * LINE_OFFSET;
+    const cap = largest * CAP_LENGTH;
+
+    const front = max.z + offset;
+    const right = max.x + offset;
+    const bottom = min.y;
+
+    const vertices = [
+      // Width, along the bottom front edge.
+      min.x, bottom, front, max.x, bottom, front, min.x, bottom, front - cap,
+      min.x, bottom, front + cap, max.x, bottom, front - cap, max.x, bottom,
+      front + cap,
+      // Height, up the front right edge.
+      right, min.y, front, right, max.y, front, right - cap, max.y, front,
+      right + cap, max.y, front,
+      // Depth, along the bottom right edge.
+      right, bottom, min.z, right, bottom, front, right - cap, bottom, min.z,
+      right + cap, bottom, min.z
+    ];
+    const {geometry} = this.lines;
+    geometry.setAttribute('position', new Float32BufferAttribute(vertices, 3));
+    geometry.computeBoundingSphere();
+
+    this.labels.width.position.set((min.x + max.x) / 2, bottom, front + cap);
+    this.labels.height.position.set(right + cap, (min.y + max.y) / 2, front);
+    this.labels.depth.position.set(right + cap, bottom, (min.z + max.z) / 2);
+
+    this.updateLabels();
+  }
+
+  /**
+   * Sets the scale the scene is displayed at, so that the labels show the
+   * size the model appears at rather than its natural size.
+   */
+  setScale(scale: number) {
+    if (scale === this.scaleFactor) {
+      return;
+    }
+    this.scaleFactor = scale;
+    this.updateLabels();
+  }
+
+  setUnits(units: DimensionUnits) {
+    if (units === this.units) {
+      return;
+    }
+    this.units = units;
+    this.updateLabels();
+  }
+
+  /**
+   * The label text for each dimension, in the current units and scale.
+   */
+  get text(): {width: string, height: string, depth: string} {
+    const {width, height, depth} = this.labels;
+    return {
+      width: width.element.textContent!,
+      height: height.element.textContent!,
+      depth: depth.element.textContent!
+    };
+  }
+
+  private updateLabels() {
+    const {x, y, z} = this.size;
+    const scale = this.scaleFactor;
+    this.labels.width.element.textContent = formatLength(x * scale, this.units);
+    this.labels.height.element.textContent =
+        formatLength(y * scale, this.units);
+    this.labels.depth.element.textContent = formatLength(z * scale, this.units);
+  }
+
+  /**
+   * Call this to clean up Three's cache and the label elements when you
+   * remove the dimensions.
+   */
+  dispose() {
+    this.lines.geometry.dispose();
+    this.material.dispose();
+    for (const label of Object.values(this.labels)) {
+      label.element.remove();
+    }
+    this.parent?.remove(this);
+  }
+}
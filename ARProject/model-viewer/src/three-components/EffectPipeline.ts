@@ -0,0 +1,289 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Color, Object3D, Vector2, WebGLRenderer} from 'three';
+import {EffectComposer} from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import {OutlinePass} from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import {Pass} from 'three/examples/jsm/postprocessing/Pass.js';
+import {RenderPass} from 'three/examples/jsm/postprocessing/RenderPass.js';
+import {ShaderPass} from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import {SMAAPass} from 'three/examples/jsm/postprocessing/SMAAPass.js';
+import {SSAOPass} from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import {UnrealBloomPass} from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import {FXAAShader} from 'three/examples/jsm/shaders/FXAAShader.js';
+
+import {ModelScene} from './ModelScene.js';
+
+
+
+export type Effect = 'ssao'|'bloom'|'outline'|'fxaa'|'smaa';
+
+export const EFFECTS: Array<Effect> =
+    ['ssao', 'bloom', 'outline', 'fxaa', 'smaa'];
+
+// The highest Renderer scale step at which each effect still runs. When frames
+// take too long the renderer steps its resolution down, and the costliest
+// effects drop out first.
+const MAX_SCALE_STEP: {[effect in Effect]: number} = {
+  ssao: 0,
+  bloom: 1,
+  outline: 1,
+  fxaa: 2,
+  smaa: 2
+};
+
+// Effects that dropped out come back only once the renderer has stayed at a
+// lower scale step for this long, so that they don't flicker on and off.
+const RECOVERY_MS = 3000;
+
+// The SSAO sampling radius, as a fraction of the model's framed radius.
+const SSAO_RADIUS_SCALE = 0.1;
+const BLOOM_RADIUS = 0.4;
+export const DEFAULT_BLOOM_STRENGTH = 0.6;
+export const DEFAULT_BLOOM_THRESHOLD = 0.85;
+const OUTLINE_STRENGTH = 4;
+const OUTLINE_THICKNESS = 1;
+
+// Effects work on linear color, so the pipeline ends by applying the same
+// gamma encoding that the renderer applies when drawing straight to screen.
+const GammaOutputShader = {
+  uniforms: {tDiffuse: {value: null}},
+  vertexShader: `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`,
+  fragmentShader: `
+uniform sampler2D tDiffuse;
+varying vec2 vUv;
+void main() {
+  gl_FragColor = LinearToGamma(texture2D(tDiffuse, vUv), float(GAMMA_FACTOR));
+}`
+};
+
+/**
+ * EffectPipeline draws a ModelScene through a chain of post-processing passes:
+ * screen-space ambient occlusion, bloom on bright (typically emissive) parts,
+ * an outline around selected objects and FXAA or SMAA anti-aliasing, in that
+ * order. Passes are only created once their effect is first enabled.
+ *
+ * It follows the Renderer's dynamic resolution scaling through updateQuality():
+ * effects drop out as frames slow down and the scale step rises, and return
+ * once rendering has been fast enough for a while. When no effect is running,
+ * render() returns false and the scene should be drawn directly instead.
+ */
+export class EffectPipeline {
+  private effects = new Set<Effect>();
+  private passes = new Map<Effect, Pass>();
+  private bloomStrength = DEFAULT_BLOOM_STRENGTH;
+  private bloomThreshold = DEFAULT_BLOOM_THRESHOLD;
+  private outlineColor = new Color(0x4285f4);
+  private outlinedObjects: Array<Object3D> = [];
+  private width = 1;
+  private height = 1;
+  private qualityStep = 0;
+  private qualityTime = 0;
+  private composer: EffectComposer;
+  private renderPass: RenderPass;
+  private outputPass: ShaderPass;
+
+  constructor(threeRenderer: WebGLRenderer, private scene: ModelScene) {
+    this.composer = new EffectComposer(threeRenderer);
+    this.composer.setPixelRatio(1);
+    this.renderPass = new RenderPass(scene, scene.camera);
+    this.outputPass = new ShaderPass(GammaOutputShader);
+  }
+
+  /**
+   * Sets which effects are enabled, as a list of names from EFFECTS. Unknown
+   * names are ignored.
+   */
+  setEffects(effects: Array<string>) {
+    this.effects = new Set(
+        effects.filter(effect => EFFECTS.includes(effect as Effect)) as
+        Array<Effect>);
+    for (const effect of this.effects) {
+      if (!this.passes.has(effect)) {
+        this.passes.set(effect, this.createPass(effect));
+      }
+    }
+
+    const {composer} = this;
+    composer.passes.length = 0;
+    const ssaoPass = this.passes.get('ssao');
+    composer.addPass(ssaoPass != null ? ssaoPass : this.renderPass);
+    if (ssaoPass != null) {
+      // Stands in for the SSAO pass when it drops out.
+      composer.addPass(this.renderPass);
+    }
+    for (const effect of ['outline', 'bloom'] as Array<Effect>) {
+      const pass = this.passes.get(effect);
+      if (pass != null) {
+        composer.addPass(pass);
+      }
+    }
+    composer.addPass(this.outputPass);
+    for (const effect of ['fxaa', 'smaa'] as Array<Effect>) {
+      const pass = this.passes.get(effect);
+      if (pass != null) {
+        composer.addPass(pass);
+      }
+    }
+    // Passes that sat out of the composer may have missed a resize.
+    composer.setSize(this.width, this.height);
+  }
+
+  get hasEffects(): boolean {
+    return this.effects.size > 0;
+  }
+
+  /**
+   * Outlines the given objects (and their descendants) with the outline
+   * effect.
+   */
+  setOutlinedObjects(objects: Array<Object3D>) {
+    this.outlinedObjects = objects;
+    const outlinePass = this.passes.get('outline') as OutlinePass | undefined;
+    if (outlinePass != null) {
+      outlinePass.selectedObjects = objects;
+    }
+  }
+
+  setOutlineColor(color: string) {
+    this.outlineColor.setStyle(color);
+    const outlinePass = this.passes.get('outline') as OutlinePass | undefined;
+    if (outlinePass != null) {
+      outlinePass.visibleEdgeColor.copy(this.outlineColor);
+      outlinePass.hiddenEdgeColor.copy(this.outlineColor);
+    }
+  }
+
+  setBloom(strength: number, threshold: number) {
+    this.bloomStrength = strength;
+    this.bloomThreshold = threshold;
+    const bloomPass = this.passes.get('bloom') as UnrealBloomPass | undefined;
+    if (bloomPass != null) {
+      bloomPass.strength = strength;
+      bloomPass.threshold = threshold;
+    }
+  }
+
+  /**
+   * Renders the scene through the running effects into the current viewport,
+   * and returns true. Returns false without rendering if none are running.
+   */
+  render(width: number, height: number): boolean {
+    let anyEnabled = false;
+    for (const [effect, pass] of this.passes) {
+      pass.enabled = this.effects.has(effect) &&
+          this.qualityStep <= MAX_SCALE_STEP[effect] &&
+          (effect !== 'outline' || this.outlinedObjects.length > 0);
+      anyEnabled = anyEnabled || pass.enabled;
+    }
+    if (!anyEnabled) {
+      return false;
+    }
+
+    const ssaoPass = this.passes.get('ssao') as SSAOPass | undefined;
+    this.renderPass.enabled = ssaoPass == null || !ssaoPass.enabled;
+
+    if (width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.composer.setSize(width, height);
+      const fxaaPass = this.passes.get('fxaa') as ShaderPass | undefined;
+      if (fxaaPass != null) {
+        fxaaPass.uniforms.resolution.value.set(1 / width, 1 / height);
+      }
+    }
+    if (ssaoPass != null && ssaoPass.enabled) {
+      this.updateSSAO(ssaoPass);
+    }
+
+    this.composer.render();
+    return true;
+  }
+
+  /**
+   * Follows the Renderer's scale step, which decides the effects that run:
+   * rises are followed straight away, but falls only after RECOVERY_MS.
+   * Returns true if the effects that run have changed, in which case the
+   * scene needs to be rendered again.
+   */
+  updateQuality(scaleStep: number, time: number): boolean {
+    const lastStep = this.qualityStep;
+    if (scaleStep >= lastStep || time - this.qualityTime > RECOVERY_MS) {
+      this.qualityStep = scaleStep;
+      this.qualityTime = time;
+    }
+    return this.qualityStep !== lastStep;
+  }
+
+  dispose() {
+    for (const pass of this.passes.values()) {
+      if (typeof (pass as any).dispose === 'function') {
+        (pass as any).dispose();
+      }
+    }
+    this.passes.clear();
+    this.composer.passes.length = 0;
+    this.composer.renderTarget1.dispose();
+    this.composer.renderTarget2.dispose();
+  }
+
+  private createPass(effect: Effect): Pass {
+    const {scene, width, height} = this;
+    const {camera} = scene;
+    const size = new Vector2(width, height);
+    switch (effect) {
+      case 'ssao':
+        return new SSAOPass(scene, camera, width, height);
+      case 'bloom':
+        return new UnrealBloomPass(
+            size, this.bloomStrength, BLOOM_RADIUS, this.bloomThreshold);
+      case 'outline': {
+        const pass = new OutlinePass(size, scene, camera, this.outlinedObjects);
+        pass.edgeStrength = OUTLINE_STRENGTH;
+        pass.edgeThickness = OUTLINE_THICKNESS;
+        pass.visibleEdgeColor.copy(this.outlineColor);
+        pass.hiddenEdgeColor.copy(this.outlineColor);
+        return pass;
+      }
+      case 'fxaa': {
+        const pass = new ShaderPass(FXAAShader);
+        pass.uniforms.resolution.value.set(1 / width, 1 / height);
+        return pass;
+      }
+      default:
+        return new SMAAPass(width, height);
+    }
+  }
+
+  /**
+   * SSAOPass only reads the camera's projection when it is created, but the
+   * camera's field of view and clipping planes follow the model and the zoom.
+   */
+  private updateSSAO(ssaoPass: SSAOPass) {
+    const {camera, idealCameraDistance} = this.scene;
+    const {uniforms} = ssaoPass.ssaoMaterial;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+    uniforms.cameraInverseProjectionMatrix.value.copy(
+        camera.projectionMatrixInverse);
+    ssaoPass.kernelRadius = idealCameraDistance * SSAO_RADIUS_SCALE;
+  }
+}
@@ -0,0 +1,141 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {CubeUVReflectionMapping, GammaEncoding, Mesh, NearestFilter, OrthographicCamera, PlaneBufferGeometry, RGBEEncoding, RGBEFormat, Scene, ShaderMaterial, sRGBEncoding, Texture, TextureEncoding, UnsignedByteType, WebGLRenderer, WebGLRenderTarget} from 'three';
+
+// Texel encodings the blend shader can decode, by three.js encoding.
+const DECODINGS = new Map<TextureEncoding, number>(
+    [[RGBEEncoding, 1], [sRGBEncoding, 2], [GammaEncoding, 3]]);
+
+const blendVertexShader = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}`;
+
+const blendFragmentShader = `
+uniform sampler2D fromMap;
+uniform sampler2D toMap;
+uniform int fromDecoding;
+uniform int toDecoding;
+uniform float progress;
+varying vec2 vUv;
+vec3 decode(vec4 texel, int decoding) {
+  if (decoding == 1) {
+    return RGBEToLinear(texel).rgb;
+  } else if (decoding == 2) {
+    return sRGBToLinear(texel).rgb;
+  } else if (decoding == 3) {
+    return GammaToLinear(texel, float(GAMMA_FACTOR)).rgb;
+  }
+  return texel.rgb;
+}
+void main() {
+  vec3 from = decode(texture2D(fromMap, vUv), fromDecoding);
+  vec3 to = decode(texture2D(toMap, vUv), toDecoding);
+  gl_FragColor = LinearToRGBE(vec4(mix(from, to, progress), 1.0));
+}`;
+
+/**
+ * EnvironmentTransition blends between two environment maps made by the
+ * PMREMGenerator, for crossfading the lighting when the environment changes.
+ *
+ * PMREM maps all share the same cubeUV layout, so blending them texel by texel
+ * gives a valid map in between. The blend is rendered into a render target of
+ * the same layout, decoding each source according to its encoding and
+ * re-encoding the result as RGBE, and the target's texture is used as the
+ * scene's environment (and background, where that was the environment) while
+ * the transition runs.
+ */
+export class EnvironmentTransition {
+  private renderTarget: WebGLRenderTarget|null = null;
+  private camera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  private scene = new Scene();
+  private material: ShaderMaterial;
+
+  constructor(private threeRenderer: WebGLRenderer) {
+    this.material = new ShaderMaterial({
+      uniforms: {
+        fromMap: {value: null},
+        toMap: {value: null},
+        fromDecoding: {value: 0},
+        toDecoding: {value: 0},
+        progress: {value: 0}
+      },
+      vertexShader: blendVertexShader,
+      fragmentShader: blendFragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false
+    });
+    const quad = new Mesh(new PlaneBufferGeometry(2, 2), this.material);
+    quad.frustumCulled = false;
+    this.scene.add(quad);
+  }
+
+  /**
+   * The blended environment map, or null before anything has been rendered.
+   */
+  get texture(): Texture|null {
+    return this.renderTarget != null ? this.renderTarget.texture : null;
+  }
+
+  /**
+   * Renders the blend of from and to, where progress goes from 0 (all from)
+   * to 1 (all to).
+   */
+  render(from: Texture, to: Texture, progress: number) {
+    const {uniforms} = this.material;
+    uniforms.fromMap.value = from;
+    uniforms.toMap.value = to;
+    uniforms.fromDecoding.value = DECODINGS.get(from.encoding) || 0;
+    uniforms.toDecoding.value = DECODINGS.get(to.encoding) || 0;
+    uniforms.progress.value = progress;
+
+    const {width, height} = to.image;
+    if (this.renderTarget == null) {
+      this.renderTarget = new WebGLRenderTarget(width, height, {
+        magFilter: NearestFilter,
+        minFilter: NearestFilter,
+        generateMipmaps: false,
+        type: UnsignedByteType,
+        format: RGBEFormat,
+        encoding: RGBEEncoding,
+        depthBuffer: false
+      });
+      this.renderTarget.texture.mapping = CubeUVReflectionMapping;
+      this.renderTarget.texture.name = 'EnvironmentTransition';
+    } else if (
+        this.renderTarget.width !== width ||
+        this.renderTarget.height !== height) {
+      this.renderTarget.setSize(width, height);
+    }
+    (this.renderTarget.texture as any).userData = {...(to as any).userData};
+
+    const {threeRenderer} = this;
+    const currentTarget = threeRenderer.getRenderTarget();
+    threeRenderer.setRenderTarget(this.renderTarget);
+    threeRenderer.render(this.scene, this.camera);
+    threeRenderer.setRenderTarget(currentTarget);
+  }
+
+  dispose() {
+    this.renderTarget?.dispose();
+    this.renderTarget = null;
+    this.material.uniforms.fromMap.value = null;
+    this.material.uniforms.toMap.value = null;
+  }
+}
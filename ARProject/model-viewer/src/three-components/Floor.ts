@@ -0,0 +1,344 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Color, DataTexture, Mesh, MeshBasicMaterial, MeshDepthMaterial, MeshStandardMaterial, Object3D, OrthographicCamera, PlaneBufferGeometry, RepeatWrapping, RGBAFormat, Scene, Shader, ShaderMaterial, sRGBEncoding, Texture, TextureLoader, WebGLRenderer, WebGLRenderTarget} from 'three';
+import {HorizontalBlurShader} from 'three/examples/jsm/shaders/HorizontalBlurShader.js';
+import {VerticalBlurShader} from 'three/examples/jsm/shaders/VerticalBlurShader.js';
+
+import {ModelScene} from './ModelScene.js';
+
+// The floor reaches this many times the model's largest horizontal dimension
+// from its center when its radius is 'auto'.
+const AUTO_RADIUS_SCALE = 1.5;
+// The floor is fully opaque out to this fraction of its radius, then fades
+// out to the edge.
+const FADE_START = 0.6;
+const FADE_RESOLUTION = 64;
+// The contact shadow is rendered at this resolution, which only matters when
+// baking, so it is kept small for low-end devices.
+const CONTACT_SHADOW_RESOLUTION = 256;
+// Only geometry within this fraction of the model's height from the floor
+// darkens the contact shadow.
+const CONTACT_SHADOW_HEIGHT = 0.5;
+// The contact shadow extends this far beyond the model's footprint, as a
+// fraction of its largest horizontal dimension, to leave room for the blur.
+const CONTACT_SHADOW_PADDING = 0.25;
+// The softness [0, 1] of the contact shadow is mapped to a blur radius in
+// texels between these.
+const MIN_BLUR = 0.5;
+const MAX_BLUR = 6;
+
+const floorGeometry = new PlaneBufferGeometry().rotateX(-Math.PI / 2);
+const quadGeometry = new PlaneBufferGeometry(2, 2);
+const quadCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const textureLoader = new TextureLoader();
+
+/**
+ * A radial gradient for the floor's alphaMap, so that it fades out into the
+ * background instead of ending in a hard edge.
+ */
+const createFadeTexture = (): DataTexture => {
+  const size = FADE_RESOLUTION;
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; ++y) {
+    for (let x = 0; x < size; ++x) {
+      const u = (x + 0.5) / size * 2 - 1;
+      const v = (y + 0.5) / size * 2 - 1;
+      const t = Math.min(
+          Math.max(
+              (Math.sqrt(u * u + v * v) - FADE_START) / (1 - FADE_START), 0),
+          1);
+      const alpha = Math.round(255 * (1 - t * t * (3 - 2 * t)));
+      data.set([alpha, alpha, alpha, 255], (y * size + x) * 4);
+    }
+  }
+  const texture = new DataTexture(data, size, size, RGBAFormat);
+  texture.needsUpdate = true;
+  return texture;
+};
+
+/**
+ * Renders only the alpha of the model's depth, so that geometry close to the
+ * floor is dark and geometry CONTACT_SHADOW_HEIGHT above it leaves no trace.
+ * The depth test keeps the geometry closest to the floor.
+ */
+const createDepthMaterial = (): MeshDepthMaterial => {
+  const material = new MeshDepthMaterial();
+  material.onBeforeCompile = (shader: Shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+        'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+        'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );');
+  };
+  return material;
+};
+
+/**
+ * The Floor class stages a model on a visible floor, with an optional contact
+ * shadow: a soft, ambient-occlusion-like darkening where the model meets the
+ * floor. It is added to the scene's target alongside the model and is sized
+ * and positioned from the model's bounding box by setScene().
+ *
+ * The floor is a plane with a solid color or a tiled texture, whose roughness
+ * follows its reflectivity so that it picks up the environment, fading out at
+ * its radius.
+ *
+ * The contact shadow is baked rather than rendered every frame: the model's
+ * depth is rendered from below into a small render target, which is then
+ * blurred and drawn on the floor. Baking only happens when the model or the
+ * shadow settings change (or while the model animates), so a static model
+ * costs a single textured quad per frame.
+ */
+export class Floor extends Object3D {
+  private floorMaterial = new MeshStandardMaterial(
+      {metalness: 0, transparent: true, depthWrite: false});
+  private shadowMaterial =
+      new MeshBasicMaterial({transparent: true, depthWrite: false});
+  private floor: Mesh;
+  private contactShadow: Mesh;
+  private color = new Color(1, 1, 1);
+  private textureUrl: string|null = null;
+  private radius: number|null = null;
+  private size = 1;
+  private shadowSoftness = 0.5;
+  private shadowTarget: WebGLRenderTarget|null = null;
+  private blurTarget: WebGLRenderTarget|null = null;
+  private bakeScene = new Scene();
+  private bakeCamera = new OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+  private blurScene = new Scene();
+  private blurQuad: Mesh;
+  private horizontalBlur: ShaderMaterial;
+  private verticalBlur: ShaderMaterial;
+  public needsBake = false;
+
+  constructor() {
+    super();
+    this.name = 'Floor';
+
+    this.floorMaterial.alphaMap = createFadeTexture();
+    this.floor = new Mesh(floorGeometry, this.floorMaterial);
+    this.floor.name = 'FloorPlane';
+    this.floor.visible = false;
+    this.floor.renderOrder = -1;
+    this.floor.raycast = () => {};
+    this.add(this.floor);
+
+    this.contactShadow = new Mesh(floorGeometry, this.shadowMaterial);
+    this.contactShadow.name = 'ContactShadow';
+    this.contactShadow.visible = false;
+    this.contactShadow.renderOrder = 1;
+    this.contactShadow.raycast = () => {};
+    this.add(this.contactShadow);
+
+    this.bakeCamera.rotation.x = Math.PI / 2;
+    this.bakeScene.overrideMaterial = createDepthMaterial();
+
+    this.blurQuad =
+        new Mesh(quadGeometry, new ShaderMaterial(HorizontalBlurShader));
+    this.blurQuad.frustumCulled = false;
+    this.blurScene.add(this.blurQuad);
+    this.horizontalBlur = this.blurQuad.material as ShaderMaterial;
+    this.verticalBlur = new ShaderMaterial(VerticalBlurShader);
+    for (const material of [this.horizontalBlur, this.verticalBlur]) {
+      material.depthTest = false;
+      material.depthWrite = false;
+    }
+  }
+
+  get floorVisible(): boolean {
+    return this.floor.visible;
+  }
+
+  /**
+   * Update the floor's size and position for a new scene.
+   */
+  setScene(scene: ModelScene) {
+    const {boundingBox, size} = scene;
+    const horizontalSize = Math.max(size.x, size.z);
+
+    boundingBox.getCenter(this.position);
+    this.position.y = boundingBox.min.y;
+    this.size = horizontalSize;
+    this.updateFloorScale();
+
+    const shadowSize = horizontalSize * (1 + 2 * CONTACT_SHADOW_PADDING);
+    // The shadow is baked as seen from below, so it is mirrored in z.
+    this.contactShadow.scale.set(shadowSize, 1, -shadowSize);
+    // Lift the shadow just clear of the floor to avoid z-fighting.
+    this.contactShadow.position.y = size.y * 0.001;
+
+    const camera = this.bakeCamera;
+    camera.left = camera.bottom = -shadowSize / 2;
+    camera.right = camera.top = shadowSize / 2;
+    camera.far = Math.max(size.y * CONTACT_SHADOW_HEIGHT, 0.001);
+    camera.position.copy(this.position);
+    camera.updateProjectionMatrix();
+
+    this.needsBake = true;
+  }
+
+  /**
+   * Shows or hides the floor and sets its appearance. A radius of null sizes
+   * the floor automatically from the model.
+   */
+  setFloor(
+      visible: boolean, color: string, reflectivity: number,
+      radius: number|null) {
+    this.floor.visible = visible;
+    this.color.setStyle(color).convertSRGBToLinear();
+    this.floorMaterial.roughness = 1 - Math.min(Math.max(reflectivity, 0), 1);
+    this.radius = radius;
+    this.updateFloorScale();
+    this.updateFloorColor();
+  }
+
+  /**
+   * Tiles the floor with the image at url, one tile per meter, or removes
+   * the texture if url is null.
+   */
+  async setTexture(url: string|null) {
+    if (url === this.textureUrl) {
+      return;
+    }
+    this.textureUrl = url;
+
+    let texture: Texture|null = null;
+    if (url != null) {
+      texture = await textureLoader.loadAsync(url);
+      if (url !== this.textureUrl) {
+        texture.dispose();
+        return;
+      }
+      texture.encoding = sRGBEncoding;
+      texture.wrapS = texture.wrapT = RepeatWrapping;
+    }
+
+    const {map} = this.floorMaterial;
+    if (map != null) {
+      map.dispose();
+    }
+    this.floorMaterial.map = texture;
+    this.floorMaterial.needsUpdate = true;
+    this.updateFloorScale();
+    this.updateFloorColor();
+  }
+
+  /**
+   * Sets the contact shadow's intensity (0 to 1), which is its opacity, and
+   * its softness (0 to 1), which is its blur. Turns the shadow off if the
+   * intensity is zero.
+   */
+  setContactShadow(intensity: number, softness: number) {
+    this.shadowMaterial.opacity = intensity;
+    this.contactShadow.visible = intensity > 0;
+    if (softness !== this.shadowSoftness) {
+      this.shadowSoftness = softness;
+      this.needsBake = true;
+    }
+  }
+
+  getContactShadowIntensity(): number {
+    return this.shadowMaterial.opacity;
+  }
+
+  /**
+   * Renders the contact shadow of model into its texture, if it needs it.
+   * The model is moved into a scene of its own for the duration, keeping its
+   * transform relative to the floor.
+   */
+  bake(threeRenderer: WebGLRenderer, model: Object3D) {
+    if (!this.needsBake || !this.contactShadow.visible || !this.visible) {
+      return;
+    }
+    this.needsBake = false;
+
+    if (this.shadowTarget == null) {
+      this.shadowTarget = new WebGLRenderTarget(
+          CONTACT_SHADOW_RESOLUTION, CONTACT_SHADOW_RESOLUTION);
+      this.shadowTarget.texture.generateMipmaps = false;
+      this.blurTarget = this.shadowTarget.clone();
+      this.shadowMaterial.map = this.shadowTarget.texture;
+      this.shadowMaterial.needsUpdate = true;
+    }
+
+    const parent = model.parent;
+    const currentTarget = threeRenderer.getRenderTarget();
+    const clearAlpha = threeRenderer.getClearAlpha();
+    threeRenderer.setClearAlpha(0);
+
+    this.bakeScene.add(model, this.bakeCamera);
+    threeRenderer.setRenderTarget(this.shadowTarget);
+    threeRenderer.clear();
+    threeRenderer.render(this.bakeScene, this.bakeCamera);
+    this.bakeScene.remove(this.bakeCamera);
+    if (parent != null) {
+      parent.add(model);
+    }
+
+    const blur = MIN_BLUR + this.shadowSoftness * (MAX_BLUR - MIN_BLUR);
+    this.blur(threeRenderer, blur);
+    // A second, finer pass smooths out the artifacts of the first.
+    this.blur(threeRenderer, blur * 0.4);
+
+    threeRenderer.setRenderTarget(currentTarget);
+    threeRenderer.setClearAlpha(clearAlpha);
+  }
+
+  dispose() {
+    this.shadowTarget?.dispose();
+    this.blurTarget?.dispose();
+    this.floorMaterial.map?.dispose();
+    this.floorMaterial.alphaMap?.dispose();
+    this.shadowTarget = null;
+    this.blurTarget = null;
+    this.floorMaterial.dispose();
+    this.shadowMaterial.dispose();
+    this.bakeScene.overrideMaterial!.dispose();
+    this.horizontalBlur.dispose();
+    this.verticalBlur.dispose();
+  }
+
+  private blur(threeRenderer: WebGLRenderer, amount: number) {
+    const {horizontalBlur, verticalBlur, blurQuad, shadowTarget, blurTarget} =
+        this;
+
+    horizontalBlur.uniforms.tDiffuse.value = shadowTarget!.texture;
+    horizontalBlur.uniforms.h.value = amount / CONTACT_SHADOW_RESOLUTION;
+    blurQuad.material = horizontalBlur;
+    threeRenderer.setRenderTarget(blurTarget);
+    threeRenderer.render(this.blurScene, quadCamera);
+
+    verticalBlur.uniforms.tDiffuse.value = blurTarget!.texture;
+    verticalBlur.uniforms.v.value = amount / CONTACT_SHADOW_RESOLUTION;
+    blurQuad.material = verticalBlur;
+    threeRenderer.setRenderTarget(shadowTarget);
+    threeRenderer.render(this.blurScene, quadCamera);
+  }
+
+  private updateFloorScale() {
+    const radius =
+        this.radius != null ? this.radius : this.size * AUTO_RADIUS_SCALE;
+    this.floor.scale.set(2 * radius, 1, 2 * radius);
+    const {map} = this.floorMaterial;
+    if (map != null) {
+      map.repeat.set(2 * radius, 2 * radius);
+    }
+  }
+
+  private updateFloorColor() {
+    // A texture is tinted by the color, so an untinted texture needs white.
+    this.floorMaterial.color.copy(this.color);
+    this.floorMaterial.needsUpdate = true;
+  }
+}
@@ -13,17 +13,20 @@
  * limitations under the License.
  */
 
-import {AnimationAction, AnimationClip, AnimationMixer, Box3, Camera, Event as ThreeEvent, Matrix3, Object3D, PerspectiveCamera, Raycaster, Scene, Vector2, Vector3} from 'three';
+import {ACESFilmicToneMapping, AnimationAction, AnimationActionLoopStyles, AnimationClip, AnimationMixer, Box3, Camera, Event as ThreeEvent, Intersection, LoopOnce, LoopPingPong, LoopRepeat, Matrix3, Object3D, PerspectiveCamera, Raycaster, Scene, ToneMapping, Vector2, Vector3, WebGLRenderer} from 'three';
 import {CSS2DRenderer} from 'three/examples/jsm/renderers/CSS2DRenderer';
 
 import ModelViewerElementBase, {$renderer, RendererInterface} from '../model-viewer-base.js';
 import {resolveDpr} from '../utilities.js';
 
 import {Damper, SETTLING_TIME} from './Damper.js';
+import {Dimensions, DimensionUnits} from './Dimensions.js';
+import {EffectPipeline} from './EffectPipeline.js';
+import {Floor} from './Floor.js';
 import {ModelViewerGLTFInstance} from './gltf-instance/ModelViewerGLTFInstance.js';
 import {Hotspot} from './Hotspot.js';
 import {reduceVertices} from './ModelUtils.js';
-import {Shadow} from './Shadow.js';
+import {Shadow, sideForPlacement} from './Shadow.js';
 
 
 
@@ -45,6 +48,41 @@ export const IlluminationRole: {[index: string]: IlluminationRole} = {
   Secondary: 'secondary'
 };
 
+export type AnimationLoop = 'once'|'repeat'|'pingpong';
+
+export const AnimationLoop: {[index: string]: AnimationLoop} = {
+  Once: 'once',
+  Repeat: 'repeat',
+  PingPong: 'pingpong'
+};
+
+const THREE_LOOP_MODES: {[index: string]: AnimationActionLoopStyles} = {
+  [AnimationLoop.Once]: LoopOnce,
+  [AnimationLoop.Repeat]: LoopRepeat,
+  [AnimationLoop.PingPong]: LoopPingPong
+};
+
+// The shortest time, in seconds, between bakes of the contact shadow while
+// an animation moves the model.
+const CONTACT_SHADOW_BAKE_INTERVAL = 0.05;
+
+export interface AnimationPlayOptions {
+  loop?: AnimationLoop;
+  repetitions?: number;
+  timeScale?: number;
+}
+
+export interface AnimationLayerOptions extends AnimationPlayOptions {
+  weight?: number;
+}
+
+export interface AnimationLayerState {
+  name: string;
+  weight: number;
+  timeScale: number;
+  time: number;
+}
+
 export const DEFAULT_FOV_DEG = 45;
 const DEFAULT_HALF_FOV = (DEFAULT_FOV_DEG / 2) * Math.PI / 180;
 export const SAFE_RADIUS_RATIO = Math.sin(DEFAULT_HALF_FOV);
@@ -57,6 +95,21 @@ const normalWorld = new Vector3();
 const raycaster = new Raycaster();
 const vector3 = new Vector3();
 
+// Raycasting does not check visibility, so hits on hidden parts are filtered
+// out afterward. Only visibility below the raycast root counts.
+const isVisibleWithin = (object: Object3D, root: Object3D): boolean => {
+  for (let ancestor: Object3D|null = object; ancestor != null;
+       ancestor = ancestor.parent) {
+    if (!ancestor.visible) {
+      return false;
+    }
+    if (ancestor === root) {
+      break;
+    }
+  }
+  return true;
+};
+
 /**
  * A THREE.Scene object that takes a Model and CanvasHTMLElement and
  * constructs a framed scene based off of the canvas dimensions.
@@ -93,8 +146,17 @@ export class ModelScene extends Scene {
   public shadow: Shadow|null = null;
   public shadowIntensity = 0;
   public shadowSoftness = 1;
+  public shadowLightDirection: Vector3|null = null;
+
+  public floor: Floor|null = null;
+
+  public dimensions: Dimensions|null = null;
+  public dimensionsVisible = false;
+  public dimensionUnits: DimensionUnits = DimensionUnits.METRIC;
 
   public exposure = 1;
+  public toneMapping: ToneMapping = ACESFilmicToneMapping;
+  public effects: EffectPipeline|null = null;
   public canScale = true;
   public tightBounds = false;
 
@@ -108,6 +170,23 @@ export class ModelScene extends Scene {
   private cancelPendingSourceChange: (() => void)|null = null;
   private animationsByName: Map<string, AnimationClip> = new Map();
   private currentAnimationAction: AnimationAction|null = null;
+  private animationLayers: Map<string, AnimationAction> = new Map();
+  private fadingLayerActions: Set<AnimationAction> = new Set();
+  private contactShadowAge = 0;
+  private pendingAnimationEvents:
+      Array<{type: string, action: AnimationAction}> = [];
+
+  // The mixer fires these in the middle of its update, when starting or
+  // stopping actions is unsafe, so they are dispatched once it is done.
+  private onMixerFinished = (event: ThreeEvent) => {
+    this.pendingAnimationEvents.push(
+        {type: 'animation-finished', action: event.action});
+  };
+
+  private onMixerLoop = (event: ThreeEvent) => {
+    this.pendingAnimationEvents.push(
+        {type: 'animation-loop', action: event.action});
+  };
 
   constructor({canvas, element, width, height}: ModelSceneConfig) {
     super();
@@ -131,6 +210,8 @@ export class ModelScene extends Scene {
 
     this.target.add(this.modelContainer);
     this.mixer = new AnimationMixer(this.modelContainer);
+    this.mixer.addEventListener('finished', this.onMixerFinished);
+    this.mixer.addEventListener('loop', this.onMixerLoop);
 
     const {domElement} = this.annotationRenderer;
     const {style} = domElement;
@@ -256,6 +337,10 @@ export class ModelScene extends Scene {
 
     this.frameModel();
     this.setShadowIntensity(this.shadowIntensity);
+    if (this.floor != null) {
+      this.floor.setScene(this);
+    }
+    this.updateDimensions();
     this.dispatchEvent({type: 'model-load', url: this.url});
   }
 
@@ -265,6 +350,9 @@ export class ModelScene extends Scene {
     if (this.shadow != null) {
       this.shadow.setIntensity(0);
     }
+    if (this.dimensions != null) {
+      this.dimensions.visible = false;
+    }
     const gltf = this._currentGLTF;
     // Remove all current children
     if (gltf != null) {
@@ -280,6 +368,7 @@ export class ModelScene extends Scene {
       this.currentAnimationAction = null;
     }
 
+    this.clearAnimationLayers();
     this.mixer.stopAllAction();
     this.mixer.uncacheRoot(this);
   }
@@ -472,17 +561,50 @@ export class ModelScene extends Scene {
     return 0;
   }
 
+  private isAnimationRunning(): boolean {
+    const {currentAnimationAction} = this;
+    if (currentAnimationAction != null && currentAnimationAction.isRunning()) {
+      return true;
+    }
+    for (const action of this.animationLayers.values()) {
+      if (action.isRunning()) {
+        return true;
+      }
+    }
+    for (const action of this.fadingLayerActions) {
+      if (action.isRunning()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   get hasActiveAnimation(): boolean {
     return this.currentAnimationAction != null;
   }
 
+  /**
+   * True when the current animation has played all of its repetitions and is
+   * holding its last frame.
+   */
+  get animationFinished(): boolean {
+    const action = this.currentAnimationAction;
+    return action != null && (action.paused || !action.enabled);
+  }
+
   /**
    * Plays an animation if there are any associated with the current model.
    * Accepts an optional string name of an animation to play. If no name is
    * provided, or if no animation is found by the given name, always falls back
    * to playing the first animation.
+   *
+   * The loop mode and number of repetitions default to repeating forever; a
+   * finite animation holds its last frame when it finishes. A negative time
+   * scale plays the animation backwards from its end.
    */
-  playAnimation(name: string|null = null, crossfadeTime: number = 0) {
+  playAnimation(
+      name: string|null = null, crossfadeTime: number = 0,
+      options: AnimationPlayOptions = {}) {
     if (this._currentGLTF == null) {
       return;
     }
@@ -506,14 +628,12 @@ export class ModelScene extends Scene {
     try {
       const {currentAnimationAction: lastAnimationAction} = this;
 
-      this.currentAnimationAction =
-          this.mixer.clipAction(animationClip, this).play();
-      this.currentAnimationAction.enabled = true;
+      const action = this.mixer.clipAction(animationClip, this);
+      this.currentAnimationAction = action;
+      this.startAction(action, options);
 
-      if (lastAnimationAction != null &&
-          this.currentAnimationAction !== lastAnimationAction) {
-        this.currentAnimationAction.crossFadeFrom(
-            lastAnimationAction, crossfadeTime, false);
+      if (lastAnimationAction != null && action !== lastAnimationAction) {
+        action.crossFadeFrom(lastAnimationAction, crossfadeTime, false);
       }
     } catch (error) {
       console.error(error);
@@ -527,11 +647,158 @@ export class ModelScene extends Scene {
       this.currentAnimationAction = null;
     }
 
+    this.clearAnimationLayers();
     this.mixer.stopAllAction();
   }
 
+  /**
+   * Plays the named animation as a layer, blended with the current animation
+   * and any other layers by weight. Each layer runs its own action, so an
+   * animation may be layered over itself. If the layer is already playing,
+   * only its weight and time scale are changed. Returns false if the model
+   * has no animation by that name.
+   */
+  playAnimationLayer(
+      name: string, options: AnimationLayerOptions = {},
+      fadeTime: number = 0): boolean {
+    const {weight = 1, timeScale = 1} = options;
+    const playing = this.animationLayers.get(name);
+    if (playing != null && playing.isRunning()) {
+      playing.setEffectiveWeight(weight);
+      playing.setEffectiveTimeScale(timeScale);
+      return true;
+    }
+
+    const clip = this.animationsByName.get(name);
+    if (this._currentGLTF == null || clip == null) {
+      console.warn(
+          `Cannot play animation layer (model does not have an animation named "${
+              name}")`);
+      return false;
+    }
+
+    // A clone gets its own action, separate from the current animation's.
+    const action =
+        playing != null ? playing : this.mixer.clipAction(clip.clone(), this);
+    this.animationLayers.set(name, action);
+    this.startAction(action, options);
+    action.setEffectiveWeight(weight);
+    if (fadeTime > 0) {
+      action.fadeIn(fadeTime);
+    }
+    return true;
+  }
+
+  /**
+   * Stops the named animation layer, fading it out over fadeTime seconds.
+   */
+  stopAnimationLayer(name: string, fadeTime: number = 0) {
+    const action = this.animationLayers.get(name);
+    if (action == null) {
+      return;
+    }
+    this.animationLayers.delete(name);
+
+    if (fadeTime > 0 && action.isRunning()) {
+      // The mixer disables the action once it has faded out, and
+      // updateAnimation() then cleans it up.
+      action.fadeOut(fadeTime);
+      this.fadingLayerActions.add(action);
+    } else {
+      action.stop();
+      this.mixer.uncacheClip(action.getClip());
+    }
+  }
+
+  /**
+   * The name, weight and time scale of each animation layer.
+   */
+  get animationLayerStates(): Array<AnimationLayerState> {
+    return Array.from(
+        this.animationLayers, ([name, action]) => ({
+                                name,
+                                weight: action.getEffectiveWeight(),
+                                timeScale: action.getEffectiveTimeScale(),
+                                time: action.time
+                              }));
+  }
+
+  private clearAnimationLayers() {
+    for (const action
+             of [...this.animationLayers.values(),
+                 ...this.fadingLayerActions]) {
+      action.stop();
+      this.mixer.uncacheClip(action.getClip());
+    }
+    this.animationLayers.clear();
+    this.fadingLayerActions.clear();
+  }
+
+  private startAction(action: AnimationAction, {
+    loop = AnimationLoop.Repeat,
+    repetitions = Infinity,
+    timeScale = 1
+  }: AnimationPlayOptions) {
+    // Restart an action that finished or was stopped, but keep one that is
+    // still fading out running from where it is.
+    if (!action.isRunning()) {
+      action.reset();
+    }
+    action.setLoop(
+        THREE_LOOP_MODES[loop] != null ? THREE_LOOP_MODES[loop] : LoopRepeat,
+        repetitions);
+    action.clampWhenFinished = true;
+    action.setEffectiveTimeScale(timeScale);
+    if (timeScale < 0 && action.time === 0) {
+      action.time = action.getClip().duration;
+    }
+    action.play();
+  }
+
+  private dispatchAnimationEvent(type: string, action: AnimationAction) {
+    let layer: string|null = null;
+    for (const [name, layerAction] of this.animationLayers) {
+      if (layerAction === action) {
+        layer = name;
+      }
+    }
+    if (layer == null && action !== this.currentAnimationAction) {
+      // A layer that was stopped, or an animation being faded out.
+      return;
+    }
+    this.dispatchEvent(
+        {type, name: action.getClip().name, layer: layer != null});
+  }
+
   updateAnimation(step: number) {
+    const wasRunning = this.isAnimationRunning();
     this.mixer.update(step);
+
+    // A zero step poses the model right away, as when seeking or changing
+    // animations while paused. Otherwise only a running animation moves the
+    // model, and its shadow is baked at most every so often, and once more
+    // where the animation stops.
+    this.contactShadowAge += step;
+    if (step === 0 ||
+        (wasRunning &&
+         (this.contactShadowAge >= CONTACT_SHADOW_BAKE_INTERVAL ||
+          !this.isAnimationRunning()))) {
+      this.contactShadowAge = 0;
+      this.updateContactShadow();
+    }
+
+    for (const action of this.fadingLayerActions) {
+      if (!action.enabled) {
+        this.mixer.uncacheClip(action.getClip());
+        this.fadingLayerActions.delete(action);
+      }
+    }
+
+    const events = this.pendingAnimationEvents;
+    this.pendingAnimationEvents = [];
+    for (const {type, action} of events) {
+      this.dispatchAnimationEvent(type, action);
+    }
   }
 
   /**
@@ -541,10 +808,12 @@ export class ModelScene extends Scene {
   updateShadow() {
     const shadow = this.shadow;
     if (shadow != null) {
-      const side =
-          (this.element as any).arPlacement === 'wall' ? 'back' : 'bottom';
+      const side = sideForPlacement((this.element as any).arPlacement);
       shadow.setScene(this, this.shadowSoftness, side);
     }
+    if (this.floor != null) {
+      this.floor.setScene(this);
+    }
   }
 
   /**
@@ -556,14 +825,14 @@ export class ModelScene extends Scene {
       return;
     }
     let shadow = this.shadow;
-    const side =
-        (this.element as any).arPlacement === 'wall' ? 'back' : 'bottom';
+    const side = sideForPlacement((this.element as any).arPlacement);
     if (shadow != null) {
       shadow.setIntensity(shadowIntensity);
       shadow.setScene(this, this.shadowSoftness, side);
     } else if (shadowIntensity > 0) {
       shadow = new Shadow(this, this.shadowSoftness, side);
       shadow.setIntensity(shadowIntensity);
+      shadow.setLightDirection(this.shadowLightDirection);
       this.shadow = shadow;
     }
   }
@@ -592,6 +861,18 @@ export class ModelScene extends Scene {
     }
   }
 
+  /**
+   * Casts the shadow away from a light in the given world-space direction, or
+   * straight down if null.
+   */
+  setShadowLightDirection(direction: Vector3|null) {
+    this.shadowLightDirection = direction;
+    const shadow = this.shadow;
+    if (shadow != null) {
+      shadow.setLightDirection(direction);
+    }
+  }
+
   /**
    * Call to check if the shadow needs an updated render; returns true if an
    * update is needed and resets the state.
@@ -607,6 +888,74 @@ export class ModelScene extends Scene {
     }
   }
 
+  /**
+   * Shows or hides the visible floor and sets its appearance, lazily creating
+   * it as necessary. A radius of null sizes the floor to the model.
+   */
+  setFloor(
+      visible: boolean, color: string, reflectivity: number,
+      radius: number|null) {
+    if (this.floor == null && !visible) {
+      return;
+    }
+    this.ensureFloor().setFloor(visible, color, reflectivity, radius);
+    this.isDirty = true;
+  }
+
+  /**
+   * Tiles the floor with the image at url, or removes its texture if url is
+   * null.
+   */
+  async setFloorTexture(url: string|null) {
+    if (this.floor == null && url == null) {
+      return;
+    }
+    await this.ensureFloor().setTexture(url);
+    this.isDirty = true;
+  }
+
+  /**
+   * Sets the contact shadow's intensity and softness (both 0 to 1), lazily
+   * creating the floor it is drawn on as necessary.
+   */
+  setContactShadow(intensity: number, softness: number) {
+    if (this.floor == null && intensity <= 0) {
+      return;
+    }
+    this.ensureFloor().setContactShadow(intensity, softness);
+    this.isDirty = true;
+  }
+
+  /**
+   * Call if the model has changed in a way that changes its contact shadow,
+   * such as a part moving, so that it is baked again before the next render.
+   */
+  updateContactShadow() {
+    if (this.floor != null) {
+      this.floor.needsBake = true;
+    }
+  }
+
+  /**
+   * Bakes the contact shadow if it is out of date. Call before rendering.
+   */
+  bakeContactShadow(threeRenderer: WebGLRenderer) {
+    if (this.floor != null) {
+      this.floor.bake(threeRenderer, this.modelContainer);
+    }
+  }
+
+  private ensureFloor(): Floor {
+    if (this.floor == null) {
+      this.floor = new Floor();
+      this.target.add(this.floor);
+      if (this._currentGLTF != null) {
+        this.floor.setScene(this);
+      }
+    }
+    return this.floor;
+  }
+
   /**
    * Shift the floor vertically from the bottom of the model's bounding box by
    * offset (should generally be negative).
@@ -618,6 +967,49 @@ export class ModelScene extends Scene {
     }
   }
 
+  /**
+   * Shows or hides the dimension lines and labels, lazily creating them as
+   * necessary.
+   */
+  setDimensions(visible: boolean, units: DimensionUnits) {
+    this.dimensionsVisible = visible;
+    this.dimensionUnits = units;
+    if (this._currentGLTF == null) {
+      return;
+    }
+    const dimensions = this.dimensions;
+    if (dimensions != null) {
+      dimensions.visible = visible;
+      dimensions.setUnits(units);
+    } else if (visible) {
+      this.dimensions = new Dimensions(this, units);
+    }
+    this.isDirty = true;
+  }
+
+  /**
+   * Call if the model's bounding box has changed, to refit the dimensions.
+   */
+  updateDimensions() {
+    const dimensions = this.dimensions;
+    if (dimensions != null) {
+      dimensions.setScene(this);
+    }
+    this.setDimensions(this.dimensionsVisible, this.dimensionUnits);
+  }
+
+  /**
+   * The dimension labels show the model's displayed size, so they must be
+   * told when the scene is scaled (as it is in AR).
+   */
+  setDimensionsScale(scale: number) {
+    const dimensions = this.dimensions;
+    if (dimensions != null) {
+      dimensions.setScale(scale);
+      this.isDirty = true;
+    }
+  }
+
   /**
    * This method returns the world position and model-space normal of the point
    * on the mesh corresponding to the input pixel coordinates given relative to
@@ -625,22 +1017,31 @@ export class ModelScene extends Scene {
    */
   positionAndNormalFromPoint(pixelPosition: Vector2, object: Object3D = this):
       {position: Vector3, normal: Vector3}|null {
-    raycaster.setFromCamera(pixelPosition, this.getCamera());
-    const hits = raycaster.intersectObject(object, true);
-
-    if (hits.length === 0) {
+    const hit = this.hitFromPoint(pixelPosition, object);
+    if (hit == null) {
       return null;
     }
 
-    const hit = hits[0];
-    if (hit.face == null) {
-      return null;
-    }
-
-    hit.face.normal.applyNormalMatrix(
+    hit.face!.normal.applyNormalMatrix(
         new Matrix3().getNormalMatrix(hit.object.matrixWorld));
 
-    return {position: hit.point, normal: hit.face.normal};
+    return {position: hit.point, normal: hit.face!.normal};
+  }
+
+  /**
+   * Returns the nearest raycast intersection with a mesh face under the given
+   * pixel position, in normalized device coordinates, or null if there is
+   * none. Objects hidden below the given root are skipped.
+   */
+  hitFromPoint(pixelPosition: Vector2, object: Object3D = this): Intersection
+      |null {
+    raycaster.setFromCamera(pixelPosition, this.getCamera());
+    const hits = raycaster.intersectObject(object, true);
+    const hit = hits.find(hit => isVisibleWithin(hit.object, object));
+    if (hit == null || hit.face == null) {
+      return null;
+    }
+    return hit;
   }
 
   /**
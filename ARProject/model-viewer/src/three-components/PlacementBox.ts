@@ -15,6 +15,7 @@
 
 import {BufferGeometry, DoubleSide, Float32BufferAttribute, Material, Mesh, MeshBasicMaterial, PlaneBufferGeometry, Vector2, Vector3} from 'three';
 
+import {ARItem} from './ARItem.js';
 import {Damper} from './Damper.js';
 import {ModelScene} from './ModelScene.js';
 import {Side} from './Shadow.js';
@@ -66,7 +67,7 @@ export class PlacementBox extends Mesh {
   private goalOpacity: number;
   private opacityDamper: Damper;
 
-  constructor(scene: ModelScene, side: Side) {
+  constructor(scene: ModelScene|ARItem, side: Side) {
     const geometry = new BufferGeometry();
     const triangles: Array<number> = [];
     const vertices: Array<number> = [];
@@ -112,6 +113,11 @@ export class PlacementBox extends Mesh {
         this.shadowHeight = boundingBox.min.y;
         this.position.y = this.shadowHeight;
         break;
+      case 'top':
+        this.rotateX(Math.PI / 2);
+        this.shadowHeight = boundingBox.max.y;
+        this.position.y = this.shadowHeight;
+        break;
       case 'back':
         this.shadowHeight = boundingBox.min.z;
         this.position.z = this.shadowHeight;
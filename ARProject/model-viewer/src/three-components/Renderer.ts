@@ -101,7 +101,7 @@ export class Renderer extends EventDispatcher {
   public height = 0;
   public dpr = 1;
 
-  protected debugger: Debugger|null = null;
+  public debugger: Debugger|null = null;
   private scenes: Set<ModelScene> = new Set();
   private multipleScenesVisible = false;
   private lastTick: number;
@@ -393,6 +393,12 @@ export class Renderer extends EventDispatcher {
     if (scene.isShadowDirty()) {
       this.threeRenderer.shadowMap.needsUpdate = true;
     }
+    scene.bakeContactShadow(this.threeRenderer);
+    this.threeRenderer.toneMapping = scene.toneMapping;
+    if (scene.effects != null &&
+        scene.effects.updateQuality(this.scaleStep, t)) {
+      scene.isDirty = true;
+    }
   }
 
   render(t: number, frame?: XRFrame) {
@@ -470,7 +476,9 @@ export class Renderer extends EventDispatcher {
       this.threeRenderer.setRenderTarget(null);
       this.threeRenderer.setViewport(
           0, Math.floor(this.height * dpr) - height, width, height);
-      this.threeRenderer.render(scene, scene.camera);
+      if (scene.effects == null || !scene.effects.render(width, height)) {
+        this.threeRenderer.render(scene, scene.camera);
+      }
 
       if (this.multipleScenesVisible) {
         if (scene.context == null) {
@@ -13,11 +13,11 @@
  * limitations under the License.
  */
 
-import {Box3, DirectionalLight, Mesh, PlaneBufferGeometry, ShadowMaterial, Vector3} from 'three';
+import {Box3, DirectionalLight, Matrix4, Mesh, PlaneBufferGeometry, ShadowMaterial, Vector3} from 'three';
 
 import {ModelScene} from './ModelScene';
 
-export type Side = 'back'|'bottom';
+export type Side = 'back'|'bottom'|'top';
 
 // Nothing within Offset of the bottom of the scene casts a shadow
 // (this is to avoid having a baked-in shadow plane cast its own shadow).
@@ -31,6 +31,28 @@ const LOG_MIN_RESOLUTION = 6;
 // for animated models sized to their largest bounding box dimesion multiplied
 // by this scale factor.
 const ANIMATION_SCALING = 2;
+// A light direction tilts the shadow away from straight down by at most this
+// much (the tangent of the angle), so low lights don't stretch it endlessly.
+const MAX_LIGHT_TILT = 1;
+
+const viewDirection = new Vector3();
+const shear = new Matrix4();
+
+/**
+ * The side of a model that rests against what it is placed on, for each
+ * ar-placement: the back against a wall, the top against a ceiling and the
+ * bottom against the floor or any other surface.
+ */
+export const sideForPlacement = (placement: string): Side => {
+  switch (placement) {
+    case 'wall':
+      return 'back';
+    case 'ceiling':
+      return 'top';
+    default:
+      return 'bottom';
+  }
+};
 
 /**
  * The Shadow class creates a shadow that fits a given scene and follows a
@@ -44,6 +66,10 @@ const ANIMATION_SCALING = 2;
  *
  * The softness of the shadow is controlled by changing its resolution, making
  * softer shadows faster, but less precise.
+ *
+ * By default the shadow falls straight down. setLightDirection() casts it away
+ * from a light instead, by shearing the shadow camera's projection rather than
+ * moving the light, so that the shadow map still fits the model.
  */
 export class Shadow extends DirectionalLight {
   private shadowMaterial = new ShadowMaterial;
@@ -53,6 +79,8 @@ export class Shadow extends DirectionalLight {
   private shadowScale = 1;
   private isAnimated = false;
   private side: Side = 'bottom';
+  private lightDirection: Vector3|null = null;
+  private maxMapSize = 0;
   public needsUpdate = false;
 
   constructor(scene: ModelScene, softness: number, side: Side) {
@@ -85,6 +113,7 @@ export class Shadow extends DirectionalLight {
     this.isAnimated = scene.animationNames.length > 0;
     this.boundingBox.copy(scene.boundingBox);
     this.size.copy(scene.size);
+    this.rotation.set(0, 0, 0);
     if (this.side === 'back') {
       const {min, max} = this.boundingBox;
       [min.y, min.z] = [min.z, min.y];
@@ -92,6 +121,12 @@ export class Shadow extends DirectionalLight {
       [this.size.y, this.size.z] = [this.size.z, this.size.y];
       this.rotation.x = Math.PI / 2;
       this.rotation.y = Math.PI;
+    } else if (this.side === 'top') {
+      // Upside down, the top is the bottom.
+      const {min, max} = this.boundingBox;
+      [min.y, max.y] = [-max.y, -min.y];
+      [min.z, max.z] = [-max.z, -min.z];
+      this.rotation.x = Math.PI;
     }
     const {boundingBox, size} = this;
 
@@ -108,7 +143,12 @@ export class Shadow extends DirectionalLight {
     const shadowOffset = boundingBox.max.y + size.y * OFFSET;
     if (side === 'bottom') {
       this.position.y = shadowOffset;
+      this.position.z = 0;
       this.shadow.camera.up.set(0, 0, 1);
+    } else if (side === 'top') {
+      this.position.y = -shadowOffset;
+      this.position.z = 0;
+      this.shadow.camera.up.set(0, 0, -1);
     } else {
       this.position.y = 0;
       this.position.z = shadowOffset;
@@ -136,6 +176,7 @@ export class Shadow extends DirectionalLight {
   setMapSize(maxMapSize: number) {
     const {camera, mapSize, map} = this.shadow;
     const {size, boundingBox} = this;
+    this.maxMapSize = maxMapSize;
 
     if (map != null) {
       (map as any).dispose();
@@ -153,8 +194,10 @@ export class Shadow extends DirectionalLight {
 
     mapSize.set(width, height);
     // These pads account for the softening radius around the shadow.
-    const widthPad = 2.5 * size.x / width;
-    const heightPad = 2.5 * size.z / height;
+    // A tilted light can cast the shadow up to the model's height aside.
+    const tiltPad = this.lightDirection != null ? size.y * MAX_LIGHT_TILT : 0;
+    const widthPad = 2.5 * size.x / width + tiltPad;
+    const heightPad = 2.5 * size.z / height + tiltPad;
 
     camera.left = -boundingBox.max.x - widthPad;
     camera.right = -boundingBox.min.x + widthPad;
@@ -192,13 +235,41 @@ export class Shadow extends DirectionalLight {
    * absolute orientation about the Y-axis (other rotations are not supported).
    */
   setRotation(radiansY: number) {
-    if (this.side !== 'bottom') {
+    if (this.side === 'back') {
       // We don't support rotation about a horizontal axis yet.
       this.shadow.updateMatrices(this);
       return;
     }
-    this.shadow.camera.up.set(Math.sin(radiansY), 0, Math.cos(radiansY));
-    this.shadow.updateMatrices(this);
+    // Looking up at the ceiling mirrors the shadow camera's view.
+    const sign = this.side === 'top' ? -1 : 1;
+    this.shadow.camera.up.set(
+        sign * Math.sin(radiansY), 0, sign * Math.cos(radiansY));
+    this.updateProjection();
+  }
+
+  /**
+   * Casts the shadow away from a light in the given world-space direction
+   * (pointing towards the light), or straight down if null. Only supported
+   * for shadows on the floor.
+   */
+  setLightDirection(direction: Vector3|null) {
+    const hadDirection = this.lightDirection != null;
+    if (direction == null) {
+      this.lightDirection = null;
+    } else {
+      if (this.lightDirection == null) {
+        this.lightDirection = new Vector3();
+      }
+      this.lightDirection.copy(direction).normalize();
+    }
+
+    if (hadDirection !== (direction != null)) {
+      // The shadow camera's frustum grows or shrinks to fit the tilt.
+      this.setMapSize(this.maxMapSize);
+    } else {
+      this.updateProjection();
+      this.needsUpdate = true;
+    }
   }
 
   /**
@@ -213,11 +284,47 @@ export class Shadow extends DirectionalLight {
     this.shadowScale = scale;
     camera.near = 0;
     camera.far = sizeY - offset / scale;
-    camera.updateProjectionMatrix();
     camera.scale.setScalar(scale);
+    this.updateProjection();
     // Floor plane is up slightly from the bottom of the bounding box to avoid
     // Z-fighting with baked-in shadows and to stay inside the shadow camera.
     const shadowOffset = sizeY * OFFSET;
     this.floor.position.y = 2 * shadowOffset - camera.far;
   }
+
+  /**
+   * Updates the shadow camera's projection, shearing it along the light
+   * direction if there is one: in the camera's view space, each point is
+   * moved across by its height above the floor (at depth camera.far) times
+   * the light's tilt, so it lands where its shadow falls.
+   */
+  private updateProjection() {
+    const {camera} = this.shadow;
+    camera.updateProjectionMatrix();
+
+    const direction = this.lightDirection;
+    if (direction != null && this.side === 'bottom') {
+      this.shadow.updateMatrices(this);
+      viewDirection.copy(direction).transformDirection(
+          camera.matrixWorldInverse);
+      // A light below the horizon casts no shadow on the floor at all, so
+      // leave the shadow straight down.
+      if (viewDirection.z > 0) {
+        let tiltX = viewDirection.x / viewDirection.z;
+        let tiltY = viewDirection.y / viewDirection.z;
+        const tilt = Math.hypot(tiltX, tiltY);
+        if (tilt > MAX_LIGHT_TILT) {
+          tiltX *= MAX_LIGHT_TILT / tilt;
+          tiltY *= MAX_LIGHT_TILT / tilt;
+        }
+        const {far} = camera;
+        shear.set(
+            1, 0, -tiltX, -tiltX * far, 0, 1, -tiltY, -tiltY * far, 0, 0, 1, 0,
+            0, 0, 0, 1);
+        camera.projectionMatrix.multiply(shear);
+        camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+      }
+    }
+    this.shadow.updateMatrices(this);
+  }
 }
\ No newline at end of file
@@ -12,7 +12,7 @@
  * limitations under the License.
  */
 
-import {Euler, Event as ThreeEvent, EventDispatcher, PerspectiveCamera, Spherical} from 'three';
+import {Euler, Event as ThreeEvent, EventDispatcher, PerspectiveCamera, Spherical, Vector3} from 'three';
 
 import {TouchAction} from '../features/controls.js';
 import {clamp} from '../utilities.js';
@@ -67,6 +67,10 @@ export const DEFAULT_OPTIONS = Object.freeze<SmoothControlsOptions>({
 const TOUCH_EVENT_RE = /^touch(start|end|move)$/;
 const KEYBOARD_ORBIT_INCREMENT = Math.PI / 8;
 const ZOOM_SENSITIVITY = 0.04;
+// Two taps or clicks without movement within this many milliseconds of each
+// other count as a double-tap.
+const DOUBLE_TAP_MILLISECONDS = 300;
+const MOUSE_BUTTON_SECONDARY = 2;
 
 export const KeyCode = {
   PAGE_UP: 33,
@@ -101,6 +105,15 @@ export interface PointerChangeEvent extends ThreeEvent {
   pointer: Pointer;
 }
 
+/**
+ * PanEvents are dispatched as the user pans, with the offset to move the
+ * camera's target by, in meters in the camera's parent space.
+ */
+export interface PanEvent extends ThreeEvent {
+  type: 'pan';
+  delta: Vector3;
+}
+
 /**
  * SmoothControls is a Three.js helper for adding delightful pointer and
  * keyboard-based input to a staged Three.js scene. Its API is very similar to
@@ -112,8 +125,12 @@ export interface PointerChangeEvent extends ThreeEvent {
  * of SmoothControls must be invoked on every frame, otherwise the controls
  * will not have an effect.
  *
- * Another notable difference compared to OrbitControls is that SmoothControls
- * does not currently support panning (but probably will in a future revision).
+ * Panning is off by default. When enablePan is set, dragging with two fingers,
+ * the secondary mouse button or the shift key held dispatches 'pan' events
+ * carrying the offset (in meters, in the plane facing the camera) to move the
+ * camera's target by, and a double-tap dispatches 'pan-reset'. SmoothControls
+ * doesn't own the target, so it is up to the listener to move, clamp and damp
+ * it.
  *
  * Like OrbitControls, SmoothControls assumes that the orientation of the camera
  * has been set in terms of position, rotation and scale, so it is important to
@@ -125,6 +142,7 @@ export class SmoothControls extends EventDispatcher {
   private _interactionEnabled: boolean = false;
   private _options: SmoothControlsOptions;
   private _disableZoom = false;
+  private _enablePan = false;
   private isUserChange = false;
   private isUserPointing = false;
 
@@ -147,6 +165,9 @@ export class SmoothControls extends EventDispatcher {
   private lastTouches!: TouchList;
   private touchMode: TouchMode = 'rotate';
   private touchDecided = false;
+  private isPanning = false;
+  private pointerMoved = false;
+  private lastTapTime = -Infinity;
 
   constructor(
       readonly camera: PerspectiveCamera, readonly element: HTMLElement) {
@@ -179,6 +200,10 @@ export class SmoothControls extends EventDispatcher {
       self.addEventListener('mouseup', this.onPointerUp);
       self.addEventListener('touchend', this.onPointerUp);
 
+      if (this._enablePan) {
+        element.addEventListener('contextmenu', this.onContextMenu);
+      }
+
       this.element.style.cursor = 'grab';
       this._interactionEnabled = true;
     }
@@ -200,6 +225,8 @@ export class SmoothControls extends EventDispatcher {
       self.removeEventListener('mouseup', this.onPointerUp);
       self.removeEventListener('touchend', this.onPointerUp);
 
+      element.removeEventListener('contextmenu', this.onContextMenu);
+
       element.style.cursor = '';
       this._interactionEnabled = false;
     }
@@ -223,6 +250,21 @@ export class SmoothControls extends EventDispatcher {
     }
   }
 
+  set enablePan(enable: boolean) {
+    if (this._enablePan != enable) {
+      this._enablePan = enable;
+      if (enable === true && this._interactionEnabled) {
+        this.element.addEventListener('contextmenu', this.onContextMenu);
+      } else {
+        this.element.removeEventListener('contextmenu', this.onContextMenu);
+      }
+    }
+  }
+
+  get enablePan(): boolean {
+    return this._enablePan;
+  }
+
   /**
    * Copy the spherical values that represent the current camera orbital
    * position relative to the configured target into a provided Spherical
@@ -489,6 +531,13 @@ export class SmoothControls extends EventDispatcher {
     return 2 * Math.PI * pixelLength / this.element.clientHeight;
   }
 
+  private twoTouchCenter(touchOne: Touch, touchTwo: Touch): Pointer {
+    return {
+      clientX: (touchOne.clientX + touchTwo.clientX) / 2,
+      clientY: (touchOne.clientY + touchTwo.clientY) / 2
+    };
+  }
+
   private twoTouchDistance(touchOne: Touch, touchTwo: Touch): number {
     const {clientX: xOne, clientY: yOne} = touchOne;
     const {clientX: xTwo, clientY: yTwo} = touchTwo;
@@ -503,6 +552,8 @@ export class SmoothControls extends EventDispatcher {
       return;
     }
 
+    this.pointerMoved = true;
+
     // NOTE(cdata): We test event.type as some browsers do not have a global
     // TouchEvent contructor.
     if (TOUCH_EVENT_RE.test(event.type)) {
@@ -511,13 +562,20 @@ export class SmoothControls extends EventDispatcher {
       switch (this.touchMode) {
         case 'zoom':
           if (this.lastTouches.length > 1 && touches.length > 1) {
-            const lastTouchDistance =
-                this.twoTouchDistance(this.lastTouches[0], this.lastTouches[1]);
-            const touchDistance = this.twoTouchDistance(touches[0], touches[1]);
-            const deltaZoom =
-                ZOOM_SENSITIVITY * (lastTouchDistance - touchDistance) / 10.0;
+            if (!this._disableZoom) {
+              const lastTouchDistance = this.twoTouchDistance(
+                  this.lastTouches[0], this.lastTouches[1]);
+              const touchDistance =
+                  this.twoTouchDistance(touches[0], touches[1]);
+              const deltaZoom =
+                  ZOOM_SENSITIVITY * (lastTouchDistance - touchDistance) / 10.0;
+
+              this.userAdjustOrbit(0, 0, deltaZoom);
+            }
 
-            this.userAdjustOrbit(0, 0, deltaZoom);
+            if (this._enablePan) {
+              this.handlePan(this.twoTouchCenter(touches[0], touches[1]));
+            }
           }
 
           break;
@@ -544,6 +602,8 @@ export class SmoothControls extends EventDispatcher {
       }
 
       this.lastTouches = touches;
+    } else if (this.isPanning) {
+      this.handlePan(event as MouseEvent);
     } else {
       this.handleSinglePointerMove(event as MouseEvent);
     }
@@ -574,6 +634,8 @@ export class SmoothControls extends EventDispatcher {
   private onPointerDown = (event: MouseEvent|TouchEvent) => {
     this.pointerIsDown = true;
     this.isUserPointing = false;
+    this.isPanning = false;
+    this.pointerMoved = false;
 
     if (TOUCH_EVENT_RE.test(event.type)) {
       const {touches} = event as TouchEvent;
@@ -586,30 +648,100 @@ export class SmoothControls extends EventDispatcher {
           this.handleSinglePointerDown(touches[0]);
           break;
         case 2:
-          this.touchMode = this._disableZoom ? 'scroll' : 'zoom';
+          // Two fingers both zoom and pan, so only scroll the page when
+          // both are disabled.
+          this.touchMode =
+              this._disableZoom && !this._enablePan ? 'scroll' : 'zoom';
+          if (this._enablePan) {
+            this.handleSinglePointerDown(
+                this.twoTouchCenter(touches[0], touches[1]));
+          }
           break;
       }
 
       this.lastTouches = touches;
     } else {
+      const {button, shiftKey} = event as MouseEvent;
+      this.isPanning = this._enablePan &&
+          (button === MOUSE_BUTTON_SECONDARY || shiftKey === true);
       this.handleSinglePointerDown(event as MouseEvent);
     }
   };
 
+  /**
+   * Converts the pointer's movement into an offset in the plane facing the
+   * camera, scaled so that the point at the target follows the pointer.
+   */
+  private handlePan(pointer: Pointer) {
+    const {clientX, clientY} = pointer;
+    const dx = clientX - this.lastPointerPosition.clientX;
+    const dy = clientY - this.lastPointerPosition.clientY;
+
+    this.lastPointerPosition.clientX = clientX;
+    this.lastPointerPosition.clientY = clientY;
+
+    if (this.isUserPointing === false) {
+      this.isUserPointing = true;
+      this.dispatchEvent({type: 'pointer-change-start', pointer: {...pointer}});
+    }
+
+    const metersPerPixel = 2 * this.spherical.radius *
+        Math.tan(this.camera.fov * Math.PI / 360) / this.element.clientHeight;
+    if ((dx === 0 && dy === 0) || !isFinite(metersPerPixel)) {
+      return;
+    }
+
+    const delta = new Vector3(-dx * metersPerPixel, dy * metersPerPixel, 0)
+                      .applyQuaternion(this.camera.quaternion);
+
+    this.isUserChange = true;
+    this.dispatchEvent({type: 'pan', delta});
+    this.dispatchEvent({type: 'change', source: ChangeSource.USER_INTERACTION});
+  }
+
   private handleSinglePointerDown(pointer: Pointer) {
     this.lastPointerPosition.clientX = pointer.clientX;
     this.lastPointerPosition.clientY = pointer.clientY;
     this.element.style.cursor = 'grabbing';
   }
 
-  private onPointerUp = (_event: MouseEvent|TouchEvent) => {
+  private onPointerUp = (event: MouseEvent|TouchEvent) => {
     this.element.style.cursor = 'grab';
     this.pointerIsDown = false;
+    this.isPanning = false;
 
     if (this.isUserPointing) {
       this.dispatchEvent(
           {type: 'pointer-change-end', pointer: {...this.lastPointerPosition}});
     }
+
+    // Wait for the last finger to lift before counting a tap.
+    const {touches} = event as TouchEvent;
+    if (touches != null && touches.length > 0) {
+      return;
+    }
+
+    if (this.pointerMoved) {
+      this.lastTapTime = -Infinity;
+      return;
+    }
+
+    const now = performance.now();
+    if (now - this.lastTapTime < DOUBLE_TAP_MILLISECONDS) {
+      this.lastTapTime = -Infinity;
+      if (this._enablePan && this.canInteract) {
+        this.dispatchEvent({type: 'pan-reset'});
+      }
+    } else {
+      this.lastTapTime = now;
+    }
+  };
+
+  private onContextMenu = (event: Event) => {
+    // The secondary button pans, so don't open the menu over the model.
+    if (event.cancelable) {
+      event.preventDefault();
+    }
   };
 
   private onWheel = (event: Event) => {
@@ -0,0 +1,105 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BufferGeometry, Float32BufferAttribute, LineBasicMaterial, LineSegments, Object3D} from 'three';
+
+import {Damper} from './Damper.js';
+import {ModelScene} from './ModelScene.js';
+
+// Gap between the model's footprint and the dial (meters, before AR scaling).
+const MARGIN = 0.1;
+const TICK_LENGTH = 0.06;
+const HEADING_LENGTH = 0.2;
+const MAX_OPACITY = 0.75;
+
+const segmentsGeometry = (vertices: Array<number>) => {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(vertices, 3));
+  return geometry;
+};
+
+/**
+ * A dial drawn on the floor around the presented model while it is twisted
+ * with rotation snapping on: a tick for each orientation it can snap to,
+ * measured from where the gesture started, and a longer heading line showing
+ * which way the model faces. The heading lands on a tick as the model snaps.
+ * Like the PlacementBox, it fades in and out.
+ */
+export class SnapIndicator extends Object3D {
+  private goalOpacity = 0;
+  private opacityDamper = new Damper();
+  private material: LineBasicMaterial;
+  public ticks: LineSegments;
+  public heading: LineSegments;
+
+  constructor(scene: ModelScene, step: number) {
+    super();
+
+    const {size, boundingBox} = scene;
+    const radius = Math.hypot(size.x, size.z) / 2 + MARGIN;
+
+    const ticks: Array<number> = [];
+    const count = Math.max(Math.round(2 * Math.PI / step), 1);
+    for (let i = 0; i < count; ++i) {
+      const x = Math.sin(i * step);
+      const z = Math.cos(i * step);
+      ticks.push(
+          radius * x, 0, radius * z, (radius + TICK_LENGTH) * x, 0,
+          (radius + TICK_LENGTH) * z);
+    }
+
+    this.material = new LineBasicMaterial(
+        {transparent: true, opacity: 0, depthTest: false});
+    this.ticks = new LineSegments(segmentsGeometry(ticks), this.material);
+    this.heading = new LineSegments(
+        segmentsGeometry(
+            [0, 0, radius - HEADING_LENGTH, 0, 0, radius + 2 * TICK_LENGTH]),
+        this.material);
+    this.add(this.ticks, this.heading);
+
+    boundingBox.getCenter(this.position);
+    this.position.y = boundingBox.min.y;
+    this.visible = false;
+
+    scene.target.add(this);
+  }
+
+  /**
+   * Set the dial's visibility; it will fade in and out.
+   */
+  set show(visible: boolean) {
+    this.goalOpacity = visible ? MAX_OPACITY : 0;
+  }
+
+  /**
+   * Call on each frame with the frame delta and how far the model has turned
+   * since the gesture started, which the ticks are turned back by to stay
+   * put while the model turns.
+   */
+  update(delta: number, turned: number) {
+    const {material} = this;
+    material.opacity =
+        this.opacityDamper.update(material.opacity, this.goalOpacity, delta, 1);
+    this.visible = material.opacity > 0;
+    this.ticks.rotation.y = -turned;
+  }
+
+  dispose() {
+    this.ticks.geometry.dispose();
+    this.heading.geometry.dispose();
+    this.material.dispose();
+    this.parent?.remove(this);
+  }
+}
@@ -13,7 +13,8 @@
  * limitations under the License.
  */
 
-import {EquirectangularReflectionMapping, EventDispatcher, GammaEncoding, PMREMGenerator, Texture, TextureLoader, UnsignedByteType, WebGLRenderer, WebGLRenderTarget} from 'three';
+import {EquirectangularReflectionMapping, EventDispatcher, GammaEncoding, HalfFloatType, PMREMGenerator, Texture, TextureLoader, UnsignedByteType, WebGLRenderer, WebGLRenderTarget} from 'three';
+import {EXRLoader} from 'three/examples/jsm/loaders/EXRLoader.js';
 import {RGBELoader} from 'three/examples/jsm/loaders/RGBELoader.js';
 
 import {deserializeUrl} from '../utilities.js';
@@ -34,9 +35,12 @@ export interface EnvironmentGenerationConfig {
 const GENERATED_SIGMA = 0.04;
 
 const HDR_FILE_RE = /\.hdr(\.js)?$/;
+const EXR_FILE_RE = /\.exr(\.js)?$/;
 const ldrLoader = new TextureLoader();
 const hdrLoader = new RGBELoader();
 hdrLoader.setDataType(UnsignedByteType);
+const exrLoader = new EXRLoader();
+exrLoader.setDataType(HalfFloatType);
 
 // Attach a `userData` object for arbitrary data on textures that
 // originate from TextureUtils, similar to Object3D's userData,
@@ -63,8 +67,9 @@ export default class TextureUtils extends EventDispatcher {
       url: string, progressCallback: (progress: number) => void = () => {}):
       Promise<Texture> {
     try {
-      const isHDR: boolean = HDR_FILE_RE.test(url);
-      const loader = isHDR ? hdrLoader : ldrLoader;
+      const isEXR: boolean = EXR_FILE_RE.test(url);
+      const isHDR: boolean = isEXR || HDR_FILE_RE.test(url);
+      const loader = isEXR ? exrLoader : isHDR ? hdrLoader : ldrLoader;
       const texture: Texture = await new Promise<Texture>(
           (resolve, reject) => loader.load(
               url, resolve, (event: {loaded: number, total: number}) => {
@@ -214,7 +219,7 @@ export default class TextureUtils extends EventDispatcher {
    * color-preserving. Shows less contrast around the different sides of the
    * object.
    */
-  private loadGeneratedEnvironmentMapAlt(): Promise<WebGLRenderTarget> {
+  loadGeneratedEnvironmentMapAlt(): Promise<WebGLRenderTarget> {
     if (this.generatedEnvironmentMapAlt == null) {
       const defaultScene = new EnvironmentSceneAlt;
       this.generatedEnvironmentMapAlt =
@@ -0,0 +1,64 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// The MediaStream Recording API is not yet part of TypeScript's DOM library.
+
+declare interface MediaRecorderOptions {
+  mimeType?: string;
+  audioBitsPerSecond?: number;
+  videoBitsPerSecond?: number;
+  bitsPerSecond?: number;
+}
+
+declare interface BlobEvent extends Event {
+  readonly data: Blob;
+  readonly timecode: number;
+}
+
+declare interface MediaRecorderEventMap {
+  'dataavailable': BlobEvent;
+  'error': Event;
+  'pause': Event;
+  'resume': Event;
+  'start': Event;
+  'stop': Event;
+}
+
+declare class MediaRecorder extends EventTarget {
+  static isTypeSupported(type: string): boolean;
+
+  readonly mimeType: string;
+  readonly state: 'inactive'|'recording'|'paused';
+  readonly stream: MediaStream;
+
+  constructor(stream: MediaStream, options?: MediaRecorderOptions)
+
+  start(timeslice?: number): void;
+  stop(): void;
+  pause(): void;
+  resume(): void;
+  requestData(): void;
+
+  addEventListener<K extends keyof MediaRecorderEventMap>(
+      type: K, listener: (event: MediaRecorderEventMap[K]) => any,
+      options?: boolean|AddEventListenerOptions): void;
+  addEventListener(
+      type: string, listener: EventListenerOrEventListenerObject,
+      options?: boolean|AddEventListenerOptions): void;
+}
+
+declare interface HTMLCanvasElement {
+  captureStream?(frameRate?: number): MediaStream;
+}
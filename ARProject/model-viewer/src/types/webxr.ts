@@ -56,14 +56,30 @@ declare interface XRRigidTransform {
   readonly inverse: XRRigidTransform;
 }
 
+declare var XRRigidTransform: {
+  prototype: XRRigidTransform;
+  new (position?: DOMPointInit, orientation?: DOMPointInit): XRRigidTransform;
+};
+
 declare interface XRSpace extends EventTarget {}
 
+declare interface XRAnchor {
+  readonly anchorSpace: XRSpace;
+  delete(): void;
+  requestPersistentHandle?(): Promise<string>;
+}
+
 declare interface XRReferenceSpace extends XRSpace {
   getOffsetReferenceSpace(originOffset: XRRigidTransform): XRReferenceSpace;
 }
 
 type XREye = 'left'|'right';
 
+declare interface XRCamera {
+  readonly width: number;
+  readonly height: number;
+}
+
 declare interface XRView {
   readonly eye: XREye;
   readonly projectionMatrix: Float32Array;
@@ -71,6 +87,7 @@ declare interface XRView {
   readonly transform: XRRigidTransform;
   readonly recommendedViewportScale: number|null;
   requestViewportScale(scale: number|null): void;
+  readonly camera?: XRCamera;
 }
 
 declare interface XRViewerPose {
@@ -123,6 +140,38 @@ declare interface XRFrame {
   getHitTestResultsForTransientInput(hitTestSource:
                                          XRTransientInputHitTestSource):
       Array<XRTransientInputHitTestResult>;
+  readonly trackedAnchors?: Set<XRAnchor>;
+  createAnchor?(pose: XRRigidTransform, space: XRSpace): Promise<XRAnchor>;
+  getDepthInformation?(view: XRView): XRCPUDepthInformation|null;
+  readonly detectedPlanes?: Set<XRPlane>;
+}
+
+declare type XRPlaneOrientation = 'horizontal' | 'vertical';
+
+declare interface XRPlane {
+  readonly planeSpace: XRSpace;
+  readonly polygon: Array<DOMPointReadOnly>;
+  readonly orientation?: XRPlaneOrientation;
+  readonly lastChangedTime: number;
+  readonly semanticLabel?: string;
+}
+
+declare type XRDepthUsage = 'cpu-optimized' | 'gpu-optimized';
+
+declare type XRDepthDataFormat = 'luminance-alpha' | 'float32';
+
+declare interface XRDepthStateInit {
+  usagePreference: Array<XRDepthUsage>;
+  dataFormatPreference: Array<XRDepthDataFormat>;
+}
+
+declare interface XRCPUDepthInformation {
+  readonly width: number;
+  readonly height: number;
+  readonly normDepthBufferFromNormView: XRRigidTransform;
+  readonly rawValueToMeters: number;
+  readonly data: ArrayBuffer;
+  getDepthInMeters(x: number, y: number): number;
 }
 
 type XRFrameRequestCallback = (time: number, frame: XRFrame) => void;
@@ -163,6 +212,10 @@ declare interface XRSession extends EventTarget {
   requestAnimationFrame(callback: XRFrameRequestCallback): number;
   cancelAnimationFrame(id: number): void;
   end(): Promise<void>;
+  restorePersistentAnchor?(uuid: string): Promise<XRAnchor>;
+  deletePersistentAnchor?(uuid: string): Promise<void>;
+  readonly depthUsage?: XRDepthUsage;
+  readonly depthDataFormat?: XRDepthDataFormat;
 }
 
 declare interface XRViewport {
@@ -194,6 +247,12 @@ declare class XRWebGLLayer implements XRLayer {
   getViewport(view: XRView): XRViewport
 }
 
+declare class XRWebGLBinding {
+  constructor(session: XRSession, gl: WebGLRenderingContext)
+
+  getCameraImage(camera: XRCamera): WebGLTexture|null
+}
+
 declare interface Window {
   XRSession?: Constructor<XRSession>;
   XR?: Constructor<XR>;
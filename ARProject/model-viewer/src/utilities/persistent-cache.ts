@@ -0,0 +1,215 @@
+/* @license
+ * Copyright 2026 RuleStore. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ProgressCallback} from '../three-components/CachingGLTFLoader.js';
+
+/**
+ * Cache Storage names used by the persistent cache start with this prefix and
+ * end with the cache version. A service worker that caches the same assets
+ * should use the same names, so that the two share one copy of each file.
+ */
+export const PERSISTENT_CACHE_PREFIX = 'model-viewer-assets-';
+
+export const persistentCacheName = (version: string) =>
+    `${PERSISTENT_CACHE_PREFIX}${version}`;
+
+export interface StorageEstimate {
+  usage: number;
+  quota: number;
+}
+
+/**
+ * Reads a response body into an ArrayBuffer, reporting progress as it
+ * arrives when the response declares its length.
+ */
+export const readWithProgress =
+    async(response: Response, progressCallback: ProgressCallback = () => {}):
+        Promise<ArrayBuffer> => {
+          const total = Number(response.headers.get('Content-Length'));
+          if (response.body == null || !(total > 0)) {
+            const buffer = await response.arrayBuffer();
+            progressCallback(1);
+            return buffer;
+          }
+
+          const reader = response.body.getReader();
+          const chunks: Array<Uint8Array> = [];
+          let loaded = 0;
+          while (true) {
+            const {done, value} = await reader.read();
+            if (done) {
+              break;
+            }
+            chunks.push(value!);
+            loaded += value!.length;
+            progressCallback(Math.min(1, loaded / total));
+          }
+
+          const data = new Uint8Array(loaded);
+          let offset = 0;
+          for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+          }
+          return data.buffer;
+        };
+
+/**
+ * The PersistentCache keeps downloaded assets in Cache Storage, so that they
+ * survive page loads and remain available offline. Assets are fetched from
+ * the network only the first time they are requested.
+ *
+ * Each cache has a version, and caches of other versions are deleted by
+ * purgeStaleVersions(). Bump the version whenever the cached assets change on
+ * the server; assets are otherwise never revalidated.
+ */
+export class PersistentCache {
+  readonly name: string;
+  private cacheOpens: Promise<Cache>|null = null;
+
+  constructor(readonly version: string) {
+    this.name = persistentCacheName(version);
+  }
+
+  static get isSupported(): boolean {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * Resolves with the storage used by this origin and the quota available to
+   * it, in bytes, or null where the browser can't tell.
+   */
+  static async estimate(): Promise<StorageEstimate|null> {
+    if (typeof navigator === 'undefined' || navigator.storage == null ||
+        navigator.storage.estimate == null) {
+      return null;
+    }
+    const {usage, quota} = await navigator.storage.estimate();
+    return {usage: usage || 0, quota: quota || 0};
+  }
+
+  /**
+   * Asks the browser not to evict this origin's storage when space runs low.
+   * Resolves true if the storage is persistent.
+   */
+  static async requestPersistence(): Promise<boolean> {
+    if (typeof navigator === 'undefined' || navigator.storage == null ||
+        navigator.storage.persist == null) {
+      return false;
+    }
+    if (await navigator.storage.persisted()) {
+      return true;
+    }
+    return navigator.storage.persist();
+  }
+
+  open(): Promise<Cache> {
+    if (this.cacheOpens == null) {
+      this.cacheOpens = caches.open(this.name);
+    }
+    return this.cacheOpens;
+  }
+
+  async has(url: string): Promise<boolean> {
+    const cache = await this.open();
+    return (await cache.match(url)) != null;
+  }
+
+  /**
+   * Resolves with the contents of the asset at url, from the cache if it is
+   * there and otherwise from the network, in which case it is also added to
+   * the cache. If the cache can't be used, for instance because storage is
+   * full, the asset is still loaded from the network.
+   */
+  async fetch(url: string, progressCallback: ProgressCallback = () => {}):
+      Promise<ArrayBuffer> {
+    let cache: Cache|null = null;
+    try {
+      cache = await this.open();
+      const cached = await cache.match(url);
+      if (cached != null) {
+        return readWithProgress(cached, progressCallback);
+      }
+    } catch (error) {
+      console.warn(`Persistent cache ${this.name} is not available:`, error);
+    }
+
+    const response = await self.fetch(url);
+    if (!response.ok) {
+      throw new Error(
+          `Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    if (cache != null) {
+      cache.put(url, response.clone()).catch((error) => {
+        console.warn(`Could not store ${url} in the persistent cache:`, error);
+      });
+    }
+    return readWithProgress(response, progressCallback);
+  }
+
+  /**
+   * Downloads the asset at url into the cache unless it is already there.
+   * Unlike fetch(), errors storing the asset are not ignored.
+   */
+  async add(url: string, progressCallback: ProgressCallback = () => {}) {
+    const cache = await this.open();
+    if ((await cache.match(url)) != null) {
+      progressCallback(1);
+      return;
+    }
+
+    const response = await self.fetch(url);
+    if (!response.ok) {
+      throw new Error(
+          `Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    const stores = cache.put(url, response.clone());
+    await readWithProgress(response, progressCallback);
+    await stores;
+  }
+
+  async delete(url: string): Promise<boolean> {
+    const cache = await this.open();
+    return cache.delete(url);
+  }
+
+  /**
+   * The URLs of all of the assets in the cache.
+   */
+  async keys(): Promise<string[]> {
+    const cache = await this.open();
+    const requests = await cache.keys();
+    return requests.map(request => request.url);
+  }
+
+  /**
+   * Deletes every asset in this version of the cache.
+   */
+  async clear() {
+    this.cacheOpens = null;
+    await caches.delete(this.name);
+  }
+
+  /**
+   * Deletes the caches of all other versions, resolving with their names.
+   */
+  async purgeStaleVersions(): Promise<string[]> {
+    const names = await caches.keys();
+    const stale = names.filter(
+        name => name.startsWith(PERSISTENT_CACHE_PREFIX) && name !== this.name);
+    await Promise.all(stale.map(name => caches.delete(name)));
+    return stale;
+  }
+}